@@ -0,0 +1,282 @@
+/**
+ * LittleJS Auto Tile Plugin
+ * - Pick tiles from a terrain grid by checking neighbors
+ * - 4 bit sets use the 4 side neighbors for 16 tiles
+ * - Blob sets use all 8 neighbors for the 47 tile blob layout
+ * - Wang sets match tiles with Tiled style wang ids for multiple terrains
+ * - Changing a cell updates it and its neighbors
+ * - Sets tile layer data and tile collision from the same terrain grid
+ * @namespace AutoTile
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// neighbor offsets in layer space, clockwise from north, y is up
+const autoTileNeighbors =
+[
+    vec2(0, 1), vec2(1, 1), vec2(1, 0), vec2(1, -1),
+    vec2(0, -1), vec2(-1, -1), vec2(-1, 0), vec2(-1, 1),
+];
+
+// the 47 blob masks in order, corners only count when both sides are connected
+const autoTileBlobMasks = [];
+for (let mask = 0; mask < 256; ++mask)
+    if (autoTileReduceBlobMask(mask) === mask)
+        autoTileBlobMasks.push(mask);
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Auto Tile Set - Rules to pick a tile from neighbors
+ * - 4bit masks add N=1, E=2, S=4, W=8 for each connected side
+ * - blob masks add N=1, NE=2, E=4, SE=8, S=16, SW=32, W=64, NW=128,
+ *   corners are only added when both sides next to them are connected
+ * - wang tiles list {tile, wangid}, wangid is 8 terrains clockwise from north like Tiled,
+ *   sides match side neighbors, corners match diagonal neighbors, and 0 matches anything
+ * @memberof AutoTile
+ * @example
+ * // 16 tiles in a row starting at tile 32, ordered by mask
+ * const walls = new AutoTileSet('4bit', 32);
+ *
+ * // 47 blob tiles starting at tile 1, ordered by mask from lowest to highest
+ * const grass = new AutoTileSet('blob', 1);
+ */
+class AutoTileSet
+{
+    /** Create an auto tile set
+     *  @param {string} [type] - Rules to use, 4bit, blob, or wang
+     *  @param {number|Array|Object} [tiles] - First tile index for tiles in mask order,
+     *  an array of tile indices for each mask, or an object of tile indices by mask,
+     *  wang sets use an array of {tile, wangid}
+     *  @param {number} [defaultTile] - Tile to use when no rule matches */
+    constructor(type='blob', tiles=0, defaultTile)
+    {
+        ASSERT(type === '4bit' || type === 'blob' || type === 'wang', 'unknown auto tile set type', type);
+        ASSERT(type !== 'wang' || isArray(tiles), 'wang sets need an array of {tile, wangid}');
+        ASSERT(!isArray(tiles) || type === 'wang' || tiles.length === (type === '4bit' ? 16 : 47),
+            'auto tile set needs a tile for each mask');
+
+        /** @property {string} - Rules to use, 4bit, blob, or wang */
+        this.type = type;
+        /** @property {number|Array|Object} - Tiles for each mask, or {tile, wangid} for wang sets */
+        this.tiles = tiles;
+        /** @property {number} - Tile to use when no rule matches */
+        this.defaultTile = defaultTile ?? (type === 'wang' ? tiles[0]?.tile ?? 0 : this.getMaskTile(0));
+    }
+
+    /** Get the tile index for a mask
+     *  @param {number} mask - Neighbor mask, blob masks are reduced first
+     *  @return {number} */
+    getMaskTile(mask)
+    {
+        ASSERT(this.type !== 'wang', 'wang sets do not use masks');
+        let index = mask;
+        if (this.type === 'blob')
+        {
+            mask = autoTileReduceBlobMask(mask);
+            index = autoTileBlobMasks.indexOf(mask);
+        }
+        const tiles = this.tiles;
+        const tile = typeof tiles === 'number' ? tiles + index :
+            isArray(tiles) ? tiles[index] : tiles[mask];
+        return tile ?? this.defaultTile;
+    }
+
+    /** Get the tile index for a cell from its neighbors
+     *  @param {Array<number>} neighbors - Terrain of the 8 neighbors clockwise from north
+     *  @param {Function} connects - Returns true if a neighbor terrain connects
+     *  @return {number} */
+    getTile(neighbors, connects)
+    {
+        if (this.type === 'wang')
+        {
+            // use the tile matching the most neighbors, skip tiles with a mismatch
+            let bestTile = this.defaultTile, bestScore = -1;
+            for (const {tile, wangid} of this.tiles)
+            {
+                let score = 0;
+                for (let i = 8; i--;)
+                {
+                    if (!wangid[i]) continue;
+                    if (wangid[i] !== neighbors[i]) { score = -1; break; }
+                    ++score;
+                }
+                if (score > bestScore)
+                    bestTile = tile, bestScore = score;
+            }
+            return bestTile;
+        }
+
+        // add bits for each connected neighbor
+        let mask = 0;
+        if (this.type === '4bit')
+        {
+            for (let i = 4; i--;)
+                if (connects(neighbors[i*2]))
+                    mask |= 1 << i;
+        }
+        else
+        {
+            for (let i = 8; i--;)
+                if (connects(neighbors[i]))
+                    mask |= 1 << i;
+        }
+        return this.getMaskTile(mask);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Auto Tile Map - Terrain grid that sets tile data and collision for a tile layer
+ * - Terrain 0 is empty, other terrains are added with their tile set and collision
+ * - Changing terrain updates tiles of the cell and its neighbors
+ * - Collision is only set when the layer is a TileCollisionLayer
+ * @memberof AutoTile
+ * @example
+ * const layer = new TileCollisionLayer(vec2(), vec2(64), tile(0, 16));
+ * const terrain = new AutoTileMap(layer);
+ * terrain.addTerrain(1, new AutoTileSet('blob', 1), 1);
+ * terrain.setTerrain(vec2(3, 4), 1);
+ */
+class AutoTileMap
+{
+    /** Create a terrain grid for a tile layer
+     *  @param {TileLayer} tileLayer - Layer to set tiles and collision on */
+    constructor(tileLayer)
+    {
+        ASSERT(tileLayer instanceof TileLayer, 'tileLayer must be a TileLayer');
+
+        /** @property {TileLayer} - Layer to set tiles and collision on */
+        this.tileLayer = tileLayer;
+        /** @property {Vector2} - Size of the terrain grid, same as the layer */
+        this.size = tileLayer.size.copy();
+        /** @property {Array<number>} - Terrain of each cell, 0 is empty */
+        this.data = new Array(this.size.area()).fill(0);
+        /** @property {Map<number, Object>} - Terrains as {tileSet, collision, color, connects} */
+        this.terrains = new Map;
+        /** @property {boolean} - Should cells outside the grid connect to all terrains */
+        this.connectEdges = true;
+    }
+
+    /** Add a terrain type
+     *  @param {number} terrain - Terrain id, must be above 0
+     *  @param {AutoTileSet} tileSet - Rules to pick tiles for this terrain
+     *  @param {number} [collision] - Tile collision data for this terrain, 0 is none
+     *  @param {Color}  [color=WHITE] - Color to draw tiles with
+     *  @param {Array<number>} [connects] - Other terrains this terrain connects to */
+    addTerrain(terrain, tileSet, collision=0, color=WHITE, connects=[])
+    {
+        ASSERT(isNumber(terrain) && terrain > 0, 'terrain must be a number above 0');
+        ASSERT(tileSet instanceof AutoTileSet, 'tileSet must be an AutoTileSet');
+        this.terrains.set(terrain, {tileSet, collision, color, connects});
+    }
+
+    /** Get terrain at a cell
+     *  @param {Vector2} layerPos - Local position in the grid
+     *  @return {number} - Terrain id, 0 if empty, undefined if outside the grid */
+    getTerrain(layerPos)
+    {
+        return layerPos.arrayCheck(this.size) ?
+            this.data[(layerPos.y|0)*this.size.x + (layerPos.x|0)] : undefined;
+    }
+
+    /** Set terrain at a cell and update it and its neighbors
+     *  @param {Vector2} layerPos - Local position in the grid
+     *  @param {number}  terrain - Terrain id, 0 to clear
+     *  @param {boolean} [redraw] - Should the changed tiles be redrawn */
+    setTerrain(layerPos, terrain, redraw=true)
+    {
+        ASSERT(!terrain || this.terrains.has(terrain), 'unknown terrain', terrain);
+        layerPos = layerPos.floor();
+        if (!layerPos.arrayCheck(this.size)) return;
+        this.data[layerPos.y*this.size.x + layerPos.x] = terrain;
+
+        const cells = [layerPos, ...autoTileNeighbors.map(offset=> layerPos.add(offset))]
+            .filter(pos=> pos.arrayCheck(this.size));
+        for (const pos of cells)
+            this.updateTile(pos);
+
+        if (redraw && this.tileLayer.context)
+        {
+            this.tileLayer.redrawStart();
+            for (const pos of cells)
+                this.tileLayer.drawTileData(pos);
+            this.tileLayer.redrawEnd();
+        }
+    }
+
+    /** Set terrain of the whole grid and update all tiles
+     *  @param {Array<number>|Function} data - Terrain for each cell by index, or a function that takes (x, y)
+     *  @param {boolean} [redraw] - Should the layer be redrawn */
+    setTerrainData(data, redraw=true)
+    {
+        ASSERT(isArray(data) ? data.length === this.data.length : typeof data === 'function',
+            'terrain data must be an array the size of the grid or a function');
+        for (let y = this.size.y; y--;)
+        for (let x = this.size.x; x--;)
+        {
+            const i = y*this.size.x + x;
+            const terrain = isArray(data) ? data[i] : data(x, y);
+            ASSERT(!terrain || this.terrains.has(terrain), 'unknown terrain', terrain);
+            this.data[i] = terrain || 0;
+        }
+        this.updateAll(redraw);
+    }
+
+    /** Update tiles and collision for every cell
+     *  @param {boolean} [redraw] - Should the layer be redrawn */
+    updateAll(redraw=true)
+    {
+        for (let y = this.size.y; y--;)
+        for (let x = this.size.x; x--;)
+            this.updateTile(vec2(x, y));
+        redraw && this.tileLayer.redraw();
+    }
+
+    /** Get the tile index a cell should use from its neighbors
+     *  @param {Vector2} layerPos - Local position in the grid
+     *  @return {number} - Tile index, undefined if empty */
+    getTile(layerPos)
+    {
+        const terrain = this.getTerrain(layerPos);
+        const info = this.terrains.get(terrain);
+        if (!info) return;
+
+        const neighbors = autoTileNeighbors.map(offset=>
+            this.getTerrain(layerPos.add(offset)) ?? (this.connectEdges ? terrain : 0));
+        const connects = (neighbor)=> neighbor === terrain || info.connects.includes(neighbor);
+        return info.tileSet.getTile(neighbors, connects);
+    }
+
+    /** Set tile data and collision for a cell from the terrain grid
+     *  @param {Vector2} layerPos - Local position in the grid */
+    updateTile(layerPos)
+    {
+        const terrain = this.getTerrain(layerPos);
+        const info = this.terrains.get(terrain);
+        const layer = this.tileLayer;
+        if (info)
+            layer.setData(layerPos, new TileLayerData(this.getTile(layerPos), 0, false, info.color));
+        else
+            layer.clearData(layerPos);
+        if (layer instanceof TileCollisionLayer)
+            layer.setCollisionData(layerPos, info ? info.collision : 0);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// remove corners from a blob mask unless both sides next to them are set
+function autoTileReduceBlobMask(mask)
+{
+    for (let corner = 1; corner < 8; corner += 2)
+    {
+        const side1 = 1 << (corner - 1), side2 = 1 << ((corner + 1) % 8);
+        if (!(mask & side1) || !(mask & side2))
+            mask &= ~(1 << corner);
+    }
+    return mask;
+}
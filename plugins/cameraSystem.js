@@ -0,0 +1,392 @@
+/**
+ * LittleJS Camera System Plugin
+ * - Camera objects that drive cameraPos, cameraAngle, and cameraScale
+ * - Follow one or more targets with smoothing, lookahead, and a deadzone
+ * - Clamp the view to level bounds
+ * - Trauma based screen shake of position and angle using noise
+ * - Zoom to fit multiple targets with cameraFit
+ * - Cinematic sequences of pans and zooms with easing
+ * - Cameras can drive split screen viewports instead of the engine camera
+ * - Cameras do not update while the game is paused
+ * @namespace CameraSystem
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// list of cameras to update
+const cameraList = [];
+
+/**
+ * @typedef {Object} CameraSequenceStep - Step of a cinematic camera sequence
+ * @property {Vector2} [pos] - Position to pan to, unchanged if undefined
+ * @property {number} [scale] - Scale to zoom to, unchanged if undefined
+ * @property {number} [angle] - Angle to rotate to, unchanged if undefined
+ * @property {number} [duration=1] - Seconds to reach the new view
+ * @property {number} [hold=0] - Seconds to wait after reaching the new view
+ * @property {function(number):number} [ease=smoothStep] - Ease function for the move
+ * @memberof CameraSystem
+ */
+
+/**
+ * Camera - Smooth camera that follows targets and sets the engine camera
+ * - Active cameras write cameraPos, cameraAngle, and cameraScale after they update
+ * - Cameras with a viewport write to the viewport camera instead
+ * - Only one active camera should drive the engine camera or each viewport
+ * - Targets can be EngineObjects or Vector2 positions
+ * - Updates before engine objects, so it follows where targets were last frame
+ * @memberof CameraSystem
+ * @example
+ * // follow the player, looking ahead of where they move
+ * const camera = new Camera;
+ * camera.follow(player);
+ * camera.lookahead = 20;
+ * camera.deadzone = vec2(2, 1);
+ * camera.setBounds(vec2(), levelSize);
+ *
+ * // shake when the player is hit
+ * camera.addTrauma(.5);
+ */
+class Camera
+{
+    /** Create a camera, it starts at the current engine camera
+     *  @param {Vector2} [pos=cameraPos] - World space position of the camera
+     *  @param {number}  [scale=cameraScale] - Scale of the camera in pixels per world unit
+     *  @param {number}  [angle=cameraAngle] - Rotation angle of the camera */
+    constructor(pos=cameraPos, scale=cameraScale, angle=cameraAngle)
+    {
+        ASSERT(isVector2(pos), 'pos must be a Vector2');
+        ASSERT(isNumber(scale) && isNumber(angle), 'scale and angle must be numbers');
+
+        /** @property {Vector2} - World space position without shake */
+        this.pos = pos.copy();
+        /** @property {number} - Scale in pixels per world unit */
+        this.scale = scale;
+        /** @property {number} - Rotation angle without shake */
+        this.angle = angle;
+        /** @property {boolean} - Should this camera set the engine camera */
+        this.active = true;
+        /** @property {Viewport} - Viewport to drive, undefined drives the engine camera */
+        this.viewport = undefined;
+
+        // follow settings
+        /** @property {Array<EngineObject|Vector2>} - Objects or positions to follow */
+        this.targets = [];
+        /** @property {Vector2} - World space offset from the targets */
+        this.offset = vec2();
+        /** @property {number} - Percent to move toward the targets each frame, 1 snaps */
+        this.followSpeed = .1;
+        /** @property {Vector2} - World space size of the area targets can move in without moving the camera */
+        this.deadzone = vec2();
+        /** @property {number} - How many frames of target velocity to look ahead */
+        this.lookahead = 0;
+        /** @property {number} - Percent to move the lookahead toward the target velocity each frame */
+        this.lookaheadSpeed = .05;
+
+        // zoom settings
+        /** @property {boolean} - Zoom to fit all targets on screen */
+        this.zoomToFit = false;
+        /** @property {number} - World space margin around targets when zooming to fit */
+        this.fitMargin = 2;
+        /** @property {number} - Percent to zoom toward the fit scale each frame, 1 snaps */
+        this.zoomSpeed = .05;
+        /** @property {number} - Smallest scale when zooming to fit */
+        this.minScale = 1;
+        /** @property {number} - Largest scale when zooming to fit */
+        this.maxScale = 1e3;
+
+        // bounds
+        /** @property {Vector2} - World space bottom left of the bounds, undefined is unbounded */
+        this.boundsPos = undefined;
+        /** @property {Vector2} - World space size of the bounds */
+        this.boundsSize = undefined;
+
+        // shake settings
+        /** @property {number} - Shake amount from 0 to 1, shake is trauma squared */
+        this.trauma = 0;
+        /** @property {number} - How much trauma is lost per second */
+        this.traumaDecay = 1;
+        /** @property {number} - World space offset at full shake */
+        this.shakeOffset = .5;
+        /** @property {number} - Angle offset at full shake */
+        this.shakeAngle = .1;
+        /** @property {number} - How fast the shake changes */
+        this.shakeFrequency = 15;
+
+        // internal state
+        this.goal = this.pos.copy();
+        this.lookaheadOffset = vec2();
+        this.shakeTime = 0;
+        this.sequence = undefined;
+        cameraList.push(this);
+    }
+
+    /** Follow a single target, replacing any other targets
+     *  @param {EngineObject|Vector2} target - Object or position to follow
+     *  @param {boolean} [snap] - Move to the target right away
+     *  @return {Camera} - This camera for chaining */
+    follow(target, snap=false)
+    {
+        this.targets = [];
+        this.addTarget(target);
+        snap && this.snapToTargets();
+        return this;
+    }
+
+    /** Add a target to follow, the camera follows the center of all targets
+     *  @param {EngineObject|Vector2} target - Object or position to follow */
+    addTarget(target)
+    {
+        ASSERT(target instanceof EngineObject || isVector2(target), 'camera target must be an EngineObject or Vector2');
+        this.targets.includes(target) || this.targets.push(target);
+    }
+
+    /** Stop following a target
+     *  @param {EngineObject|Vector2} target */
+    removeTarget(target)
+    {
+        const index = this.targets.indexOf(target);
+        index >= 0 && this.targets.splice(index, 1);
+    }
+
+    /** Limit the camera view to a world space area, if the view is larger it is centered
+     *  @param {Vector2} [pos] - Bottom left of the area, undefined removes the bounds
+     *  @param {Vector2} [size] - Size of the area */
+    setBounds(pos, size)
+    {
+        ASSERT(!pos || isVector2(pos) && isVector2(size), 'bounds must be Vector2s');
+        this.boundsPos = pos && pos.copy();
+        this.boundsSize = size && size.copy();
+    }
+
+    /** Add shake trauma, it decays over time
+     *  @param {number} [amount] - Amount of trauma to add, trauma is clamped from 0 to 1 */
+    addTrauma(amount=.5) { this.trauma = clamp(this.trauma + amount); }
+
+    /** Move to the targets right away without smoothing */
+    snapToTargets()
+    {
+        this.lookaheadOffset = vec2();
+        const center = this.getTargetCenter();
+        if (!center) return;
+
+        this.goal = center.add(this.offset);
+        this.pos = this.goal.copy();
+        if (this.zoomToFit && this.targets.length > 1)
+            this.scale = this.getFitScale();
+        this.clampToBounds();
+        this.active && this.apply();
+    }
+
+    /** Play a cinematic sequence of pans and zooms, targets are not followed until it ends
+     *  @param {Array<CameraSequenceStep>} steps - Steps to play in order
+     *  @param {Function} [onComplete] - Called when the sequence ends */
+    playSequence(steps, onComplete)
+    {
+        ASSERT(steps.length > 0, 'camera sequence needs at least one step');
+        this.sequence = {steps, onComplete, index: 0, time: 0,
+            pos: this.pos.copy(), scale: this.scale, angle: this.angle};
+    }
+
+    /** Stop the sequence, the camera stays where it is and follows targets again */
+    stopSequence()
+    {
+        this.sequence = undefined;
+        this.goal = this.pos.copy();
+    }
+
+    /** Check if a sequence is playing
+     *  @return {boolean} */
+    isPlayingSequence() { return !!this.sequence; }
+
+    /** Get the world space center of all targets
+     *  @return {Vector2} - Center of the targets, undefined if there are none */
+    getTargetCenter()
+    {
+        const targets = this.targets;
+        if (!targets.length) return;
+        if (targets.length === 1)
+            return (isVector2(targets[0]) ? targets[0] : targets[0].pos).copy();
+
+        // center of the box around all targets
+        const [min, max] = this.getTargetBounds();
+        return min.add(max).scale(.5);
+    }
+
+    /** Get the world space box around all targets, including object sizes
+     *  @return {[Vector2, Vector2]} - [min, max] corners of the box */
+    getTargetBounds()
+    {
+        const boxMin = vec2(Infinity), boxMax = vec2(-Infinity);
+        for (const target of this.targets)
+        {
+            const pos = isVector2(target) ? target : target.pos;
+            const half = isVector2(target) ? vec2() : target.size.scale(.5);
+            boxMin.x = min(boxMin.x, pos.x - half.x);
+            boxMin.y = min(boxMin.y, pos.y - half.y);
+            boxMax.x = max(boxMax.x, pos.x + half.x);
+            boxMax.y = max(boxMax.y, pos.y + half.y);
+        }
+        return [boxMin, boxMax];
+    }
+
+    /** Get the scale that fits all targets on screen
+     *  @return {number} */
+    getFitScale()
+    {
+        const [min, max] = this.getTargetBounds();
+        const size = max.subtract(min);
+        if (!size.x && !size.y)
+            return this.scale;
+
+        // cameraFit sets the engine camera, so it is restored after
+        const fit = ()=> cameraFit(min.add(max).scale(.5), size, this.fitMargin);
+        let fitScale;
+        if (this.viewport)
+            fitScale = this.viewport.useCamera(fit);
+        else
+        {
+            const oldPos = cameraPos, oldScale = cameraScale;
+            fitScale = fit();
+            cameraPos = oldPos;
+            cameraScale = oldScale;
+        }
+        return clamp(fitScale, this.minScale, this.maxScale);
+    }
+
+    /** Get the offset caused by shake
+     *  @return {[Vector2, number]} - [pos offset, angle offset] */
+    getShake()
+    {
+        const shake = this.trauma ** 2;
+        if (!shake) return [vec2(), 0];
+
+        // each axis samples noise far apart so they do not move together
+        const t = this.shakeTime, n = (offset)=> noise1D(t + offset) * 2 - 1;
+        const posOffset = vec2(n(0), n(1e3)).scale(shake * this.shakeOffset);
+        return [posOffset, n(2e3) * shake * this.shakeAngle];
+    }
+
+    /** Set the engine camera or viewport camera to this camera with shake */
+    apply()
+    {
+        const [posOffset, angleOffset] = this.getShake();
+        const viewport = this.viewport;
+        if (viewport)
+        {
+            viewport.cameraPos = this.pos.add(posOffset);
+            viewport.cameraAngle = this.angle + angleOffset;
+            viewport.cameraScale = this.scale;
+        }
+        else
+        {
+            cameraPos = this.pos.add(posOffset);
+            cameraAngle = this.angle + angleOffset;
+            cameraScale = this.scale;
+        }
+    }
+
+    /** Stop updating this camera */
+    destroy()
+    {
+        const index = cameraList.indexOf(this);
+        index >= 0 && cameraList.splice(index, 1);
+    }
+
+    /** Update the camera, called automatically each frame */
+    update()
+    {
+        // remove destroyed targets
+        this.targets = this.targets.filter(t=> !t.destroyed);
+
+        if (this.sequence)
+            this.updateSequence();
+        else
+            this.updateFollow();
+
+        // decay trauma
+        this.trauma = max(this.trauma - this.traumaDecay * timeDelta, 0);
+        this.shakeTime += this.shakeFrequency * timeDelta;
+        this.active && this.apply();
+    }
+
+    // move toward the targets
+    updateFollow()
+    {
+        const center = this.getTargetCenter();
+        if (center)
+        {
+            // lead a single moving target by its velocity
+            const target = this.targets.length === 1 && this.targets[0];
+            const velocity = target instanceof EngineObject ? target.velocity : vec2();
+            this.lookaheadOffset = this.lookaheadOffset.lerp(velocity.scale(this.lookahead), this.lookaheadSpeed);
+
+            // only move the goal when the target leaves the deadzone
+            const want = center.add(this.offset).add(this.lookaheadOffset);
+            const half = this.deadzone.scale(.5);
+            const dx = want.x - this.goal.x, dy = want.y - this.goal.y;
+            this.goal.x += dx > half.x ? dx - half.x : dx < -half.x ? dx + half.x : 0;
+            this.goal.y += dy > half.y ? dy - half.y : dy < -half.y ? dy + half.y : 0;
+            this.pos = this.pos.lerp(this.goal, this.followSpeed);
+
+            if (this.zoomToFit && this.targets.length > 1)
+                this.scale = lerp(this.scale, this.getFitScale(), this.zoomSpeed);
+        }
+        this.clampToBounds();
+    }
+
+    // play the current sequence step
+    updateSequence()
+    {
+        const sequence = this.sequence;
+        const step = sequence.steps[sequence.index];
+        const duration = step.duration ?? 1;
+        sequence.time += timeDelta;
+
+        // ease from where the step started
+        const ease = step.ease || smoothStep;
+        const p = ease(duration ? clamp(sequence.time / duration) : 1);
+        this.pos = sequence.pos.lerp(step.pos || sequence.pos, p);
+        this.scale = lerp(sequence.scale, step.scale ?? sequence.scale, p);
+        this.angle = lerp(sequence.angle, step.angle ?? sequence.angle, p);
+        if (sequence.time < duration + (step.hold || 0))
+            return;
+
+        // go to the next step
+        sequence.time = 0;
+        sequence.pos = this.pos.copy();
+        sequence.scale = this.scale;
+        sequence.angle = this.angle;
+        if (++sequence.index >= sequence.steps.length)
+        {
+            this.stopSequence();
+            sequence.onComplete?.();
+        }
+    }
+
+    // keep the view inside the bounds
+    clampToBounds()
+    {
+        if (!this.boundsPos) return;
+
+        const clampAxis = (pos, view, boundsPos, boundsSize)=> view >= boundsSize ?
+            boundsPos + boundsSize/2 : clamp(pos, boundsPos + view/2, boundsPos + boundsSize - view/2);
+        const screenSize = this.viewport ? this.viewport.getScreenSize() : mainCanvasSize;
+        const view = screenSize.scale(1/this.scale);
+        this.pos.x = clampAxis(this.pos.x, view.x, this.boundsPos.x, this.boundsSize.x);
+        this.pos.y = clampAxis(this.pos.y, view.y, this.boundsPos.y, this.boundsSize.y);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+function cameraSystemUpdate()
+{
+    if (paused) return;
+    for (const camera of cameraList.slice())
+        camera.update();
+}
+
+// Register with the engine so cameras update each frame
+engineAddPlugin(cameraSystemUpdate);
@@ -0,0 +1,328 @@
+/**
+ * LittleJS Character Controller Plugin
+ * - Kinematic platformer character built on EngineObject
+ * - Move and slide against tile collision and solid objects
+ * - Steps up small ledges and slopes, snaps down to the ground when walking
+ * - Jump arcs set by height and time to apex, with variable jump height
+ * - Coyote time and jump buffering
+ * - Rides moving platforms using groundObject
+ * - Exposes grounded, onWall, and onCeiling state
+ * @namespace CharacterController
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Character Controller - Kinematic platformer character
+ * - Set moveInput and holdingJump from update, they are applied next physics step
+ * - Replaces the EngineObject physics solver, velocity is not damped or bounced
+ * - Gravity is set by the jump arc and always pulls down, gravityScale still applies
+ * - Collision uses the axis aligned size against tiles and solid objects
+ * - collideWithObject is called once per frame for each solid object touched, its return value is not used
+ * @extends EngineObject
+ * @memberof CharacterController
+ * @example
+ * class Player extends CharacterController
+ * {
+ *     update()
+ *     {
+ *         this.moveInput = keyDirection();
+ *         this.holdingJump = keyIsDown('Space');
+ *     }
+ * }
+ */
+class CharacterController extends EngineObject
+{
+    /** Create a character controller
+     *  @param {Vector2}  [pos=vec2()] - World space position of the object
+     *  @param {Vector2}  [size=vec2(.6,.95)] - World space size of the object
+     *  @param {TileInfo} [tileInfo] - Tile info to render object (undefined is untextured)
+     *  @param {number}   [angle] - Angle the object is rotated by
+     *  @param {Color}    [color=WHITE] - Color to apply to tile when rendered
+     *  @param {number}   [renderOrder] - Objects sorted by renderOrder before being rendered
+     */
+    constructor(pos, size=vec2(.6,.95), tileInfo, angle, color, renderOrder)
+    {
+        super(pos, size, tileInfo, angle, color, renderOrder);
+        this.setCollision(true, false);
+
+        // movement settings
+        /** @property {number} - Max horizontal speed in world units per frame */
+        this.moveSpeed = .15;
+        /** @property {number} - How fast to speed up on the ground */
+        this.groundAcceleration = .03;
+        /** @property {number} - How fast to slow down on the ground without input */
+        this.groundDeceleration = .03;
+        /** @property {number} - How fast to speed up in the air */
+        this.airAcceleration = .01;
+        /** @property {number} - How fast to slow down in the air without input */
+        this.airDeceleration = .005;
+        /** @property {number} - Highest ledge that can be walked up, also limits how steep slopes can be */
+        this.stepHeight = .25;
+        /** @property {number} - How far to snap down to the ground when walking off slopes and steps */
+        this.snapDistance = .25;
+
+        // jump settings
+        /** @property {number} - How high a jump goes in world units */
+        this.jumpHeight = 3;
+        /** @property {number} - Seconds to reach the top of a jump, sets how strong gravity is */
+        this.jumpApexTime = .4;
+        /** @property {number} - Scale upward velocity when jump is released early, 1 is a fixed jump height */
+        this.jumpCutScale = .5;
+        /** @property {number} - Scale gravity when falling to make jumps feel less floaty */
+        this.fallGravityScale = 1.5;
+        /** @property {number} - Max fall speed in world units per frame */
+        this.maxFallSpeed = .5;
+        /** @property {number} - Max fall speed when pushing against a wall, 0 does not slow falling */
+        this.wallSlideSpeed = 0;
+        /** @property {number} - Seconds after leaving the ground that a jump is still allowed */
+        this.coyoteTime = .1;
+        /** @property {number} - Seconds before landing that a jump press is remembered */
+        this.jumpBufferTime = .1;
+
+        // input
+        /** @property {Vector2} - Movement input, only x is used */
+        this.moveInput = vec2();
+        /** @property {boolean} - Is jump held, pressing starts a jump and releasing early cuts it short */
+        this.holdingJump = false;
+
+        // state
+        /** @property {boolean} - Is standing on tiles or a solid object */
+        this.grounded = false;
+        /** @property {number} - Side of a wall being touched, -1 is left, 1 is right, 0 is none */
+        this.onWall = 0;
+        /** @property {boolean} - Is touching a ceiling */
+        this.onCeiling = false;
+        /** @property {boolean} - Is moving up from a jump */
+        this.jumping = false;
+
+        // internal timers
+        this.groundTimer = new Timer;
+        this.jumpBufferTimer = new Timer;
+        this.wasHoldingJump = false;
+    }
+
+    /** Get gravity applied per frame from the jump arc
+     *  @return {number} */
+    getJumpGravity()
+    {
+        const frames = this.jumpApexTime * frameRate;
+        return 2 * this.jumpHeight / (frames * frames) * this.gravityScale;
+    }
+
+    /** Get upward velocity per frame to start a jump
+     *  @param {number} [height] - How high to jump, uses jumpHeight if undefined
+     *  @return {number} */
+    getJumpVelocity(height=this.jumpHeight)
+    { return (2 * height * this.getJumpGravity())**.5; }
+
+    /** Start a jump right away, even if not on the ground
+     *  @param {number} [height] - How high to jump, uses jumpHeight if undefined */
+    jump(height=this.jumpHeight)
+    {
+        this.velocity.y = this.getJumpVelocity(height);
+        this.jumping = true;
+        this.grounded = false;
+        this.groundObject = undefined;
+        this.groundTimer.unset();
+        this.jumpBufferTimer.unset();
+    }
+
+    /** Check if the character would collide at a position, used by move and slide
+     *  @param {Vector2} pos - Position to test
+     *  @param {Vector2} [fromPos] - Where the character is moving from, one way tiles use this
+     *  @param {EngineObject} [ignoreObject] - Object to skip
+     *  @return {EngineObject} - Tile layer or solid object that blocks, undefined if clear */
+    getBlockingObject(pos, fromPos=this.pos, ignoreObject)
+    {
+        if (this.collideTiles)
+        {
+            // tile shapes use velocity to check one way tiles
+            const velocity = this.velocity;
+            this.velocity = pos.subtract(fromPos);
+            const hitLayer = tileCollisionTest(pos, this.size, this);
+            this.velocity = velocity;
+            if (hitLayer)
+                return hitLayer;
+        }
+        if (this.collideSolidObjects)
+        {
+            for (const o of engineBroadphaseQuery(pos, this.size, engineObjectsCollide))
+            {
+                if (o === this || o === ignoreObject || o.destroyed || o.parent || !o.isSolid)
+                    continue;
+                if (isOverlapping(pos, this.size, o.pos, o.size))
+                    return o;
+            }
+        }
+    }
+
+    /** Move with collision, sliding along walls and stepping up ledges
+     *  @param {Vector2} delta - How far to move
+     *  @param {EngineObject} [ignoreObject] - Object to pass through, like a platform being ridden
+     *  @return {Vector2} - Which axes were blocked, -1 or 1 for the direction or 0 if clear */
+    moveAndSlide(delta, ignoreObject)
+    {
+        const blocked = vec2();
+        if (this.getBlockingObject(this.pos, this.pos, ignoreObject))
+        {
+            // already stuck in collision, move freely so it can get out
+            this.pos = this.pos.add(delta);
+            return blocked;
+        }
+
+        if (delta.x)
+        {
+            const startPos = this.pos.copy();
+            if (characterControllerSweep(this, vec2(delta.x, 0), ignoreObject))
+            {
+                // try to step up and then back down onto a ledge or slope
+                const upPos = startPos.add(vec2(0, this.stepHeight));
+                const stepPos = upPos.add(vec2(delta.x, 0));
+                if (this.grounded && this.stepHeight &&
+                    !this.getBlockingObject(upPos, startPos, ignoreObject) &&
+                    !this.getBlockingObject(stepPos, upPos, ignoreObject))
+                {
+                    this.pos = stepPos;
+                    characterControllerSweep(this, vec2(0, -this.stepHeight), ignoreObject);
+                }
+                else
+                    blocked.x = sign(delta.x);
+            }
+        }
+        if (delta.y && characterControllerSweep(this, vec2(0, delta.y), ignoreObject))
+            blocked.y = sign(delta.y);
+        return blocked;
+    }
+
+    /** Update the character movement, called automatically by engine once each frame */
+    updatePhysics()
+    {
+        ASSERT(!this.parent);
+        if (this.destroyed) return;
+        if (!enablePhysicsSolver || !this.mass)
+            return super.updatePhysics();
+
+        // jump buffering and coyote time
+        const pressedJump = this.holdingJump && !this.wasHoldingJump;
+        const releasedJump = !this.holdingJump && this.wasHoldingJump;
+        this.wasHoldingJump = this.holdingJump;
+        if (pressedJump)
+            this.jumpBufferTimer.set(this.jumpBufferTime);
+        if (this.grounded)
+            this.groundTimer.set(this.coyoteTime);
+        if ((pressedJump || this.jumpBufferTimer.active()) && (this.grounded || this.groundTimer.active()))
+            this.jump();
+
+        // releasing jump early cuts it short
+        if (this.jumping && releasedJump && this.velocity.y > 0)
+            this.velocity.y *= this.jumpCutScale;
+        if (this.velocity.y <= 0 || releasedJump)
+            this.jumping = false;
+
+        // horizontal movement
+        const input = clamp(this.moveInput.x, -1, 1);
+        const acceleration = this.grounded ?
+            input ? this.groundAcceleration : this.groundDeceleration :
+            input ? this.airAcceleration : this.airDeceleration;
+        this.velocity.x += clamp(input * this.moveSpeed - this.velocity.x, -acceleration, acceleration);
+
+        // gravity is averaged over the frame so jumps reach exactly jumpHeight
+        const gravityScale = this.velocity.y < 0 ? this.fallGravityScale : 1;
+        const velocityY = this.velocity.y;
+        this.velocity.y = max(velocityY - this.getJumpGravity() * gravityScale, -this.maxFallSpeed);
+        if (this.wallSlideSpeed && this.onWall && this.onWall === sign(input))
+            this.velocity.y = max(this.velocity.y, -this.wallSlideSpeed);
+        const delta = vec2(this.velocity.x, (velocityY + this.velocity.y) / 2);
+        this.angle += this.angleVelocity *= this.angleDamping;
+
+        // ride moving platforms
+        const ground = this.groundObject;
+        if (ground && (ground.velocity.x || ground.velocity.y))
+            this.moveAndSlide(ground.velocity, ground);
+
+        // move and stop velocity when blocked
+        const wasGrounded = this.grounded;
+        const blocked = this.moveAndSlide(delta);
+        if (blocked.x)
+            this.velocity.x = 0;
+        if (blocked.y)
+            this.velocity.y = 0;
+
+        // snap down to the ground when walking off slopes and steps
+        if (wasGrounded && !blocked.y && this.velocity.y <= 0 && this.snapDistance)
+        {
+            const snapPos = this.pos.copy();
+            if (characterControllerSweep(this, vec2(0, -this.snapDistance)))
+                this.velocity.y = 0;
+            else
+                this.pos = snapPos;
+        }
+
+        // check what is being touched
+        const probe = .01;
+        this.groundObject = this.velocity.y <= 0 ?
+            this.getBlockingObject(this.pos.add(vec2(0, -probe))) : undefined;
+        this.grounded = !!this.groundObject;
+        const ceilingObject = this.getBlockingObject(this.pos.add(vec2(0, probe)));
+        this.onCeiling = !!ceilingObject;
+
+        // lift wall probes when grounded so slopes don't count as walls
+        const lift = this.grounded ? probe * 2 : 0;
+        const rightObject = this.getBlockingObject(this.pos.add(vec2(probe, lift)));
+        const leftObject = rightObject ? undefined : this.getBlockingObject(this.pos.add(vec2(-probe, lift)));
+        this.onWall = rightObject ? 1 : leftObject ? -1 : 0;
+
+        // notify objects being touched once the move is done, normals point away from the other object
+        const contacts = new Map;
+        const addContact = (o, normal)=>
+            o && !(o instanceof TileCollisionLayer) && !contacts.has(o) && contacts.set(o, normal);
+        addContact(this.groundObject, vec2(0, 1));
+        addContact(ceilingObject, vec2(0, -1));
+        addContact(rightObject, vec2(-1, 0));
+        addContact(leftObject, vec2(1, 0));
+        for (const [o, normal] of contacts)
+        {
+            this.collideWithObject(o, normal);
+            o.collideWithObject(this, normal.scale(-1));
+        }
+
+        debugPhysics && this.grounded && debugRect(this.pos.add(vec2(0, -this.size.y/2)), vec2(this.size.x, probe), '#0f0');
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// move a character as far as possible along a delta, returns true if blocked
+function characterControllerSweep(character, delta, ignoreObject)
+{
+    // split into steps smaller than half the size so nothing is skipped over
+    const size = character.size;
+    const stepCount = ceil(delta.length() / min(size.x, size.y) * 2) || 1;
+    const step = delta.scale(1/stepCount);
+    for (let i = stepCount; i--;)
+    {
+        const pos = character.pos.add(step);
+        if (!character.getBlockingObject(pos, character.pos, ignoreObject))
+        {
+            character.pos = pos;
+            continue;
+        }
+
+        // binary search for the contact point
+        let clear = 0, hit = 1;
+        for (let j = 12; j--;)
+        {
+            const mid = (clear + hit) / 2;
+            if (character.getBlockingObject(character.pos.add(step.scale(mid)), character.pos, ignoreObject))
+                hit = mid;
+            else
+                clear = mid;
+        }
+        character.pos = character.pos.add(step.scale(clear));
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,260 @@
+/**
+ * LittleJS Chunked Tile Map Plugin
+ * - Splits huge or infinite tile maps into fixed size chunks
+ * - Chunks near the camera are loaded, each with its own canvas
+ * - Chunks far from the camera are unloaded to free memory
+ * - Chunks can be generated on demand with a callback for procedural worlds
+ * - Edited chunks are saved when unloaded and restored when loaded again
+ * - Each chunk is a TileCollisionLayer so tile collision and raycasts work across chunks
+ * @namespace ChunkedTileMap
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// list of chunked tile maps to update
+const chunkedTileMaps = [];
+
+/**
+ * @callback ChunkedTileMapGenerateCallback - Function to fill a chunk when it is first loaded
+ * @param {TileCollisionLayer} layer - Layer for the chunk, use local positions to set data
+ * @param {Vector2} chunkPos - Position of the chunk in chunks
+ * @memberof ChunkedTileMap
+ */
+
+/**
+ * Chunked Tile Map - Tile map split into chunks that stream in around the camera
+ * - Chunks load within loadMargin chunks of the camera view or any keepLoaded position
+ * - Chunks unload when farther than unloadMargin chunks, it should be more than loadMargin
+ * - Only loaded chunks have collision, use keepLoaded for objects away from the camera
+ * - Edits made with setData and setCollisionData are saved when chunks unload
+ * @memberof ChunkedTileMap
+ * @example
+ * // generate an infinite cave using noise
+ * const map = new ChunkedTileMap(vec2(), vec2(32), tile(0, 16), 0, (layer, chunkPos)=>
+ * {
+ *     for (let x = layer.size.x; x--;)
+ *     for (let y = layer.size.y; y--;)
+ *     {
+ *         const pos = layer.pos.add(vec2(x, y));
+ *         if (noise2D(pos.x/20, pos.y/20) > .2)
+ *         {
+ *             layer.setData(vec2(x, y), new TileLayerData(1));
+ *             layer.setCollisionData(vec2(x, y));
+ *         }
+ *     }
+ * });
+ */
+class ChunkedTileMap
+{
+    /** Create a chunked tile map, chunks are loaded when it updates
+     *  @param {Vector2}  [pos=vec2()] - World space position of the bottom left of chunk 0,0
+     *  @param {Vector2}  [chunkSize=vec2(32)] - Size of each chunk in tiles
+     *  @param {TileInfo} [tileInfo] - Tile info for the chunk layers
+     *  @param {number}   [renderOrder] - Render order of the chunk layers
+     *  @param {ChunkedTileMapGenerateCallback} [generate] - Called to fill new chunks */
+    constructor(pos=vec2(), chunkSize=vec2(32), tileInfo=tile(), renderOrder=0, generate)
+    {
+        ASSERT(isVector2(pos), 'pos must be a Vector2');
+        ASSERT(isVector2(chunkSize) && chunkSize.x >= 1 && chunkSize.y >= 1, 'chunkSize must be a Vector2 of at least 1');
+
+        /** @property {Vector2} - World space position of the bottom left of chunk 0,0 */
+        this.pos = pos.copy();
+        /** @property {Vector2} - Size of each chunk in tiles */
+        this.chunkSize = chunkSize.floor();
+        /** @property {TileInfo} - Tile info for the chunk layers */
+        this.tileInfo = tileInfo;
+        /** @property {number} - Render order of the chunk layers */
+        this.renderOrder = renderOrder;
+        /** @property {ChunkedTileMapGenerateCallback} - Called to fill new chunks */
+        this.generate = generate;
+        /** @property {number} - How many chunks past the camera view to load */
+        this.loadMargin = 1;
+        /** @property {number} - How many chunks past the camera view to unload */
+        this.unloadMargin = 2;
+        /** @property {Array<Vector2|EngineObject>} - Positions or objects that keep chunks around them loaded */
+        this.keepLoaded = [];
+        /** @property {boolean} - Should chunks around the camera be loaded */
+        this.followCamera = true;
+        /** @property {boolean} - Are chunk layers solid for collision */
+        this.isSolid = true;
+        /** @property {Map<string, TileCollisionLayer>} - Loaded chunks by key */
+        this.chunks = new Map;
+        /** @property {Map<string, Object>} - Data of edited chunks that were unloaded */
+        this.savedChunks = new Map;
+
+        chunkedTileMaps.push(this);
+    }
+
+    /** Load chunks near the camera and unload far chunks, called automatically each frame */
+    update()
+    {
+        // forget chunks that were destroyed elsewhere
+        for (const [key, layer] of this.chunks)
+            layer.destroyed && this.chunks.delete(key);
+
+        // get areas to keep loaded in chunk space
+        const areas = this.keepLoaded.map(p=> this.getChunkArea(p.pos ?? p, vec2()));
+        this.followCamera && areas.push(this.getChunkArea(cameraPos, getCameraSize()));
+
+        // unload chunks far from all areas
+        for (const layer of [...this.chunks.values()])
+        {
+            const chunkPos = layer.chunkPos;
+            const isNear = areas.some(([min, max])=>
+                chunkPos.x >= min.x - this.unloadMargin && chunkPos.x <= max.x + this.unloadMargin &&
+                chunkPos.y >= min.y - this.unloadMargin && chunkPos.y <= max.y + this.unloadMargin);
+            isNear || this.unloadChunk(chunkPos);
+        }
+
+        // load chunks near any area
+        for (const [min, max] of areas)
+        for (let y = min.y - this.loadMargin; y <= max.y + this.loadMargin; ++y)
+        for (let x = min.x - this.loadMargin; x <= max.x + this.loadMargin; ++x)
+            this.loadChunk(vec2(x, y));
+    }
+
+    /** Get the chunk that contains a world position
+     *  @param {Vector2} pos - World space position
+     *  @return {Vector2} - Position in chunks */
+    getChunkPos(pos)
+    { return pos.subtract(this.pos).divide(this.chunkSize).floor(); }
+
+    /** Get a loaded chunk
+     *  @param {Vector2} chunkPos - Position in chunks
+     *  @return {TileCollisionLayer} - Chunk layer or undefined if not loaded */
+    getChunk(chunkPos)
+    {
+        const layer = this.chunks.get(chunkedTileMapKey(chunkPos));
+        return layer && !layer.destroyed ? layer : undefined;
+    }
+
+    /** Load a chunk if it is not loaded, restoring saved edits or generating it
+     *  @param {Vector2} chunkPos - Position in chunks
+     *  @return {TileCollisionLayer} */
+    loadChunk(chunkPos)
+    {
+        chunkPos = chunkPos.floor();
+        const loaded = this.getChunk(chunkPos);
+        if (loaded)
+            return loaded;
+
+        const key = chunkedTileMapKey(chunkPos);
+        const pos = this.pos.add(chunkPos.multiply(this.chunkSize));
+        const layer = new TileCollisionLayer(pos, this.chunkSize, this.tileInfo, this.renderOrder);
+        layer.isSolid = this.isSolid;
+        layer.chunkPos = chunkPos;
+        layer.chunkEdited = false;
+
+        const saved = this.savedChunks.get(key);
+        if (saved)
+        {
+            // restore edits from when it was unloaded
+            layer.data = saved.data;
+            layer.collisionData = saved.collisionData;
+            layer.collisionShapes = saved.collisionShapes;
+            layer.chunkEdited = true;
+            this.savedChunks.delete(key);
+        }
+        else if (this.generate)
+            this.generate(layer, chunkPos);
+
+        layer.redraw();
+        this.chunks.set(key, layer);
+        return layer;
+    }
+
+    /** Unload a chunk and free its canvas, edited chunks are saved
+     *  @param {Vector2} chunkPos - Position in chunks */
+    unloadChunk(chunkPos)
+    {
+        const key = chunkedTileMapKey(chunkPos);
+        const layer = this.chunks.get(key);
+        if (!layer) return;
+
+        if (layer.chunkEdited && !layer.destroyed)
+        {
+            const {data, collisionData, collisionShapes} = layer;
+            this.savedChunks.set(key, {data, collisionData, collisionShapes});
+        }
+        layer.destroy();
+        this.chunks.delete(key);
+    }
+
+    /** Get tile data at a world position
+     *  @param {Vector2} pos - World space position
+     *  @return {TileLayerData} - Data or undefined if the chunk is not loaded */
+    getData(pos)
+    {
+        const layer = this.getChunk(this.getChunkPos(pos));
+        return layer && layer.getData(pos.subtract(layer.pos).floor());
+    }
+
+    /** Set tile data at a world position, loading the chunk if needed
+     *  @param {Vector2}       pos - World space position
+     *  @param {TileLayerData} data - Data to set
+     *  @param {boolean}       [redraw] - Force the tile to redraw if true */
+    setData(pos, data, redraw=false)
+    {
+        const layer = this.loadChunk(this.getChunkPos(pos));
+        layer.setData(pos.subtract(layer.pos).floor(), data, redraw);
+        layer.chunkEdited = true;
+    }
+
+    /** Get tile collision data at a world position
+     *  @param {Vector2} pos - World space position
+     *  @return {number} - Data or 0 if the chunk is not loaded */
+    getCollisionData(pos)
+    {
+        const layer = this.getChunk(this.getChunkPos(pos));
+        return layer ? layer.getCollisionData(pos.subtract(layer.pos).floor()) : 0;
+    }
+
+    /** Set tile collision data at a world position, loading the chunk if needed
+     *  @param {Vector2} pos - World space position
+     *  @param {number}  [data]
+     *  @param {TileCollisionShape} [shape] - Shape of the tile, undefined is a full tile */
+    setCollisionData(pos, data=1, shape)
+    {
+        const layer = this.loadChunk(this.getChunkPos(pos));
+        layer.setCollisionData(pos.subtract(layer.pos).floor(), data, shape);
+        layer.chunkEdited = true;
+    }
+
+    /** Redraw all loaded chunks */
+    redraw()
+    {
+        for (const layer of this.chunks.values())
+            layer.redraw();
+    }
+
+    /** Unload all chunks and stop updating, saved edits are kept */
+    destroy()
+    {
+        for (const layer of [...this.chunks.values()])
+            this.unloadChunk(layer.chunkPos);
+        const index = chunkedTileMaps.indexOf(this);
+        index >= 0 && chunkedTileMaps.splice(index, 1);
+    }
+
+    // get the range of chunks that overlap an area
+    getChunkArea(pos, size)
+    {
+        const halfSize = size.scale(.5);
+        return [this.getChunkPos(pos.subtract(halfSize)), this.getChunkPos(pos.add(halfSize))];
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+function chunkedTileMapKey(chunkPos) { return chunkPos.x + ',' + chunkPos.y; }
+
+function chunkedTileMapUpdate()
+{
+    for (const map of chunkedTileMaps.slice())
+        map.update();
+}
+
+// Register with the engine so chunks stream each frame
+engineAddPlugin(chunkedTileMapUpdate);
@@ -0,0 +1,461 @@
+/**
+ * LittleJS LDtk Project Plugin
+ * - Load levels made with the LDtk editor from .ldtk project files
+ * - IntGrid layers are used for tile collision
+ * - AutoLayer, Tiles, and IntGrid auto tiles are drawn with flipped tiles
+ * - Entity layers spawn EngineObjects from a registry of identifiers
+ * - Multiple levels and worlds using the Free, GridVania, and Linear layouts
+ * @namespace LdtkProject
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// direction and mirror for each LDtk flip value, x flip is bit 0 and y flip is bit 1
+const ldtkFlipTransforms = [[0, false], [0, true], [2, true], [2, false]];
+
+// classes to spawn for each LDtk entity identifier
+const ldtkEntityClasses = new Map;
+
+/** Register a class to spawn for LDtk entities with an identifier
+ *  - The class is constructed with (pos, size) in world space
+ *  - Fields of the entity are then set as members of the object
+ *  @param {string} identifier - Entity identifier set in LDtk
+ *  @param {Function} classType - Class that extends EngineObject
+ *  @example
+ *  ldtkRegisterEntityClass('Enemy', Enemy);
+ *  @memberof LdtkProject */
+function ldtkRegisterEntityClass(identifier, classType)
+{
+    ASSERT(typeof identifier === 'string', 'identifier must be a string');
+    ASSERT(classType === EngineObject || classType.prototype instanceof EngineObject,
+        'classType must extend EngineObject');
+    ldtkEntityClasses.set(identifier, classType);
+}
+
+/** Fetch an LDtk project and any levels saved in separate files
+ *  @param {string} url - Path to a .ldtk project
+ *  @return {Promise<Object>} - Project data with levels included
+ *  @memberof LdtkProject */
+async function ldtkFetch(url)
+{
+    const project = await (await fetch(url)).json();
+    const folder = url.slice(0, url.lastIndexOf('/') + 1);
+    const worlds = project.worlds && project.worlds.length ? project.worlds : [project];
+    for (const world of worlds)
+    for (let i = 0; i < world.levels.length; ++i)
+    {
+        const level = world.levels[i];
+        if (level.externalRelPath && !level.layerInstances)
+            world.levels[i] = await (await fetch(folder + level.externalRelPath)).json();
+    }
+    return project;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * LDtk Project - Worlds and levels loaded from an LDtk project
+ * - One world unit is the default grid size of the project
+ * - LDtk y goes down, so level positions are flipped to keep world y up
+ * - Tile and IntGrid layers must use the default grid size
+ * - Tilesets need padding to be half of spacing to match tile padding
+ * - Like tileLayersLoad, the first tile in each tileset is treated as empty and not drawn
+ * @memberof LdtkProject
+ * @example
+ * // load the project and the first level
+ * ldtkRegisterEntityClass('Player', Player);
+ * const project = new LdtkProject(await ldtkFetch('game.ldtk'));
+ * const level = project.loadLevel(0, vec2());
+ */
+class LdtkProject
+{
+    /** Create a project from LDtk data, levels are loaded separately
+     *  @param {Object|string} projectData - LDtk project data or .ldtk text
+     *  @param {Array|Object} [textures] - Texture index or TextureInfo for each tileset by index or identifier,
+     *  tilesets without one use the loaded texture with a matching image name or their own index
+     *  @param {Array<string>} [collisionLayers] - IntGrid layers to use for collision, undefined uses all of them */
+    constructor(projectData, textures=[], collisionLayers)
+    {
+        if (typeof projectData === 'string')
+            projectData = JSON.parse(projectData);
+        ASSERT(projectData && projectData.defs, 'invalid LDtk project data');
+
+        /** @property {number} - Size of a world unit in pixels */
+        this.gridSize = projectData.defaultGridSize || 16;
+        /** @property {Array<string>} - IntGrid layers used for collision, undefined uses all of them */
+        this.collisionLayers = collisionLayers;
+        /** @property {Array<Object>} - Worlds as {identifier, iid, layout, levels} */
+        this.worlds = (projectData.worlds && projectData.worlds.length ? projectData.worlds : [projectData])
+            .map(world=> ({
+                identifier: world.identifier || 'World',
+                iid: world.iid,
+                layout: world.worldLayout || 'Free',
+                levels: world.levels || [],
+            }));
+        /** @property {Array<LdtkLevel>} - Levels that are loaded */
+        this.loadedLevels = [];
+        /** @property {Map<number, Object>} - Tilesets by uid as {identifier, tileInfo} */
+        this.tilesets = new Map;
+
+        (projectData.defs.tilesets || []).forEach((tileset, i)=>
+        {
+            ASSERT(!tileset.padding && !tileset.spacing || tileset.padding*2 === tileset.spacing,
+                'tileset padding must be half of spacing to match tile padding');
+
+            // find the texture for this tileset
+            let texture = isArray(textures) ? textures[i] : textures[tileset.identifier];
+            if (texture === undefined)
+            {
+                const imageName = tileset.relPath && tileset.relPath.split('/').pop();
+                const index = imageName ? textureInfos.findIndex(t=> t?.image?.src?.endsWith(imageName)) : -1;
+                texture = index < 0 ? i : index;
+            }
+            const tileInfo = tile(0, tileset.tileGridSize, texture, tileset.padding || 0);
+            this.tilesets.set(tileset.uid, {identifier: tileset.identifier, tileInfo});
+        });
+
+        // world positions for linear layouts are set by level order
+        for (const world of this.worlds)
+        {
+            let offset = 0;
+            for (const level of world.levels)
+            {
+                if (world.layout === 'LinearHorizontal')
+                    level.worldX = offset, level.worldY = 0, offset += level.pxWid;
+                else if (world.layout === 'LinearVertical')
+                    level.worldX = 0, level.worldY = offset, offset += level.pxHei;
+            }
+        }
+    }
+
+    /** Get level data by identifier, iid, or index
+     *  @param {string|number} level - Level identifier, iid, or index in the world
+     *  @param {string|number} [world=0] - World identifier or index
+     *  @return {Object} - LDtk level data or undefined if not found */
+    getLevelData(level, world=0)
+    {
+        const levels = this.getWorld(world).levels;
+        return typeof level === 'number' ? levels[level] :
+            levels.find(l=> l.identifier === level || l.iid === level);
+    }
+
+    /** Get a world by identifier or index
+     *  @param {string|number} [world=0] - World identifier or index
+     *  @return {Object} - World as {identifier, iid, layout, levels} */
+    getWorld(world=0)
+    {
+        const result = typeof world === 'number' ? this.worlds[world] :
+            this.worlds.find(w=> w.identifier === world || w.iid === world);
+        ASSERT(result, 'LDtk world not found', world);
+        return result;
+    }
+
+    /** Get the world space bottom left corner of a level from its world layout
+     *  @param {Object} levelData - LDtk level data
+     *  @return {Vector2} */
+    getLevelPos(levelData)
+    { return vec2(levelData.worldX, -levelData.worldY - levelData.pxHei).scale(1/this.gridSize); }
+
+    /** Get the world space size of a level
+     *  @param {Object} levelData - LDtk level data
+     *  @return {Vector2} */
+    getLevelSize(levelData)
+    { return vec2(levelData.pxWid, levelData.pxHei).scale(1/this.gridSize); }
+
+    /** Get data for the level that contains a world position
+     *  @param {Vector2} pos - World space position
+     *  @param {string|number} [world=0] - World identifier or index
+     *  @return {Object} - LDtk level data or undefined if none */
+    getLevelDataAt(pos, world=0)
+    {
+        return this.getWorld(world).levels.find(level=>
+            isOverlapping(pos, vec2(), this.getLevelPos(level).add(this.getLevelSize(level).scale(.5)),
+                this.getLevelSize(level)));
+    }
+
+    /** Create the layers and entities of a level
+     *  @param {string|number|Object} level - Level identifier, iid, index, or LDtk level data
+     *  @param {Vector2} [pos] - World space bottom left of the level, undefined uses the world layout
+     *  @param {number}  [renderOrder] - Render order of the top tile layer
+     *  @param {boolean} [draw] - Should the layers be drawn
+     *  @param {string|number} [world=0] - World identifier or index
+     *  @return {LdtkLevel} */
+    loadLevel(level, pos, renderOrder=0, draw=true, world=0)
+    {
+        const levelData = typeof level === 'object' ? level : this.getLevelData(level, world);
+        ASSERT(levelData, 'LDtk level not found', level);
+        ASSERT(levelData.layerInstances, 'LDtk level data is in a separate file, use ldtkFetch');
+        const ldtkLevel = new LdtkLevel(this, levelData, pos || this.getLevelPos(levelData), renderOrder, draw);
+        this.loadedLevels.push(ldtkLevel);
+        ldtkLinkEntityRefs(this);
+        return ldtkLevel;
+    }
+
+    /** Create every level in a world at its world layout position
+     *  @param {string|number} [world=0] - World identifier or index
+     *  @param {number}  [renderOrder] - Render order of the top tile layer in each level
+     *  @param {boolean} [draw] - Should the layers be drawn
+     *  @return {Array<LdtkLevel>} */
+    loadWorld(world=0, renderOrder=0, draw=true)
+    { return this.getWorld(world).levels.map(level=> this.loadLevel(level, undefined, renderOrder, draw)); }
+
+    /** Destroy all loaded levels */
+    destroy()
+    {
+        for (const level of [...this.loadedLevels])
+            level.destroy();
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * LDtk Level - Tile layers and entities created from an LDtk level
+ * - Each IntGrid layer used for collision makes a TileCollisionLayer with the IntGrid values
+ * - Layers with stacked tiles use extra tile layers drawn above
+ * - Entities with a registered identifier are spawned, all entities are kept in the entities list
+ * - EntityRef fields are set to the spawned object, if it is in a loaded level
+ * @memberof LdtkProject
+ */
+class LdtkLevel
+{
+    /** Create a level, use LdtkProject.loadLevel instead of calling this directly
+     *  @param {LdtkProject} project
+     *  @param {Object}  levelData - LDtk level data
+     *  @param {Vector2} pos - World space bottom left of the level
+     *  @param {number}  [renderOrder] - Render order of the top tile layer
+     *  @param {boolean} [draw] - Should the layers be drawn */
+    constructor(project, levelData, pos, renderOrder=0, draw=true)
+    {
+        /** @property {LdtkProject} - Project this level is from */
+        this.project = project;
+        /** @property {string} - Level identifier */
+        this.identifier = levelData.identifier;
+        /** @property {string} - Unique level id */
+        this.iid = levelData.iid;
+        /** @property {Vector2} - World space bottom left of the level */
+        this.pos = pos.copy();
+        /** @property {Vector2} - World space size of the level */
+        this.size = project.getLevelSize(levelData);
+        /** @property {Object} - Custom fields of the level */
+        this.fields = ldtkGetFields(levelData.fieldInstances, this);
+        /** @property {Array<TileCollisionLayer>} - Tile layers from bottom to top */
+        this.tileLayers = [];
+        /** @property {Array<Object>} - Every entity as {identifier, iid, tags, pos, size, fields, tileInfo, layer, object},
+         *  object is the spawned EngineObject */
+        this.entities = [];
+        /** @property {Array<Object>} - Layers from bottom to top as {identifier, type, tileLayers, entities} */
+        this.layers = [];
+
+        // ldtk layers are listed from top to bottom
+        const layerInstances = [...levelData.layerInstances].reverse();
+        const tileLayerCount = layerInstances.filter(l=> l.__type !== 'Entities').length;
+        let tileLayerIndex = 0;
+        for (const layer of layerInstances)
+        {
+            const info = {identifier: layer.__identifier, type: layer.__type, tileLayers: [], entities: []};
+            const layerPos = this.pos.add(vec2(layer.__pxTotalOffsetX,
+                levelData.pxHei - layer.__cHei * layer.__gridSize - layer.__pxTotalOffsetY).scale(1/project.gridSize));
+            if (layer.__type === 'Entities')
+                ldtkLevelLoadEntities(this, info, layer, layerPos);
+            else
+            {
+                const layerRenderOrder = renderOrder - (tileLayerCount - 1 - tileLayerIndex++);
+                ldtkLevelLoadTiles(this, info, layer, layerPos, layerRenderOrder, draw);
+            }
+            this.layers.push(info);
+        }
+    }
+
+    /** Get a layer by identifier
+     *  @param {string} identifier
+     *  @return {Object} - Layer as {identifier, type, tileLayers, entities} or undefined */
+    getLayer(identifier) { return this.layers.find(layer=> layer.identifier === identifier); }
+
+    /** Get entities with an identifier
+     *  @param {string} [identifier] - Entity identifier set in LDtk, undefined gets all entities
+     *  @return {Array<Object>} */
+    getEntities(identifier)
+    {
+        return identifier === undefined ? this.entities :
+            this.entities.filter(e=> e.identifier === identifier);
+    }
+
+    /** Destroy all tile layers and spawned objects and unload the level */
+    destroy()
+    {
+        for (const tileLayer of this.tileLayers)
+            tileLayer.destroy();
+        for (const entity of this.entities)
+            entity.object && entity.object.destroy();
+        const loadedLevels = this.project.loadedLevels;
+        const index = loadedLevels.indexOf(this);
+        index >= 0 && loadedLevels.splice(index, 1);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// LDtk level loading
+
+// create tile layers for IntGrid values and tiles
+function ldtkLevelLoadTiles(level, info, layer, pos, renderOrder, draw)
+{
+    const project = level.project;
+    ASSERT(layer.__gridSize === project.gridSize, 'LDtk tile layers must use the default grid size', layer.__identifier);
+
+    const size = vec2(layer.__cWid, layer.__cHei);
+    const tileset = project.tilesets.get(layer.overrideTilesetUid ?? layer.__tilesetDefUid);
+    const tileInfo = tileset ? tileset.tileInfo : tile(0, layer.__gridSize);
+    const tileLayers = [];
+    const usedCells = [];
+    const getTileLayer = (index)=>
+    {
+        if (!tileLayers[index])
+        {
+            tileLayers[index] = new TileCollisionLayer(pos, size, tileInfo, renderOrder);
+            usedCells[index] = new Set;
+        }
+        return tileLayers[index];
+    };
+
+    // int grid values are used for collision
+    const collisionLayers = project.collisionLayers;
+    const intGrid = layer.intGridCsv || [];
+    if (intGrid.length && (!collisionLayers || collisionLayers.includes(layer.__identifier)))
+    {
+        const tileLayer = getTileLayer(0);
+        for (let i = intGrid.length; i--;)
+            if (intGrid[i])
+                tileLayer.setCollisionData(vec2(i % size.x, size.y - 1 - (i / size.x | 0)), intGrid[i]);
+    }
+
+    // tiles can be stacked, so extra layers are made when a cell is already used
+    const tiles = layer.__type === 'Tiles' ? layer.gridTiles : layer.autoLayerTiles;
+    if (tileset && layer.visible !== false)
+    for (const t of tiles || [])
+    {
+        const x = t.px[0] / layer.__gridSize | 0, y = t.px[1] / layer.__gridSize | 0;
+        const layerPos = vec2(x, size.y - 1 - y);
+        const cell = x + y * size.x;
+        let index = 0;
+        while (usedCells[index] && usedCells[index].has(cell))
+            ++index;
+        const tileLayer = getTileLayer(index);
+        usedCells[index].add(cell);
+
+        const [direction, mirror] = ldtkFlipTransforms[t.f & 3];
+        const color = new Color(1, 1, 1, (layer.__opacity ?? 1) * (t.a ?? 1));
+        tileLayer.setData(layerPos, new TileLayerData(t.t, direction, mirror, color));
+    }
+
+    for (const tileLayer of tileLayers)
+    {
+        draw && tileLayer.redraw();
+        info.tileLayers.push(tileLayer);
+        level.tileLayers.push(tileLayer);
+    }
+}
+
+// convert entities to world space and spawn registered identifiers
+function ldtkLevelLoadEntities(level, info, layer, pos)
+{
+    const project = level.project, gridSize = project.gridSize;
+    const layerHeight = layer.__cHei * layer.__gridSize;
+    for (const entity of layer.entityInstances || [])
+    {
+        // px is the pivot point of the entity
+        const [pivotX, pivotY] = entity.__pivot || [.5, .5];
+        const centerX = entity.px[0] + (.5 - pivotX) * entity.width;
+        const centerY = entity.px[1] + (.5 - pivotY) * entity.height;
+        const entityTile = entity.__tile;
+        const tileset = entityTile && project.tilesets.get(entityTile.tilesetUid);
+        const entityInfo =
+        {
+            identifier: entity.__identifier,
+            iid: entity.iid,
+            tags: entity.__tags || [],
+            pos: pos.add(vec2(centerX, layerHeight - centerY).scale(1/gridSize)),
+            size: vec2(entity.width, entity.height).scale(1/gridSize),
+            fields: ldtkGetFields(entity.fieldInstances, level),
+            tileInfo: tileset && new TileInfo(vec2(entityTile.x, entityTile.y),
+                vec2(entityTile.w, entityTile.h), tileset.tileInfo.textureInfo, tileset.tileInfo.padding),
+            layer: info.identifier,
+            object: undefined,
+        };
+
+        const classType = ldtkEntityClasses.get(entityInfo.identifier);
+        if (classType)
+        {
+            // spawn and set fields as members
+            const o = entityInfo.object = new classType(entityInfo.pos.copy(), entityInfo.size.copy());
+            if (entityInfo.tileInfo)
+                o.tileInfo = entityInfo.tileInfo;
+            Object.assign(o, entityInfo.fields);
+        }
+        info.entities.push(entityInfo);
+        level.entities.push(entityInfo);
+    }
+}
+
+// set entity ref fields to spawned objects in any loaded level
+function ldtkLinkEntityRefs(project)
+{
+    const levels = project.loadedLevels;
+    const objects = new Map;
+    for (const level of levels)
+    for (const entity of level.entities)
+        entity.object && objects.set(entity.iid, entity.object);
+
+    const getObject = (ref)=> ref && objects.get(ref.entityIid);
+    for (const level of levels)
+    for (const entity of level.entities)
+    {
+        if (!entity.object) continue;
+        for (const [name, ref] of Object.entries(entity.fields))
+        {
+            if (ldtkIsEntityRef(ref))
+                entity.object[name] = getObject(ref);
+            else if (isArray(ref) && ref.some(ldtkIsEntityRef))
+                entity.object[name] = ref.map(getObject);
+        }
+    }
+}
+
+function ldtkIsEntityRef(value) { return !!value && typeof value === 'object' && 'entityIid' in value; }
+
+// convert LDtk field instances to an object
+function ldtkGetFields(fieldInstances=[], level)
+{
+    const fields = {};
+    for (const field of fieldInstances)
+    {
+        const type = field.__type.replace(/^Array<(.*)>$/, '$1');
+        const convert = (value)=> ldtkGetFieldValue(type, value, level);
+        fields[field.__identifier] = isArray(field.__value) ? field.__value.map(convert) : convert(field.__value);
+    }
+    return fields;
+}
+
+// convert an LDtk field value to engine types
+function ldtkGetFieldValue(type, value, level)
+{
+    if (value === null || value === undefined)
+        return undefined;
+    const project = level.project;
+    if (type === 'Color')
+        return new Color().setHex(value);
+    if (type === 'Point')
+    {
+        // grid cell to world space cell center
+        return level.pos.add(vec2(value.cx + .5, level.size.y - value.cy - .5));
+    }
+    if (type === 'Tile')
+    {
+        const tileset = project.tilesets.get(value.tilesetUid);
+        return tileset && new TileInfo(vec2(value.x, value.y), vec2(value.w, value.h),
+            tileset.tileInfo.textureInfo, tileset.tileInfo.padding);
+    }
+    return value;
+}
@@ -0,0 +1,534 @@
+/**
+ * LittleJS Level Editor Plugin
+ * - call new LevelEditorPlugin(tileLayers) to setup the level editor
+ * - Press F2 in debug builds to toggle the editor, the game is paused while editing
+ * - Paint tiles and tile collision into tile layers
+ * - Place, move, and delete objects from a palette of registered classes
+ * - Edit properties of placed objects
+ * - Undo and redo for all edits
+ * - Export JSON that tileLayersLoad can load, with collision and objects
+ * @namespace LevelEditor
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+/** Global level editor plugin object
+ *  @type {LevelEditorPlugin}
+ *  @memberof LevelEditor */
+let levelEditor;
+
+/**
+ * Level Editor Global Object
+ * - Tab changes mode between tiles, collision, and objects
+ * - Left mouse paints or places and drags objects, right mouse erases or deletes
+ * - Q and E change the tile or palette object, middle mouse picks the tile under the mouse
+ * - L changes the layer being edited, arrow keys move the camera
+ * - Enter edits a property of the selected object, Delete removes it
+ * - Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes, Ctrl+S saves the level as JSON
+ * @memberof LevelEditor
+ */
+class LevelEditorPlugin
+{
+    /** Create the global level editor object
+     *  @param {Array<TileLayer>} [tileLayers] - Layers that can be edited, same as tileLayersLoad returns
+     *  @example
+     *  // edit layers loaded from a level
+     *  new LevelEditorPlugin(tileLayersLoad(levelData));
+     *  levelEditor.addPaletteObject('Coin', Coin, {value: 1});
+     */
+    constructor(tileLayers=[])
+    {
+        ASSERT(!levelEditor, 'level editor already initialized');
+        ASSERT(isArray(tileLayers), 'tileLayers must be an array');
+        levelEditor = this;
+
+        /** @property {string} - Key to toggle the editor */
+        this.key = 'F2';
+        /** @property {boolean} - Is the editor open */
+        this.active = false;
+        /** @property {string} - Edit mode, tiles, collision, or objects */
+        this.mode = 'tiles';
+        /** @property {Array<TileLayer>} - Layers that can be edited */
+        this.tileLayers = tileLayers;
+        /** @property {number} - Index of the layer being edited */
+        this.layerIndex = 0;
+        /** @property {number} - Tile index to paint */
+        this.tile = 1;
+        /** @property {number} - Collision data to paint */
+        this.collisionValue = 1;
+        /** @property {Array<Object>} - Objects that can be placed as {name, classType, properties} */
+        this.palette = [];
+        /** @property {number} - Index of the palette object to place */
+        this.paletteIndex = 0;
+        /** @property {Array<Object>} - Placed objects as {name, object, properties} */
+        this.objects = [];
+        /** @property {Object} - Placed object that is selected */
+        this.selected = undefined;
+        /** @property {boolean} - Should placed objects snap to the center of tiles */
+        this.snap = true;
+        /** @property {Array<Array<Object>>} - Groups of edits that can be undone */
+        this.undoStack = [];
+        /** @property {Array<Array<Object>>} - Groups of edits that can be redone */
+        this.redoStack = [];
+
+        // internal state
+        this.editGroup = undefined;
+        this.dragStart = undefined;
+        this.dragOffset = undefined;
+        this.wasPaused = false;
+
+        engineAddPlugin(levelEditorUpdate, levelEditorRender);
+    }
+
+    /** Add a class that can be placed by the editor
+     *  @param {string} name - Name to show and export
+     *  @param {Function} classType - Class that extends EngineObject, constructed with (pos)
+     *  @param {Object} [properties] - Editable properties and their default values */
+    addPaletteObject(name, classType, properties={})
+    {
+        ASSERT(typeof name === 'string', 'name must be a string');
+        ASSERT(classType === EngineObject || classType.prototype instanceof EngineObject,
+            'classType must extend EngineObject');
+        ASSERT(!this.getPaletteObject(name), 'palette object already added', name);
+        this.palette.push({name, classType, properties});
+    }
+
+    /** Get a palette object by name
+     *  @param {string} name
+     *  @return {Object} - Palette object as {name, classType, properties} or undefined */
+    getPaletteObject(name) { return this.palette.find(p=> p.name === name); }
+
+    /** Open or close the editor, the game is paused while open
+     *  @param {boolean} [active] */
+    setActive(active=true)
+    {
+        if (!debug || this.active === active) return;
+        this.active = active;
+        this.endEdit();
+        this.dragStart = undefined;
+        if (active)
+        {
+            this.wasPaused = paused;
+            setPaused(true);
+        }
+        else
+            setPaused(this.wasPaused);
+    }
+
+    /** Get the layer being edited
+     *  @return {TileLayer} */
+    getLayer() { return this.tileLayers[this.layerIndex]; }
+
+    /** Get the first layer with collision, used for collision edits
+     *  @return {TileCollisionLayer} */
+    getCollisionLayer()
+    {
+        const layer = this.getLayer();
+        return layer instanceof TileCollisionLayer ? layer :
+            this.tileLayers.find(l=> l instanceof TileCollisionLayer);
+    }
+
+    /** Start a group of edits that undo together, like a paint stroke */
+    beginEdit()
+    {
+        this.endEdit();
+        this.editGroup = [];
+    }
+
+    /** End the current group of edits */
+    endEdit()
+    {
+        const group = this.editGroup;
+        this.editGroup = undefined;
+        if (group && group.length)
+        {
+            this.undoStack.push(group);
+            this.redoStack.length = 0;
+        }
+    }
+
+    /** Undo the last group of edits */
+    undo()
+    {
+        this.endEdit();
+        const group = this.undoStack.pop();
+        if (!group) return;
+        for (let i = group.length; i--;)
+            group[i].undo();
+        this.redoStack.push(group);
+    }
+
+    /** Redo the last undone group of edits */
+    redo()
+    {
+        this.endEdit();
+        const group = this.redoStack.pop();
+        if (!group) return;
+        for (const edit of group)
+            edit.redo();
+        this.undoStack.push(group);
+    }
+
+    /** Set a tile in the layer being edited
+     *  @param {Vector2} pos - World space position
+     *  @param {number} [tile] - Tile index, 0 erases */
+    paintTile(pos, tile=this.tile)
+    {
+        const layer = this.getLayer();
+        if (!layer) return;
+        const layerPos = pos.subtract(layer.pos).floor();
+        if (!layerPos.arrayCheck(layer.size)) return;
+
+        const oldData = layer.getData(layerPos);
+        const oldTile = oldData ? oldData.tile : 0;
+        if (oldTile === tile) return;
+        const newData = tile ? new TileLayerData(tile) : new TileLayerData;
+        oldData && tile && (newData.color = oldData.color);
+        this.addEdit(
+            ()=> layer.setData(layerPos, newData, true),
+            ()=> layer.setData(layerPos, oldData || new TileLayerData, true));
+    }
+
+    /** Set tile collision in the collision layer
+     *  @param {Vector2} pos - World space position
+     *  @param {number} [value] - Collision data, 0 erases */
+    paintCollision(pos, value=this.collisionValue)
+    {
+        const layer = this.getCollisionLayer();
+        if (!layer) return;
+        const layerPos = pos.subtract(layer.pos).floor();
+        if (!layerPos.arrayCheck(layer.size)) return;
+
+        const oldValue = layer.getCollisionData(layerPos);
+        const oldShape = layer.getCollisionShape(layerPos);
+        if (oldValue === value && !oldShape) return;
+        this.addEdit(
+            ()=> layer.setCollisionData(layerPos, value),
+            ()=> layer.setCollisionData(layerPos, oldValue, oldShape));
+    }
+
+    /** Place a palette object
+     *  @param {string} name - Palette object name
+     *  @param {Vector2} pos - World space position
+     *  @param {Object} [properties] - Properties to set, defaults come from the palette
+     *  @return {Object} - Placed object as {name, object, properties} */
+    placeObject(name, pos, properties={})
+    {
+        const paletteObject = this.getPaletteObject(name);
+        ASSERT(paletteObject, 'unknown palette object', name);
+        const entry = {name, object: undefined, properties: {...paletteObject.properties, ...properties}};
+        const spawn = ()=>
+        {
+            const o = entry.object = new paletteObject.classType(pos.copy());
+            Object.assign(o, entry.properties);
+            this.objects.push(entry);
+        };
+        this.addEdit(spawn, ()=> this.removeEntry(entry));
+        return entry;
+    }
+
+    /** Move a placed object
+     *  @param {Object} entry - Placed object
+     *  @param {Vector2} pos - New world space position
+     *  @param {Vector2} [fromPos] - Position to restore on undo, the current position if undefined */
+    moveObject(entry, pos, fromPos=entry.object.pos)
+    {
+        fromPos = fromPos.copy();
+        pos = pos.copy();
+        this.addEdit(()=> entry.object.pos = pos.copy(), ()=> entry.object.pos = fromPos.copy());
+    }
+
+    /** Delete a placed object
+     *  @param {Object} entry - Placed object */
+    deleteObject(entry)
+    {
+        const paletteObject = this.getPaletteObject(entry.name);
+        const pos = entry.object.pos.copy();
+        this.addEdit(()=> this.removeEntry(entry), ()=>
+        {
+            entry.object = new paletteObject.classType(pos.copy());
+            Object.assign(entry.object, entry.properties);
+            this.objects.push(entry);
+        });
+        this.selected === entry && (this.selected = undefined);
+    }
+
+    /** Set a property of a placed object
+     *  @param {Object} entry - Placed object
+     *  @param {string} name - Property name
+     *  @param {*} value - New value */
+    setProperty(entry, name, value)
+    {
+        const hadValue = name in entry.properties;
+        const oldValue = entry.properties[name];
+        this.addEdit(()=>
+        {
+            entry.properties[name] = value;
+            entry.object[name] = value;
+        }, ()=>
+        {
+            hadValue ? entry.properties[name] = oldValue : delete entry.properties[name];
+            entry.object[name] = oldValue;
+        });
+    }
+
+    /** Get the placed object under a position
+     *  @param {Vector2} pos - World space position
+     *  @return {Object} - Placed object or undefined */
+    getObjectAt(pos)
+    {
+        for (let i = this.objects.length; i--;)
+        {
+            const o = this.objects[i].object;
+            if (isOverlapping(pos, vec2(), o.pos, o.size))
+                return this.objects[i];
+        }
+    }
+
+    /** Get level data that tileLayersLoad can load, with collision and objects
+     *  - Layers must be the same size, tile 0 and empty cells are exported as 0
+     *  @return {Object} - {width, height, layers, objects}, layers are {data, collision} */
+    exportData()
+    {
+        const size = this.tileLayers.length ? this.tileLayers[0].size : vec2();
+        const layers = this.tileLayers.map(layer=>
+        {
+            ASSERT(layer.size.x === size.x && layer.size.y === size.y, 'layers must be the same size to export');
+
+            // tile data is stored with y going down, like tileLayersLoad expects
+            const data = [], collision = [];
+            for (let y = size.y; y--;)
+            for (let x = 0; x < size.x; ++x)
+            {
+                const d = layer.getData(vec2(x, y));
+                data.push(d && d.tile ? d.tile + 1 : 0);
+                if (layer instanceof TileCollisionLayer)
+                    collision.push(layer.getCollisionData(vec2(x, y)));
+            }
+            return layer instanceof TileCollisionLayer ? {data, collision} : {data};
+        });
+        const objects = this.objects.map(({name, object, properties})=>
+            ({name, pos: [object.pos.x, object.pos.y], properties: {...properties}}));
+        return {width: size.x, height: size.y, layers, objects};
+    }
+
+    /** Place objects from exported level data, this can not be undone
+     *  @param {Array<Object>} objects - Objects from exportData as {name, pos, properties} */
+    loadObjects(objects)
+    {
+        const editGroup = this.editGroup;
+        this.editGroup = [];
+        for (const {name, pos, properties} of objects)
+            this.placeObject(name, vec2(pos[0], pos[1]), properties);
+        this.editGroup = editGroup;
+    }
+
+    /** Load collision from exported level data into the layers, this can not be undone
+     *  @param {Object} levelData - Data from exportData */
+    loadCollision(levelData)
+    {
+        levelData.layers.forEach((dataLayer, i)=>
+        {
+            const layer = this.tileLayers[i];
+            if (!dataLayer.collision || !(layer instanceof TileCollisionLayer)) return;
+            for (let j = dataLayer.collision.length; j--;)
+            {
+                const x = j % levelData.width, y = levelData.height - 1 - (j / levelData.width | 0);
+                layer.setCollisionData(vec2(x, y), dataLayer.collision[j]);
+            }
+        });
+    }
+
+    /** Save the level as a JSON file
+     *  @param {string} [filename] */
+    save(filename='level.json')
+    { saveText(JSON.stringify(this.exportData()), filename, 'application/json'); }
+
+    // apply an edit and add it to the current group or the undo stack
+    addEdit(redo, undo)
+    {
+        redo();
+        const edit = {redo, undo};
+        if (this.editGroup)
+            this.editGroup.push(edit);
+        else
+        {
+            this.undoStack.push([edit]);
+            this.redoStack.length = 0;
+        }
+    }
+
+    // remove a placed object without recording an edit
+    removeEntry(entry)
+    {
+        entry.object.destroy();
+        const index = this.objects.indexOf(entry);
+        index >= 0 && this.objects.splice(index, 1);
+    }
+
+    // get the position to place objects at
+    getPlacePos(pos) { return this.snap ? pos.floor().add(vec2(.5)) : pos.copy(); }
+
+    // handle input while the editor is open
+    update()
+    {
+        if (!debug) return;
+        if (keyWasPressed(this.key))
+            this.setActive(!this.active);
+        if (!this.active) return;
+
+        // drop placed objects that were destroyed elsewhere
+        this.objects = this.objects.filter(entry=> !entry.object.destroyed);
+        this.selected && this.selected.object.destroyed && (this.selected = undefined);
+
+        // commands
+        const control = keyIsDown('ControlLeft') || keyIsDown('ControlRight') ||
+            keyIsDown('MetaLeft') || keyIsDown('MetaRight');
+        const shift = keyIsDown('ShiftLeft') || keyIsDown('ShiftRight');
+        if (control)
+        {
+            if (keyWasPressed('KeyZ'))
+                shift ? this.redo() : this.undo();
+            if (keyWasPressed('KeyY'))
+                this.redo();
+            if (keyWasPressed('KeyS'))
+                this.save();
+            return;
+        }
+        if (keyWasPressed('Tab'))
+        {
+            const modes = ['tiles', 'collision', 'objects'];
+            this.mode = modes[(modes.indexOf(this.mode) + 1) % modes.length];
+        }
+        if (keyWasPressed('KeyL') && this.tileLayers.length)
+            this.layerIndex = (this.layerIndex + 1) % this.tileLayers.length;
+        const change = (keyWasPressed('KeyE') ? 1 : 0) - (keyWasPressed('KeyQ') ? 1 : 0) + sign(mouseWheel);
+        if (change)
+        {
+            if (this.mode === 'objects')
+                this.paletteIndex = mod(this.paletteIndex + change, this.palette.length || 1);
+            else if (this.mode === 'collision')
+                this.collisionValue = max(this.collisionValue + change, 1);
+            else
+                this.tile = max(this.tile + change, 1);
+        }
+        cameraPos = cameraPos.add(keyDirection().scale(.3 / cameraScale * 32));
+
+        // mouse editing
+        if (this.mode === 'objects')
+            this.updateObjects();
+        else
+        {
+            if (mouseWasPressed(0) || mouseWasPressed(2))
+                this.beginEdit();
+            if (mouseIsDown(0))
+                this.mode === 'tiles' ? this.paintTile(mousePos) : this.paintCollision(mousePos);
+            else if (mouseIsDown(2))
+                this.mode === 'tiles' ? this.paintTile(mousePos, 0) : this.paintCollision(mousePos, 0);
+            else
+                this.endEdit();
+            if (mouseWasPressed(1) && this.mode === 'tiles')
+            {
+                // pick the tile under the mouse
+                const layer = this.getLayer();
+                const data = layer && layer.getData(mousePos.subtract(layer.pos).floor());
+                data && data.tile && (this.tile = data.tile);
+            }
+        }
+    }
+
+    // handle object placing, dragging, and property editing
+    updateObjects()
+    {
+        if (mouseWasPressed(0))
+        {
+            this.selected = this.getObjectAt(mousePos);
+            if (!this.selected && this.palette.length)
+                this.selected = this.placeObject(this.palette[this.paletteIndex].name, this.getPlacePos(mousePos));
+            if (this.selected)
+            {
+                this.dragStart = this.selected.object.pos.copy();
+                this.dragOffset = this.snap ? vec2() : this.dragStart.subtract(mousePos);
+            }
+        }
+        if (this.dragStart)
+        {
+            if (mouseIsDown(0))
+                this.selected.object.pos = this.getPlacePos(mousePos.add(this.dragOffset));
+            else
+            {
+                // record the whole drag as one move
+                const pos = this.selected.object.pos;
+                if (pos.x !== this.dragStart.x || pos.y !== this.dragStart.y)
+                    this.moveObject(this.selected, pos, this.dragStart);
+                this.dragStart = undefined;
+            }
+        }
+        if (mouseWasPressed(2))
+        {
+            const entry = this.getObjectAt(mousePos);
+            entry && this.deleteObject(entry);
+        }
+        if (this.selected && keyWasPressed('Delete'))
+            this.deleteObject(this.selected);
+        if (this.selected && keyWasPressed('Enter'))
+        {
+            // edit a property as name=value, values are parsed as JSON if possible
+            const input = prompt('Set property (name=value)', Object.keys(this.selected.properties)[0] + '=');
+            const split = input ? input.indexOf('=') : -1;
+            if (split > 0)
+            {
+                const name = input.slice(0, split).trim(), text = input.slice(split + 1).trim();
+                let value = text;
+                try { value = JSON.parse(text); } catch (e) {}
+                this.setProperty(this.selected, name, value);
+            }
+        }
+    }
+
+    // draw the editor overlay
+    render()
+    {
+        if (!debug || !this.active) return;
+
+        // outline the layer and the cell under the mouse
+        const layer = this.mode === 'collision' ? this.getCollisionLayer() : this.getLayer();
+        if (layer)
+        {
+            debugRect(layer.pos.add(layer.size.scale(.5)), layer.size, '#0ff');
+            if (this.mode !== 'objects')
+            {
+                const cellPos = mousePos.floor().add(vec2(.5));
+                debugRect(cellPos, vec2(1), this.mode === 'tiles' ? '#ff0' : '#f00');
+                if (this.mode === 'tiles' && layer.tileInfo)
+                    drawTile(cellPos, vec2(1), layer.tileInfo.index(this.tile), rgb(1,1,1,.5));
+            }
+        }
+
+        // show placed objects and properties of the selected object
+        for (const entry of this.objects)
+        {
+            const o = entry.object;
+            debugRect(o.pos, o.size, entry === this.selected ? '#ff0' : '#0f0');
+            entry === this.selected && debugText(entry.name + ' ' + JSON.stringify(entry.properties),
+                o.pos.add(vec2(0, o.size.y/2 + .3)), .4);
+        }
+
+        // status text
+        const paletteObject = this.palette[this.paletteIndex];
+        const status = this.mode === 'tiles' ? 'Tile ' + this.tile :
+            this.mode === 'collision' ? 'Collision ' + this.collisionValue :
+            'Object ' + (paletteObject ? paletteObject.name : 'none');
+        const text = `Level Editor - ${this.mode} - ${status} - Layer ${this.layerIndex}\n` +
+            'Tab: Mode  Q/E: Select  L: Layer  Ctrl+Z/Y: Undo/Redo  Ctrl+S: Save';
+        drawTextScreen(text, vec2(mainCanvasSize.x/2, mainCanvasSize.y - 50), 20, WHITE, 4, BLACK);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// plugin update and render
+
+function levelEditorUpdate() { levelEditor.update(); }
+function levelEditorRender() { levelEditor.render(); }
@@ -0,0 +1,553 @@
+/**
+ * LittleJS Network System Plugin
+ * - Sync a subset of EngineObjects between peers for online multiplayer
+ * - Each synced object is owned by one peer that has authority over it
+ * - Objects owned by other peers are created locally and their positions are interpolated
+ * - Physics is not simulated for objects owned by other peers
+ * - Ownership can be handed to another peer at runtime
+ * - Message channels for game events like chat, hits, or pickups
+ * - Pluggable transports for WebSocket relay servers, WebRTC DataChannels,
+ *   or an in-memory loopback for local testing
+ * @namespace NetworkSystem
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// Module-private list of open peers, updated by the engine plugin hook
+const networkPeers = [];
+
+// make a random id for a peer, Math.random is used so seeded rand is not affected
+function networkMakeId() { return Math.random().toString(36).slice(2, 10); }
+
+// physics update for objects owned by other peers, they are moved by interpolation
+function networkRemoteUpdatePhysics() {}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Network Transport - Base class for sending messages between peers
+ * - Messages are wrapped with the sender and receiver ids and sent as JSON strings
+ * - Extend it and override sendString to support a new connection type
+ * - Call receiveString when a string arrives from the connection
+ * @memberof NetworkSystem
+ */
+class NetworkTransport
+{
+    /** Create a transport
+     *  @param {string} [id] - Unique id for the local peer, a random one is made if not set */
+    constructor(id=networkMakeId())
+    {
+        /** @property {string} - Unique id of the local peer */
+        this.id = id;
+        /** @property {Function} - Called with (data, fromId) when a message arrives, set by NetworkPeer */
+        this.onReceive = undefined;
+        /** @property {boolean} - True after the transport is closed */
+        this.closed = false;
+    }
+
+    /** Send data to one peer or to all peers
+     *  @param {*} data - JSON compatible data
+     *  @param {string} [to] - Id of the peer to send to, or undefined to send to all peers */
+    send(data, to)
+    {
+        if (!this.closed)
+            this.sendString(JSON.stringify({from:this.id, to, data}));
+    }
+
+    /** Send a string to the remote peers, override this for each transport
+     *  @param {string} message */
+    sendString(message) {}
+
+    /** Called by transports when a string arrives from a remote peer
+     *  @param {string} message */
+    receiveString(message)
+    {
+        if (this.closed)
+            return;
+
+        // ignore our own messages and messages for other peers
+        const {from, to, data} = JSON.parse(message);
+        if (from !== this.id && (to === undefined || to === this.id))
+            this.onReceive && this.onReceive(data, from);
+    }
+
+    /** Close the connection */
+    close() { this.closed = true; }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Network Loopback Transport - In-memory transport for peers in the same process
+ * - Used for testing networked games headlessly or locally without a server
+ * - Messages are delivered immediately to every other transport in the group
+ * @extends NetworkTransport
+ * @memberof NetworkSystem
+ * @example
+ * const hostTransport = new NetworkLoopbackTransport;
+ * const clientTransport = new NetworkLoopbackTransport(hostTransport);
+ */
+class NetworkLoopbackTransport extends NetworkTransport
+{
+    /** Create a loopback transport
+     *  @param {NetworkLoopbackTransport} [connectTo] - Join the group of this transport
+     *  @param {string} [id] - Unique id for the local peer */
+    constructor(connectTo, id)
+    {
+        super(id);
+
+        // list of transports that can see each other
+        this.group = connectTo ? connectTo.group : [];
+        this.group.push(this);
+    }
+
+    /** Send a string to every other transport in the group
+     *  @param {string} message */
+    sendString(message)
+    {
+        for (const transport of this.group)
+            transport !== this && transport.receiveString(message);
+    }
+
+    /** Close the connection and leave the group */
+    close()
+    {
+        super.close();
+        const index = this.group.indexOf(this);
+        index >= 0 && this.group.splice(index, 1);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Network WebSocket Transport - Connects peers through a WebSocket relay server
+ * - The server only needs to send each message it receives to all other clients
+ * - Messages sent before the socket is open are queued
+ * @extends NetworkTransport
+ * @memberof NetworkSystem
+ * @example
+ * const peer = new NetworkPeer(new NetworkWebSocketTransport('wss://example.com/game'));
+ */
+class NetworkWebSocketTransport extends NetworkTransport
+{
+    /** Create a WebSocket transport
+     *  @param {string} url - Address of the relay server
+     *  @param {string} [id] - Unique id for the local peer */
+    constructor(url, id)
+    {
+        super(id);
+
+        /** @property {WebSocket} - The socket connected to the relay server */
+        this.socket = new WebSocket(url);
+
+        // messages waiting for the socket to open
+        this.queue = [];
+        this.socket.onopen = ()=>
+        {
+            for (const message of this.queue)
+                this.socket.send(message);
+            this.queue = [];
+        };
+        this.socket.onmessage = (e)=> this.receiveString(e.data);
+    }
+
+    /** Returns true if the socket is open
+     *  @return {boolean} */
+    isConnected() { return this.socket.readyState === WebSocket.OPEN; }
+
+    /** Send a string to the relay server
+     *  @param {string} message */
+    sendString(message)
+    {
+        if (this.socket.readyState === WebSocket.CONNECTING)
+            this.queue.push(message);
+        else if (this.isConnected())
+            this.socket.send(message);
+    }
+
+    /** Close the connection */
+    close()
+    {
+        super.close();
+        this.socket.close();
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Network DataChannel Transport - Connects peers with WebRTC DataChannels
+ * - Signaling to create the channels is up to the game
+ * - Add one channel for each remote peer to make a full mesh
+ * @extends NetworkTransport
+ * @memberof NetworkSystem
+ * @example
+ * const transport = new NetworkDataChannelTransport(rtcConnection.createDataChannel('game'));
+ */
+class NetworkDataChannelTransport extends NetworkTransport
+{
+    /** Create a DataChannel transport
+     *  @param {RTCDataChannel} [channel] - First channel to add
+     *  @param {string} [id] - Unique id for the local peer */
+    constructor(channel, id)
+    {
+        super(id);
+
+        /** @property {Array<RTCDataChannel>} - Channels to remote peers */
+        this.channels = [];
+        channel && this.addChannel(channel);
+    }
+
+    /** Add a channel to another peer
+     *  @param {RTCDataChannel} channel */
+    addChannel(channel)
+    {
+        channel.onmessage = (e)=> this.receiveString(e.data);
+        this.channels.push(channel);
+    }
+
+    /** Send a string on every open channel
+     *  @param {string} message */
+    sendString(message)
+    {
+        for (const channel of this.channels)
+            channel.readyState === 'open' && channel.send(message);
+    }
+
+    /** Close the connection and all channels */
+    close()
+    {
+        super.close();
+        for (const channel of this.channels)
+            channel.close();
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Network Peer - Syncs objects and messages with other peers through a transport
+ * - Objects added with addObject are owned by this peer and their state is sent to others
+ * - Objects owned by other peers are created from registered classes (see engineObjectsRegisterClass)
+ * - Remote objects are moved to interpolated positions each frame, other properties are not synced
+ * - Game specific state and events can be sent with message channels
+ * - Peers that stop sending for peerTimeout seconds are removed along with their objects
+ * - Updates automatically each frame, even when the game is paused
+ * @memberof NetworkSystem
+ * @example
+ * engineObjectsRegisterClass(Player, 'Player');
+ * const peer = new NetworkPeer(new NetworkWebSocketTransport(url));
+ * peer.addObject(new Player(vec2()));
+ * peer.on('chat', (text, from)=> console.log(from, text));
+ * peer.send('chat', 'hello');
+ */
+class NetworkPeer
+{
+    /** Create a peer and announce it to the other peers
+     *  @param {NetworkTransport} transport - Connection used to send messages */
+    constructor(transport)
+    {
+        ASSERT(transport instanceof NetworkTransport, 'NetworkPeer requires a NetworkTransport');
+        ASSERT(!transport.closed, 'NetworkPeer transport is closed');
+
+        /** @property {NetworkTransport} - Connection used to send messages */
+        this.transport = transport;
+        /** @property {string} - Unique id of this peer */
+        this.id = transport.id;
+        /** @property {number} - Seconds between sending state of owned objects */
+        this.sendInterval = .05;
+        /** @property {number} - Seconds remote objects are shown behind to smooth their movement */
+        this.interpolationDelay = .1;
+        /** @property {number} - Seconds without any message before a peer is removed */
+        this.peerTimeout = 5;
+        /** @property {Function} - Called with the peer id when a new peer is found */
+        this.onPeerJoin = undefined;
+        /** @property {Function} - Called with the peer id when a peer leaves or times out */
+        this.onPeerLeave = undefined;
+
+        // remote peer ids mapped to the real time of their last message
+        this.peers = new Map;
+        // synced objects by network id and by object
+        this.objectInfos = new Map;
+        this.objectIds = new Map;
+        // message channel callbacks and received messages waiting for update
+        this.channels = new Map;
+        this.received = [];
+        this.sendTime = 0;
+        this.objectCount = 0;
+
+        transport.onReceive = (data, from)=> this.received.push([data, from]);
+        transport.send({type:'hello'});
+        networkPeers.push(this);
+    }
+
+    /** Start syncing an object owned by this peer, other peers will create a copy of it
+     *  @param {EngineObject} object - Object of a registered class
+     *  @return {string} - Network id of the object */
+    addObject(object)
+    {
+        ASSERT(object instanceof EngineObject, 'addObject requires an EngineObject');
+        ASSERT(!this.objectIds.has(object), 'object is already synced');
+        const snapshot = engineObjectsSerialize([object]);
+        ASSERT(snapshot.objects.length === 1, 'synced objects must be of a registered class');
+
+        const id = this.id + '/' + this.objectCount++;
+        this.addObjectInfo(id, object, this.id);
+        this.transport.send({type:'spawn', id, owner:this.id, snapshot});
+        return id;
+    }
+
+    /** Stop syncing an object owned by this peer, copies on other peers are destroyed
+     *  @param {EngineObject} object */
+    removeObject(object)
+    {
+        ASSERT(this.isOwner(object), 'only the owner can remove a synced object');
+        const id = this.objectIds.get(object);
+        this.removeObjectInfo(id);
+        this.transport.send({type:'destroy', id});
+    }
+
+    /** Get a synced object from its network id
+     *  @param {string} id
+     *  @return {EngineObject} */
+    getObject(id) { return this.objectInfos.get(id)?.object; }
+
+    /** Get the network id of a synced object
+     *  @param {EngineObject} object
+     *  @return {string} */
+    getId(object) { return this.objectIds.get(object); }
+
+    /** Get the id of the peer that owns a synced object
+     *  @param {EngineObject} object
+     *  @return {string} */
+    getOwner(object) { return this.objectInfos.get(this.objectIds.get(object))?.owner; }
+
+    /** Returns true if this peer has authority over a synced object
+     *  @param {EngineObject} object
+     *  @return {boolean} */
+    isOwner(object) { return this.getOwner(object) === this.id; }
+
+    /** Hand authority over a synced object to another peer
+     *  @param {EngineObject} object - Object owned by this peer
+     *  @param {string} peerId - Id of the new owner */
+    setOwner(object, peerId)
+    {
+        ASSERT(this.isOwner(object), 'only the owner can give away a synced object');
+        ASSERT(this.peers.has(peerId), 'unknown peer', peerId);
+        const id = this.objectIds.get(object);
+        this.setObjectOwner(this.objectInfos.get(id), peerId);
+        this.transport.send({type:'owner', id, owner:peerId});
+    }
+
+    /** Get the ids of all known remote peers
+     *  @return {Array<string>} */
+    getPeers() { return [...this.peers.keys()]; }
+
+    /** Send a message on a channel
+     *  @param {string} channel - Name of the channel
+     *  @param {*} [data] - JSON compatible data
+     *  @param {string} [to] - Id of the peer to send to, or undefined to send to all peers */
+    send(channel, data, to)
+    { this.transport.send({type:'message', channel, data}, to); }
+
+    /** Add a callback for messages on a channel
+     *  @param {string} channel - Name of the channel
+     *  @param {Function} callback - Called with (data, fromId) */
+    on(channel, callback)
+    {
+        const callbacks = this.channels.get(channel) || [];
+        callbacks.push(callback);
+        this.channels.set(channel, callbacks);
+    }
+
+    /** Tell the other peers this peer is leaving, close the transport and destroy remote objects */
+    close()
+    {
+        this.transport.send({type:'leave'});
+        this.transport.close();
+        for (const peerId of this.getPeers())
+            this.removePeer(peerId);
+        const index = networkPeers.indexOf(this);
+        index >= 0 && networkPeers.splice(index, 1);
+    }
+
+    /** Receive messages, send state of owned objects and move remote objects,
+     *  this is called automatically each frame */
+    update()
+    {
+        // handle received messages
+        const received = this.received;
+        this.received = [];
+        for (const [data, from] of received)
+            this.receive(data, from);
+
+        // remove peers that stopped sending
+        for (const [peerId, lastTime] of this.peers)
+            if (timeReal - lastTime > this.peerTimeout)
+                this.removePeer(peerId);
+
+        // stop syncing destroyed objects
+        for (const [id, info] of this.objectInfos)
+        {
+            if (!info.object.destroyed)
+                continue;
+            this.removeObjectInfo(id);
+            info.owner === this.id && this.transport.send({type:'destroy', id});
+        }
+
+        // send state of owned objects, this is also sent when empty to keep the connection alive
+        if (timeReal >= this.sendTime)
+        {
+            this.sendTime = timeReal + this.sendInterval;
+            const objects = [];
+            for (const [id, info] of this.objectInfos)
+            {
+                if (info.owner !== this.id)
+                    continue;
+                const o = info.object;
+                objects.push([id, o.pos.x, o.pos.y, o.angle, o.velocity.x, o.velocity.y]);
+            }
+            this.transport.send({type:'state', objects});
+        }
+
+        // move remote objects between the two states around the delayed time
+        const renderTime = timeReal - this.interpolationDelay;
+        for (const info of this.objectInfos.values())
+        {
+            const states = info.states;
+            if (info.owner === this.id || !states.length)
+                continue;
+            while (states.length > 2 && states[1].time <= renderTime)
+                states.shift();
+            const a = states[0], b = states[1] || a;
+            const p = percent(renderTime, a.time, b.time);
+            const o = info.object;
+            o.pos = a.pos.lerp(b.pos, p);
+            o.angle = lerpAngle(a.angle, b.angle, p);
+            o.velocity = b.velocity.copy();
+        }
+    }
+
+    // handle a message from another peer
+    receive(data, from)
+    {
+        if (!this.peers.has(from) && data.type !== 'leave')
+        {
+            // introduce ourselves to the new peer and send it our objects
+            this.peers.set(from, timeReal);
+            this.transport.send({type:'hello'}, from);
+            for (const [id, info] of this.objectInfos)
+            {
+                if (info.owner !== this.id)
+                    continue;
+                const snapshot = engineObjectsSerialize([info.object]);
+                this.transport.send({type:'spawn', id, owner:this.id, snapshot}, from);
+            }
+            this.onPeerJoin && this.onPeerJoin(from);
+        }
+        this.peers.set(from, timeReal);
+
+        const info = this.objectInfos.get(data.id);
+        if (data.type === 'spawn')
+        {
+            if (!info)
+            {
+                const [object] = engineObjectsDeserialize(data.snapshot);
+                this.addObjectInfo(data.id, object, data.owner);
+            }
+        }
+        else if (data.type === 'state')
+        {
+            for (const [id, x, y, angle, vx, vy] of data.objects)
+            {
+                // only accept state from the owner
+                const stateInfo = this.objectInfos.get(id);
+                if (stateInfo && stateInfo.owner === from)
+                    stateInfo.states.push({time:timeReal, pos:vec2(x, y), angle, velocity:vec2(vx, vy)});
+            }
+        }
+        else if (data.type === 'destroy')
+        {
+            if (info)
+            {
+                this.removeObjectInfo(data.id);
+                info.object.destroy();
+            }
+        }
+        else if (data.type === 'owner')
+        {
+            if (info)
+            {
+                this.setObjectOwner(info, data.owner);
+                info.states = [];
+            }
+        }
+        else if (data.type === 'message')
+        {
+            const callbacks = this.channels.get(data.channel) || [];
+            for (const callback of callbacks)
+                callback(data.data, from);
+        }
+        else if (data.type === 'leave')
+            this.removePeer(from);
+    }
+
+    // remove a peer and destroy the objects it owns
+    removePeer(peerId)
+    {
+        this.peers.delete(peerId);
+        for (const [id, info] of this.objectInfos)
+        {
+            if (info.owner !== peerId)
+                continue;
+            this.removeObjectInfo(id);
+            info.object.destroy();
+        }
+        this.onPeerLeave && this.onPeerLeave(peerId);
+    }
+
+    // track a synced object
+    addObjectInfo(id, object, owner)
+    {
+        const info = {object, owner:undefined, states:[]};
+        this.setObjectOwner(info, owner);
+        this.objectInfos.set(id, info);
+        this.objectIds.set(object, id);
+    }
+
+    // stop tracking a synced object
+    removeObjectInfo(id)
+    {
+        const info = this.objectInfos.get(id);
+        this.setObjectOwner(info, this.id);
+        this.objectInfos.delete(id);
+        this.objectIds.delete(info.object);
+    }
+
+    // change the owner of a synced object, physics only runs on the owner
+    // so remote objects stay where they are interpolated to
+    setObjectOwner(info, owner)
+    {
+        const o = info.object;
+        info.owner = owner;
+        if (owner !== this.id)
+            o.updatePhysics = networkRemoteUpdatePhysics;
+        else if (o.updatePhysics === networkRemoteUpdatePhysics)
+            delete o.updatePhysics;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// plugin update
+
+function networkUpdate()
+{
+    for (const peer of networkPeers.slice())
+        peer.update();
+}
+
+// Register with the engine so peers update each frame
+engineAddPlugin(networkUpdate);
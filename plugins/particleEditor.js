@@ -0,0 +1,208 @@
+/**
+ * LittleJS Particle Editor Plugin
+ * - Panel of uiSystem sliders and checkboxes to tweak a live ParticleEmitter
+ * - Restarts the effect when it finishes so short bursts can be tuned
+ * - Saves the emitter settings as a JSON preset for ParticleEmitter.setPreset
+ * - Requires the UI system plugin
+ * @namespace ParticleEditor
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// number settings and their slider ranges
+const particleEditorSliders =
+[
+    ['emitSize', 0, 10], ['emitTime', 0, 5], ['emitRate', 0, 1e3], ['emitConeAngle', 0, PI],
+    ['particleTime', 0, 5], ['sizeStart', 0, 5], ['sizeEnd', 0, 5],
+    ['speed', 0, 1], ['angleSpeed', 0, 1], ['damping', .8, 1], ['angleDamping', .8, 1],
+    ['gravityScale', -2, 2], ['particleConeAngle', 0, PI], ['fadeRate', 0, 1], ['randomness', 0, 1],
+    ['trailScale', 0, 10], ['velocityInheritance', 0, 1],
+];
+
+// boolean settings
+const particleEditorCheckboxes = ['emitCircle', 'additive', 'collideTiles', 'randomColorLinear', 'localSpace', 'gpuParticles'];
+
+// color settings, each has a slider for every channel
+const particleEditorColors = ['colorStartA', 'colorStartB', 'colorEndA', 'colorEndB'];
+
+/**
+ * Particle Editor - UI panel that edits a live particle emitter
+ * - Each setting has a slider or checkbox, colors have a slider for each channel
+ * - Changes apply to the emitter right away
+ * - Use getPreset or save to export the settings
+ * @memberof ParticleEditor
+ * @example
+ * // edit an emitter and save the result as a preset
+ * new UISystemPlugin;
+ * const emitter = new ParticleEmitter(vec2());
+ * const editor = new ParticleEditor(emitter);
+ * editor.save('fire.json');
+ */
+class ParticleEditor
+{
+    /** Create a particle editor panel
+     *  @param {ParticleEmitter} emitter - Emitter to edit
+     *  @param {Vector2} [pos=vec2(10)] - Offset of the panel from the top left of the canvas
+     *  @param {number}  [columns=3] - Number of columns of controls */
+    constructor(emitter, pos=vec2(10), columns=3)
+    {
+        ASSERT(uiSystem, 'particle editor requires the ui system plugin');
+        ASSERT(emitter instanceof ParticleEmitter, 'emitter must be a ParticleEmitter');
+
+        /** @property {ParticleEmitter} - Emitter being edited */
+        this.emitter = emitter;
+        /** @property {boolean} - Restart the emitter when it finishes */
+        this.loop = true;
+        /** @property {Function} - Called when a setting is changed by the editor */
+        this.onChange = undefined;
+        /** @property {UILayout} - Panel that holds the controls */
+        this.panel = new UILayout(pos, columns, 4, 10);
+        this.panel.anchor = vec2(-1);
+        this.panel.onUpdate = ()=> this.update();
+        /** @property {Map<string, UIObject>} - Controls by setting name, colors use name.channel */
+        this.controls = new Map;
+
+        // build controls
+        const controlSize = vec2(250, 26);
+        const addSlider = (name, min, max, get, set)=>
+        {
+            const slider = new UISlider(vec2(), controlSize);
+            slider.textHeight = 18;
+            slider.range = [min, max];
+            slider.getValue = get;
+            slider.onChange = ()=>
+            {
+                set(lerp(min, max, slider.value));
+                this.updateControl(name);
+                this.onChange?.();
+            };
+            this.controls.set(name, this.panel.addChild(slider));
+        };
+        for (const [key, min, max] of particleEditorSliders)
+        {
+            addSlider(key, min, max, ()=> key === 'emitSize' ? this.emitter.emitSize.x : this.emitter[key],
+                (value)=> this.setValue(key, value));
+        }
+        for (const key of particleEditorColors)
+        for (const channel of ['r', 'g', 'b', 'a'])
+        {
+            addSlider(key + '.' + channel, 0, 1, ()=> this.emitter[key][channel],
+                (value)=> this.emitter[key][channel] = value);
+        }
+        for (const key of particleEditorCheckboxes)
+        {
+            const checkbox = new UICheckbox(vec2(), vec2(controlSize.y), false, key);
+            checkbox.textHeight = 18;
+            checkbox.onChange = ()=>
+            {
+                this.setValue(key, checkbox.checked);
+                this.onChange?.();
+            };
+            this.controls.set(key, this.panel.addChild(checkbox));
+        }
+        const addButton = (text, onClick)=>
+        {
+            const button = new UIButton(vec2(), controlSize, text);
+            button.textHeight = 18;
+            button.onClick = onClick;
+            this.panel.addChild(button);
+        };
+        addButton('Restart', ()=> this.restart());
+        addButton('Save Preset', ()=> this.save());
+        this.updateControls();
+    }
+
+    /** Set a setting on the emitter and update its control
+     *  @param {string} key - Setting name, emitCircle switches between circle and box emitters
+     *  @param {number|boolean} value */
+    setValue(key, value)
+    {
+        const emitter = this.emitter;
+        if (key === 'emitSize')
+            emitter.emitSize = vec2(value);
+        else if (key === 'emitCircle')
+            emitter.setPreset({emitSize: value ? emitter.emitSize.x : [emitter.emitSize.x, emitter.emitSize.y]});
+        else
+            emitter.setPreset({[key]: value});
+        this.updateControl(key);
+    }
+
+    /** Change the emitter being edited
+     *  @param {ParticleEmitter} emitter */
+    setEmitter(emitter)
+    {
+        ASSERT(emitter instanceof ParticleEmitter, 'emitter must be a ParticleEmitter');
+        this.emitter = emitter;
+        this.updateControls();
+    }
+
+    /** Get the settings of the emitter as a preset
+     *  @return {Object} */
+    getPreset() { return this.emitter.getPreset(); }
+
+    /** Save the emitter settings as a JSON preset file
+     *  @param {string} [filename] */
+    save(filename='particles.json')
+    { saveText(JSON.stringify(this.getPreset(), undefined, 2), filename, 'application/json'); }
+
+    /** Start the effect again, replacing the emitter if it was destroyed */
+    restart()
+    {
+        const emitter = this.emitter;
+        if (emitter.destroyed)
+        {
+            const newEmitter = new ParticleEmitter(emitter.pos, emitter.angle);
+            newEmitter.setPreset(emitter.getPreset());
+            this.setEmitter(newEmitter);
+        }
+        else
+        {
+            emitter.spawnTime = time;
+            emitter.emitTimeBuffer = 0;
+        }
+    }
+
+    /** Show or hide the editor
+     *  @param {boolean} [visible] */
+    setVisible(visible=true) { this.panel.visible = visible; }
+
+    /** Remove the editor panel, the emitter is not destroyed */
+    destroy() { this.panel.destroy(); }
+
+    /** Update all controls to match the emitter */
+    updateControls()
+    {
+        for (const name of this.controls.keys())
+            this.updateControl(name);
+    }
+
+    // update a control to match the emitter
+    updateControl(name)
+    {
+        const control = this.controls.get(name);
+        if (control instanceof UICheckbox)
+        {
+            control.checked = !!this.emitter[name];
+            return;
+        }
+        const value = control.getValue();
+        const [min, max] = control.range;
+        control.value = percent(value, min, max);
+        control.text = name + ' ' + particleEditorFormatNumber(value);
+    }
+
+    // restart finished effects when looping
+    update()
+    {
+        const emitter = this.emitter;
+        if (this.loop && (emitter.destroyed || !emitter.isActive() && !emitter.particles.length))
+            this.restart();
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// short display of a number for slider labels
+function particleEditorFormatNumber(n) { return String(+n.toFixed(3)); }
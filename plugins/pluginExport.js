@@ -27,6 +27,13 @@ export
     // Post Process
     postProcess,
     PostProcessPlugin,
+    PostProcessPass,
+    postProcessBloom,
+    postProcessBlur,
+    postProcessCRT,
+    postProcessLUT,
+    postProcessVignette,
+    postProcessChromaticAberration,
 
     // Light System
     lightSystem,
@@ -112,4 +119,49 @@ export
     loadAtlas,
     parseAtlas,
     spritesReady,
+
+    // Scene System
+    sceneSystem,
+    SceneSystemPlugin,
+    Scene,
+    SceneTransition,
+
+    // Network System
+    NetworkPeer,
+    NetworkTransport,
+    NetworkLoopbackTransport,
+    NetworkWebSocketTransport,
+    NetworkDataChannelTransport,
+
+    // Character Controller
+    CharacterController,
+
+    // Tiled Map
+    TiledMap,
+    tiledParse,
+    tiledFetch,
+    tiledRegisterObjectClass,
+
+    // LDtk Project
+    LdtkProject,
+    LdtkLevel,
+    ldtkFetch,
+    ldtkRegisterEntityClass,
+
+    // Auto Tile
+    AutoTileSet,
+    AutoTileMap,
+
+    // Chunked Tile Map
+    ChunkedTileMap,
+
+    // Level Editor
+    LevelEditorPlugin,
+    levelEditor,
+
+    // Particle Editor
+    ParticleEditor,
+
+    // Camera System
+    Camera,
 }
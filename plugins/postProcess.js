@@ -3,6 +3,9 @@
  * - Supports shadertoy style post processing shaders
  * - call new PostProcessPlugin() to setup post processing
  * - can be enabled to pass other canvases through a final shader
+ * - Chains of passes render through ping-pong buffers
+ * - Passes have their own uniforms and can be enabled or disabled at runtime
+ * - Built in effects for bloom, blur, CRT, LUT color grading, vignette, and chromatic aberration
  * @namespace PostProcess
  */
 
@@ -17,35 +20,100 @@ let postProcess;
 
 /////////////////////////////////////////////////////////////////////////
 /**
- * Post Process Plugin - Applies a full screen shader to the rendered output
+ * Post Process Pass - One shader in the post processing chain
+ * - The shader must define void mainImage(out vec4 c, vec2 p) where p is the pixel position
+ * - iChannel0 is the output of the previous pass, or the rendered frame for the first pass
+ * - iChannel1 is always the rendered frame, to combine with the output of earlier passes
+ * - iResolution and iTime are also set, other uniforms come from the uniforms object
+ * - Uniform values can be numbers, Vector2s, Colors, TextureInfos, or arrays of them
+ * @memberof PostProcess
+ * @example
+ * // tint the screen with a color that can be changed later
+ * const tintPass = new PostProcessPass(
+ *     'uniform vec4 tint;' +
+ *     'void mainImage(out vec4 c, vec2 p)' +
+ *     '{ c = texture(iChannel0, p/iResolution.xy) * tint; }', {tint: rgb(1, .8, .8)});
+ * postProcess.addPass(tintPass);
+ */
+class PostProcessPass
+{
+    /** Create a post process pass
+    *  @param {string} shaderCode - Shadertoy style code that defines mainImage and its uniforms
+    *  @param {Object} [uniforms] - Uniform values by name, can be changed at any time
+    *  @param {boolean} [enabled] - Should the pass be rendered */
+    constructor(shaderCode, uniforms={}, enabled=true)
+    {
+        ASSERT(typeof shaderCode === 'string', 'post process shaderCode must be a string');
+
+        /** @property {string} - Shadertoy style code that defines mainImage and its uniforms */
+        this.shaderCode = shaderCode;
+        /** @property {Object} - Uniform values by name */
+        this.uniforms = uniforms;
+        /** @property {boolean} - Should the pass be rendered */
+        this.enabled = enabled;
+        /** @property {WebGLProgram} - Shader for this pass, created when first rendered */
+        this.shader = undefined;
+    }
+
+    /** Set a uniform value
+    *  @param {string} name
+    *  @param {number|Vector2|Color|TextureInfo|Array<number>|Array<Vector2>|Array<Color>} value
+    *  @return {PostProcessPass} */
+    setUniform(name, value)
+    {
+        ASSERT(typeof name === 'string', 'uniform name must be a string');
+        this.uniforms[name] = value;
+        return this;
+    }
+}
+
+/////////////////////////////////////////////////////////////////////////
+/**
+ * Post Process Plugin - Applies a chain of full screen shaders to the rendered output
  * @memberof PostProcess
  */
 class PostProcessPlugin
 {
     /** Create global post processing shader
-    *  @param {string} shaderCode
+    *  @param {string|Array<PostProcessPass>} [shaderCode] - Shader code for a single pass or a list of passes
     *  @param {boolean} [includeMainCanvas] - combine mainCanvas onto glCanvas
     *  @param {boolean} [feedbackTexture] - use glCanvas from previous frame as the texture
     *  @example
     *  // create the post process plugin object
     *  new PostProcessPlugin(shaderCode);
+    *
+    *  // or create a chain of passes
+    *  new PostProcessPlugin([postProcessBloom(), postProcessCRT(), postProcessVignette()]);
     */
     constructor(shaderCode, includeMainCanvas=false, feedbackTexture=false)
     {
-        ASSERT(!postProcess, 'Post process already initialized');
+        ASSERT(!postProcess, 'Post process already initialized, use addPass to chain more shaders');
         ASSERT(!(includeMainCanvas && feedbackTexture), 'Post process cannot both include main canvas and use feedback texture');
         postProcess = this;
 
         if (!shaderCode) // default shader pass through
             shaderCode = 'void mainImage(out vec4 c,vec2 p){c=texture(iChannel0,p/iResolution.xy);}';
 
-        /** @property {WebGLProgram} - Shader for post processing */
-        this.shader = undefined;
+        /** @property {Array<PostProcessPass>} - Passes rendered in order, each uses the output of the last */
+        this.passes = [];
         /** @property {WebGLTexture} - Texture for post processing */
         this.texture = undefined;
+        /** @property {Array<WebGLTexture>} - Ping-pong textures passes render to */
+        this.bufferTextures = [];
+        /** @property {WebGLFramebuffer} - Framebuffer used to render to the ping-pong textures */
+        this.framebuffer = undefined;
         /** @property {WebGLVertexArrayObject} - Vertex array object */
         this.vao = undefined;
 
+        // size of the ping-pong textures
+        this.bufferSize = vec2();
+
+        // add the passes
+        if (typeof shaderCode === 'string')
+            this.addPass(new PostProcessPass(shaderCode));
+        else
+            shaderCode.forEach(pass=> this.addPass(pass));
+
         // setup the post processing plugin
         initPostProcess();
         engineAddPlugin(undefined, postProcessRender, postProcessContextLost, postProcessContextRestored);
@@ -61,10 +129,26 @@ class PostProcessPlugin
 
             // create resources
             postProcess.texture = glCreateTexture();
-            postProcess.shader = glCreateProgram(
+            postProcess.bufferTextures = [glCreateTexture(), glCreateTexture()];
+            postProcess.framebuffer = glContext.createFramebuffer();
+            postProcess.bufferSize = vec2();
+
+            // setup VAO for post processing
+            postProcess.vao = glContext.createVertexArray();
+            glContext.bindVertexArray(postProcess.vao);
+            glContext.bindBuffer(glContext.ARRAY_BUFFER, glGeometryBuffer);
+
+            // configure vertex attributes, location is set in the shader so all passes can share it
+            const vertexByteStride = 8;
+            glContext.enableVertexAttribArray(0);
+            glContext.vertexAttribPointer(0, 2, glContext.FLOAT, false, vertexByteStride, 0);
+        }
+        function postProcessCreateShader(shaderCode)
+        {
+            return glCreateProgram(
                 '#version 300 es\n' +            // specify GLSL ES version
                 'precision highp float;'+        // use highp for accuracy
-                'in vec2 p;'+                    // position
+                'layout(location=0)in vec2 p;'+  // position
                 'void main(){'+                  // shader entry point
                 'gl_Position=vec4(p+p-1.,1,1);'+ // set position
                 '}'                              // end of shader
@@ -72,6 +156,7 @@ class PostProcessPlugin
                 '#version 300 es\n' +            // specify GLSL ES version
                 'precision highp float;'+        // use highp for accuracy
                 'uniform sampler2D iChannel0;'+  // input texture
+                'uniform sampler2D iChannel1;'+  // rendered frame
                 'uniform vec3 iResolution;'+     // size of output texture
                 'uniform float iTime;'+          // time
                 'out vec4 c;'+                   // out color
@@ -81,22 +166,14 @@ class PostProcessPlugin
                 'c.a=1.;'+                       // always use full alpha
                 '}'                              // end of shader
             );
-
-            // setup VAO for post processing
-            postProcess.vao = glContext.createVertexArray();
-            glContext.bindVertexArray(postProcess.vao);
-            glContext.bindBuffer(glContext.ARRAY_BUFFER, glGeometryBuffer);
-
-            // configure vertex attributes
-            const vertexByteStride = 8;
-            const pLocation = glContext.getAttribLocation(postProcess.shader, 'p');
-            glContext.enableVertexAttribArray(pLocation);
-            glContext.vertexAttribPointer(pLocation, 2, glContext.FLOAT, false, vertexByteStride, 0);
         }
         function postProcessContextLost()
         {
-            postProcess.shader = undefined;
             postProcess.texture = undefined;
+            postProcess.bufferTextures = [];
+            postProcess.framebuffer = undefined;
+            for (const pass of postProcess.passes)
+                pass.shader = undefined;
             LOG('PostProcessPlugin: WebGL context lost');
         }
         function postProcessContextRestored()
@@ -108,6 +185,9 @@ class PostProcessPlugin
         {
             if (headlessMode || !glEnable) return;
 
+            const passes = postProcess.passes.filter(pass=> pass.enabled);
+            if (!passes.length) return;
+
             // clear out the buffer
             glFlush();
 
@@ -115,8 +195,7 @@ class PostProcessPlugin
             // caller this frame left a render target bound)
             glContext.bindFramebuffer(glContext.FRAMEBUFFER, null);
 
-            // setup shader program to draw a quad
-            glContext.useProgram(postProcess.shader);
+            // setup to draw a quad
             glContext.bindVertexArray(postProcess.vao);
             glContext.pixelStorei(glContext.UNPACK_FLIP_Y_WEBGL, true);
             glContext.disable(glContext.BLEND);
@@ -142,25 +221,187 @@ class PostProcessPlugin
                 // copy glCanvas to texture
                 glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, glContext.RGBA, glContext.UNSIGNED_BYTE, glCanvas);
             }
-            
-            // set uniforms and draw
-            const uniformLocation = (name)=>glContext.getUniformLocation(postProcess.shader, name);
-            glContext.uniform1i(uniformLocation('iChannel0'), 0);
-            glContext.uniform1f(uniformLocation('iTime'), time);
-            glContext.uniform3f(uniformLocation('iResolution'), mainCanvas.width, mainCanvas.height, 1);
-            glContext.drawArrays(glContext.TRIANGLE_STRIP, 0, 4);
+
+            // keep the ping-pong textures the same size as the canvas
+            const width = mainCanvas.width, height = mainCanvas.height;
+            if (passes.length > 1 && (postProcess.bufferSize.x !== width || postProcess.bufferSize.y !== height))
+            {
+                postProcess.bufferSize = vec2(width, height);
+                for (const texture of postProcess.bufferTextures)
+                {
+                    glContext.bindTexture(glContext.TEXTURE_2D, texture);
+                    glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, width, height, 0, glContext.RGBA, glContext.UNSIGNED_BYTE, null);
+                    glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MIN_FILTER, glContext.LINEAR);
+                    glContext.texParameteri(glContext.TEXTURE_2D, glContext.TEXTURE_MAG_FILTER, glContext.LINEAR);
+                }
+            }
+
+            // render each pass into the next buffer, the last pass goes to the canvas
+            glContext.viewport(0, 0, width, height);
+            for (let i = 0; i < passes.length; ++i)
+            {
+                const pass = passes[i];
+                pass.shader ||= postProcessCreateShader(pass.shaderCode);
+                const inputTexture = i ? postProcess.bufferTextures[(i-1)%2] : postProcess.texture;
+                const outputTexture = i < passes.length-1 ? postProcess.bufferTextures[i%2] : undefined;
+                if (outputTexture)
+                {
+                    glContext.bindFramebuffer(glContext.FRAMEBUFFER, postProcess.framebuffer);
+                    glContext.framebufferTexture2D(glContext.FRAMEBUFFER,
+                        glContext.COLOR_ATTACHMENT0, glContext.TEXTURE_2D, outputTexture, 0);
+                }
+                else
+                    glContext.bindFramebuffer(glContext.FRAMEBUFFER, null);
+
+                // bind the input and rendered frame textures
+                glContext.activeTexture(glContext.TEXTURE1);
+                glContext.bindTexture(glContext.TEXTURE_2D, postProcess.texture);
+                glContext.activeTexture(glContext.TEXTURE0);
+                glContext.bindTexture(glContext.TEXTURE_2D, inputTexture);
+
+                // set uniforms and draw, pass textures start after the two channels
+                glContext.useProgram(pass.shader);
+                const uniformLocation = (name)=>glContext.getUniformLocation(pass.shader, name);
+                glContext.uniform1i(uniformLocation('iChannel0'), 0);
+                glContext.uniform1i(uniformLocation('iChannel1'), 1);
+                glContext.uniform1f(uniformLocation('iTime'), time);
+                glContext.uniform3f(uniformLocation('iResolution'), width, height, 1);
+                glSetUniforms(pass.shader, pass.uniforms, 2);
+                glContext.drawArrays(glContext.TRIANGLE_STRIP, 0, 4);
+            }
 
             if (feedbackTexture)
             {
                 // pass glCanvas back to overlay texture
+                glContext.bindTexture(glContext.TEXTURE_2D, postProcess.texture);
                 glContext.texImage2D(glContext.TEXTURE_2D, 0, glContext.RGBA, glContext.RGBA, glContext.UNSIGNED_BYTE, glCanvas);
             }
 
             // restore default so subsequent dynamic texture uploads aren't flipped
             glContext.pixelStorei(glContext.UNPACK_FLIP_Y_WEBGL, false);
+            glContext.bindTexture(glContext.TEXTURE_2D, glActiveTexture);
 
             // force it to set instanced mode
             glSetInstancedMode(true);
         }
     }
-}
\ No newline at end of file
+
+    /** Add a pass to the chain
+    *  @param {PostProcessPass} pass
+    *  @param {number} [index] - Where to insert the pass, adds to the end by default
+    *  @return {PostProcessPass} */
+    addPass(pass, index=this.passes.length)
+    {
+        ASSERT(pass instanceof PostProcessPass, 'pass must be a PostProcessPass');
+        ASSERT(!this.passes.includes(pass), 'pass was already added');
+        this.passes.splice(index, 0, pass);
+        return pass;
+    }
+
+    /** Remove a pass from the chain
+    *  @param {PostProcessPass} pass */
+    removePass(pass)
+    {
+        const index = this.passes.indexOf(pass);
+        ASSERT(index >= 0, 'pass not found');
+        this.passes.splice(index, 1);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Built in effects
+
+/** Create a pass that makes bright parts of the screen glow
+ *  @param {number} [threshold] - Brightness where glow starts (0-1)
+ *  @param {number} [intensity] - How bright the glow is
+ *  @param {number} [radius] - Size of the glow in pixels
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessBloom(threshold=.7, intensity=1, radius=8)
+{
+    return new PostProcessPass(
+        'uniform float threshold,intensity,radius;' +
+        'void mainImage(out vec4 c,vec2 p){vec2 r=iResolution.xy;c=texture(iChannel0,p/r);' +
+        'vec3 b=vec3(0);float t=0.;for(int x=-3;x<=3;++x)for(int y=-3;y<=3;++y){' +
+        'vec2 o=vec2(x,y);float w=exp(-dot(o,o)/4.5);vec3 s=texture(iChannel0,(p+o*radius/3.)/r).rgb;' +
+        'b+=s*smoothstep(threshold,1.,dot(s,vec3(.3,.6,.1)))*w;t+=w;}c.rgb+=b/t*intensity;}',
+        {threshold, intensity, radius});
+}
+
+/** Create a pass that blurs the screen
+ *  @param {number} [radius] - Size of the blur in pixels
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessBlur(radius=4)
+{
+    return new PostProcessPass(
+        'uniform float radius;' +
+        'void mainImage(out vec4 c,vec2 p){vec2 r=iResolution.xy;c=vec4(0);float t=0.;' +
+        'for(int x=-4;x<=4;++x)for(int y=-4;y<=4;++y){vec2 o=vec2(x,y);float w=exp(-dot(o,o)/8.);' +
+        'c+=texture(iChannel0,(p+o*radius/4.)/r)*w;t+=w;}c/=t;}',
+        {radius});
+}
+
+/** Create a pass that looks like an old CRT television
+ *  @param {number} [curvature] - How much the screen bulges
+ *  @param {number} [scanlines] - How dark the scanlines are (0-1)
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessCRT(curvature=.1, scanlines=.3)
+{
+    return new PostProcessPass(
+        'uniform float curvature,scanlines;' +
+        'void mainImage(out vec4 c,vec2 p){vec2 uv=p/iResolution.xy*2.-1.;' +
+        'uv=(uv*(1.+curvature*dot(uv,uv)))*.5+.5;' +
+        'if(uv.x<0.||uv.y<0.||uv.x>1.||uv.y>1.){c=vec4(0);return;}' +
+        'c=texture(iChannel0,uv);c.rgb*=1.-scanlines*(.5-.5*sin(uv.y*iResolution.y*3.1416));}',
+        {curvature, scanlines});
+}
+
+/** Create a pass that color grades the screen with a lookup table
+ *  The table is a strip of square slices for each blue level, so 16 levels is 256x16 pixels
+ *  Red goes across each slice, green goes down, and blue picks the slice
+ *  @param {TextureInfo} lut - Lookup table texture
+ *  @param {number} [amount] - How much to apply the grading (0-1)
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessLUT(lut, amount=1)
+{
+    ASSERT(lut instanceof TextureInfo, 'lut must be a TextureInfo');
+    return new PostProcessPass(
+        'uniform sampler2D lut;uniform float amount;' +
+        'void mainImage(out vec4 c,vec2 p){c=texture(iChannel0,p/iResolution.xy);' +
+        'float n=float(textureSize(lut,0).y),b=clamp(c.b,0.,1.)*(n-1.),b0=floor(b),b1=min(b0+1.,n-1.);' +
+        'vec2 uv=(clamp(c.rg,0.,1.)*(n-1.)+.5)/vec2(n*n,n);' +
+        'vec3 g=mix(texture(lut,uv+vec2(b0/n,0)).rgb,texture(lut,uv+vec2(b1/n,0)).rgb,b-b0);' +
+        'c.rgb=mix(c.rgb,g,amount);}',
+        {lut, amount});
+}
+
+/** Create a pass that darkens the edges of the screen
+ *  @param {number} [amount] - How dark the edges get (0-1)
+ *  @param {number} [radius] - Distance from the center where darkening starts, 1 is the corners
+ *  @param {number} [softness] - Distance over which it gets darker
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessVignette(amount=.5, radius=.5, softness=.5)
+{
+    return new PostProcessPass(
+        'uniform float amount,radius,softness;' +
+        'void mainImage(out vec4 c,vec2 p){vec2 uv=p/iResolution.xy;c=texture(iChannel0,uv);' +
+        'c.rgb*=1.-amount*smoothstep(radius,radius+softness,distance(uv,vec2(.5))*1.414);}',
+        {amount, radius, softness});
+}
+
+/** Create a pass that splits the color channels towards the edges of the screen
+ *  @param {number} [amount] - How far the channels are split at the edges in pixels
+ *  @return {PostProcessPass}
+ *  @memberof PostProcess */
+function postProcessChromaticAberration(amount=3)
+{
+    return new PostProcessPass(
+        'uniform float amount;' +
+        'void mainImage(out vec4 c,vec2 p){vec2 r=iResolution.xy,uv=p/r,o=(uv-.5)*2.*amount/r;' +
+        'c=vec4(texture(iChannel0,uv+o).r,texture(iChannel0,uv).g,texture(iChannel0,uv-o).b,1);}',
+        {amount});
+}
@@ -0,0 +1,331 @@
+/**
+ * LittleJS Scene System Plugin
+ * - Organize a game into scenes (title, gameplay, pause menu, etc.)
+ * - Scene class with enter, exit, update, and render hooks
+ * - Scenes live on a stack so overlays like a pause menu can sit over gameplay
+ * - Objects created while a scene is on top are owned by that scene
+ * - Owned objects are destroyed when the scene exits unless keepObjects is set
+ * - Fade and wipe transitions drawn as a screen space overlay
+ * @namespace SceneSystem
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+/** Global Scene System plugin object
+ *  @type {SceneSystemPlugin}
+ *  @memberof SceneSystem */
+let sceneSystem;
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Scene - Base class for game scenes, extend it and override the hooks
+ * - enter is called when the scene is added to the stack
+ * - exit is called when the scene is removed from the stack
+ * - update is called each frame while the scene is on top of the stack
+ * - render is called each frame for every scene on the stack, bottom first
+ * @memberof SceneSystem
+ * @example
+ * class PauseScene extends Scene
+ * {
+ *     constructor() { super(false, true); }
+ *     update() { keyWasPressed('Escape') && sceneSystem.pop(); }
+ *     render() { drawTextScreen('Paused', mainCanvasSize.scale(.5), 80); }
+ * }
+ * sceneSystem.push(new PauseScene);
+ */
+class Scene
+{
+    /** Create a scene
+     *  @param {boolean} [keepObjects] - Don't destroy owned objects when the scene exits
+     *  @param {boolean} [pauseGame] - Pause the game while this scene is on the stack */
+    constructor(keepObjects=false, pauseGame=false)
+    {
+        /** @property {boolean} - Don't destroy owned objects when the scene exits */
+        this.keepObjects = keepObjects;
+        /** @property {boolean} - Pause the game while this scene is on the stack */
+        this.pauseGame = pauseGame;
+        /** @property {Array<EngineObject>} - Objects owned by this scene */
+        this.objects = [];
+        /** @property {boolean} - True while the scene is on the stack */
+        this.active = false;
+
+        // paused state to restore when a pauseGame scene exits
+        this.pausedLast = false;
+    }
+
+    /** Called when the scene is added to the stack, create objects here */
+    enter() {}
+
+    /** Called when the scene is removed from the stack */
+    exit() {}
+
+    /** Called each frame while this scene is on top of the stack,
+     *  this runs even when the game is paused so menus can still respond */
+    update() {}
+
+    /** Called each frame for every scene on the stack after objects are rendered */
+    render() {}
+
+    /** Take ownership of an object so it is destroyed with this scene
+     *  @param {EngineObject} object */
+    addObject(object)
+    {
+        ASSERT(object instanceof EngineObject, 'Scene can only own EngineObjects');
+        sceneOwnerRemove(object);
+        sceneObjectOwners.set(object, this);
+        this.objects.push(object);
+    }
+
+    /** Destroy all objects owned by this scene */
+    destroyObjects()
+    {
+        for (const o of this.objects)
+            o.destroy();
+        this.objects = [];
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Scene Transition - Screen space overlay drawn while scenes change
+ * - The screen is covered for the first half, then the scene changes, and it is revealed for the second half
+ * - Fade blends the screen to a color, wipe slides a color across the screen
+ * - Extend and override render to make custom transitions
+ * @memberof SceneSystem
+ * @example
+ * sceneSystem.set(new GameScene, new SceneTransition('wipe', 1, BLACK));
+ */
+class SceneTransition
+{
+    /** Create a scene transition
+     *  @param {string} [type] - Type of transition, 'fade' or 'wipe'
+     *  @param {number} [duration] - How long the whole transition takes in seconds
+     *  @param {Color} [color] - Color used to cover the screen */
+    constructor(type='fade', duration=.5, color=BLACK)
+    {
+        ASSERT(type === 'fade' || type === 'wipe', 'Unknown scene transition type', type);
+        ASSERT(isNumber(duration) && duration >= 0, 'Scene transition duration must be positive');
+
+        /** @property {string} - Type of transition, 'fade' or 'wipe' */
+        this.type = type;
+        /** @property {number} - How long the whole transition takes in seconds */
+        this.duration = duration;
+        /** @property {Color} - Color used to cover the screen */
+        this.color = color.copy();
+    }
+
+    /** Draw the transition overlay in screen space
+     *  @param {number} cover - How much of the screen is covered, from 0 to 1
+     *  @param {boolean} reveal - True during the second half of the transition */
+    render(cover, reveal)
+    {
+        const size = mainCanvasSize;
+        if (this.type === 'fade')
+        {
+            const color = this.color.scale(1, cover);
+            drawRect(size.scale(.5), size, color, 0, false, true);
+        }
+        else
+        {
+            // wipe in from the left, then continue off the right side
+            const width = size.x * cover;
+            const x = reveal ? size.x - width/2 : width/2;
+            drawRect(vec2(x, size.y/2), vec2(width, size.y), this.color, 0, false, true);
+        }
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// which scene owns each object, objects with no scene map to undefined
+const sceneObjectOwners = new WeakMap;
+
+// remove an object from the scene that owns it
+function sceneOwnerRemove(object)
+{
+    const owner = sceneObjectOwners.get(object);
+    if (owner)
+        owner.objects = owner.objects.filter(o=>o !== object);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Scene System Plugin - Manages the scene stack and transitions
+ * - Only the top scene is updated, all scenes are rendered bottom first
+ * - Stack changes made during a transition happen when the screen is covered
+ * @memberof SceneSystem
+ * @example
+ * // setup the scene system and start on the title screen
+ * new SceneSystemPlugin;
+ * sceneSystem.set(new TitleScene);
+ */
+class SceneSystemPlugin
+{
+    /** Create the global scene system plugin object */
+    constructor()
+    {
+        ASSERT(!sceneSystem, 'SceneSystemPlugin already initialized');
+        sceneSystem = this;
+
+        /** @property {Array<Scene>} - Stack of active scenes, last is on top */
+        this.stack = [];
+        /** @property {SceneTransition} - Transition that is currently active */
+        this.transition = undefined;
+
+        // transition timing and the stack change it is waiting to apply
+        this.transitionTimer = new Timer;
+        this.transitionChange = undefined;
+
+        engineAddPlugin(sceneSystemUpdate, sceneSystemRender);
+
+        function sceneSystemUpdate()
+        {
+            sceneSystem.collectObjects();
+
+            // apply pending change once the screen is fully covered
+            const transition = sceneSystem.transition;
+            if (transition)
+            {
+                const p = sceneSystem.transitionTimer.getPercent();
+                if (sceneSystem.transitionChange && p >= .5)
+                    sceneSystem.applyChange();
+                if (p >= 1)
+                    sceneSystem.transition = undefined;
+            }
+
+            // only update the top scene
+            sceneSystem.getScene()?.update();
+        }
+        function sceneSystemRender()
+        {
+            for (const scene of sceneSystem.stack)
+                scene.render();
+
+            const transition = sceneSystem.transition;
+            if (transition)
+            {
+                const p = sceneSystem.transitionTimer.getPercent();
+                const reveal = p >= .5 && !sceneSystem.transitionChange;
+                transition.render(reveal ? 2 - p*2 : min(p*2, 1), reveal);
+            }
+        }
+    }
+
+    /** Get the scene on top of the stack
+     *  @return {Scene} */
+    getScene() { return this.stack[this.stack.length-1]; }
+
+    /** Returns true if a transition is active
+     *  @return {boolean} */
+    isTransitioning() { return !!this.transition; }
+
+    /** Push a scene on top of the stack, scenes below stay active
+     *  @param {Scene} scene
+     *  @param {SceneTransition} [transition] */
+    push(scene, transition)
+    {
+        ASSERT(scene instanceof Scene, 'push requires a Scene');
+        ASSERT(!scene.active, 'Scene is already on the stack');
+        this.change(()=> this.enterScene(scene), transition);
+    }
+
+    /** Pop the top scene off the stack
+     *  @param {SceneTransition} [transition] */
+    pop(transition)
+    {
+        this.change(()=>
+        {
+            const scene = this.stack.pop();
+            scene && this.exitScene(scene);
+        }, transition);
+    }
+
+    /** Replace all scenes on the stack with a new scene
+     *  @param {Scene} scene
+     *  @param {SceneTransition} [transition] */
+    set(scene, transition)
+    {
+        ASSERT(scene instanceof Scene, 'set requires a Scene');
+        this.change(()=>
+        {
+            while (this.stack.length)
+                this.exitScene(this.stack.pop());
+            this.enterScene(scene);
+        }, transition);
+    }
+
+    /** Assign objects that are not owned yet to the top scene,
+     *  this is called automatically each frame and before the stack changes */
+    collectObjects()
+    {
+        const scene = this.getScene();
+        for (const o of engineObjects)
+        {
+            if (sceneObjectOwners.has(o))
+                continue;
+            sceneObjectOwners.set(o, scene);
+            scene?.objects.push(o);
+        }
+
+        // forget objects that were destroyed
+        for (const s of this.stack)
+            s.objects = s.objects.filter(o=>!o.destroyed);
+    }
+
+    // start a stack change, immediately or when the transition covers the screen
+    change(callback, transition)
+    {
+        // finish any change that is still waiting on the previous transition
+        this.transitionChange && this.applyChange();
+        this.transitionChange = callback;
+        if (transition && transition.duration > 0)
+        {
+            this.transition = transition;
+            this.transitionTimer = new Timer(transition.duration, true);
+        }
+        else
+        {
+            this.transition = undefined;
+            this.applyChange();
+        }
+    }
+
+    // apply the pending stack change
+    applyChange()
+    {
+        const callback = this.transitionChange;
+        this.transitionChange = undefined;
+        this.collectObjects();
+        callback();
+    }
+
+    // add a scene to the top of the stack
+    enterScene(scene)
+    {
+        this.stack.push(scene);
+        scene.active = true;
+        if (scene.pauseGame)
+        {
+            scene.pausedLast = paused;
+            setPaused(true);
+        }
+        scene.enter();
+        this.collectObjects();
+    }
+
+    // call exit on a scene that was removed from the stack
+    exitScene(scene)
+    {
+        scene.exit();
+        scene.active = false;
+        if (scene.pauseGame)
+            setPaused(scene.pausedLast);
+        if (!scene.keepObjects)
+            scene.destroyObjects();
+    }
+}
@@ -0,0 +1,608 @@
+/**
+ * LittleJS Tiled Map Plugin
+ * - Load maps made with the Tiled editor from .tmx or .json exports
+ * - Multiple tilesets, each drawn with its own texture
+ * - Flipped and rotated tiles map to TileLayerData direction and mirror
+ * - Object layers spawn EngineObjects from a registry of types
+ * - Custom properties on the map, layers, tiles, and objects
+ * - Animated tiles play on tile layers
+ * - Infinite maps made of chunks
+ * - Layers with a collision property are used for tile collision
+ * - Parses the XML .tmx format without a DOM so it also works in Node
+ * @namespace TiledMap
+ */
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// gid bits Tiled uses for flipped tiles
+const tiledFlipHorizontal = 0x80000000;
+const tiledFlipVertical   = 0x40000000;
+const tiledFlipDiagonal   = 0x20000000;
+const tiledGidMask        = 0x0fffffff;
+
+// direction and mirror for each combination of horizontal, vertical, and diagonal flip bits
+const tiledFlipTransforms =
+[
+    [0, false], [3, true], [2, true], [3, false],
+    [0, true], [1, false], [2, false], [1, true],
+];
+
+// classes to spawn for each Tiled object type
+const tiledObjectClasses = new Map;
+
+/** Register a class to spawn for Tiled objects of a type
+ *  - The class is constructed with (pos, size) in world space
+ *  - Custom properties of the object are then set as members of the object
+ *  @param {string} type - Type or class name set in Tiled
+ *  @param {Function} classType - Class that extends EngineObject
+ *  @example
+ *  tiledRegisterObjectClass('Enemy', Enemy);
+ *  @memberof TiledMap */
+function tiledRegisterObjectClass(type, classType)
+{
+    ASSERT(typeof type === 'string', 'type must be a string');
+    ASSERT(classType === EngineObject || classType.prototype instanceof EngineObject,
+        'classType must extend EngineObject');
+    tiledObjectClasses.set(type, classType);
+}
+
+/** Parse a Tiled map or tileset from .tmx, .tsx, or .json text
+ *  @param {string} text
+ *  @return {Object} - Map or tileset data in the Tiled JSON format
+ *  @memberof TiledMap */
+function tiledParse(text)
+{
+    ASSERT(typeof text === 'string', 'text must be a string');
+    text = text.trim();
+    if (text[0] !== '<')
+        return JSON.parse(text);
+
+    const root = tiledParseXML(text);
+    ASSERT(root && (root.name === 'map' || root.name === 'tileset'), 'not a Tiled map or tileset');
+    return root.name === 'map' ? tiledXMLToMap(root) : tiledXMLToTileset(root);
+}
+
+/** Fetch a Tiled map and any external tilesets it uses
+ *  @param {string} url - Path to a .tmx or .json map
+ *  @return {Promise<Object>} - Map data with tilesets included
+ *  @memberof TiledMap */
+async function tiledFetch(url)
+{
+    const map = tiledParse(await (await fetch(url)).text());
+    const folder = url.slice(0, url.lastIndexOf('/') + 1);
+    for (let i = 0; i < map.tilesets.length; ++i)
+    {
+        const tileset = map.tilesets[i];
+        if (!tileset.source) continue;
+
+        const text = await (await fetch(folder + tileset.source)).text();
+        map.tilesets[i] = {...tiledParse(text), firstgid: tileset.firstgid};
+    }
+    return map;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Tiled Map - Tile layers and objects loaded from a Tiled map
+ * - Each tile layer makes a TileCollisionLayer for each tileset it uses
+ * - Set a collision property on a layer to use it for collision, true or a number for the tile data
+ * - Tiles can override this with collision and collisionShape properties in the tileset
+ * - Objects with a registered type are spawned, all objects are kept in the objects list
+ * - Like tileLayersLoad, the first tile in each tileset is treated as empty and not drawn
+ * - Only orthogonal maps are supported
+ * @memberof TiledMap
+ * @example
+ * // load a map exported as json and spawn its objects
+ * tiledRegisterObjectClass('Coin', Coin);
+ * const map = new TiledMap(await tiledFetch('level.tmx'));
+ * const start = map.getObjects('PlayerStart')[0].pos;
+ */
+class TiledMap
+{
+    /** Create tile layers and spawn objects from a Tiled map
+     *  @param {Object|string} mapData - Map data in the Tiled JSON format, or .tmx or .json text
+     *  @param {Array|Object} [textures] - Texture index or TextureInfo for each tileset by index or name,
+     *  tilesets without one use the loaded texture with a matching image name or their own index
+     *  @param {number}  [renderOrder] - Render order of the top tile layer
+     *  @param {boolean} [draw] - Should the layers be drawn */
+    constructor(mapData, textures=[], renderOrder=0, draw=true)
+    {
+        if (typeof mapData === 'string')
+            mapData = tiledParse(mapData);
+        ASSERT(mapData && isArray(mapData.layers), 'invalid Tiled map data');
+        ASSERT(!mapData.orientation || mapData.orientation === 'orthogonal', 'only orthogonal Tiled maps are supported');
+
+        /** @property {Vector2} - Size of the map in tiles, infinite maps can extend past it */
+        this.size = vec2(mapData.width, mapData.height);
+        /** @property {Vector2} - Size of each tile in pixels */
+        this.tileSize = vec2(mapData.tilewidth, mapData.tileheight);
+        /** @property {Object} - Custom properties of the map */
+        this.properties = tiledGetProperties(mapData.properties);
+        /** @property {Array<TileCollisionLayer>} - Tile layers from bottom to top */
+        this.tileLayers = [];
+        /** @property {Array<Object>} - Every object in the map as {id, name, type, pos, size, angle,
+         *  properties, points, tileInfo, mirror, layer, object}, object is the spawned EngineObject */
+        this.objects = [];
+        /** @property {Array<Object>} - Layers as {name, type, properties, tileLayers, objects} */
+        this.layers = [];
+        /** @property {Array<Object>} - Tilesets as {name, firstgid, tileInfo, tiles},
+         *  tiles maps each tile id to its {type, properties, animation} */
+        this.tilesets = (mapData.tilesets || []).map((tileset, i)=>
+        {
+            ASSERT(!tileset.source, 'external tilesets must be loaded first, use tiledFetch');
+            ASSERT(!tileset.margin && !tileset.spacing || tileset.margin*2 === tileset.spacing,
+                'tileset margin must be half of spacing to match tile padding');
+
+            // find the texture for this tileset
+            let texture = isArray(textures) ? textures[i] : textures[tileset.name];
+            if (texture === undefined)
+            {
+                const imageName = tileset.image && tileset.image.split('/').pop();
+                const index = imageName ? textureInfos.findIndex(t=> t?.image?.src?.endsWith(imageName)) : -1;
+                texture = index < 0 ? i : index;
+            }
+
+            const tileSize = vec2(tileset.tilewidth, tileset.tileheight);
+            const tiles = new Map;
+            for (const t of tileset.tiles || [])
+                tiles.set(t.id, {type: t.type ?? t.class ?? '', properties: tiledGetProperties(t.properties),
+                    animation: t.animation});
+            return {
+                name: tileset.name,
+                firstgid: tileset.firstgid,
+                tileInfo: tile(0, tileSize, texture, tileset.margin || 0),
+                tiles,
+            };
+        }).sort((a, b)=> a.firstgid - b.firstgid);
+
+        // flatten groups and count tile layers for render order
+        const layers = [];
+        tiledFlattenLayers(mapData.layers, vec2(), WHITE, true, layers);
+        const tileLayerCount = layers.filter(l=> l.layer.type === 'tilelayer').length;
+        let tileLayerIndex = 0;
+        const spawned = new Map;
+        for (const {layer, offset, color, visible} of layers)
+        {
+            const info = {name: layer.name || '', type: layer.type, properties: tiledGetProperties(layer.properties), tileLayers: [], objects: []};
+            if (layer.type === 'tilelayer')
+            {
+                const layerRenderOrder = renderOrder - (tileLayerCount - 1 - tileLayerIndex++);
+                tiledMapLoadTileLayer(this, info, layer, offset, color, visible, layerRenderOrder, draw);
+            }
+            else if (layer.type === 'objectgroup')
+                tiledMapLoadObjectLayer(this, info, layer, offset, spawned);
+            else
+                continue;
+            this.layers.push(info);
+        }
+
+        // link object properties to spawned objects
+        for (const {object, properties} of spawned.values())
+        for (const p of properties)
+            if (p.type === 'object')
+                object[p.name] = spawned.get(p.value)?.object;
+    }
+
+    /** Get a layer by name
+     *  @param {string} name
+     *  @return {Object} - Layer as {name, type, properties, tileLayers, objects} or undefined */
+    getLayer(name) { return this.layers.find(layer=> layer.name === name); }
+
+    /** Get objects of a type
+     *  @param {string} [type] - Type or class name set in Tiled, undefined gets all objects
+     *  @return {Array<Object>} */
+    getObjects(type)
+    { return type === undefined ? this.objects : this.objects.filter(o=> o.type === type); }
+
+    /** Get the tileset and custom properties of a tile from its gid
+     *  @param {number} gid - Global tile id with or without flip bits
+     *  @return {Object} - Tile as {tileset, id, type, properties} or undefined if empty */
+    getTile(gid)
+    {
+        gid &= tiledGidMask;
+        if (!gid) return;
+        const tileset = this.tilesets.findLast(t=> t.firstgid <= gid);
+        ASSERT(tileset, 'tile gid has no tileset', gid);
+        const id = gid - tileset.firstgid;
+        const tile = tileset.tiles.get(id);
+        return {tileset, id, type: tile?.type ?? '', properties: tile?.properties ?? {}};
+    }
+
+    /** Destroy all tile layers and spawned objects */
+    destroy()
+    {
+        for (const tileLayer of this.tileLayers)
+            tileLayer.destroy();
+        for (const o of this.objects)
+            o.object && o.object.destroy();
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Tiled map loading
+
+// flatten group layers, combining their offsets, tint, and visibility
+function tiledFlattenLayers(layers, offset, color, visible, result)
+{
+    for (const layer of layers)
+    {
+        const layerOffset = offset.add(vec2(layer.offsetx || 0, layer.offsety || 0));
+        let layerColor = color.multiply(tiledGetColor(layer.tintcolor) || WHITE);
+        layerColor.a *= layer.opacity ?? 1;
+        const layerVisible = visible && layer.visible !== false;
+        if (layer.type === 'group')
+            tiledFlattenLayers(layer.layers || [], layerOffset, layerColor, layerVisible, result);
+        else
+            result.push({layer, offset: layerOffset, color: layerColor, visible: layerVisible});
+    }
+}
+
+// create a tile collision layer for each tileset used by a tile layer
+function tiledMapLoadTileLayer(map, info, layer, offset, color, visible, renderOrder, draw)
+{
+    // collision value from the layer, true is 1
+    const layerCollision = +(info.properties.collision || 0);
+    if (!visible && !layerCollision)
+        return;
+
+    // find the bounds of all chunks, finite maps are one chunk
+    const chunks = layer.chunks ||
+        [{x: layer.x || 0, y: layer.y || 0, width: layer.width, height: layer.height, data: layer.data}];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const chunk of chunks)
+    {
+        minX = min(minX, chunk.x);
+        minY = min(minY, chunk.y);
+        maxX = max(maxX, chunk.x + chunk.width);
+        maxY = max(maxY, chunk.y + chunk.height);
+    }
+    if (!chunks.length)
+        return;
+
+    // tiled y goes down, world y goes up
+    const size = vec2(maxX - minX, maxY - minY);
+    const pos = vec2(minX + offset.x / map.tileSize.x, map.size.y - maxY - offset.y / map.tileSize.y);
+    const tileLayers = new Map;
+    for (const chunk of chunks)
+    {
+        const data = tiledDecodeData(chunk.data, layer.encoding, layer.compression);
+        ASSERT(data.length === chunk.width * chunk.height, 'tile layer data does not match its size');
+        for (let i = data.length; i--;)
+        {
+            const gid = data[i];
+            const tile = map.getTile(gid);
+            if (!tile) continue;
+
+            // create a layer the first time a tileset is used
+            let tileLayer = tileLayers.get(tile.tileset);
+            if (!tileLayer)
+            {
+                tileLayer = new TileCollisionLayer(pos, size, tile.tileset.tileInfo, renderOrder);
+                tileLayers.set(tile.tileset, tileLayer);
+            }
+
+            const flip = (gid & tiledFlipHorizontal ? 4 : 0) | (gid & tiledFlipVertical ? 2 : 0) | (gid & tiledFlipDiagonal ? 1 : 0);
+            const [direction, mirror] = tiledFlipTransforms[flip];
+            const x = chunk.x + i % chunk.width, y = chunk.y + (i / chunk.width | 0);
+            const layerPos = vec2(x - minX, maxY - 1 - y);
+            if (visible)
+                tileLayer.setData(layerPos, new TileLayerData(tile.id, direction, mirror, color));
+            if (layerCollision)
+            {
+                const collision = tile.properties.collision ?? layerCollision;
+                const shapeType = tile.properties.collisionShape;
+                const shape = shapeType ? new TileCollisionShape(shapeType, direction, mirror) : undefined;
+                collision && tileLayer.setCollisionData(layerPos, +collision, shape);
+            }
+        }
+    }
+
+    // keep layers in tileset order so they always draw the same
+    for (const tileset of map.tilesets)
+    {
+        const tileLayer = tileLayers.get(tileset);
+        if (!tileLayer) continue;
+
+        // tiled frame durations are in milliseconds
+        for (const [id, tile] of tileset.tiles)
+            if (tile.animation && tile.animation.length)
+                tileLayer.setTileAnimation(id, tile.animation.map(f=> f.tileid),
+                    tile.animation.map(f=> f.duration / 1000));
+        draw && tileLayer.redraw();
+        info.tileLayers.push(tileLayer);
+        map.tileLayers.push(tileLayer);
+    }
+}
+
+// convert objects to world space and spawn registered types
+function tiledMapLoadObjectLayer(map, info, layer, offset, spawned)
+{
+    const tileSize = map.tileSize;
+    for (const object of layer.objects || [])
+    {
+        // tile objects start at the bottom left, shapes at the top left, points have no size
+        const tile = object.gid ? map.getTile(object.gid) : undefined;
+        const width = object.width || 0, height = object.height || 0;
+        const isPoint = object.point || object.polygon || object.polyline;
+        const centerX = isPoint ? 0 : width/2;
+        const centerY = isPoint ? 0 : tile ? -height/2 : height/2;
+
+        // rotate around the origin, tiled rotation is clockwise in degrees
+        const angle = (object.rotation || 0) * PI / 180;
+        const c = cos(angle), s = sin(angle);
+        const x = object.x + offset.x + centerX*c - centerY*s;
+        const y = object.y + offset.y + centerX*s + centerY*c;
+        const points = object.polygon || object.polyline;
+
+        const rawProperties = [...(object.properties || [])];
+        const objectInfo =
+        {
+            id: object.id,
+            name: object.name || '',
+            type: object.type || object.class || tile?.type || '',
+            pos: vec2(x / tileSize.x, map.size.y - y / tileSize.y),
+            size: vec2(width / tileSize.x, height / tileSize.y),
+            angle,
+            properties: {...tile?.properties, ...tiledGetProperties(rawProperties)},
+            points: points && points.map(p=> vec2(p.x / tileSize.x, -p.y / tileSize.y)),
+            tileInfo: tile && tile.tileset.tileInfo.index(tile.id),
+            mirror: !!(object.gid & tiledFlipHorizontal),
+            layer: info.name,
+            object: undefined,
+        };
+        if (tile && object.gid & tiledFlipVertical)
+        {
+            // vertical flip is a mirror rotated upside down
+            objectInfo.mirror = !objectInfo.mirror;
+            objectInfo.angle += PI;
+        }
+
+        const classType = tiledObjectClasses.get(objectInfo.type);
+        if (classType)
+        {
+            // spawn and set custom properties as members
+            const size = width || height ? objectInfo.size : undefined;
+            const o = objectInfo.object = new classType(objectInfo.pos.copy(), size);
+            o.angle = objectInfo.angle;
+            if (objectInfo.tileInfo)
+            {
+                o.tileInfo = objectInfo.tileInfo;
+                o.mirror = objectInfo.mirror;
+            }
+            Object.assign(o, objectInfo.properties);
+            spawned.set(object.id, {object: o, properties: rawProperties});
+        }
+        info.objects.push(objectInfo);
+        map.objects.push(objectInfo);
+    }
+}
+
+// get tile gids from an array or base64 string
+function tiledDecodeData(data, encoding, compression)
+{
+    if (isArray(data))
+        return data;
+
+    ASSERT(encoding === 'base64', 'unknown Tiled tile data encoding', encoding);
+    ASSERT(!compression, 'compressed Tiled tile data is not supported, export as CSV or uncompressed Base64');
+    const bytes = atob(data.trim());
+    const gids = [];
+    for (let i = 0; i < bytes.length; i += 4)
+        gids.push((bytes.charCodeAt(i) | bytes.charCodeAt(i+1) << 8 |
+            bytes.charCodeAt(i+2) << 16 | bytes.charCodeAt(i+3) << 24) >>> 0);
+    return gids;
+}
+
+// convert a list of Tiled properties to an object
+function tiledGetProperties(properties=[])
+{
+    const result = {};
+    for (const p of properties)
+        result[p.name] = p.type === 'color' ? tiledGetColor(p.value) : p.value;
+    return result;
+}
+
+// convert a Tiled color that may have alpha first
+function tiledGetColor(hex)
+{
+    if (!hex) return;
+    return new Color().setHex(hex.length === 9 ? '#' + hex.slice(3) + hex.slice(1, 3) : hex);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Tiled XML parsing
+
+// parse xml into a tree of {name, attributes, children, text} without using a DOM
+function tiledParseXML(text)
+{
+    const root = {name: '', attributes: {}, children: [], text: ''};
+    const stack = [root];
+    const tagRegex = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>/g;
+    let textStart = 0;
+    for (let match; (match = tagRegex.exec(text));)
+    {
+        const parent = stack[stack.length - 1];
+        parent.text += tiledDecodeXML(text.slice(textStart, match.index));
+        textStart = tagRegex.lastIndex;
+        if (match[5] !== undefined)
+            parent.text += match[5]; // cdata
+        else if (!match[2])
+            continue; // comment or declaration
+        else if (match[1])
+        {
+            ASSERT(parent.name === match[2], 'mismatched xml closing tag', match[2]);
+            stack.pop();
+        }
+        else
+        {
+            const element = {name: match[2], attributes: {}, children: [], text: ''};
+            for (const [, key, value1, value2] of match[3].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g))
+                element.attributes[key] = tiledDecodeXML(value1 ?? value2);
+            parent.children.push(element);
+            match[4] || stack.push(element);
+        }
+    }
+    ASSERT(stack.length === 1, 'unclosed xml tag');
+    return root.children[0];
+}
+
+// replace xml entities
+function tiledDecodeXML(text)
+{
+    const entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+    return text.replace(/&(#x[\da-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, entity)=>
+        entity[0] !== '#' ? entities[entity] :
+        String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X' ?
+            parseInt(entity.slice(2), 16) : parseInt(entity.slice(1))));
+}
+
+// convert tmx elements to the Tiled JSON format
+function tiledXMLToMap(element)
+{
+    const a = element.attributes;
+    return {
+        width: +a.width,
+        height: +a.height,
+        tilewidth: +a.tilewidth,
+        tileheight: +a.tileheight,
+        infinite: a.infinite === '1',
+        orientation: a.orientation,
+        properties: tiledXMLToProperties(element),
+        tilesets: element.children.filter(e=> e.name === 'tileset').map(tiledXMLToTileset),
+        layers: tiledXMLToLayers(element),
+    };
+}
+
+function tiledXMLToTileset(element)
+{
+    const a = element.attributes;
+    const image = element.children.find(e=> e.name === 'image');
+    return {
+        firstgid: a.firstgid === undefined ? undefined : +a.firstgid,
+        source: a.source,
+        name: a.name,
+        tilewidth: +a.tilewidth,
+        tileheight: +a.tileheight,
+        spacing: +a.spacing || 0,
+        margin: +a.margin || 0,
+        columns: +a.columns || 0,
+        tilecount: +a.tilecount || 0,
+        image: image?.attributes.source,
+        imagewidth: image ? +image.attributes.width : 0,
+        imageheight: image ? +image.attributes.height : 0,
+        properties: tiledXMLToProperties(element),
+        tiles: element.children.filter(e=> e.name === 'tile').map(e=>
+        ({
+            id: +e.attributes.id,
+            type: e.attributes.type ?? e.attributes.class,
+            properties: tiledXMLToProperties(e),
+            animation: e.children.find(c=> c.name === 'animation')?.children
+                .filter(c=> c.name === 'frame').map(c=> ({tileid: +c.attributes.tileid, duration: +c.attributes.duration})),
+        })),
+    };
+}
+
+function tiledXMLToLayers(element)
+{
+    const layers = [];
+    for (const e of element.children)
+    {
+        const a = e.attributes;
+        const layer =
+        {
+            name: a.name,
+            type: {layer: 'tilelayer', objectgroup: 'objectgroup', group: 'group', imagelayer: 'imagelayer'}[e.name],
+            x: +a.x || 0,
+            y: +a.y || 0,
+            width: +a.width || 0,
+            height: +a.height || 0,
+            offsetx: +a.offsetx || 0,
+            offsety: +a.offsety || 0,
+            opacity: a.opacity === undefined ? 1 : +a.opacity,
+            visible: a.visible !== '0',
+            tintcolor: a.tintcolor,
+            properties: tiledXMLToProperties(e),
+        };
+        if (!layer.type)
+            continue;
+
+        if (layer.type === 'tilelayer')
+        {
+            const data = e.children.find(c=> c.name === 'data');
+            const encoding = data?.attributes.encoding, compression = data?.attributes.compression;
+            const chunks = data ? data.children.filter(c=> c.name === 'chunk') : [];
+            if (chunks.length)
+                layer.chunks = chunks.map(chunk=>
+                ({
+                    x: +chunk.attributes.x,
+                    y: +chunk.attributes.y,
+                    width: +chunk.attributes.width,
+                    height: +chunk.attributes.height,
+                    data: tiledXMLToData(chunk, encoding, compression),
+                }));
+            else
+                layer.data = data ? tiledXMLToData(data, encoding, compression) : [];
+        }
+        else if (layer.type === 'objectgroup')
+            layer.objects = e.children.filter(c=> c.name === 'object').map(tiledXMLToObject);
+        else if (layer.type === 'group')
+            layer.layers = tiledXMLToLayers(e);
+        layers.push(layer);
+    }
+    return layers;
+}
+
+function tiledXMLToData(element, encoding, compression)
+{
+    if (encoding === 'csv')
+        return element.text.split(',').map(v=> +v);
+    if (encoding === 'base64')
+        return tiledDecodeData(element.text, encoding, compression);
+    return element.children.filter(e=> e.name === 'tile').map(e=> +e.attributes.gid || 0);
+}
+
+function tiledXMLToObject(element)
+{
+    const a = element.attributes;
+    const child = (name)=> element.children.find(e=> e.name === name);
+    const getPoints = (e)=> e && e.attributes.points.trim().split(/\s+/).map(point=>
+    {
+        const [x, y] = point.split(',');
+        return {x: +x, y: +y};
+    });
+    return {
+        id: +a.id,
+        name: a.name || '',
+        type: a.type ?? a.class ?? '',
+        x: +a.x || 0,
+        y: +a.y || 0,
+        width: +a.width || 0,
+        height: +a.height || 0,
+        rotation: +a.rotation || 0,
+        gid: a.gid === undefined ? undefined : +a.gid,
+        visible: a.visible !== '0',
+        point: !!child('point'),
+        ellipse: !!child('ellipse'),
+        polygon: getPoints(child('polygon')),
+        polyline: getPoints(child('polyline')),
+        properties: tiledXMLToProperties(element),
+    };
+}
+
+function tiledXMLToProperties(element)
+{
+    const properties = element.children.find(e=> e.name === 'properties');
+    if (!properties) return [];
+    return properties.children.filter(e=> e.name === 'property').map(e=>
+    {
+        const a = e.attributes, type = a.type || 'string';
+        const text = a.value ?? e.text;
+        const value = type === 'int' || type === 'float' || type === 'object' ? +text :
+            type === 'bool' ? text === 'true' :
+            type === 'class' ? tiledGetProperties(tiledXMLToProperties(e)) : text;
+        return {name: a.name, type, value};
+    });
+}
@@ -235,6 +235,10 @@ async function engineInit(gameInit, gameUpdate, gameUpdatePost, gameRender, game
         // update multiple frames if necessary in case of slow framerate
         for (; frameTimeBufferMS >= 0; frameTimeBufferMS -= 1e3 / frameRate)
         {
+            // save world state for rewinding before the frame is simulated
+            if (!paused && engineRewindFrames)
+                engineRewindSave();
+
             // increment frame and update time, paused does not advance time
             if (!paused)
                 time = frame++ / frameRate;
@@ -243,6 +247,7 @@ async function engineInit(gameInit, gameUpdate, gameUpdatePost, gameRender, game
             wasUpdated = true;
             updateCanvas();
             inputUpdate();
+            engineBroadphaseSync();
             if (!paused)
                 gameUpdate();
             pluginList.forEach(plugin=>plugin.update?.());
@@ -294,12 +299,15 @@ async function engineInit(gameInit, gameUpdate, gameUpdatePost, gameRender, game
             if (!wasUpdated)
                 updateCanvas();
 
-            // render the game and objects
+            // render the game and objects, once for each viewport if there are any
             enginePreRender();
-            gameRender();
-            engineObjects.sort((a,b)=> a.renderOrder - b.renderOrder);
-            for (const o of engineObjects)
-                o.destroyed || o.render();
+            viewportsRender(()=>
+            {
+                gameRender();
+                engineObjects.sort((a,b)=> a.renderOrder - b.renderOrder);
+                for (const o of engineObjects)
+                    o.destroyed || o.render();
+            });
 
             // post rendering
             gameRenderPost();
@@ -519,11 +527,17 @@ function engineObjectsUpdate()
 {
     // get list of solid objects for physics optimization
     engineObjectsCollide = engineObjects.filter(o=>o.collideSolidObjects);
+    engineBroadphaseBuild();
 
     // update physics before object update
     for (const o of engineObjects)
+    {
         if (!o.parent && !o.destroyed)
+        {
             o.updatePhysics();
+            engineBroadphaseMove(o);
+        }
+    }
 
     // recursive object update
     function updateChildObject(o)
@@ -534,6 +548,14 @@ function engineObjectsUpdate()
         for (const child of o.children)
             updateChildObject(child);
     }
+    function moveChildObjects(o)
+    {
+        for (const child of o.children)
+        {
+            engineBroadphaseMove(child);
+            moveChildObjects(child);
+        }
+    }
     for (const o of engineObjects)
     {
         if (o.parent || o.destroyed) continue;
@@ -543,10 +565,17 @@ function engineObjectsUpdate()
         for (const child of o.children)
             updateChildObject(child);
         o.updateTransforms();
+
+        // move in the hash so queries later this frame find it
+        engineBroadphaseMove(o);
+        moveChildObjects(o);
     }
 
     // remove destroyed objects
     engineObjects = engineObjects.filter(o=>!o.destroyed);
+
+    // rebuild broadphase for queries after objects moved
+    engineBroadphaseBuild();
 }
 
 /** Destroy and remove all objects
@@ -579,12 +608,14 @@ function engineObjectsCollect(pos, size, objects=engineObjects)
     else if (size instanceof Vector2)
     {
         // bounding box test
+        objects = engineBroadphaseQuery(pos, size, objects);
         for (const o of objects)
             o.isOverlapping(pos, size) && collectedObjects.push(o);
     }
     else
     {
         // circle test
+        objects = engineBroadphaseQuery(pos, vec2(size*2), objects);
         const sizeSquared = size*size;
         for (const o of objects)
             pos.distanceSquared(o.pos) < sizeSquared && collectedObjects.push(o);
@@ -616,9 +647,10 @@ function engineObjectsCallback(pos, size, callbackFunction, objects=engineObject
 function engineObjectsRaycast(start, end, objects=engineObjects)
 {
     const hitObjects = [];
+    objects = engineBroadphaseQuery(start.add(end).scale(.5), end.subtract(start).abs(), objects);
     for (const o of objects)
     {
-        if (o.collideRaycast && isIntersecting(start, end, o.pos, o.size))
+        if (o.collideRaycast && o.isIntersecting(start, end))
         {
             debugRaycast && debugRect(o.pos, o.size, '#f00');
             hitObjects.push(o);
@@ -627,4 +659,444 @@ function engineObjectsRaycast(start, end, objects=engineObjects)
 
     debugRaycast && debugLine(start, end, hitObjects.length ? '#f00' : '#00f', .02);
     return hitObjects;
-}
\ No newline at end of file
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Engine object broadphase
+// spatial hash of object bounds so area tests only check nearby objects
+// - rebuilt before physics and after objects update
+// - objects are moved in the hash as physics moves them and after they update
+// - objects moved between frames are moved in the hash before the game updates
+// - objects created since the last build are always checked
+// - results are in the order objects were found, not the object list order
+
+// map of cell key to list of records of objects overlapping that cell
+const engineBroadphaseCells = new Map;
+
+// record of each object in the hash, holds its cell range and the last query that found it
+const engineBroadphaseRecords = new Map;
+
+// records of objects too large to put in cells, they are always checked
+let engineBroadphaseLarge = [];
+
+// how many objects were in the list when the hash was built
+let engineBroadphaseCount = 0;
+
+// the object list the hash was built from
+let engineBroadphaseObjects;
+
+// increases each query so objects in several cells are only found once
+let engineBroadphaseStamp = 0;
+
+// max cells an object can cover before it is treated as large
+const engineBroadphaseMaxCells = 64;
+
+// get the cell range covered by a bounding box
+function engineBroadphaseGetRange(pos, size)
+{
+    const s = objectBroadphaseCellSize;
+    return [floor((pos.x - size.x/2)/s), floor((pos.y - size.y/2)/s),
+        floor((pos.x + size.x/2)/s), floor((pos.y + size.y/2)/s)];
+}
+
+// get size of the box around an object that covers its size and collision shape
+function engineBroadphaseGetSize(o)
+{
+    const size = o.getCollisionSize();
+    return size === o.size ? size : vec2(max(size.x, o.size.x), max(size.y, o.size.y));
+}
+
+// get the cell key for a cell position, strings so there are no collisions in large worlds
+function engineBroadphaseGetKey(x, y) { return x + ',' + y; }
+
+// rebuild the hash from engineObjects
+function engineBroadphaseBuild()
+{
+    engineBroadphaseCells.clear();
+    engineBroadphaseRecords.clear();
+    engineBroadphaseLarge = [];
+    engineBroadphaseCount = 0;
+    engineBroadphaseObjects = undefined;
+    if (!objectBroadphaseCellSize)
+        return;
+
+    engineBroadphaseObjects = engineObjects;
+    engineBroadphaseCount = engineObjects.length;
+    for (const o of engineObjects)
+    {
+        const record = {object: o, range: undefined, stamp: 0};
+        engineBroadphaseRecords.set(o, record);
+        engineBroadphaseInsert(record);
+    }
+}
+
+// add an object record to the hash
+function engineBroadphaseInsert(record)
+{
+    const o = record.object;
+    const range = record.range = engineBroadphaseGetRange(o.pos, engineBroadphaseGetSize(o));
+    const [x0, y0, x1, y1] = range;
+    if ((x1-x0+1)*(y1-y0+1) > engineBroadphaseMaxCells)
+    {
+        engineBroadphaseLarge.push(record);
+        return;
+    }
+    for (let y = y0; y <= y1; ++y)
+    for (let x = x0; x <= x1; ++x)
+    {
+        const key = engineBroadphaseGetKey(x, y);
+        const cell = engineBroadphaseCells.get(key);
+        cell ? cell.push(record) : engineBroadphaseCells.set(key, [record]);
+    }
+}
+
+// remove an object record from the hash
+function engineBroadphaseRemove(record)
+{
+    const [x0, y0, x1, y1] = record.range;
+    if ((x1-x0+1)*(y1-y0+1) > engineBroadphaseMaxCells)
+    {
+        engineBroadphaseLarge = engineBroadphaseLarge.filter(r=>r !== record);
+        return;
+    }
+    for (let y = y0; y <= y1; ++y)
+    for (let x = x0; x <= x1; ++x)
+    {
+        const key = engineBroadphaseGetKey(x, y);
+        const cell = engineBroadphaseCells.get(key);
+        cell.splice(cell.indexOf(record), 1);
+        cell.length || engineBroadphaseCells.delete(key);
+    }
+}
+
+// update the cells of an object after it moves
+function engineBroadphaseMove(o)
+{
+    const record = engineBroadphaseRecords.get(o);
+    if (!record || o.destroyed)
+        return;
+
+    const range = record.range;
+    const newRange = engineBroadphaseGetRange(o.pos, engineBroadphaseGetSize(o));
+    if (range[0] !== newRange[0] || range[1] !== newRange[1] ||
+        range[2] !== newRange[2] || range[3] !== newRange[3])
+    {
+        engineBroadphaseRemove(record);
+        engineBroadphaseInsert(record);
+    }
+}
+
+// move every object in the hash, called once per frame before the game updates
+function engineBroadphaseSync()
+{
+    if (engineBroadphaseObjects !== engineObjects)
+        return;
+    for (let i = 0; i < engineBroadphaseCount; ++i)
+        engineBroadphaseMove(engineObjects[i]);
+}
+
+// get objects that may overlap an area, returns the list passed in if the hash can't be used
+function engineBroadphaseQuery(pos, size, objects)
+{
+    if (engineBroadphaseObjects !== engineObjects ||
+        objects !== engineObjects && objects !== engineObjectsCollide)
+        return objects;
+
+    // check every object if the area covers more cells than there are objects
+    const [x0, y0, x1, y1] = engineBroadphaseGetRange(pos, size);
+    if ((x1-x0+1)*(y1-y0+1) > objects.length)
+        return objects;
+
+    // stamp found records so objects in several cells are only added once
+    const stamp = ++engineBroadphaseStamp;
+    const solidOnly = objects === engineObjectsCollide;
+    const results = [];
+    const addRecord = (record)=>
+    {
+        if (record.stamp === stamp)
+            return;
+        record.stamp = stamp;
+        const o = record.object;
+        (!solidOnly || o.collideSolidObjects) && results.push(o);
+    };
+    for (const record of engineBroadphaseLarge)
+        addRecord(record);
+    for (let y = y0; y <= y1; ++y)
+    for (let x = x0; x <= x1; ++x)
+    {
+        const cell = engineBroadphaseCells.get(engineBroadphaseGetKey(x, y));
+        if (cell)
+            for (const record of cell)
+                addRecord(record);
+    }
+    if (solidOnly)
+        return results;
+
+    // add objects created since the hash was built
+    for (let i = engineBroadphaseCount; i < objects.length; ++i)
+        results.push(objects[i]);
+    return results;
+}
+
+// draw occupied cells for the debug overlay
+function engineBroadphaseDebugRender()
+{
+    const s = objectBroadphaseCellSize;
+    for (const [key, cell] of engineBroadphaseCells)
+    {
+        const [x, y] = key.split(',').map(Number);
+        const pos = vec2(x + .5, y + .5).scale(s);
+        debugRect(pos, vec2(s), '#0f08');
+        debugText(cell.length, pos, s/4, '#0f0');
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Engine object serialization
+
+// registered classes that can be saved, maps class to name
+const engineObjectClasses = new Map;
+
+/** Register a class so its objects are saved by engineObjectsSerialize
+ *  - Serialization is opt in, objects of classes that are not registered are skipped
+ *  - Registered classes must be constructible with no parameters
+ *  - Children created by a constructor should not be registered or they will be restored twice
+ *  @param {Function} classType - EngineObject or a class that extends it
+ *  @param {string} [name] - Unique name to save, pass a name if the code will be minified
+ *  @memberof Engine
+ *  @example
+ *  engineObjectsRegisterClass(Player, 'Player');
+ *  const snapshot = engineObjectsSerialize();
+ *  engineObjectsDestroy();
+ *  engineObjectsDeserialize(snapshot); */
+function engineObjectsRegisterClass(classType, name=classType.name)
+{
+    ASSERT(classType === EngineObject || classType.prototype instanceof EngineObject,
+        'registered class must extend EngineObject');
+    ASSERT(isStringLike(name) && name.length > 0, 'registered class needs a name');
+    ASSERT(![...engineObjectClasses].find(([c, n])=> n === name && c !== classType),
+        'class name is already registered', name);
+    engineObjectClasses.set(classType, name);
+}
+
+/** Save objects to a JSON compatible snapshot
+ *  - Only objects of registered classes are saved
+ *  - Parent and child links between saved objects are kept
+ *  - See EngineObject.serialize for what properties are saved
+ *  - Arrays and plain objects holding values that can't be saved, like functions, are skipped
+ *  @param {Array<EngineObject>} [objects=engineObjects] - List of objects to save
+ *  @return {Object} - Snapshot that can be passed to JSON.stringify
+ *  @memberof Engine */
+function engineObjectsSerialize(objects=engineObjects)
+{
+    // assign ids to saved objects so references can be kept
+    const savedObjects = objects.filter(o=>
+        !o.destroyed && engineObjectClasses.has(o.constructor));
+    const ids = new Map(savedObjects.map((o, i)=> [o, i]));
+    return { objects: savedObjects.map(o=>
+    ({
+        class: engineObjectClasses.get(o.constructor),
+        parent: ids.get(o.parent),
+        data: o.serialize(ids),
+    }))};
+}
+
+/** Create objects from a snapshot made by engineObjectsSerialize
+ *  - Existing objects are not removed, call engineObjectsDestroy first to replace the world
+ *  @param {Object} snapshot - Snapshot or a JSON string of one
+ *  @return {Array<EngineObject>} - List of restored objects
+ *  @memberof Engine */
+function engineObjectsDeserialize(snapshot)
+{
+    if (typeof snapshot === 'string')
+        snapshot = JSON.parse(snapshot);
+    ASSERT(snapshot && Array.isArray(snapshot.objects), 'invalid object snapshot');
+
+    // create all objects first so references can be resolved
+    const classTypes = new Map([...engineObjectClasses].map(([c, n])=> [n, c]));
+    const objects = snapshot.objects.map(entry=>
+    {
+        const classType = classTypes.get(entry.class);
+        ASSERT(classType, 'class is not registered', entry.class);
+        return new classType;
+    });
+    snapshot.objects.forEach((entry, i)=> objects[i].deserialize(entry.data, objects));
+
+    // restore parent child links
+    snapshot.objects.forEach((entry, i)=>
+    {
+        const o = objects[i], parent = objects[entry.parent];
+        parent && parent.addChild(o, o.localPos, o.localAngle);
+    });
+    return objects;
+}
+
+// convert a value to a JSON compatible form, returns undefined if it can't be saved
+function engineObjectsSerializeValue(value, ids)
+{
+    if (value === undefined)
+        return {$:'undefined'};
+    if (value === null || typeof value !== 'object')
+        return typeof value === 'function' ? undefined : value;
+    if (value instanceof Vector2)
+        return {$:'Vector2', x:value.x, y:value.y};
+    if (value instanceof Color)
+        return {$:'Color', r:value.r, g:value.g, b:value.b, a:value.a};
+    if (value instanceof Timer)
+    {
+        // save time left so timers work after time is reset by a reload
+        const timeLeft = value.isSet() ? value.time - value.getGlobalTime() : undefined;
+        return {$:'Timer', timeLeft, setTime:value.setTime, useRealTime:value.useRealTime};
+    }
+    if (value instanceof TileInfo)
+    {
+        // tile info references its texture by index
+        const texture = textureInfos.indexOf(value.textureInfo);
+        return {$:'TileInfo', pos:[value.pos.x, value.pos.y], size:[value.size.x, value.size.y],
+            texture, padding:value.padding, bleed:value.bleed, columns:value.columns};
+    }
+    if (value instanceof EngineObject)
+    {
+        // references to objects that are not saved are cleared
+        const id = ids.get(value);
+        return id === undefined ? {$:'undefined'} : {$:'EngineObject', id};
+    }
+    if (Array.isArray(value))
+    {
+        // arrays holding values that can't be saved are skipped entirely,
+        // rewinding restores objects in place so they keep their current value
+        const data = value.map(v=> engineObjectsSerializeValue(v, ids));
+        return data.includes(undefined) ? undefined : data;
+    }
+    if (value.constructor === Object)
+    {
+        const data = {};
+        for (const key in value)
+        {
+            data[key] = engineObjectsSerializeValue(value[key], ids);
+            if (data[key] === undefined)
+                return;
+        }
+        return data;
+    }
+}
+
+// convert a saved value back to its original type
+function engineObjectsDeserializeValue(data, objects)
+{
+    if (data === null || typeof data !== 'object')
+        return data;
+    if (Array.isArray(data))
+        return data.map(v=> engineObjectsDeserializeValue(v, objects));
+    switch (data.$)
+    {
+        case 'undefined':
+            return undefined;
+        case 'Vector2':
+            return vec2(data.x, data.y);
+        case 'Color':
+            return new Color(data.r, data.g, data.b, data.a);
+        case 'Timer':
+        {
+            const timer = new Timer(undefined, data.useRealTime);
+            if (data.timeLeft !== undefined)
+                timer.time = timer.getGlobalTime() + data.timeLeft;
+            timer.setTime = data.setTime;
+            return timer;
+        }
+        case 'TileInfo':
+        {
+            const textureInfo = textureInfos[data.texture];
+            return new TileInfo(vec2(...data.pos), vec2(...data.size),
+                textureInfo, data.padding, data.bleed, data.columns);
+        }
+        case 'EngineObject':
+            return objects[data.id];
+    }
+    const value = {};
+    for (const key in data)
+        value[key] = engineObjectsDeserializeValue(data[key], objects);
+    return value;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Engine rewind
+
+// world state saved at the start of each frame, oldest first
+const engineRewindSnapshots = [];
+
+// save the current world state to the rewind buffer
+function engineRewindSave()
+{
+    const objects = engineObjects.filter(o=> !o.destroyed);
+    const ids = new Map(objects.map((o, i)=> [o, i]));
+    engineRewindSnapshots.push(
+    {
+        frame, time, objects,
+        randSeed: getRandSeed(),
+        // tile layers are level data that is too large to copy every frame
+        data: objects.map(o=> o instanceof CanvasLayer ? undefined : o.serialize(ids)),
+        children: objects.map(o=> o.children.map(c=> ids.get(c))),
+    });
+    engineRewindSnapshots.splice(0, engineRewindSnapshots.length - engineRewindFrames);
+}
+
+/** Roll the world back to how it was at the start of a frame in the rewind buffer
+ *  - Set engineRewindFrames to how many frames should be kept
+ *  - Restores frame, time, the random seed, and the state of every object
+ *  - Objects made after that frame are removed and objects destroyed since come back
+ *  - Object state is saved with EngineObject.serialize so it can be extended
+ *  - Tile layer data and particles are not rewound
+ *  - Call engineStep or let the engine run to simulate again, input can be different
+ *  @param {number} targetFrame - Frame to go back to, see engineRewindGetFrames
+ *  @memberof Engine
+ *  @example
+ *  setEngineRewindFrames(300); // keep 5 seconds
+ *  // later roll back 1 second
+ *  engineRewind(frame - 60); */
+function engineRewind(targetFrame)
+{
+    const index = engineRewindSnapshots.findIndex(s=> s.frame === targetFrame);
+    ASSERT(index >= 0, 'frame is not in the rewind buffer', targetFrame);
+    if (index < 0) return;
+
+    // frames after this one will be simulated again
+    const snapshot = engineRewindSnapshots[index];
+    engineRewindSnapshots.length = index;
+    frame = snapshot.frame;
+    time = snapshot.time;
+    setRandSeed(snapshot.randSeed);
+
+    // remove objects that did not exist yet without calling destroy
+    const objects = snapshot.objects, saved = new Set(objects);
+    for (const o of engineObjects)
+        saved.has(o) || (o.destroyed = true);
+
+    // restore objects and their parent child links
+    objects.forEach((o, i)=>
+    {
+        const data = snapshot.data[i];
+        data && o.deserialize(data, objects);
+        o.destroyed = false;
+        o.parent = undefined;
+        o.children = [];
+    });
+    objects.forEach((o, i)=>
+    {
+        for (const id of snapshot.children[i])
+        {
+            o.children.push(objects[id]);
+            objects[id].parent = o;
+        }
+    });
+    engineObjects = [...objects];
+}
+
+/** Get the list of frames that can be rewound to, oldest first
+ *  @return {Array<number>}
+ *  @memberof Engine */
+function engineRewindGetFrames() { return engineRewindSnapshots.map(s=> s.frame); }
+
+/** Clear the rewind buffer, use when loading a level so it can't be rewound into
+ *  @memberof Engine */
+function engineRewindClear() { engineRewindSnapshots.length = 0; }
@@ -50,6 +50,16 @@ const enginePluginFiles =
     `${PLUGIN_FOLDER}/tweenSystem.js`,
     `${PLUGIN_FOLDER}/pathFinder.js`,
     `${PLUGIN_FOLDER}/threejs.js`,
+    `${PLUGIN_FOLDER}/sceneSystem.js`,
+    `${PLUGIN_FOLDER}/networkSystem.js`,
+    `${PLUGIN_FOLDER}/characterController.js`,
+    `${PLUGIN_FOLDER}/tiledMap.js`,
+    `${PLUGIN_FOLDER}/ldtkProject.js`,
+    `${PLUGIN_FOLDER}/autoTile.js`,
+    `${PLUGIN_FOLDER}/chunkedTileMap.js`,
+    `${PLUGIN_FOLDER}/levelEditor.js`,
+    `${PLUGIN_FOLDER}/particleEditor.js`,
+    `${PLUGIN_FOLDER}/cameraSystem.js`,
 ];
 const engineExtraFiles =
 [
@@ -44,7 +44,7 @@ let debugKey = 'Escape';
 let debugOverlay = false;
 
 // Engine internal variables not exposed to documentation
-let debugPrimitives = [], debugPhysics = false, debugRaycast = false, debugParticles = false, debugGamepads = false, debugSound = false, debugTakeScreenshot;
+let debugPrimitives = [], debugPhysics = false, debugRaycast = false, debugParticles = false, debugGamepads = false, debugSound = false, debugBroadphase = false, debugTakeScreenshot;
 
 ///////////////////////////////////////////////////////////////////////////////
 // Debug helper functions
@@ -286,6 +286,8 @@ function debugUpdate()
             debugScreenshot();
         if (keyWasPressed('Digit7'))
             debugSound = !debugSound;
+        if (keyWasPressed('Digit8'))
+            debugBroadphase = !debugBroadphase;
     }
     if (debugVideoCaptureIsActive())
     {
@@ -399,6 +401,9 @@ function debugRender()
         }
     }
 
+    if (debugBroadphase)
+        engineBroadphaseDebugRender();
+
     {
         // draw debug primitives
         debugContext.lineWidth = 2;
@@ -523,6 +528,8 @@ function debugRender()
             debugContext.fillText('6: Toggle Video Capture', x, y += h);
             debugContext.fillStyle = debugSound ? '#f00' : '#fff';
             debugContext.fillText('7: Debug Sound', x, y += h);
+            debugContext.fillStyle = debugBroadphase ? '#f00' : '#fff';
+            debugContext.fillText('8: Debug Broadphase', x, y += h);
 
             let keysPressed = '';
             let mousePressed = '';
@@ -558,6 +565,7 @@ function debugRender()
             debugContext.fillText(debugRaycast ? 'Debug Raycasts' : '', x, y += h);
             debugContext.fillText(debugGamepads ? 'Debug Gamepads' : '', x, y += h);
             debugContext.fillText(debugSound ? 'Debug Sound' : '', x, y += h);
+            debugContext.fillText(debugBroadphase ? 'Debug Broadphase' : '', x, y += h);
         }
 
         debugContext.restore();
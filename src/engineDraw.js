@@ -4,6 +4,7 @@
  * - Optimized tile sheet sprite rendering using WebGL batching
  * - Primitive drawing for polygons, ellipses, and lines
  * - Tile-based rendering with TileInfo and TextureInfo classes
+ * - Render textures for drawing offscreen then using the result as a texture
  * - Text rendering with custom fonts and ImageFont support
  * - Color and additive color blending for effects
  * - Rotation, mirroring, and scaling transformations
@@ -11,6 +12,7 @@
  * - Multiple canvas support (main, WebGL, work canvases)
  * - Gradient fills and outlined shapes
  * - Image manipulation and color tinting
+ * - Materials with custom shaders for per object effects
  *
  * Rendering Architecture:
  * - glCanvas: WebGL canvas for accelerated sprite batch rendering
@@ -355,6 +357,7 @@ function drawTile(pos, size=vec2(1), tileInfo, color=WHITE,
         ++primitiveCount;
         drawCanvas2D(pos, size, angle, mirror, (context)=>
         {
+            drawMaterial?.canvas2DCallback?.(context);
             if (textureInfo)
             {
                 // un-flip Y so the image renders right-side up under drawCanvas2D's Y flip
@@ -1205,6 +1208,515 @@ function isOnScreen(pos, size=0)
            y + size > -h && y - size < h;
 }
 
+///////////////////////////////////////////////////////////////////////////////
+// Render Textures
+
+/** Render texture currently being drawn to, undefined if drawing to the screen
+ *  @type {RenderTexture}
+ *  @memberof Draw */
+let drawRenderTexture;
+
+/**
+ * Render Texture - Offscreen texture that can be drawn to and then used like any other texture
+ * - Call begin and end or use render to draw into it with its own camera
+ * - Normal draw functions like drawTile and drawRect draw into it while it is active
+ * - Objects can be rendered into it by render order range with renderObjects
+ * - Use getTileInfo to draw it, it can be used for minimaps, portals, mirrors, and cached composites
+ * - Uses WebGL if available, otherwise draw functions use canvas 2D while it is active
+ * - Text and other canvas 2D only drawing is only captured when not using WebGL
+ * - The contents are lost if the WebGL context is lost
+ * @extends TextureInfo
+ * @memberof Draw
+ * @example
+ * // render a minimap of the level each frame
+ * const minimap = new RenderTexture(vec2(128));
+ * minimap.cameraPos = levelSize.scale(.5);
+ * minimap.cameraScale = 4;
+ * function gameRender()
+ * {
+ *     minimap.render(()=> minimap.renderObjects());
+ * }
+ * function gameRenderPost()
+ * {
+ *     drawTile(vec2(100), vec2(128), minimap.getTileInfo(), WHITE, 0, false, undefined, true, true);
+ * }
+ */
+class RenderTexture extends TextureInfo
+{
+    /** Create a render texture
+     *  @param {Vector2} [size=vec2(256)] - Size of the texture in pixels
+     *  @param {boolean} [useWebGL] - Should use WebGL if available? */
+    constructor(size=vec2(256), useWebGL=true)
+    {
+        ASSERT(isVector2(size) && size.x > 0 && size.y > 0, 'render texture size must be a positive Vector2');
+        const canvas = headlessMode ? undefined : new OffscreenCanvas(size.x, size.y);
+        super(canvas, useWebGL);
+
+        // size is kept in headless mode where there is no canvas
+        this.size = size.copy();
+        this.sizeInverse = vec2(1/size.x, 1/size.y);
+        /** @property {OffscreenCanvasRenderingContext2D} - Canvas 2D context used when not using WebGL */
+        this.context = canvas?.getContext('2d');
+        /** @property {Vector2} - Position of the camera in world space */
+        this.cameraPos = vec2();
+        /** @property {number} - Rotation angle of the camera */
+        this.cameraAngle = 0;
+        /** @property {number} - Scale of the camera in pixels per world unit */
+        this.cameraScale = cameraScale;
+        /** @property {Color} - Color to clear the texture to when drawing begins */
+        this.clearColor = CLEAR_BLACK.copy();
+
+        // settings saved while drawing into the texture
+        this.savedRenderSettings = undefined;
+        this.isUsingWebGL = false;
+    }
+
+    /** Start drawing into this texture, must be followed by end
+     *  @param {boolean} [clear] - Should the texture be cleared first */
+    begin(clear=true)
+    {
+        ASSERT(!drawRenderTexture, 'already drawing to a render texture');
+
+        // finish drawing to the screen and save render settings
+        glSetViewport();
+        this.savedRenderSettings = {drawContext, mainCanvasSize, cameraPos, cameraAngle, cameraScale, canvasClearColor, glEnable, glAdditive};
+        drawRenderTexture = this;
+        drawContext = this.context;
+        mainCanvasSize = this.size.copy();
+        cameraPos = this.cameraPos.copy();
+        cameraAngle = this.cameraAngle;
+        cameraScale = this.cameraScale;
+        canvasClearColor = this.clearColor;
+
+        this.isUsingWebGL = this.hasWebGL() && glEnable;
+        if (this.isUsingWebGL)
+            glSetRenderTarget(this.glTexture, clear);
+        else
+        {
+            // draw functions use canvas 2D so they draw into this texture's canvas
+            glEnable = false;
+            if (clear && this.context)
+            {
+                this.context.clearRect(0, 0, this.size.x, this.size.y);
+                this.context.fillStyle = this.clearColor.toString();
+                this.context.fillRect(0, 0, this.size.x, this.size.y);
+            }
+        }
+    }
+
+    /** Finish drawing into this texture and go back to drawing to the screen */
+    end()
+    {
+        ASSERT(drawRenderTexture === this, 'must call begin before end');
+
+        if (this.isUsingWebGL)
+        {
+            glSetRenderTarget();
+            glUpdateMipmaps(this);
+        }
+
+        // restore render settings
+        const saved = this.savedRenderSettings;
+        drawContext = saved.drawContext;
+        mainCanvasSize = saved.mainCanvasSize;
+        cameraPos = saved.cameraPos;
+        cameraAngle = saved.cameraAngle;
+        cameraScale = saved.cameraScale;
+        canvasClearColor = saved.canvasClearColor;
+        glEnable = saved.glEnable;
+        glAdditive = saved.glAdditive;
+        drawRenderTexture = this.savedRenderSettings = undefined;
+
+        // go back to the viewport being rendered if there is one
+        if (drawViewport)
+            glSetViewport(drawViewport.getScreenPos(), drawViewport.getScreenSize());
+        else if (this.isUsingWebGL)
+            glSetViewport();
+    }
+
+    /** Draw into this texture by calling a function between begin and end
+     *  - End is still called if the function throws
+     *  @param {Function} renderFunction
+     *  @param {boolean} [clear] - Should the texture be cleared first */
+    render(renderFunction, clear=true)
+    {
+        this.begin(clear);
+        try { renderFunction(); }
+        finally { this.end(); }
+    }
+
+    /** Render engine objects in a range of render orders, must be drawing into this texture
+     *  Objects are sorted by render order, objects that use this texture are skipped
+     *  @param {number} [minRenderOrder] - Lowest render order to include
+     *  @param {number} [maxRenderOrder] - Highest render order to include */
+    renderObjects(minRenderOrder=-Infinity, maxRenderOrder=Infinity)
+    {
+        ASSERT(drawRenderTexture === this, 'must call begin before rendering objects');
+
+        const objects = engineObjects.filter(o=> !o.destroyed &&
+            o.renderOrder >= minRenderOrder && o.renderOrder <= maxRenderOrder &&
+            o.tileInfo?.textureInfo !== this);
+        objects.sort((a,b)=> a.renderOrder - b.renderOrder);
+        for (const o of objects)
+            o.render();
+    }
+
+    /** Get a tile info that uses the whole texture
+     *  @return {TileInfo} */
+    getTileInfo() { return new TileInfo().setFullImage(this); }
+
+    /** Destroy the WebGL texture, the render texture should not be used after this */
+    destroy() { this.destroyWebGLTexture(); }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Materials
+
+/** Material used by draw calls, set with setMaterial
+ *  @type {Material}
+ *  @memberof Draw */
+let drawMaterial;
+
+/**
+ * Material - Custom fragment shader for sprites drawn with WebGL
+ * - Set with setMaterial or EngineObject.material, sprites are batched by material
+ * - The shader must define void mainMaterial(out vec4 c, vec2 uv)
+ * - Inputs: vUV, vLocal (0-1 position in the sprite), vColor, vAdditive, vUVRect (sprite uvs)
+ * - Uniforms: iChannel0 (texture), iTime, iTexelSize (size of a texel in uv space)
+ * - spriteTexture(uv) and spriteColor(uv) sample the texture clamped to the sprite,
+ *   spriteColor also applies the color and additive color like the default shader
+ * - Uniform values can be numbers, Vector2s, Colors, TextureInfos, arrays of 2-4 numbers,
+ *   or arrays of Vector2s or Colors for uniform arrays
+ * - Polygons and canvas 2D drawing do not use the shader, canvas2DCallback can
+ *   approximate it by changing the context before a tile is drawn
+ * @memberof Draw
+ * @example
+ * // tint sprites red based on a uniform
+ * const redMaterial = new Material(
+ *     'uniform float amount;' +
+ *     'void mainMaterial(out vec4 c, vec2 uv)' +
+ *     '{ c = spriteColor(uv); c.gb *= 1. - amount; }', {amount: .5});
+ * object.material = redMaterial;
+ */
+class Material
+{
+    /** Create a material
+     *  @param {string} shaderCode - GLSL code that defines mainMaterial and its uniforms
+     *  @param {Object} [uniforms] - Uniform values by name, can be changed at any time
+     *  @param {Canvas2DDrawFunction} [canvas2DCallback] - Called with the context before tiles are drawn without WebGL */
+    constructor(shaderCode, uniforms={}, canvas2DCallback)
+    {
+        ASSERT(typeof shaderCode === 'string', 'material shaderCode must be a string');
+        ASSERT(!canvas2DCallback || typeof canvas2DCallback === 'function', 'canvas2DCallback must be a function');
+
+        /** @property {string} - GLSL code that defines mainMaterial and its uniforms */
+        this.shaderCode = shaderCode;
+        /** @property {Object} - Uniform values by name */
+        this.uniforms = uniforms;
+        /** @property {Canvas2DDrawFunction} - Called with the context before tiles are drawn without WebGL */
+        this.canvas2DCallback = canvas2DCallback;
+    }
+
+    /** Set a uniform value
+     *  @param {string} name
+     *  @param {number|Vector2|Color|TextureInfo|Array<number>|Array<Vector2>|Array<Color>} value
+     *  @return {Material} */
+    setUniform(name, value)
+    {
+        ASSERT(typeof name === 'string', 'uniform name must be a string');
+        this.uniforms[name] = value;
+        return this;
+    }
+}
+
+/** Set the material for tiles drawn after this, undefined to use the default shader
+ *  @param {Material} [material]
+ *  @memberof Draw */
+function setMaterial(material)
+{
+    ASSERT(!material || material instanceof Material, 'material must be a Material');
+    drawMaterial = material;
+}
+
+/** Create a material that dissolves sprites with noise
+ *  Canvas 2D fades the sprite out instead
+ *  @param {number} [amount] - How much is dissolved (0-1)
+ *  @param {Color}  [edgeColor] - Color of the edge being dissolved
+ *  @param {number} [edgeWidth] - Width of the edge in noise space
+ *  @param {number} [noiseScale] - Scale of the noise across the sprite
+ *  @return {Material}
+ *  @memberof Draw */
+function materialDissolve(amount=.5, edgeColor=rgb(1,.5,0), edgeWidth=.1, noiseScale=8)
+{
+    const material = new Material(
+        'uniform float amount,edgeWidth,noiseScale;uniform vec4 edgeColor;' +
+        'float hash(vec2 p){return fract(sin(dot(p,vec2(12.9898,78.233)))*43758.5453);}' +
+        'float valueNoise(vec2 p){vec2 i=floor(p),f=fract(p);f*=f*(3.-2.*f);' +
+        'return mix(mix(hash(i),hash(i+vec2(1,0)),f.x),mix(hash(i+vec2(0,1)),hash(i+1.),f.x),f.y);}' +
+        'void mainMaterial(out vec4 c,vec2 uv){c=spriteColor(uv);' +
+        'float n=valueNoise(vLocal*noiseScale)-amount;if(n<0.)discard;' +
+        'if(amount>0.&&n<edgeWidth)c.rgb=mix(c.rgb,edgeColor.rgb,edgeColor.a);}',
+        {amount, edgeColor:edgeColor.copy(), edgeWidth, noiseScale},
+        (context)=> context.filter = `opacity(${1 - clamp(material.uniforms.amount)})`);
+    return material;
+}
+
+/** Create a material that draws an outline around opaque pixels
+ *  The outline is inside the sprite's bounds so sprites need transparent padding
+ *  @param {Color}  [color] - Color of the outline
+ *  @param {number} [width] - Width of the outline in texels
+ *  @return {Material}
+ *  @memberof Draw */
+function materialOutline(color=WHITE, width=1)
+{
+    return new Material(
+        'uniform vec4 outlineColor;uniform float width;' +
+        'void mainMaterial(out vec4 c,vec2 uv){c=spriteColor(uv);float a=0.;' +
+        'for(int i=0;i<8;++i){float r=float(i)*.7854;' +
+        'a=max(a,spriteTexture(uv+vec2(cos(r),sin(r))*iTexelSize*width).a);}' +
+        'c=mix(c,outlineColor,step(.5,a)*(1.-c.a));}',
+        {outlineColor:color.copy(), width});
+}
+
+/** Create a material that flashes sprites to a color, like when they are hit
+ *  Canvas 2D brightens the sprite instead
+ *  @param {Color}  [color] - Color to flash
+ *  @param {number} [amount] - How much of the color to use (0-1)
+ *  @return {Material}
+ *  @memberof Draw */
+function materialFlash(color=WHITE, amount=1)
+{
+    const material = new Material(
+        'uniform vec4 flashColor;uniform float amount;' +
+        'void mainMaterial(out vec4 c,vec2 uv){c=spriteColor(uv);' +
+        'c.rgb=mix(c.rgb,flashColor.rgb,amount*flashColor.a);}',
+        {flashColor:color.copy(), amount},
+        (context)=> context.filter = `brightness(${1 + 4*clamp(material.uniforms.amount)})`);
+    return material;
+}
+
+/** Create a material that replaces colors in the texture before it is tinted
+ *  @param {Array<Color>} fromColors - Colors to replace, up to 8
+ *  @param {Array<Color>} toColors - Colors to replace them with
+ *  @param {number} [tolerance] - How close texture colors must be to match
+ *  @return {Material}
+ *  @memberof Draw */
+function materialPaletteSwap(fromColors, toColors, tolerance=.02)
+{
+    ASSERT(fromColors.length === toColors.length, 'palette swap needs the same number of colors');
+    ASSERT(fromColors.length > 0 && fromColors.length <= 8, 'palette swap supports 1 to 8 colors');
+    return new Material(
+        'uniform vec4 fromColors[8],toColors[8];uniform float count,tolerance;' +
+        'void mainMaterial(out vec4 c,vec2 uv){vec4 t=spriteTexture(uv);' +
+        'for(int i=0;i<8;++i)if(float(i)<count&&distance(t.rgb,fromColors[i].rgb)<=tolerance)' +
+        '{t.rgb=toColors[i].rgb;break;}c=t*vColor+vAdditive;}',
+        {fromColors:fromColors.map(c=>c.copy()), toColors:toColors.map(c=>c.copy()), count:fromColors.length, tolerance});
+}
+
+/** Create a material that distorts sprites with moving waves
+ *  @param {number} [amount] - Size of the waves as a fraction of the sprite
+ *  @param {number} [frequency] - Number of waves across the sprite
+ *  @param {number} [speed] - How fast the waves move
+ *  @return {Material}
+ *  @memberof Draw */
+function materialDistortion(amount=.02, frequency=10, speed=4)
+{
+    return new Material(
+        'uniform float amount,frequency,speed;' +
+        'void mainMaterial(out vec4 c,vec2 uv){float t=iTime*speed;' +
+        'vec2 o=vec2(sin(vLocal.y*frequency+t),cos(vLocal.x*frequency+t))*amount;' +
+        'c=spriteColor(uv+o*(vUVRect.zw-vUVRect.xy));}',
+        {amount, frequency, speed});
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Viewports
+
+/** Viewports that split the screen, the whole canvas uses the main camera if empty
+ *  @type {Array<Viewport>}
+ *  @memberof Draw */
+const engineViewports = [];
+
+/** Viewport currently being rendered, undefined outside of viewport rendering
+ *  @type {Viewport}
+ *  @memberof Draw */
+let drawViewport;
+
+// size of the main canvas while a viewport has replaced mainCanvasSize
+let viewportCanvasSize;
+
+/**
+ * Viewport - Area of the screen that renders the world with its own camera
+ * - Used for split screen, every viewport renders the same objects and tile layers
+ * - If there are viewports, gameRender and objects render once for each viewport
+ * - gameRenderPost, plugins, and debug drawing render once over the whole canvas with the main camera
+ * - While a viewport renders, mainCanvasSize and screen space drawing are relative to it
+ * - Position and size are fractions of the main canvas so they work at any resolution
+ * - Use screenToWorld or getMousePos on a viewport for mouse picking
+ * @memberof Draw
+ * @example
+ * // two player split screen
+ * const left = new Viewport(vec2(0, 0), vec2(.5, 1));
+ * const right = new Viewport(vec2(.5, 0), vec2(.5, 1));
+ * left.cameraPos = player1.pos.copy();
+ * right.cameraPos = player2.pos.copy();
+ */
+class Viewport
+{
+    /** Create a viewport and add it to the viewport list, it starts with the main camera
+     *  @param {Vector2} [pos=vec2()] - Top left of the viewport as a fraction of the main canvas
+     *  @param {Vector2} [size=vec2(1)] - Size of the viewport as a fraction of the main canvas */
+    constructor(pos=vec2(), size=vec2(1))
+    {
+        ASSERT(isVector2(pos) && isVector2(size), 'pos and size must be Vector2s');
+
+        /** @property {Vector2} - Top left of the viewport as a fraction of the main canvas */
+        this.pos = pos.copy();
+        /** @property {Vector2} - Size of the viewport as a fraction of the main canvas */
+        this.size = size.copy();
+        /** @property {Vector2} - Position of the camera in world space */
+        this.cameraPos = cameraPos.copy();
+        /** @property {number} - Rotation angle of the camera */
+        this.cameraAngle = cameraAngle;
+        /** @property {number} - Scale of the camera in pixels per world unit */
+        this.cameraScale = cameraScale;
+        /** @property {boolean} - Should the viewport be rendered */
+        this.visible = true;
+        engineViewports.push(this);
+    }
+
+    /** Get the top left of the viewport in screen pixels
+     *  @return {Vector2} */
+    getScreenPos()
+    {
+        const canvasSize = viewportCanvasSize || mainCanvasSize;
+        return vec2(this.pos.x * canvasSize.x | 0, this.pos.y * canvasSize.y | 0);
+    }
+
+    /** Get the size of the viewport in screen pixels
+     *  @return {Vector2} */
+    getScreenSize()
+    {
+        const canvasSize = viewportCanvasSize || mainCanvasSize;
+        const pos = this.getScreenPos();
+        return vec2((this.pos.x + this.size.x) * canvasSize.x | 0,
+            (this.pos.y + this.size.y) * canvasSize.y | 0).subtract(pos);
+    }
+
+    /** Check if a screen position is inside the viewport
+     *  @param {Vector2} screenPos
+     *  @return {boolean} */
+    isInside(screenPos)
+    {
+        const pos = this.getScreenPos(), size = this.getScreenSize();
+        return screenPos.x >= pos.x && screenPos.x < pos.x + size.x &&
+            screenPos.y >= pos.y && screenPos.y < pos.y + size.y;
+    }
+
+    /** Convert from screen to world space using this viewport's camera
+     *  @param {Vector2} screenPos
+     *  @return {Vector2} */
+    screenToWorld(screenPos)
+    {
+        const local = screenPos.subtract(this.getScreenPos());
+        return this.useCamera(()=> screenToWorld(local));
+    }
+
+    /** Convert from world space to screen space using this viewport's camera
+     *  @param {Vector2} worldPos
+     *  @return {Vector2} */
+    worldToScreen(worldPos)
+    {
+        const pos = this.getScreenPos();
+        return this.useCamera(()=> worldToScreen(worldPos)).add(pos);
+    }
+
+    /** Get the mouse position in world space using this viewport's camera
+     *  @return {Vector2} */
+    getMousePos() { return this.screenToWorld(mousePosScreen); }
+
+    /** Call a function with the engine camera and mainCanvasSize set to this viewport, they are restored after
+     *  @param {Function} callback
+     *  @return {*} - Value returned by the callback */
+    useCamera(callback)
+    {
+        // save the main camera and canvas size
+        const savedCanvasSize = viewportCanvasSize;
+        const savedPos = cameraPos, savedAngle = cameraAngle, savedScale = cameraScale, savedSize = mainCanvasSize;
+        const size = this.getScreenSize();
+        viewportCanvasSize = viewportCanvasSize || mainCanvasSize;
+        cameraPos = this.cameraPos;
+        cameraAngle = this.cameraAngle;
+        cameraScale = this.cameraScale;
+        mainCanvasSize = size;
+        const result = callback();
+        cameraPos = savedPos;
+        cameraAngle = savedAngle;
+        cameraScale = savedScale;
+        mainCanvasSize = savedSize;
+        viewportCanvasSize = savedCanvasSize;
+        return result;
+    }
+
+    /** Remove the viewport from the viewport list */
+    destroy()
+    {
+        const index = engineViewports.indexOf(this);
+        index >= 0 && engineViewports.splice(index, 1);
+    }
+
+    // render the world clipped to this viewport
+    render(renderFunction)
+    {
+        const pos = this.getScreenPos(), size = this.getScreenSize();
+        if (size.x <= 0 || size.y <= 0) return;
+
+        // clip canvas 2D drawing and move its origin to the viewport
+        mainContext.save();
+        mainContext.beginPath();
+        mainContext.rect(pos.x, pos.y, size.x, size.y);
+        mainContext.clip();
+        mainContext.translate(pos.x, pos.y);
+        drawViewport = this;
+        this.useCamera(()=>
+        {
+            glSetViewport(pos, size);
+            renderFunction();
+        });
+
+        // go back to the whole canvas with the main camera
+        glSetViewport();
+        drawViewport = undefined;
+        mainContext.restore();
+    }
+}
+
+/** Get the top visible viewport at a screen position
+ *  @param {Vector2} screenPos
+ *  @return {Viewport} - The viewport, undefined if none contain the position
+ *  @memberof Draw */
+function getViewportAt(screenPos)
+{
+    for (let i = engineViewports.length; i--;)
+    {
+        const viewport = engineViewports[i];
+        if (viewport.visible && viewport.isInside(screenPos))
+            return viewport;
+    }
+}
+
+// render the world for each visible viewport, or once for the whole canvas if there are none
+function viewportsRender(renderFunction)
+{
+    if (!engineViewports.length)
+    {
+        renderFunction();
+        return;
+    }
+    for (const viewport of engineViewports)
+        viewport.visible && viewport.render(renderFunction);
+}
+
 /** Enable additive blending
  *  @param {boolean} [additive]
  *  @memberof Draw */
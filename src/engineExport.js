@@ -25,6 +25,12 @@ export
     engineObjectsCollect,
     engineObjectsCallback,
     engineObjectsRaycast,
+    engineObjectsRegisterClass,
+    engineObjectsSerialize,
+    engineObjectsDeserialize,
+    engineRewind,
+    engineRewindGetFrames,
+    engineRewindClear,
     engineAddPlugin,
 
     // Globals
@@ -68,6 +74,7 @@ export
     showSplashScreen,
     headlessMode,
     engineManualStep,
+    engineRewindFrames,
     tileDefaultSize,
     tileDefaultPadding,
     tileDefaultBleed,
@@ -78,6 +85,7 @@ export
     objectDefaultRestitution,
     objectDefaultFriction,
     objectMaxSpeed,
+    objectBroadphaseCellSize,
     gravity,
     particleEmitRateScale,
     glEnable,
@@ -124,6 +132,7 @@ export
     setShowSplashScreen,
     setHeadlessMode,
     setEngineManualStep,
+    setEngineRewindFrames,
     setGLEnable,
     setTileDefaultSize,
     setTileDefaultPadding,
@@ -135,6 +144,7 @@ export
     setObjectDefaultRestitution,
     setObjectDefaultFriction,
     setObjectMaxSpeed,
+    setObjectBroadphaseCellSize,
     setGravity,
     setParticleEmitRateScale,
     setGLCircleSides,
@@ -210,6 +220,8 @@ export
 
     // Random
     rand,
+    setRandSeed,
+    getRandSeed,
     randInt,
     randBool,
     randSign,
@@ -250,6 +262,8 @@ export
     tile,
     TileInfo,
     TextureInfo,
+    RenderTexture,
+    drawRenderTexture,
     mainCanvas,
     mainContext,
     drawContext,
@@ -283,6 +297,14 @@ export
     drawText,
     drawTextScreen,
     setAdditiveBlendMode,
+    drawMaterial,
+    Material,
+    setMaterial,
+    materialDissolve,
+    materialOutline,
+    materialFlash,
+    materialPaletteSwap,
+    materialDistortion,
     setBackgroundCanvas,
     combineCanvases,
     engineImageFont,
@@ -293,6 +315,10 @@ export
     getCameraSize,
     cameraFit,
     isOnScreen,
+    engineViewports,
+    drawViewport,
+    Viewport,
+    getViewportAt,
 
     // WebGL
     glCanvas,
@@ -316,7 +342,14 @@ export
     glDrawPoints,
     glDrawColoredPoints,
     glSetRenderTarget,
+    glSetViewport,
+    glUpdateMipmaps,
+    glSetUniforms,
     glClearRect,
+    glCreateParticleBuffer,
+    glDeleteParticleBuffer,
+    glAddParticles,
+    glDrawParticles,
 
     // Input
     keyIsDown,
@@ -359,6 +392,12 @@ export
     pointerLockRequest,
     pointerLockExit,
     pointerLockIsActive,
+    InputReplay,
+    inputReplayRecord,
+    inputReplayPlay,
+    inputReplayStop,
+    inputReplayIsRecording,
+    inputReplayIsPlaying,
 
     // Audio
     audioContext,
@@ -382,6 +421,7 @@ export
     // Tiles
     tileCollisionLayers,
     tileCollisionGetData,
+    tileCollisionGetShape,
     tileCollisionTest,
     tileCollisionRaycast,
     tileLayersLoad,
@@ -389,9 +429,12 @@ export
     CanvasLayer,
     TileLayer,
     TileCollisionLayer,
+    TileCollisionShape,
 
     // Particles
     ParticleEmitter,
     Particle,
+    ParticleCurve,
+    ParticleForceField,
 
 }
\ No newline at end of file
@@ -8,6 +8,7 @@
  * - Automatic gamepad vs keyboard/mouse detection
  * - Input event prevention for canvas focus
  * - Clipboard copy/paste support
+ * - Input replay recording and playback
  * @namespace Input
  */
 
@@ -587,6 +588,29 @@ function inputInit()
 }
 
 function inputUpdate()
+{
+    if (inputReplayPlayback?.isDone())
+    {
+        // playback is over, go back to real devices and unseeded random
+        // unless a recording is still using the seed
+        if (inputReplayRecording)
+        {
+            inputReplayPlayback = undefined;
+            inputClear();
+        }
+        else
+            inputReplayStop();
+    }
+
+    // replays feed recorded input instead of real devices
+    if (inputReplayPlayback)
+        inputReplayPlayback.playFrame();
+    else
+        inputDevicesUpdate();
+    inputReplayRecording?.recordFrame();
+}
+
+function inputDevicesUpdate()
 {
     if (headlessMode) return;
 
@@ -823,6 +847,286 @@ function inputRender()
     touchGamepadRender();
 }
 
+///////////////////////////////////////////////////////////////////////////////
+// Input replay
+
+/**
+ * Input Replay - Records input each frame so it can be played back exactly
+ * - Captures keys, mouse buttons, mouse position, wheel, and gamepad sticks
+ * - Stores a random seed that is applied with setRandSeed when recording or playing
+ * - Only changes are stored and idle frames are run length encoded to stay compact
+ * - Playback feeds the recorded input to the engine instead of real devices
+ * - Start recording and playback from the same game state for matching results
+ * - Works with headlessMode and engineStep for automated regression tests
+ * @memberof Input
+ * @example
+ * // record the input of a level
+ * const replay = inputReplayRecord();
+ * // later save it
+ * const text = replay.toString();
+ * // restart the level and play it back
+ * inputReplayPlay(InputReplay.fromString(text));
+ */
+class InputReplay
+{
+    /** Create an empty input replay
+     *  @param {number} [seed] - Random seed used while recording and playing */
+    constructor(seed=randInt(1, 2**31))
+    {
+        ASSERT(isNumber(seed) && seed !== 0, 'replay seed must be a non-zero number');
+
+        /** @property {number} - Random seed used while recording and playing */
+        this.seed = seed;
+        /** @property {Array} - List of changes for each frame, numbers are counts of frames with no changes */
+        this.frames = [];
+        /** @property {number} - How many frames are in the replay */
+        this.frameCount = 0;
+
+        // read position and state tracking used while recording or playing
+        this.frameIndex = 0;
+        this.frameSkip = 0;
+        this.state = undefined;
+    }
+
+    /** Returns true if the replay has played all of its frames
+     *  @return {boolean} */
+    isDone() { return this.frameIndex >= this.frames.length && !this.frameSkip; }
+
+    /** Convert the replay to a compact string for saving
+     *  @return {string} */
+    toString() { return JSON.stringify({seed:this.seed, frameCount:this.frameCount, frames:this.frames}); }
+
+    /** Create a replay from a string made by toString
+     *  @param {string} string
+     *  @return {InputReplay} */
+    static fromString(string)
+    {
+        const data = JSON.parse(string);
+        ASSERT(Array.isArray(data.frames), 'invalid input replay');
+        const replay = new InputReplay(data.seed);
+        replay.frames = data.frames;
+        replay.frameCount = data.frameCount;
+        return replay;
+    }
+
+    /** Save the current engine input as the next frame, called automatically by the engine */
+    recordFrame()
+    {
+        const state = inputReplayGetState();
+        const changes = inputReplayGetChanges(this.state, state);
+        this.state = state;
+        ++this.frameCount;
+
+        // empty frames are stored as a count
+        const frames = this.frames;
+        if (changes.length)
+            frames.push(changes);
+        else if (isNumber(frames[frames.length-1]))
+            ++frames[frames.length-1];
+        else
+            frames.push(1);
+    }
+
+    /** Apply the next frame of input to the engine, called automatically by the engine */
+    playFrame()
+    {
+        let changes = [];
+        if (this.frameSkip)
+            --this.frameSkip;
+        else if (this.frameIndex < this.frames.length)
+        {
+            const frame = this.frames[this.frameIndex++];
+            if (isNumber(frame))
+                this.frameSkip = frame - 1;
+            else
+                changes = frame;
+        }
+        this.state = inputReplayApplyChanges(this.state, changes);
+        inputReplaySetState(this.state);
+    }
+}
+
+// the replay that is currently recording or playing
+let inputReplayRecording, inputReplayPlayback;
+
+/** Start recording input to a new replay, recording begins on the next frame
+ *  - Also sets the random seed so the recording can be played back
+ *  @param {number} [seed] - Random seed to use
+ *  @return {InputReplay} - The replay being recorded
+ *  @memberof Input */
+function inputReplayRecord(seed)
+{
+    inputReplayRecording = new InputReplay(seed);
+    setRandSeed(inputReplayRecording.seed);
+    return inputReplayRecording;
+}
+
+/** Play back a recorded replay, playback begins on the next frame
+ *  - Input from real devices is ignored until playback ends
+ *  - Also sets the random seed the replay was recorded with, when playback ends it works like inputReplayStop
+ *  @param {InputReplay} replay
+ *  @memberof Input */
+function inputReplayPlay(replay)
+{
+    ASSERT(replay instanceof InputReplay, 'inputReplayPlay requires an InputReplay');
+    replay.frameIndex = replay.frameSkip = 0;
+    replay.state = undefined;
+    inputReplayPlayback = replay;
+    setRandSeed(replay.seed);
+    inputClear();
+}
+
+/** Stop recording and playing replays and go back to unseeded random
+ *  @memberof Input */
+function inputReplayStop()
+{
+    inputReplayPlayback && inputClear();
+    inputReplayRecording = inputReplayPlayback = undefined;
+    setRandSeed();
+}
+
+/** Returns true if a replay is recording
+ *  @return {boolean}
+ *  @memberof Input */
+function inputReplayIsRecording() { return !!inputReplayRecording; }
+
+/** Returns true if a replay is playing
+ *  @return {boolean}
+ *  @memberof Input */
+function inputReplayIsPlaying() { return !!inputReplayPlayback; }
+
+// get a copy of the current engine input state
+function inputReplayGetState()
+{
+    return {
+        keys: inputData.map(data=> data && {...data}),
+        mouse: [mousePos.x, mousePos.y, mousePosScreen.x, mousePosScreen.y,
+            mouseDelta.x, mouseDelta.y, mouseDeltaScreen.x, mouseDeltaScreen.y],
+        wheel: mouseWheel,
+        sticks: gamepadStickData.map(sticks=> sticks?.map(v=> v && [v.x, v.y])),
+        dpad: gamepadDpadData.map(v=> v && [v.x, v.y]),
+        device: [gamepadPrimary, lastInputDevice],
+    };
+}
+
+// get the list of changes from the last state to the new state
+// each change is an array that starts with its type:
+// 0=key, 1=mouse, 2=wheel, 3=stick, 4=dpad, 5=device, 6=connect
+function inputReplayGetChanges(last, state)
+{
+    const changes = [];
+    const same = (a, b)=> JSON.stringify(a) === JSON.stringify(b);
+    const deviceCount = max(state.keys.length, last?.keys.length || 0);
+    for (let device = 0; device < deviceCount; ++device)
+    {
+        const keys = state.keys[device], lastKeys = last?.keys[device];
+        if (!keys != !lastKeys)
+            changes.push([6, device, keys ? 1 : 0]);
+        if (!keys)
+            continue;
+
+        // pressed and released flags are cleared each frame, only down persists
+        for (const key in {...lastKeys, ...keys})
+        {
+            const value = keys[key] | 0;
+            if (value !== ((lastKeys?.[key] | 0) & 1))
+                changes.push([0, device, key, value]);
+        }
+    }
+
+    // mouse deltas are cleared each frame, only positions persist
+    const lastMouse = last ? [...last.mouse.slice(0, 4), 0, 0, 0, 0] : undefined;
+    if (!same(state.mouse, lastMouse))
+        changes.push([1, ...state.mouse]);
+    if (state.wheel)
+        changes.push([2, state.wheel]);
+    state.sticks.forEach((sticks, gamepad)=> sticks?.forEach((v, stick)=>
+        v && !same(v, last?.sticks[gamepad]?.[stick]) && changes.push([3, gamepad, stick, ...v])));
+    state.dpad.forEach((v, gamepad)=>
+        v && !same(v, last?.dpad[gamepad]) && changes.push([4, gamepad, ...v]));
+    if (!same(state.device, last?.device))
+        changes.push([5, ...state.device]);
+    return changes;
+}
+
+// build the next state by applying a list of changes to the last state
+function inputReplayApplyChanges(last, changes)
+{
+    // start from the last state with per frame input cleared
+    const state = last ? {
+        keys: last.keys.map(data=>
+        {
+            if (!data) return data;
+            const keys = {};
+            for (const key in data)
+                data[key] & 1 && (keys[key] = 1);
+            return keys;
+        }),
+        mouse: [...last.mouse.slice(0, 4), 0, 0, 0, 0],
+        wheel: 0,
+        sticks: last.sticks,
+        dpad: last.dpad,
+        device: last.device,
+    } : { keys: [], mouse: [0, 0, 0, 0, 0, 0, 0, 0], wheel: 0, sticks: [], dpad: [], device: [0, 'mouse'] };
+
+    for (const change of changes)
+    {
+        const type = change[0];
+        if (type === 0)
+        {
+            const [, device, key, value] = change;
+            (state.keys[device] ||= {})[key] = value;
+        }
+        else if (type === 1)
+            state.mouse = change.slice(1);
+        else if (type === 2)
+            state.wheel = change[1];
+        else if (type === 3)
+        {
+            const [, gamepad, stick, x, y] = change;
+            state.sticks = [...state.sticks];
+            (state.sticks[gamepad] = [...state.sticks[gamepad] || []])[stick] = [x, y];
+        }
+        else if (type === 4)
+        {
+            state.dpad = [...state.dpad];
+            state.dpad[change[1]] = change.slice(2);
+        }
+        else if (type === 5)
+            state.device = change.slice(1);
+        else if (type === 6)
+            state.keys[change[1]] = change[2] ? {} : undefined;
+    }
+    return state;
+}
+
+// copy a replay state into the engine input
+function inputReplaySetState(state)
+{
+    inputData.length = 0;
+    state.keys.forEach((keys, device)=>
+    {
+        if (!keys) return;
+        const data = inputData[device] = [];
+        for (const key in keys)
+            data[key] = keys[key];
+    });
+    inputData[0] ||= [];
+
+    const m = state.mouse;
+    mousePos = vec2(m[0], m[1]);
+    mousePosScreen = vec2(m[2], m[3]);
+    mouseDelta = vec2(m[4], m[5]);
+    mouseDeltaScreen = vec2(m[6], m[7]);
+    mouseWheel = state.wheel;
+    gamepadStickData.length = gamepadDpadData.length = 0;
+    state.sticks.forEach((sticks, gamepad)=>
+        gamepadStickData[gamepad] = sticks?.map(v=> v && vec2(...v)));
+    state.dpad.forEach((v, gamepad)=> gamepadDpadData[gamepad] = v && vec2(...v));
+    [gamepadPrimary, lastInputDevice] = state.device;
+    isUsingGamepad = lastInputDevice === 'gamepad';
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // Touch gamepad - full-viewport HTML/SVG overlay driven by Pointer Events
 
@@ -406,12 +406,31 @@ function lineTest(posStart, posEnd, testFunction, normal)
 /** Random global functions
  *  @namespace Random */
 
+// seeded generator used by the random functions when a seed is set
+let randSeeded;
+
+/** Set a seed so the random functions return a deterministic sequence
+ *  - Input replays use this so playback matches the recording
+ *  @param {number} [seed] - Non-zero seed, or undefined to go back to Math.random
+ *  @memberof Random */
+function setRandSeed(seed) { randSeeded = seed === undefined ? undefined : new RandomGenerator(seed); }
+
+/** Get the current state of the random seed, undefined if not seeded
+ *  - Pass it to setRandSeed to continue the same sequence later
+ *  @return {number}
+ *  @memberof Random */
+function getRandSeed() { return randSeeded?.seed; }
+
 /** Returns a random value between the two values passed in
  *  @param {number} [valueA]
  *  @param {number} [valueB]
  *  @return {number}
  *  @memberof Random */
-function rand(valueA=1, valueB=0) { return valueB + Math.random() * (valueA-valueB); }
+function rand(valueA=1, valueB=0)
+{
+    const r = randSeeded ? randSeeded.float() : Math.random();
+    return valueB + r * (valueA-valueB);
+}
 
 /** Returns a floored random value between the two values passed in
  *  The upper bound is exclusive. (If 2 is passed in, result will be 0 or 1)
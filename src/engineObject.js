@@ -5,8 +5,11 @@
  * - Supports parent-child hierarchies with transform inheritance
  * - 2D physics with velocity, acceleration, damping, and gravity
  * - Collision system with tiles and other objects
+ * - Optional circle, oriented box, and convex polygon collision shapes
+ * - Opt in continuous collision so fast objects don't tunnel
  * - Renders sprites from tile sheets with color and rotation
  * - Objects sorted by renderOrder for layered rendering
+ * - Opt in serialization to save and restore objects as JSON
  */
 
 'use strict';
@@ -25,12 +28,15 @@
  * - Call destroy() to get rid of objects
  *
  * The physics system used by objects is simple and fast with some caveats...
- * - Collision uses the axis aligned size, the object's rotation angle is only for rendering
+ * - Collision uses the axis aligned size by default, the object's rotation angle is only for rendering
+ * - Use setCollisionShape to collide other objects and raycasts as a circle, rotated box, or convex polygon
+ * - Tile collision always uses the axis aligned size
  * - Objects are guaranteed to not intersect tile collision from physics
  * - If an object starts or is moved inside tile collision, it will not collide with that tile
  * - Collision for objects can be set to be solid to block other objects
  * - Objects may get pushed into overlapping other solid objects, if so they will push away
  * - Solid objects are more performance intensive and should be used sparingly
+ * - Fast objects like bullets can set continuousCollision to sweep along their velocity
  * @memberof Engine
  * @example
  * // create an engine object, normally you would first extend the class with your own
@@ -71,6 +77,8 @@ class EngineObject
         this.color = color.copy();
         /** @property {Color} - Additive color to apply when rendered */
         this.additiveColor = undefined;
+        /** @property {Material} - Material used by the default render, undefined uses the current material */
+        this.material = undefined;
         /** @property {boolean} - Should the rendered tile flip along the y axis. Affects rendering and the local→world transform of attached children (a mirrored parent flips its children's localPos.x and localAngle). Does not affect this object's own physics, collision, or localToWorld/worldToLocal. */
         this.mirror = false;
         /** @property {boolean} - Has object been destroyed? */
@@ -121,6 +129,12 @@ class EngineObject
         this.isSolid = false;
         /** @property {boolean} - Object collides with raycasts */
         this.collideRaycast = false;
+        /** @property {string} - Shape used to collide with objects and raycasts, undefined uses the axis aligned size, or 'circle', 'box', 'polygon' */
+        this.collisionShape = undefined;
+        /** @property {Array<Vector2>} - Local space points of a convex polygon collision shape */
+        this.collisionPoints = undefined;
+        /** @property {boolean} - Sweep along velocity to stop at the first tile or solid object hit, speed is not limited by objectMaxSpeed */
+        this.continuousCollision = false;
 
         // add to list of objects
         engineObjects.push(this);
@@ -160,7 +174,7 @@ class EngineObject
         // bail if a collision callback destroyed us mid-frame
         if (this.destroyed) return;
 
-        if (this.clampSpeed)
+        if (this.clampSpeed && !this.continuousCollision)
         {
             // limit max speed to prevent missing collisions
             this.velocity.x = clamp(this.velocity.x, -objectMaxSpeed, objectMaxSpeed);
@@ -188,6 +202,10 @@ class EngineObject
         // don't do collision for static objects or if solver disabled
         if (!enablePhysicsSolver || !this.mass) return;
 
+        // move back to the first thing hit so fast objects don't pass through
+        if (this.continuousCollision)
+            engineObjectSweep(this, oldPos);
+
         const wasFalling = this.velocity.y < 0 && gravity.y < 0 || this.velocity.y > 0 && gravity.y > 0;
         if (this.groundObject)
         {
@@ -202,7 +220,7 @@ class EngineObject
         {
             // check collisions against solid objects
             const epsilon = .001; // necessary to push slightly outside of the collision
-            for (const o of engineObjectsCollide)
+            for (const o of engineBroadphaseQuery(this.pos, this.getCollisionSize(), engineObjectsCollide))
             {
                 // skip destroyed, child objects, or self collision
                 if (o.destroyed || o.parent || o === this) continue;
@@ -210,14 +228,48 @@ class EngineObject
                 // non solid objects don't collide with each other
                 if (!this.isSolid && !o.isSolid) continue;
 
-                // check collision
-                if (!this.isOverlappingObject(o)) continue;
+                // check collision, boxes without shapes only need the axis aligned test
+                const hasShape = this.collisionShape || o.collisionShape;
+                const contact = hasShape && this.getCollisionContact(o);
+                if (hasShape ? !contact : !this.isOverlapping(o.pos, o.size)) continue;
 
                 // notify objects of collision and check if should be resolved
-                const collide1 = this.collideWithObject(o);
-                const collide2 = o.collideWithObject(this);
+                const boxNormal = contact ? 0 : engineObjectGetBoxNormal(this, o);
+                const normal1 = contact ? contact.normal : engineObjectBoxNormals[boxNormal];
+                const normal2 = contact ? normal1.scale(-1) : engineObjectBoxNormals[boxNormal ^ 1];
+                const collide1 = this.collideWithObject(o, normal1);
+                const collide2 = o.collideWithObject(this, normal2);
                 if (!collide1 || !collide2) continue;
 
+                if (contact)
+                {
+                    // push outside along the contact normal
+                    const normal = contact.normal;
+                    this.pos = this.pos.add(normal.scale(contact.depth + epsilon));
+
+                    // set ground object if landed on something
+                    if (wasFalling && normal.y * sign(-gravity.y) > .7)
+                        this.groundObject = o;
+
+                    // bounce along the normal if moving into the other object
+                    const restitution = max(this.restitution, o.restitution);
+                    const normalSpeed = this.velocity.subtract(o.velocity).dot(normal);
+                    if (normalSpeed < 0)
+                    {
+                        if (o.mass)
+                        {
+                            // exchange momentum along the normal
+                            const impulse = -(1 + restitution) * normalSpeed / (this.mass + o.mass);
+                            this.velocity = this.velocity.add(normal.scale(impulse * o.mass));
+                            o.velocity = o.velocity.subtract(normal.scale(impulse * this.mass));
+                        }
+                        else // bounce if other object is fixed
+                            this.velocity = this.velocity.subtract(normal.scale((1 + restitution) * normalSpeed));
+                    }
+                    debugPhysics && debugPoint(this.pos.subtract(normal.scale(contact.depth)), '#f0f');
+                    continue;
+                }
+
                 if (isOverlapping(oldPos, this.size, o.pos, o.size))
                 {
                     // if already was touching, try to push away
@@ -304,6 +356,13 @@ class EngineObject
                 // this should not happen unless something starts in collision
                 if (!tileCollisionTest(oldPos, this.size, this))
                 {
+                    if (tileCollisionHasSlope(this.pos, this.size))
+                    {
+                        // sloped and half tiles are resolved by searching for a free position
+                        engineObjectCollideTileShapes(this, oldPos, hitLayer);
+                        return;
+                    }
+
                     // test which side we bounced off (or both if a corner)
                     const isBlockedX = tileCollisionTest(vec2(this.pos.x, oldPos.y), this.size, this);
                     const isBlockedY = tileCollisionTest(vec2(oldPos.x, this.pos.y), this.size, this);
@@ -368,8 +427,11 @@ class EngineObject
     /** Render the object, draws a tile by default, automatically called each frame, sorted by renderOrder */
     render()
     {
-        // default object render
+        // default object render, with the object's material if it has one
+        const material = drawMaterial;
+        this.material && setMaterial(this.material);
         drawTile(this.pos, this.drawSize || this.size, this.tileInfo, this.color, this.angle, this.mirror, this.additiveColor);
+        this.material && setMaterial(material);
     }
 
     /** Optional hook called during the light system plugin's lightmap pass to draw this object's lightmap contribution. Does nothing by default. */
@@ -415,9 +477,10 @@ class EngineObject
 
     /** Called by the engine to check if an object collision should be resolved. Return true for physics to resolve the collision or false to ignore and resolve it manually.
      *  @param {EngineObject} object - the object to test against
+     *  @param {Vector2} [normal] - unit contact normal pointing away from the other object, it may be shared so don't modify it
      *  @return {boolean} - true if the collision should be resolved by modifying it's position and velocity
      */
-    collideWithObject(object) { return true; }
+    collideWithObject(object, normal) { return true; }
 
     /** Get this object's up vector
      *  @param {number} [scale] - length of the vector
@@ -487,10 +550,15 @@ class EngineObject
 
     /** Check if overlapping another engine object
      *  Collisions are resolved to prevent overlaps
+     *  Uses the collision shape of both objects if set
      *  @param {EngineObject} object
      *  @return {boolean} */
     isOverlappingObject(object)
-    { return this.isOverlapping(object.pos, object.size); }
+    {
+        if (!this.collisionShape && !object.collisionShape)
+            return this.isOverlapping(object.pos, object.size);
+        return !!this.getCollisionContact(object);
+    }
 
     /** Check if overlapping a point or aligned bounding box
      *  @param {Vector2} pos          - Center of box
@@ -499,6 +567,59 @@ class EngineObject
     isOverlapping(pos, size=vec2())
     { return isOverlapping(this.pos, this.size, pos, size); }
 
+    /** Check if a line segment intersects this object, uses the collision shape if set
+     *  @param {Vector2} start
+     *  @param {Vector2} end
+     *  @return {boolean} */
+    isIntersecting(start, end)
+    {
+        if (!this.collisionShape)
+            return isIntersecting(start, end, this.pos, this.size);
+        return !!engineObjectGetContact({points:[start, end]}, engineObjectGetShape(this));
+    }
+
+    /** Get how this object is overlapping another using separating axis test of the collision shapes
+     *  @param {EngineObject} object
+     *  @return {{normal:Vector2, depth:number}} - Unit normal pointing away from the other object
+     *  and how far to move along it to separate, or undefined if not overlapping */
+    getCollisionContact(object)
+    { return engineObjectGetContact(engineObjectGetShape(this), engineObjectGetShape(object)); }
+
+    /** Get world space points of the collision shape, undefined for circles
+     *  @return {Array<Vector2>} */
+    getCollisionPoints()
+    {
+        const shape = this.collisionShape;
+        if (shape === 'circle')
+            return;
+        if (shape === 'polygon')
+            return this.collisionPoints.map(p=> this.localToWorld(p));
+
+        // box corners, only rotated for box shapes
+        const x = this.size.x/2, y = this.size.y/2;
+        const corners = [vec2(-x,-y), vec2(x,-y), vec2(x,y), vec2(-x,y)];
+        return corners.map(p=> shape ? this.localToWorld(p) : this.pos.add(p));
+    }
+
+    /** Get the size of an axis aligned box centered on pos that contains the collision shape
+     *  @return {Vector2} */
+    getCollisionSize()
+    {
+        const shape = this.collisionShape;
+        if (!shape)
+            return this.size;
+        if (shape === 'circle')
+            return vec2(this.size.x);
+
+        let x = 0, y = 0;
+        for (const p of this.getCollisionPoints())
+        {
+            x = max(x, abs(p.x - this.pos.x));
+            y = max(y, abs(p.y - this.pos.y));
+        }
+        return vec2(x*2, y*2);
+    }
+
     /** Set how this object collides
      *  @param {boolean} [collideSolidObjects] - Does it collide with solid objects?
      *  @param {boolean} [isSolid]             - Does it collide with and block other objects? (expensive in large numbers)
@@ -514,6 +635,61 @@ class EngineObject
         this.collideRaycast = collideRaycast;
     }
 
+    /** Set the shape used to collide with other objects and raycasts
+     *  - Circles use size.x as the diameter
+     *  - Boxes use the size rotated by the object's angle
+     *  - Polygons must be convex and are rotated by the object's angle
+     *  @param {string} [shape] - 'circle', 'box', 'polygon', or undefined for the axis aligned size
+     *  @param {Array<Vector2>} [points] - Local space points of a convex polygon, in order around the edge
+     *  @example
+     *  object.setCollisionShape('circle');
+     *  object.setCollisionShape('polygon', [vec2(-1,-1), vec2(1,-1), vec2(0,1)]); */
+    setCollisionShape(shape, points)
+    {
+        ASSERT(!shape || shape === 'circle' || shape === 'box' || shape === 'polygon',
+            'unknown collision shape', shape);
+        ASSERT(shape !== 'polygon' || isArray(points) && points.length >= 3,
+            'polygon collision shape needs at least 3 points');
+        ASSERT(shape !== 'polygon' || engineObjectIsConvex(points),
+            'polygon collision shape must be convex');
+
+        this.collisionShape = shape;
+        this.collisionPoints = shape === 'polygon' ? points.map(p=> p.copy()) : undefined;
+    }
+
+    /** Save this object to a JSON compatible object, called by engineObjectsSerialize
+     *  - Saves all properties that are numbers, strings, booleans, Vector2, Color, Timer, TileInfo,
+     *    references to other saved objects, or arrays and plain objects containing them
+     *  - Other properties like functions and sounds are skipped and keep their constructor values
+     *  - Override to save extra state, call super.serialize and add to the result
+     *  @param {Map<EngineObject, number>} ids - Ids of objects being saved, used for references
+     *  @return {Object} */
+    serialize(ids)
+    {
+        // save spawn time relative to now so alive time continues after a reload
+        const data = { spawnTime: this.spawnTime - time };
+        for (const key of Object.keys(this))
+        {
+            // parent links are restored by engineObjectsDeserialize
+            if (key === 'parent' || key === 'children' || key === 'destroyed' || key === 'spawnTime')
+                continue;
+            const value = engineObjectsSerializeValue(this[key], ids);
+            if (value !== undefined)
+                data[key] = value;
+        }
+        return data;
+    }
+
+    /** Load this object from data saved by serialize, called by engineObjectsDeserialize
+     *  @param {Object} data - Saved data from serialize
+     *  @param {Array<EngineObject>} objects - Restored objects by id, used for references */
+    deserialize(data, objects)
+    {
+        for (const key in data)
+            this[key] = engineObjectsDeserializeValue(data[key], objects);
+        this.spawnTime = time + data.spawnTime;
+    }
+
     /** Returns string containing info about this object for debugging
      *  @return {string} */
     toString()
@@ -544,9 +720,305 @@ class EngineObject
         // show object info for debugging
         const size = vec2(max(this.size.x, .2), max(this.size.y, .2));
         const color = rgb(this.collideTiles?1:0, this.collideSolidObjects?1:0, this.isSolid?1:0, .5);
-        debugRect(this.pos, size, color, 0, this.angle, hasPhysics);
+        if (this.collisionShape === 'circle')
+            debugCircle(this.pos, this.size.x, color, 0, hasPhysics);
+        else if (this.collisionShape === 'polygon')
+            debugPoly(this.pos, this.collisionPoints, color, 0, this.angle, hasPhysics);
+        else
+            debugRect(this.pos, size, color, 0, this.angle, hasPhysics);
         if (this.parent)
             debugRect(this.pos, size.scale(.8), rgb(1,1,1,.5), 0, this.angle);
         this.parent && debugLine(this.pos, this.parent.pos, rgb(1,1,1,.5), .5);
     }
-}
\ No newline at end of file
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Continuous collision helpers
+
+// move an object back to where it first hits a solid object or tile along its move,
+// oldPos is moved to just before the hit so collision resolves it like a small step
+function engineObjectSweep(o, oldPos)
+{
+    const start = oldPos.copy();
+    const delta = o.pos.subtract(start);
+    const length = delta.length();
+    if (!length) return;
+
+    let hitTime = 1, clearTime = 1;
+    if (o.collideSolidObjects)
+    {
+        // swept box test against solid objects in the area moved through
+        const center = start.add(delta.scale(.5));
+        const size = o.getCollisionSize();
+        const area = size.add(vec2(abs(delta.x), abs(delta.y)));
+        const epsilon = .001 / length;
+        for (const other of engineBroadphaseQuery(center, area, engineObjectsCollide))
+        {
+            if (other.destroyed || other.parent || other === o) continue;
+            if (!o.isSolid && !other.isSolid) continue;
+
+            // skip objects it was already touching
+            const otherSize = other.getCollisionSize();
+            if (isOverlapping(start, size, other.pos, otherSize)) continue;
+
+            const time = engineObjectSweepBox(start, delta, other.pos, otherSize.add(size));
+            if (time < hitTime)
+            {
+                hitTime = min(time + epsilon, 1);
+                clearTime = max(time - epsilon, 0);
+            }
+        }
+    }
+
+    if (o.collideTiles && !tileCollisionTest(start, o.size, o))
+    {
+        // one way tiles use velocity as the move
+        const velocity = o.velocity;
+        const isBlocked = (time)=>
+        {
+            o.velocity = delta.scale(time);
+            const hitLayer = tileCollisionTest(start.add(o.velocity), o.size, o);
+            o.velocity = velocity;
+            return hitLayer;
+        };
+
+        // walk the times an edge of the box crosses a tile grid line, the tiles it
+        // touches only change there so each part of the move needs one test
+        const halfSize = o.size.scale(.5);
+        for (let time = 0; time < hitTime;)
+        {
+            const nextTime = min(engineObjectSweepNextLine(start, delta, halfSize, time), hitTime);
+            if (isBlocked(nextTime))
+            {
+                // binary search for where it first hits in this part
+                let clear = time, hit = nextTime;
+                for (let j = 12; j--;)
+                {
+                    const mid = (clear + hit) / 2;
+                    isBlocked(mid) ? hit = mid : clear = mid;
+                }
+                hitTime = hit;
+                clearTime = clear;
+                break;
+            }
+            time = nextTime;
+        }
+    }
+
+    if (hitTime < 1)
+    {
+        oldPos.setFrom(start.add(delta.scale(clearTime)));
+        o.pos = start.add(delta.scale(hitTime));
+        debugPhysics && debugLine(start, o.pos, '#0ff', .02);
+    }
+}
+
+// get how far along delta the next edge of a moving box crosses a tile grid line
+function engineObjectSweepNextLine(start, delta, halfSize, time)
+{
+    let nextTime = Infinity;
+    for (const axis of ['x', 'y'])
+    {
+        const d = delta[axis];
+        if (!d) continue;
+        for (const edge of [start[axis] - halfSize[axis], start[axis] + halfSize[axis]])
+        {
+            const pos = edge + d * time;
+            const line = d > 0 ? floor(pos) + 1 : ceil(pos) - 1;
+            const lineTime = (line - edge) / d;
+
+            // skip a line it is already on because of rounding
+            nextTime = min(nextTime, lineTime > time ? lineTime : (line + sign(d) - edge) / d);
+        }
+    }
+    return nextTime;
+}
+
+// get how far along delta a box moving from start enters a box, 1 if it misses
+function engineObjectSweepBox(start, delta, pos, size)
+{
+    let enter = 0, exit = 1;
+    for (const axis of ['x', 'y'])
+    {
+        const offset = start[axis] - pos[axis], halfSize = size[axis]/2;
+        if (!delta[axis])
+        {
+            if (abs(offset) >= halfSize)
+                return 1;
+            continue;
+        }
+        const time0 = (-halfSize - offset) / delta[axis];
+        const time1 = ( halfSize - offset) / delta[axis];
+        enter = max(enter, min(time0, time1));
+        exit = min(exit, max(time0, time1));
+        if (enter >= exit)
+            return 1;
+    }
+    return enter;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Collision shape helpers
+
+// resolve collision with sloped and half tiles, oldPos must not be colliding
+function engineObjectCollideTileShapes(o, oldPos, hitLayer)
+{
+    const up = gravity.y > 0 ? -1 : 1;
+    const restitution = max(o.restitution, hitLayer.restitution);
+    const wasFalling = o.velocity.y * up < 0;
+    const newPos = o.pos.copy();
+    const isFree = (pos)=> !tileCollisionTest(pos, o.size, o);
+
+    // binary search for the closest free position to the blocked one
+    const search = (freePos, blockedPos)=>
+    {
+        for (let i = 12; i--;)
+        {
+            const pos = freePos.lerp(blockedPos, .5);
+            isFree(pos) ? freePos = pos : blockedPos = pos;
+        }
+        return freePos;
+    };
+
+    const moveX = abs(newPos.x - oldPos.x);
+    o.pos = vec2(newPos.x, oldPos.y);
+    if (moveX && !isFree(o.pos))
+    {
+        // walk up slopes up to 45 degrees by moving up as much as sideways
+        const stepPos = vec2(newPos.x, oldPos.y + up*(moveX + .01));
+        if (isFree(stepPos))
+        {
+            o.pos = search(stepPos, o.pos);
+            if (wasFalling)
+                o.velocity.y = 0;
+            o.groundObject = hitLayer;
+            debugPhysics && debugRect(o.pos, o.size, '#ff0');
+            return;
+        }
+
+        // blocked by a wall, move against it and bounce
+        o.pos = search(oldPos, o.pos);
+        o.velocity.x *= -restitution;
+    }
+
+    const blockedPos = vec2(o.pos.x, newPos.y);
+    if (isFree(blockedPos))
+        o.pos = blockedPos;
+    else
+    {
+        // move against the surface and bounce
+        o.pos = search(o.pos, blockedPos);
+        o.groundObject = wasFalling ? hitLayer : undefined;
+        o.velocity.y *= -restitution;
+    }
+    debugPhysics && debugRect(o.pos, o.size, '#f00');
+}
+
+// unit normals of axis aligned boxes, shared so box collisions don't allocate
+// opposite directions are paired so index ^ 1 flips a normal
+const engineObjectBoxNormals = [vec2(1, 0), vec2(-1, 0), vec2(0, 1), vec2(0, -1)];
+
+// get the index of the box normal pointing from b to a along the axis with the smallest overlap
+function engineObjectGetBoxNormal(a, b)
+{
+    const dx = a.pos.x - b.pos.x, dy = a.pos.y - b.pos.y;
+    const overlapX = (a.size.x + b.size.x)/2 - abs(dx);
+    const overlapY = (a.size.y + b.size.y)/2 - abs(dy);
+    return overlapX < overlapY ? dx < 0 ? 1 : 0 : dy < 0 ? 3 : 2;
+}
+
+// get a shape for separating axis tests, circles have no points
+function engineObjectGetShape(o)
+{ return {pos:o.pos, radius:o.size.x/2, points:o.getCollisionPoints()}; }
+
+// get min and max of a shape projected onto an axis
+function engineObjectProject(shape, axis)
+{
+    if (!shape.points)
+    {
+        const center = shape.pos.dot(axis);
+        return [center - shape.radius, center + shape.radius];
+    }
+    let minDot = Infinity, maxDot = -Infinity;
+    for (const p of shape.points)
+    {
+        const d = p.dot(axis);
+        if (d < minDot) minDot = d;
+        if (d > maxDot) maxDot = d;
+    }
+    return [minDot, maxDot];
+}
+
+// separating axis test between convex shapes, returns normal pointing from b to a and depth
+function engineObjectGetContact(a, b)
+{
+    if (!a.points && !b.points)
+    {
+        // circle vs circle
+        const delta = a.pos.subtract(b.pos);
+        const distance = delta.length();
+        const depth = a.radius + b.radius - distance;
+        return depth > 0 ? {normal: delta.normalize(), depth} : undefined;
+    }
+
+    // test edge normals of polygons and the axis from circles to the closest point
+    const axes = [];
+    for (const shape of [a, b])
+    {
+        const other = shape === a ? b : a;
+        if (shape.points)
+        {
+            const points = shape.points;
+            for (let i = points.length; i--;)
+            {
+                const p = points[i], q = points[(i+1) % points.length];
+                const edge = q.subtract(p);
+                edge.lengthSquared() && axes.push(vec2(edge.y, -edge.x).normalize());
+            }
+        }
+        else
+        {
+            let closest, closestDistance = Infinity;
+            for (const p of other.points)
+            {
+                const distance = p.distanceSquared(shape.pos);
+                if (distance < closestDistance)
+                    closest = p, closestDistance = distance;
+            }
+            closestDistance && axes.push(shape.pos.subtract(closest).normalize());
+        }
+    }
+
+    // find axis with the smallest overlap
+    let contact;
+    for (const axis of axes)
+    {
+        const [minA, maxA] = engineObjectProject(a, axis);
+        const [minB, maxB] = engineObjectProject(b, axis);
+        const depthPositive = maxB - minA, depthNegative = maxA - minB;
+        if (depthPositive <= 0 || depthNegative <= 0)
+            return; // separating axis found
+
+        const depth = min(depthPositive, depthNegative);
+        if (!contact || depth < contact.depth)
+            contact = {normal: depthPositive < depthNegative ? axis : axis.scale(-1), depth};
+    }
+    return contact;
+}
+
+// check if points make a convex polygon
+function engineObjectIsConvex(points)
+{
+    let turn = 0;
+    for (let i = points.length; i--;)
+    {
+        const a = points[i], b = points[(i+1) % points.length], c = points[(i+2) % points.length];
+        const cross = b.subtract(a).cross(c.subtract(b));
+        if (!cross)
+            continue;
+        if (turn && sign(cross) !== turn)
+            return false;
+        turn = sign(cross);
+    }
+    return true;
+}
@@ -3,10 +3,15 @@
  * - Fast and flexible particle effects system
  * - ParticleEmitter spawns and manages lightweight Particle objects
  * - Particles support color gradients, fading, rotation, and scaling
+ * - Curves over lifetime for color, size, speed, and angular speed
  * - Physics simulation with velocity, gravity, and damping
  * - Collision detection with tile layers
  * - Additive blending for glowing effects
  * - Cone-based emission with randomization
+ * - Emission shapes for rings, lines, polygon edges, paths, and sprite masks
+ * - Force fields that attract, repel, swirl, blow, and stir particles
+ * - Emitter settings can be saved and loaded as JSON presets
+ * - Optional GPU simulation for large particle counts, falls back to the CPU
  * - Particle design tool available for easy emitter creation
  * @namespace Particles
  */
@@ -27,8 +32,96 @@
  *  @memberof Particles
  */
 
+// emitter settings saved in presets, in constructor order
+const particleEmitterPresetKeys =
+[
+    'emitSize', 'emitTime', 'emitRate', 'emitConeAngle', 'tileInfo',
+    'colorStartA', 'colorStartB', 'colorEndA', 'colorEndB',
+    'particleTime', 'sizeStart', 'sizeEnd', 'speed', 'angleSpeed',
+    'damping', 'angleDamping', 'gravityScale', 'particleConeAngle', 'fadeRate',
+    'randomness', 'collideTiles', 'additive', 'randomColorLinear', 'renderOrder', 'localSpace',
+    'trailScale', 'velocityInheritance', 'restitution', 'friction',
+    'colorGradient', 'sizeCurve', 'speedCurve', 'angleSpeedCurve',
+    'emitShape', 'emitPoints', 'forceFieldScale', 'gpuParticles', 'gpuMaxParticles',
+];
+
+// emitter settings that are particle curves
+const particleEmitterCurveKeys = ['colorGradient', 'sizeCurve', 'speedCurve', 'angleSpeedCurve'];
+
+/**
+ * Particle Curve - Values or colors that change over the life of a particle
+ * - Stops can be spread evenly or placed at times from 0 to 1
+ * - Each segment can use an ease function, like Ease.SINE from the tween system
+ * - Color stops can be Colors or hex strings
+ * @memberof Particles
+ * @example
+ * // fire that goes white, yellow, red, then fades to smoke
+ * emitter.colorGradient = new ParticleCurve(['#fff', '#ff0', '#f00', '#4440']);
+ * // grow quickly then shrink slowly
+ * emitter.sizeCurve = new ParticleCurve([[0, .2], [.2, 1, Ease.OUT(Ease.SINE)], [1, 0]]);
+ */
+class ParticleCurve
+{
+    /** Create a particle curve
+     *  @param {Array} stops - Values spread evenly over life, or [time, value, ease] arrays in time order
+     *  @param {Function} [ease] - Ease for segments that do not have their own, linear if undefined */
+    constructor(stops, ease)
+    {
+        ASSERT(isArray(stops) && stops.length > 0, 'particle curve must have stops');
+        ASSERT(!ease || typeof ease === 'function', 'particle curve ease must be a function');
+
+        /** @property {Array<Object>} - Stops as {time, value, ease}, ease applies until the next stop */
+        this.stops = stops.map((stop, i)=>
+        {
+            const [time, value, stopEase] = isArray(stop) ? stop :
+                [stops.length > 1 ? i / (stops.length - 1) : 0, stop];
+            return {time, value: typeof value === 'string' ? new Color().setHex(value) :
+                value instanceof Color ? value.copy() : value, ease: stopEase || ease};
+        });
+        /** @property {boolean} - Is this a curve of colors */
+        this.isColor = this.stops[0].value instanceof Color;
+        for (let i = 0; i < this.stops.length; ++i)
+        {
+            const stop = this.stops[i];
+            ASSERT(this.isColor ? stop.value instanceof Color : isNumber(stop.value), 'particle curve stops must all be numbers or colors');
+            ASSERT(!i || stop.time >= this.stops[i-1].time, 'particle curve stops must be in time order');
+        }
+    }
+
+    /** Get the value at a percent of life
+     *  @param {number} percent - Percent of life from 0 to 1
+     *  @param {Color}  [color] - Color to set for color curves, a new color if undefined
+     *  @return {number|Color} */
+    getValue(percent, color)
+    {
+        // find the segment that contains the percent
+        const stops = this.stops;
+        let i = 0;
+        while (i < stops.length - 1 && stops[i+1].time <= percent)
+            ++i;
+        const a = stops[i], b = stops[min(i + 1, stops.length - 1)];
+        let p = b.time > a.time ? clamp((percent - a.time) / (b.time - a.time)) : 0;
+        p = a.ease ? a.ease(p) : p;
+
+        if (!this.isColor)
+            return a.value + (b.value - a.value) * p;
+        const ca = a.value, cb = b.value;
+        return (color || new Color).set(ca.r + (cb.r - ca.r) * p, ca.g + (cb.g - ca.g) * p,
+            ca.b + (cb.b - ca.b) * p, ca.a + (cb.a - ca.a) * p);
+    }
+
+    /** Get the stops as a preset that can be saved as JSON, ease functions are not saved
+     *  @return {Array} - Stops as [time, value] arrays, colors are hex strings */
+    getPreset()
+    {
+        return this.stops.map(({time, value})=>
+            [time, value instanceof Color ? value.toString() : value]);
+    }
+}
+
 /**
  * Particle Emitter - Spawns particles with the given settings
+ * - Settings can also be set with named parameters using setPreset
  * @extends EngineObject
  * @memberof Particles
  * @example
@@ -44,6 +137,14 @@
  *     .99, 1, 1, PI, .05,  // damping, angleDamping, gravityScale, particleCone, fadeRate
  *     .5, 1                // randomness, collide
  * );
+ * @example
+ * // create a particle emitter from a preset, unset values use the defaults
+ * const sparks = new ParticleEmitter(pos).setPreset(
+ * {
+ *     emitSize: .5, emitTime: .2, emitRate: 200,
+ *     colorStartA: '#ff0', colorEndA: '#f000',
+ *     particleTime: .5, sizeStart: .2, sizeEnd: 0, additive: true,
+ * });
  */
 class ParticleEmitter extends EngineObject
 {
@@ -172,11 +273,41 @@ class ParticleEmitter extends EngineObject
         this.particleCollideCallback = undefined;
         /** @property {number} - Percentage of velocity to pass to particles (0-1) */
         this.velocityInheritance = 0;
+        /** @property {ParticleCurve} - Color over life multiplied by the start color, replaces colorEnd if set */
+        this.colorGradient = undefined;
+        /** @property {ParticleCurve} - Size over life multiplied by the start size, replaces sizeEnd if set */
+        this.sizeCurve = undefined;
+        /** @property {ParticleCurve} - Velocity multiplier over life */
+        this.speedCurve = undefined;
+        /** @property {ParticleCurve} - Angular velocity multiplier over life */
+        this.angleSpeedCurve = undefined;
+        /** @property {string} - Shape to emit from, overrides emitCircle if set
+         *  - ring: edge of a circle with emitSize.x diameter
+         *  - line: line along the emitter x axis with emitSize.x length
+         *  - polygon: edges of a closed shape through emitPoints
+         *  - path: along an open path through emitPoints
+         *  - mask: opaque pixels of a sprite, set with setEmitMask */
+        this.emitShape = undefined;
+        /** @property {Array<Vector2>} - Local points for polygon, path, and mask shapes */
+        this.emitPoints = [];
+        /** @property {number} - How much force fields affect particles, local space particles are not affected */
+        this.forceFieldScale = 1;
+        /** @property {boolean} - Simulate particles on the GPU when possible, see canUseGPU */
+        this.gpuParticles = false;
+        /** @property {number} - Max GPU particles alive at once, the oldest are replaced */
+        this.gpuMaxParticles = 1e4;
         /** @property {number} - Track particle emit time */
         this.emitTimeBuffer = 0;
         /** @property {Array<Particle>} - Array of particles for this emitter */
         this.particles = [];
 
+        // gpu particle buffer and particles waiting to upload
+        this.gpuBuffer = undefined;
+        this.gpuData = undefined;
+        this.gpuColorData = undefined;
+        this.gpuCount = 0;
+        this.gpuEndTime = 0;
+
         // track previous position and angle
         this.previousAngle = this.angle;
         this.previousPos = this.pos.copy();
@@ -212,7 +343,7 @@ class ParticleEmitter extends EngineObject
                     this.emitParticle();
             }
         }
-        else if (this.particles.length === 0)
+        else if (this.particles.length === 0 && time >= this.gpuEndTime)
             this.destroy(true);
             
         // update and remove destroyed particles in place to avoid per-frame array allocation
@@ -237,14 +368,11 @@ class ParticleEmitter extends EngineObject
     }
 
     /** Spawn one particle
-     *  @return {Particle} */
+     *  @return {Particle} - The new particle, undefined if it is simulated on the GPU */
     emitParticle()
     {
         // spawn a particle
-        let pos = this.emitCircle ?            // check if circle emitter
-            randInCircle(this.emitSize.x/2)    // circle emitter
-            : vec2(rand(-.5,.5), rand(-.5,.5)) // box emitter
-                .multiply(this.emitSize).rotate(this.angle)
+        let pos = this.getEmitPos();
         let angle = rand(this.particleConeAngle, -this.particleConeAngle);
         if (!this.localSpace)
         {
@@ -278,6 +406,11 @@ class ParticleEmitter extends EngineObject
             velocity.y += this.velocity.y;
             angleVelocity += this.angleVelocity;
         }
+        if (this.canUseGPU())
+        {
+            this.gpuEmitParticle(pos, angle, colorStart, colorEnd, particleTime, sizeStart, sizeEnd, velocity, angleVelocity);
+            return;
+        }
         const particle = new Particle(this, pos, angle, colorStart, colorEnd, particleTime, sizeStart, sizeEnd, velocity, angleVelocity);
         this.particles.push(particle);
 
@@ -288,6 +421,111 @@ class ParticleEmitter extends EngineObject
         return particle;
     }
 
+    /** Check if particles will be simulated on the GPU
+     *  - Requires gpuParticles to be set and WebGL to be enabled
+     *  - Tile collision, local space, trails, curves, and particle callbacks use the CPU
+     *  - GPU particles are not affected by force fields
+     *  @return {boolean} */
+    canUseGPU()
+    {
+        return this.gpuParticles && glEnable && !!glContext && this.particleTime > 0 &&
+            !this.collideTiles && !this.localSpace && !this.trailScale &&
+            !particleEmitterCurveKeys.some(key=> this[key]) &&
+            !this.particleCreateCallback && !this.particleDestroyCallback;
+    }
+
+    // add a particle to the list waiting to upload to the GPU
+    gpuEmitParticle(pos, angle, colorStart, colorEnd, lifeTime, sizeStart, sizeEnd, velocity, angleVelocity)
+    {
+        if (!this.gpuBuffer || this.gpuBuffer.capacity !== this.gpuMaxParticles)
+        {
+            // create the buffer when first used or resized
+            this.gpuBuffer && glDeleteParticleBuffer(this.gpuBuffer);
+            this.gpuBuffer = glCreateParticleBuffer(this.gpuMaxParticles);
+            this.gpuData = new Float32Array(this.gpuMaxParticles * gl_INDICES_PER_PARTICLE);
+            this.gpuColorData = new Uint32Array(this.gpuData.buffer);
+            this.gpuCount = 0;
+        }
+        if (this.gpuCount >= this.gpuMaxParticles) return;
+
+        const data = this.gpuData, colorData = this.gpuColorData;
+        let offset = this.gpuCount++ * gl_INDICES_PER_PARTICLE;
+        data[offset++] = pos.x;
+        data[offset++] = pos.y;
+        data[offset++] = velocity.x;
+        data[offset++] = velocity.y;
+        data[offset++] = angle;
+        data[offset++] = angleVelocity;
+        data[offset++] = time;
+        data[offset++] = lifeTime;
+        data[offset++] = sizeStart;
+        data[offset++] = sizeEnd;
+        data[offset++] = randSign();
+        colorData[offset++] = colorStart.rgbaInt();
+        colorData[offset++] = colorEnd.rgbaInt();
+        this.gpuEndTime = max(this.gpuEndTime, time + lifeTime);
+    }
+
+    /** Get a random position in the emit shape, relative to the emitter
+     *  @return {Vector2} */
+    getEmitPos()
+    {
+        const shape = this.emitShape;
+        const size = this.emitSize;
+        if (!shape)
+        {
+            return this.emitCircle ?               // check if circle emitter
+                randInCircle(size.x/2)             // circle emitter
+                : vec2(rand(-.5,.5), rand(-.5,.5)) // box emitter
+                    .multiply(size).rotate(this.angle);
+        }
+        if (shape === 'ring')
+            return randVec2(size.x/2);
+        if (shape === 'line')
+            return vec2(rand(-.5,.5)*size.x, 0).rotate(this.angle);
+
+        const points = this.emitPoints;
+        ASSERT(points.length > 0, 'emit shape needs emitPoints', shape);
+        if (shape === 'mask')
+            return points[randInt(points.length)].multiply(size).rotate(this.angle);
+        ASSERT(shape === 'polygon' || shape === 'path', 'unknown emit shape', shape);
+        return particleEmitterPathPos(points, shape === 'polygon', rand()).rotate(this.angle);
+    }
+
+    /** Emit from the opaque pixels of a sprite, the mask is scaled to emitSize
+     *  @param {TileInfo|ImageData} source - Tile to read pixels from, or image data
+     *  @param {number} [alphaThreshold] - Pixels with more alpha than this can emit
+     *  @return {ParticleEmitter} - This emitter for chaining */
+    setEmitMask(source, alphaThreshold=.5)
+    {
+        let imageData;
+        if (!(source instanceof TileInfo))
+            imageData = source;
+        else
+        {
+            // read the tile pixels from its texture
+            const {pos, size} = source;
+            workReadCanvas.width = size.x;
+            workReadCanvas.height = size.y;
+            workReadContext.drawImage(source.textureInfo.image, pos.x, pos.y, size.x, size.y, 0, 0, size.x, size.y);
+            imageData = workReadContext.getImageData(0, 0, size.x, size.y);
+        }
+
+        // save the center of each opaque pixel in a unit square
+        const {width, height, data} = imageData;
+        const points = [];
+        for (let y = 0; y < height; ++y)
+        for (let x = 0; x < width; ++x)
+        {
+            if (data[(y*width + x)*4 + 3] > alphaThreshold*255)
+                points.push(vec2((x + .5)/width - .5, .5 - (y + .5)/height));
+        }
+        ASSERT(points.length > 0, 'emit mask has no opaque pixels');
+        this.emitShape = 'mask';
+        this.emitPoints = points;
+        return this;
+    }
+
     /** Particle emitters do not have physics */
     updatePhysics() {}
 
@@ -297,6 +535,91 @@ class ParticleEmitter extends EngineObject
         // render all particles
         for (const particle of this.particles)
             particle.render();
+
+        if (this.gpuBuffer)
+        {
+            // upload new particles and draw them on the GPU while any are alive
+            glAddParticles(this.gpuBuffer, this.gpuData, this.gpuCount);
+            this.gpuCount = 0;
+            if (time >= this.gpuEndTime) return;
+            const g = gravity.scale(this.gravityScale);
+            glDrawParticles(this.gpuBuffer, this.tileInfo, g, this.damping, this.angleDamping, this.fadeRate, this.additive);
+        }
+    }
+
+    /** Get the settings of this emitter as a preset that can be saved as JSON
+     *  - Colors are hex strings, emitSize is a number for circles or [x, y] for boxes
+     *  - Tile info is {pos, size, texture, padding} with an index into textureInfos, or null if untextured
+     *  - Curves are arrays of [time, value] stops, or null if not set
+     *  - Emit points are [x, y] arrays
+     *  @return {Object} */
+    getPreset()
+    {
+        const preset = {};
+        for (const key of particleEmitterPresetKeys)
+        {
+            const value = this[key];
+            if (key === 'emitSize')
+                preset[key] = this.emitCircle ? value.x : [value.x, value.y];
+            else if (key === 'tileInfo')
+            {
+                // tile info references its texture by index
+                preset[key] = value ? {pos: [value.pos.x, value.pos.y], size: [value.size.x, value.size.y],
+                    texture: textureInfos.indexOf(value.textureInfo), padding: value.padding} : null;
+            }
+            else if (particleEmitterCurveKeys.includes(key))
+                preset[key] = value ? value.getPreset() : null;
+            else if (key === 'emitPoints')
+                preset[key] = value.map(p=> [p.x, p.y]);
+            else if (key === 'emitShape')
+                preset[key] = value || null;
+            else
+                preset[key] = value instanceof Color ? value.toString() : value;
+        }
+        return preset;
+    }
+
+    /** Set the settings of this emitter from a preset, settings not in the preset are unchanged
+     *  - Setting additive without renderOrder also sets the default render order
+     *  @param {Object|string} preset - Preset object or JSON string from getPreset
+     *  @return {ParticleEmitter} - This emitter for chaining */
+    setPreset(preset)
+    {
+        if (typeof preset === 'string')
+            preset = JSON.parse(preset);
+        for (const key in preset)
+        {
+            ASSERT(particleEmitterPresetKeys.includes(key), 'unknown particle preset setting', key);
+            const value = preset[key];
+            if (key === 'emitSize')
+            {
+                this.emitCircle = typeof value === 'number';
+                this.emitSize = this.emitCircle ? vec2(value) :
+                    isVector2(value) ? value.copy() : vec2(value[0], value[1]);
+            }
+            else if (key === 'tileInfo')
+            {
+                this.tileInfo = !value || value instanceof TileInfo ? value || undefined :
+                    new TileInfo(vec2(value.pos[0], value.pos[1]), vec2(value.size[0], value.size[1]),
+                        textureInfos[value.texture ?? 0], value.padding ?? 0);
+            }
+            else if (particleEmitterCurveKeys.includes(key))
+                this[key] = !value || value instanceof ParticleCurve ? value || undefined : new ParticleCurve(value);
+            else if (key === 'emitPoints')
+                this.emitPoints = value.map(p=> isVector2(p) ? p.copy() : vec2(p[0], p[1]));
+            else if (key === 'emitShape')
+                this.emitShape = value || undefined;
+            else if (this[key] instanceof Color)
+                this[key] = value instanceof Color ? value.copy() : new Color().setHex(value);
+            else
+            {
+                ASSERT(typeof value === typeof this[key], 'particle preset setting has wrong type', key);
+                this[key] = value;
+            }
+        }
+        if ('additive' in preset && !('renderOrder' in preset))
+            this.renderOrder = this.additive ? 1e9 : 0;
+        return this;
     }
 
     /** is emitter actively spawning */
@@ -309,13 +632,38 @@ class ParticleEmitter extends EngineObject
         if (this.destroyed) return;
 
         super.destroy(immediate);
-        if (!immediate && this.particles.length > 0)
+        if (!immediate && (this.particles.length > 0 || time < this.gpuEndTime))
         {
             // wait for particles to die off
             this.destroyed = false;
             this.emitTime = -1;
         }
+        else if (this.gpuBuffer)
+        {
+            glDeleteParticleBuffer(this.gpuBuffer);
+            this.gpuBuffer = this.gpuData = this.gpuColorData = undefined;
+        }
+    }
+}
+
+// get a position a percent of the way along a path, closed paths include the edge back to the start
+function particleEmitterPathPos(points, closed, percent)
+{
+    const count = points.length > 1 ? closed ? points.length : points.length - 1 : 0;
+    let length = 0;
+    for (let i = 0; i < count; ++i)
+        length += points[i].distance(points[(i + 1) % points.length]);
+
+    let distance = percent * length;
+    for (let i = 0; i < count; ++i)
+    {
+        const a = points[i], b = points[(i + 1) % points.length];
+        const segmentLength = a.distance(b);
+        if (distance <= segmentLength || i === count - 1)
+            return a.lerp(b, segmentLength ? distance / segmentLength : 0);
+        distance -= segmentLength;
     }
+    return points[0].copy();
 }
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -400,13 +748,24 @@ class Particle
             return;
         }
 
-        // apply physics
+        // apply physics, curves scale movement without changing velocity
         const oldPos = this.pos.copy();
+        const percent = this.getLifePercent();
+        const speedScale = emitter.speedCurve ? emitter.speedCurve.getValue(percent) : 1;
+        const angleSpeedScale = emitter.angleSpeedCurve ? emitter.angleSpeedCurve.getValue(percent) : 1;
         this.velocity.x *= damping;
         this.velocity.y *= damping;
-        this.pos.x += this.velocity.x += gravity.x * gravityScale;
-        this.pos.y += this.velocity.y += gravity.y * gravityScale;
-        this.angle += this.angleVelocity *= angleDamping;
+        this.velocity.x += gravity.x * gravityScale;
+        this.velocity.y += gravity.y * gravityScale;
+        if (emitter.forceFieldScale && !emitter.localSpace)
+        {
+            for (const field of particleForceFields)
+                field.applyFieldForce(this.pos, this.velocity, emitter.forceFieldScale);
+        }
+        this.pos.x += this.velocity.x * speedScale;
+        this.pos.y += this.velocity.y * speedScale;
+        this.angleVelocity *= angleDamping;
+        this.angle += this.angleVelocity * angleSpeedScale;
 
         // don't do collision if solver disabled
         if (!enablePhysicsSolver || !collideTiles) return;
@@ -463,13 +822,21 @@ class Particle
         }
     }
 
+    /** Get how far through its life this particle is
+     *  @return {number} - Percent of life from 0 to 1 */
+    getLifePercent()
+    { return this.lifeTime > 0 ? min((time - this.spawnTime) / this.lifeTime, 1) : 1; }
+
     /** Destroy this particle */
     destroy()
     {
-        const destroyCallback = this.emitter.particleDestroyCallback;
-        const c = this.colorEnd;
+        const emitter = this.emitter;
+        const destroyCallback = emitter.particleDestroyCallback;
+        const c = emitter.colorGradient ?
+            emitter.colorGradient.getValue(1).multiply(this.colorStart) : this.colorEnd;
+        const sizeEnd = emitter.sizeCurve ? this.sizeStart * emitter.sizeCurve.getValue(1) : this.sizeEnd;
         this.color.set(c.r, c.g, c.b, c.a);
-        this.size.set(this.sizeEnd, this.sizeEnd);
+        this.size.set(sizeEnd, sizeEnd);
         this.destroyed = true;
         destroyCallback?.(this);
     }
@@ -484,16 +851,29 @@ class Particle
         const trailScale = emitter.trailScale;
         const fadeRate = emitter.fadeRate / 2;
 
-        // lerp color and size
-        const p1 = this.lifeTime > 0 ? min((time - this.spawnTime) / this.lifeTime, 1) : 1, p2 = 1-p1;
-        const radius = p2 * this.sizeStart + p1 * this.sizeEnd;
+        // lerp color and size, or use curves if set
+        const p1 = this.getLifePercent(), p2 = 1-p1;
+        const radius = emitter.sizeCurve ? this.sizeStart * emitter.sizeCurve.getValue(p1) :
+            p2 * this.sizeStart + p1 * this.sizeEnd;
         const size = vec2(radius);
         const alphaFade = p1 < fadeRate ? p1/fadeRate : 
             p1 > 1-fadeRate ? (1-p1)/fadeRate : 1;
-        this.color.r = p2 * this.colorStart.r + p1 * this.colorEnd.r;
-        this.color.g = p2 * this.colorStart.g + p1 * this.colorEnd.g;
-        this.color.b = p2 * this.colorStart.b + p1 * this.colorEnd.b;
-        this.color.a = (p2 * this.colorStart.a + p1 * this.colorEnd.a) * alphaFade;
+        if (emitter.colorGradient)
+        {
+            // gradient is tinted by the start color
+            const color = emitter.colorGradient.getValue(p1, this.color), c = this.colorStart;
+            color.r *= c.r;
+            color.g *= c.g;
+            color.b *= c.b;
+            color.a *= c.a * alphaFade;
+        }
+        else
+        {
+            this.color.r = p2 * this.colorStart.r + p1 * this.colorEnd.r;
+            this.color.g = p2 * this.colorStart.g + p1 * this.colorEnd.g;
+            this.color.b = p2 * this.colorStart.b + p1 * this.colorEnd.b;
+            this.color.a = (p2 * this.colorStart.a + p1 * this.colorEnd.a) * alphaFade;
+        }
 
         // update the position and angle for drawing
         const pos = particleDrawPos.set(this.pos.x, this.pos.y);
@@ -530,4 +910,156 @@ class Particle
         additive && setAdditiveBlendMode(false);
         debugParticles && debugRect(pos, size, '#f005', 0, angle);
     }
-}
\ No newline at end of file
+}
+///////////////////////////////////////////////////////////////////////////////
+
+// list of force fields that affect particles
+const particleForceFields = [];
+
+/**
+ * Particle Force Field - Pushes particles around, and optionally other objects
+ * - attractor: pulls toward the center, negative strength repels
+ * - vortex: swirls around the center, negative strength turns clockwise
+ * - wind: pushes in the direction of the field angle
+ * - turbulence: pushes in directions that change smoothly with noise2D
+ * - The zone is a circle if size is a number or a box if it is a Vector2, 0 affects everywhere
+ * - Attractors and vortexes get weaker toward the edge of circle zones
+ * @extends EngineObject
+ * @memberof Particles
+ * @example
+ * // pull particles into a black hole
+ * new ParticleForceField(vec2(5, 2), 8, 'attractor', .01);
+ * // wind zone that blows particles and objects to the right
+ * const wind = new ParticleForceField(vec2(), vec2(10, 4), 'wind', .005);
+ * wind.angle = PI/2;
+ * wind.affectObjects = true;
+ */
+class ParticleForceField extends EngineObject
+{
+    /** Create a force field
+     *  @param {Vector2} pos - World space position of the field
+     *  @param {number|Vector2} [size] - Circle diameter or box size of the zone, 0 affects everywhere
+     *  @param {string} [type] - attractor, vortex, wind, or turbulence
+     *  @param {number} [strength] - Force added to velocity each frame, in world units per frame squared (at 60fps) */
+    constructor(pos, size=0, type='attractor', strength=.01)
+    {
+        ASSERT(['attractor', 'vortex', 'wind', 'turbulence'].includes(type), 'unknown force field type', type);
+        ASSERT(isNumber(strength), 'strength must be a number');
+
+        const isCircle = typeof size === 'number';
+        super(pos, isCircle ? vec2(size) : size);
+
+        /** @property {boolean} - Is the zone a circle */
+        this.isCircle = isCircle;
+        /** @property {string} - attractor, vortex, wind, or turbulence */
+        this.type = type;
+        /** @property {number} - Force added to velocity each frame */
+        this.strength = strength;
+        /** @property {boolean} - Do attractors and vortexes get weaker toward the edge of circle zones */
+        this.falloff = true;
+        /** @property {number} - World space size of turbulence noise features */
+        this.noiseScale = 2;
+        /** @property {number} - How fast turbulence changes over time */
+        this.noiseSpeed = 1;
+        /** @property {boolean} - Should the field also push engine objects with mass */
+        this.affectObjects = false;
+
+        this.gravityScale = 0;
+        this.mass = 0;
+        particleForceFields.push(this);
+    }
+
+    /** Check if a position is inside the zone
+     *  @param {Vector2} pos - World space position
+     *  @return {boolean} */
+    isInside(pos)
+    {
+        const size = this.size;
+        if (!size.x && !size.y)
+            return true;
+        if (this.isCircle)
+            return pos.distanceSquared(this.pos) <= size.x*size.x/4;
+        return isOverlapping(this.pos, size, pos);
+    }
+
+    /** Add the force at a position to a velocity
+     *  @param {Vector2} pos - World space position
+     *  @param {Vector2} velocity - Velocity to change
+     *  @param {number}  [scale] - How much force to apply */
+    applyFieldForce(pos, velocity, scale=1)
+    {
+        if (!this.isInside(pos))
+            return;
+
+        let strength = this.strength * scale;
+        const type = this.type;
+        if (type === 'wind')
+        {
+            velocity.x += strength * sin(this.angle);
+            velocity.y += strength * cos(this.angle);
+        }
+        else if (type === 'turbulence')
+        {
+            const x = pos.x / this.noiseScale, y = pos.y / this.noiseScale, t = time * this.noiseSpeed;
+            velocity.x += strength * (noise2D(x + t, y) * 2 - 1);
+            velocity.y += strength * (noise2D(x + 99, y - t) * 2 - 1);
+        }
+        else
+        {
+            const dx = this.pos.x - pos.x, dy = this.pos.y - pos.y;
+            const distance = (dx*dx + dy*dy)**.5;
+            if (!distance)
+                return;
+            if (this.falloff && this.isCircle && this.size.x)
+                strength *= 1 - distance / (this.size.x/2);
+            const s = strength / distance;
+            if (type === 'attractor')
+            {
+                velocity.x += dx * s;
+                velocity.y += dy * s;
+            }
+            else
+            {
+                // tangent to the center, counterclockwise for positive strength
+                velocity.x += dy * s;
+                velocity.y -= dx * s;
+            }
+        }
+    }
+
+    /** Push engine objects if affectObjects is set, called automatically by engine once each frame */
+    update()
+    {
+        if (this.affectObjects)
+        {
+            for (const o of engineObjects)
+                if (o.mass && !o.parent && !o.destroyed && !(o instanceof ParticleEmitter))
+                    this.applyFieldForce(o.pos, o.velocity);
+        }
+
+        if (debugParticles)
+        {
+            // show force field zone
+            if (this.isCircle)
+                debugCircle(this.pos, this.size.x, '#0ff');
+            else
+                debugRect(this.pos, this.size, '#0ff');
+        }
+    }
+
+    /** Force fields do not have physics */
+    updatePhysics() {}
+
+    /** Force fields are not drawn */
+    render() {}
+
+    /** Destroy the force field and stop affecting particles
+     *  @param {boolean} [immediate] - should attached effects be allowed to die off? */
+    destroy(immediate=false)
+    {
+        if (this.destroyed) return;
+        super.destroy(immediate);
+        const index = particleForceFields.indexOf(this);
+        index >= 0 && particleForceFields.splice(index, 1);
+    }
+}
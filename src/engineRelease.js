@@ -19,6 +19,7 @@ const debugParticles = 0;
 const debugRaycast = 0;
 const debugGamepads = 0;
 const debugSound = 0;
+const debugBroadphase = 0;
 const debugPointSize = .5;
 
 // debug commands are automatically removed from the final build
@@ -128,6 +128,12 @@ let headlessMode = false;
  *  @memberof Settings */
 let engineManualStep = false;
 
+/** How many frames of world state to keep so engineRewind can roll back, 0 disables it
+ *  @type {number}
+ *  @default
+ *  @memberof Settings */
+let engineRewindFrames = 0;
+
 ///////////////////////////////////////////////////////////////////////////////
 // WebGL settings
 
@@ -203,12 +209,22 @@ let objectDefaultRestitution = 0;
  *  @memberof Settings */
 let objectDefaultFriction = .8;
 
-/** Clamp max speed to avoid fast objects missing collisions
+/** Clamp max speed to avoid fast objects missing collisions, objects with continuousCollision are not clamped
  *  @type {number}
  *  @default
  *  @memberof Settings */
 let objectMaxSpeed = 1;
 
+/** Cell size of the spatial hash used to find nearby objects, 0 checks every object
+ *  - Speeds up object collisions, engineObjectsCollect, and engineObjectsRaycast when there are many objects
+ *  - Should be around the size of common objects
+ *  - Objects moved outside of their own update are found where they moved on the next frame
+ *  - Results are not in the same order as engineObjects
+ *  @type {number}
+ *  @default
+ *  @memberof Settings */
+let objectBroadphaseCellSize = 0;
+
 /** How much gravity to apply to objects, negative Y is down
  *  @type {Vector2}
  *  @default
@@ -492,6 +508,16 @@ function setHeadlessMode(headless) { headlessMode = headless; }
  *  @memberof Settings */
 function setEngineManualStep(enable=true) { engineManualStep = enable; }
 
+/** Set how many frames of world state to keep for engineRewind, 0 disables it
+ *  @param {number} frames
+ *  @memberof Settings */
+function setEngineRewindFrames(frames)
+{
+    ASSERT(Number.isInteger(frames) && frames >= 0, 'rewind frames must be a whole number');
+    engineRewindFrames = frames;
+    engineRewindSnapshots.splice(0, engineRewindSnapshots.length - frames);
+}
+
 /** Set if WebGL rendering is enabled
  *  @param {boolean} enable
  *  @memberof Settings */
@@ -562,6 +588,16 @@ function setObjectDefaultFriction(friction) { objectDefaultFriction = friction;
  *  @memberof Settings */
 function setObjectMaxSpeed(speed) { objectMaxSpeed = speed; }
 
+/** Set cell size of the spatial hash used to find nearby objects, 0 disables it
+ *  @param {number} size
+ *  @memberof Settings */
+function setObjectBroadphaseCellSize(size)
+{
+    ASSERT(size >= 0, 'broadphase cell size must be positive');
+    objectBroadphaseCellSize = size;
+    engineBroadphaseBuild();
+}
+
 /** Set how much gravity to apply to objects
  *  @param {Vector2} newGravity
  *  @memberof Settings */
@@ -7,6 +7,8 @@
  * - TileLayer for rendering, TileCollisionLayer for physics
  * - Collision callbacks for tile interactions with objects
  * - Optimized raycast support for tile-based physics
+ * - Sloped, half, and one way tile collision shapes
+ * - Animated tiles that only redraw the cells they change
  * - Integration with Box2D physics via Box2DTileLayer plugin
  * @namespace TileLayers
  */
@@ -43,6 +45,43 @@ function tileCollisionGetData(pos, solidOnly=true)
     return 0;
 }
 
+/** Get tile collision shape for a given cell in the grid
+*  @param {Vector2} pos
+*  @param {boolean} [solidOnly] - Only check solid layers?
+*  @return {TileCollisionShape} - Shape of the tile or undefined if it is a full tile
+*  @memberof TileLayers */
+function tileCollisionGetShape(pos, solidOnly=true)
+{
+    for (const layer of tileCollisionLayers)
+        if (!solidOnly || layer.isSolid)
+        {
+            const layerPos = pos.subtract(layer.pos);
+            if (layerPos.arrayCheck(layer.size) && layer.getCollisionData(layerPos))
+                return layer.getCollisionShape(layerPos);
+        }
+}
+
+// check if any solid tile overlapping an area has a sloped or half shape
+function tileCollisionHasSlope(pos, size)
+{
+    for (const layer of tileCollisionLayers)
+    {
+        if (!layer.isSolid || !layer.collisionShapes.length)
+            continue;
+        const posX = pos.x - layer.pos.x, posY = pos.y - layer.pos.y;
+        const minX = max(floor(posX - size.x/2), 0), maxX = min(posX + size.x/2, layer.size.x);
+        const minY = max(floor(posY - size.y/2), 0), maxY = min(posY + size.y/2, layer.size.y);
+        for (let y = minY; y < maxY; ++y)
+        for (let x = minX; x < maxX; ++x)
+        {
+            const shape = layer.collisionShapes[y*layer.size.x+x];
+            if (shape && shape.type !== 'oneWay' && layer.collisionData[y*layer.size.x+x])
+                return true;
+        }
+    }
+    return false;
+}
+
 /** Check if a tile layer collides with another object
  *  @param {Vector2} pos
  *  @param {Vector2} [size=vec2()]
@@ -205,6 +244,145 @@ class TileLayerData
     clear() { this.tile = this.direction = 0; this.mirror = false; this.color = new Color; }
 }
 
+///////////////////////////////////////////////////////////////////////////////
+
+// solid area of each tile collision shape before it is rotated or mirrored,
+// counter clockwise in tile space where 0,0 is the bottom left corner
+const tileCollisionShapePoints =
+{
+    solid:     [[0,0], [1,0], [1,1], [0,1]],
+    oneWay:    [[0,0], [1,0], [1,1], [0,1]],
+    half:      [[0,0], [1,0], [1,.5], [0,.5]],
+    slope45:   [[0,0], [1,0], [1,1]],
+    slope22Low:  [[0,0], [1,0], [1,.5]],
+    slope22High: [[0,0], [1,0], [1,1], [0,.5]],
+};
+
+/**
+ * Tile Collision Shape - shape of the solid area of a collision tile
+ * - Tiles without a shape are fully solid
+ * - Slopes rise to the right with the solid side down before being rotated or mirrored
+ * - 22.5 degree slopes are 2 tiles wide, use slope22Low then slope22High
+ * - Half tiles fill the bottom half
+ * - One way tiles only block objects moving down onto them, objects can pass through from other sides
+ * - Rotated clockwise by direction in 90 degree steps like TileLayerData
+ * @memberof TileLayers
+ * @example
+ * // make a ramp going up to the left
+ * layer.setCollisionData(vec2(5,2), 1, new TileCollisionShape('slope45', 0, true));
+ */
+class TileCollisionShape
+{
+    /** Create a tile collision shape
+     *  @param {string}  [type] - 'solid', 'oneWay', 'half', 'slope45', 'slope22Low', or 'slope22High'
+     *  @param {number}  [direction] - Integer direction of the shape, in 90 degree increments
+     *  @param {boolean} [mirror] - If the shape should be mirrored along the x axis */
+    constructor(type='solid', direction=0, mirror=false)
+    {
+        ASSERT(type in tileCollisionShapePoints, 'unknown tile collision shape', type);
+        ASSERT(Number.isInteger(direction), 'direction must be an integer');
+
+        /** @property {string} - Type of shape */
+        this.type = type;
+        /** @property {number} - Integer direction of the shape, in 90 degree increments */
+        this.direction = direction = mod(direction, 4);
+        /** @property {boolean} - If the shape is mirrored along the x axis */
+        this.mirror = mirror;
+
+        // mirror and rotate around the center of the tile
+        const transform = (x, y)=>
+        {
+            let p = vec2(mirror ? .5 - x : x - .5, y - .5);
+            for (let i = direction; i--;)
+                p = vec2(p.y, -p.x);
+            return p.add(vec2(.5));
+        };
+
+        /** @property {Array<Vector2>} - Counter clockwise points of the solid area in tile space */
+        this.points = tileCollisionShapePoints[type].map(([x, y])=> transform(x, y));
+        mirror && this.points.reverse();
+        /** @property {Vector2} - Normal of the side one way tiles can be landed on */
+        this.oneWayNormal = type === 'oneWay' ? transform(.5, 1.5).subtract(vec2(.5)) : undefined;
+    }
+
+    /** Check if a box overlaps this shape
+     *  @param {Vector2} tilePos - Bottom left corner of the tile
+     *  @param {Vector2} pos - Center of the box
+     *  @param {Vector2} size - Size of the box
+     *  @param {Vector2} [velocity] - Velocity of the box, one way tiles only collide if it was outside last frame
+     *  @return {boolean} */
+    isOverlapping(tilePos, pos, size, velocity)
+    {
+        const n = this.oneWayNormal;
+        if (n)
+        {
+            if (velocity)
+            {
+                // only collide if moving in and the box was fully outside the open side before moving
+                const extent = abs(n.x)*size.x/2 + abs(n.y)*size.y/2;
+                const side = tilePos.add(vec2(.5)).dot(n) + .5;
+                if (velocity.dot(n) > 0 || pos.subtract(velocity).dot(n) - extent < side - 1e-3)
+                    return false;
+            }
+            return isOverlapping(tilePos.add(vec2(.5)), vec2(1), pos, size);
+        }
+
+        const x = size.x/2, y = size.y/2;
+        const box = [vec2(pos.x-x, pos.y-y), vec2(pos.x+x, pos.y-y), vec2(pos.x+x, pos.y+y), vec2(pos.x-x, pos.y+y)];
+        return !!engineObjectGetContact({points:box}, {points:this.points.map(p=> p.add(tilePos))});
+    }
+
+    /** Find where a line segment enters this shape
+     *  @param {Vector2} tilePos - Bottom left corner of the tile
+     *  @param {Vector2} start
+     *  @param {Vector2} end
+     *  @param {Vector2} [normal] - Optional vector to store the normal of the side hit
+     *  @return {Vector2|undefined} - Position of the hit or undefined if it missed */
+    raycast(tilePos, start, end, normal)
+    {
+        const delta = end.subtract(start);
+        const n = this.oneWayNormal;
+        if (n)
+        {
+            // one way tiles can only be hit from the open side
+            const side = tilePos.add(vec2(.5)).dot(n) + .5;
+            if (delta.dot(n) >= 0 || start.dot(n) < side)
+                return;
+        }
+
+        // clip the segment against each edge of the shape
+        let tEnter = 0, tExit = 1, enterNormal;
+        const points = this.points;
+        for (let i = points.length; i--;)
+        {
+            const p = points[i].add(tilePos), q = points[(i+1) % points.length].add(tilePos);
+            const edgeNormal = vec2(q.y - p.y, p.x - q.x).normalize();
+            const distance = edgeNormal.dot(p.subtract(start));
+            const speed = edgeNormal.dot(delta);
+            if (!speed)
+            {
+                if (distance < 0)
+                    return; // parallel and outside
+                continue;
+            }
+            const t = distance / speed;
+            if (speed < 0)
+            {
+                if (t > tEnter)
+                    tEnter = t, enterNormal = edgeNormal;
+            }
+            else
+                tExit = min(tExit, t);
+            if (tEnter > tExit)
+                return;
+        }
+
+        if (normal)
+            normal.setFrom(enterNormal || delta.normalize(-1));
+        return start.add(delta.scale(tEnter));
+    }
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 /**
  * Canvas Layer - cached off screen rendering system
@@ -292,10 +470,14 @@ class CanvasLayer extends EngineObject
  * - Some devices like mobile phones are limited to 4k texture resolution
  * - For with 16x16 tiles this limits layers to 256x256 on mobile devices
  * - Tile layers are centered on their corner, so normal levels are at (0,0)
+ * - Animated tiles switch frames over time, only cells using them are redrawn
  * @extends CanvasLayer
  * @memberof TileLayers
  * @example
  * const tileLayer = new TileLayer(vec2(), vec2(200,100));
+ *
+ * // tile 8 animates through tiles 8, 9, and 10
+ * tileLayer.setTileAnimation(8, [8, 9, 10], .2);
  */
 class TileLayer extends CanvasLayer
 {
@@ -317,6 +499,12 @@ class TileLayer extends CanvasLayer
         this.data = [];
         /** @property {boolean} - Is this layer using a webgl texture? */
         this.isUsingWebGL = false;
+        /** @property {Map<number, Object>} - Animations by tile index as {frames, durations, totalTime} */
+        this.tileAnimations = new Map;
+
+        // cells using animated tiles and the frame each animation last drew
+        this.animatedCells = new Set;
+        this.animationFrames = new Map;
 
         if (headlessMode)
         {
@@ -358,7 +546,9 @@ class TileLayer extends CanvasLayer
         ASSERT(data instanceof TileLayerData, 'data must be a TileLayerData');
 
         if (!layerPos.arrayCheck(this.size)) return;
-        this.data[(layerPos.y|0)*this.size.x + (layerPos.x|0)] = data;
+        const i = (layerPos.y|0)*this.size.x + (layerPos.x|0);
+        this.data[i] = data;
+        this.tileAnimations.has(data.tile) ? this.animatedCells.add(i) : this.animatedCells.delete(i);
 
         if (!redraw) return;
         const isRedraw = drawContext === this.context;
@@ -380,6 +570,54 @@ class TileLayer extends CanvasLayer
         return layerPos.arrayCheck(this.size) ? this.data[(layerPos.y|0)*this.size.x + (layerPos.x|0)] : undefined;
     }
 
+    /** Set an animation for a tile index, cells using that tile will animate
+     *  - Frames are tile indices, the first frame is usually the tile itself
+     *  @param {number} tile - Tile index to animate
+     *  @param {Array<number>} frames - Tile index of each frame
+     *  @param {Array<number>|number} [durations] - Seconds for each frame or for all frames */
+    setTileAnimation(tile, frames, durations=.1)
+    {
+        ASSERT(isArray(frames) && frames.length > 0, 'frames must be an array of tile indices');
+        ASSERT(!isArray(durations) || durations.length === frames.length, 'durations must match frames');
+        const frameDurations = isArray(durations) ? durations : frames.map(()=> durations);
+        const totalTime = frameDurations.reduce((a, b)=> a + b, 0);
+        ASSERT(totalTime > 0, 'tile animation must have a duration');
+        this.tileAnimations.set(tile, {frames, durations: frameDurations, totalTime});
+        this.updateAnimatedCells();
+    }
+
+    /** Remove the animation for a tile index
+     *  @param {number} tile - Tile index to stop animating */
+    clearTileAnimation(tile)
+    {
+        this.tileAnimations.delete(tile);
+        this.animationFrames.delete(tile);
+        this.updateAnimatedCells();
+    }
+
+    /** Get the tile index to draw for a tile at the current time
+     *  @param {number} tile - Tile index from the layer data
+     *  @return {number} - Tile index of the current animation frame */
+    getAnimatedTile(tile)
+    {
+        const animation = this.tileAnimations.get(tile);
+        if (!animation) return tile;
+
+        let t = mod(time, animation.totalTime);
+        for (let i = 0; i < animation.frames.length; ++i)
+            if ((t -= animation.durations[i]) < 0)
+                return animation.frames[i];
+        return animation.frames[animation.frames.length - 1];
+    }
+
+    /** Find cells using animated tiles, call after changing data without setData */
+    updateAnimatedCells()
+    {
+        this.animatedCells.clear();
+        if (!this.tileAnimations.size) return;
+        this.data.forEach((d, i)=> d && this.tileAnimations.has(d.tile) && this.animatedCells.add(i));
+    }
+
     // Update the tile layer, refresh texture if needed
     update()
     {
@@ -389,6 +627,25 @@ class TileLayer extends CanvasLayer
             this.isUsingWebGL = false;
             this.redraw();
         }
+
+        // find animations that changed frame
+        const changedTiles = [];
+        for (const tile of this.tileAnimations.keys())
+        {
+            const frame = this.getAnimatedTile(tile);
+            if (this.animationFrames.get(tile) === frame) continue;
+            this.animationFrames.set(tile, frame);
+            changedTiles.push(tile);
+        }
+        if (!changedTiles.length || !this.animatedCells.size || !this.context) return;
+
+        // redraw only the cells using those animations
+        this.redrawStart();
+        for (const i of this.animatedCells)
+            if (changedTiles.includes(this.data[i].tile))
+                this.drawTileData(vec2(i % this.size.x, i / this.size.x | 0));
+        this.isUsingWebGL && glFlush();
+        this.redrawEnd();
     }
 
     // Render the tile layer, called automatically by the engine
@@ -408,6 +665,7 @@ class TileLayer extends CanvasLayer
      *  - This may be slow if not using webgl but only needs to be done once */
     redraw()
     {
+        this.updateAnimatedCells();
         this.redrawStart(true);
         for (let x = this.size.x; x--;)
         for (let y = this.size.y; y--;)
@@ -487,7 +745,7 @@ class TileLayer extends CanvasLayer
         const d = this.getData(layerPos);
         if (!d || !d.tile) return;
 
-        const tileInfo = this.tileInfo && this.tileInfo.index(d.tile);
+        const tileInfo = this.tileInfo && this.tileInfo.index(this.getAnimatedTile(d.tile));
         this.drawLayerTile(drawPos, drawSize, tileInfo, d.color, d.direction*PI/2, d.mirror);
     }
 
@@ -603,6 +861,8 @@ class TileCollisionLayer extends TileLayer
 
         /** @property {Array<number>} - The tile collision grid */
         this.collisionData = [];
+        /** @property {Array<TileCollisionShape>} - Shapes of tiles in the collision grid, undefined is a full tile */
+        this.collisionShapes = [];
         this.initCollision(this.size);
 
         // keep track of all collision layers
@@ -633,16 +893,23 @@ class TileCollisionLayer extends TileLayer
         this.collisionData = [];
         this.collisionData.length = size.area();
         this.collisionData.fill(0);
+        this.collisionShapes = [];
     }
 
     /** Set tile collision data for a given cell in the layer
     *  @param {Vector2} layerPos
-    *  @param {number}  [data] */
-    setCollisionData(layerPos, data=1)
+    *  @param {number}  [data]
+    *  @param {TileCollisionShape} [shape] - Shape of the tile, undefined is a full tile */
+    setCollisionData(layerPos, data=1, shape)
     {
         ASSERT(isVector2(layerPos), 'layerPos must be a Vector2');
+        ASSERT(!shape || shape instanceof TileCollisionShape, 'shape must be a TileCollisionShape');
         const i = (layerPos.y|0)*this.size.x + (layerPos.x|0);
-        layerPos.arrayCheck(this.size) && (this.collisionData[i] = data);
+        if (!layerPos.arrayCheck(this.size))
+            return;
+        this.collisionData[i] = data;
+        if (shape || this.collisionShapes[i])
+            this.collisionShapes[i] = shape;
     }
 
     /** Clear tile collision data for a given cell in the layer
@@ -660,6 +927,16 @@ class TileCollisionLayer extends TileLayer
         return layerPos.arrayCheck(this.size) ? this.collisionData[i] : 0;
     }
 
+    /** Get tile collision shape for a given cell in the layer
+    *  @param {Vector2} layerPos
+    *  @return {TileCollisionShape} - Shape of the tile or undefined if it is a full tile */
+    getCollisionShape(layerPos)
+    {
+        ASSERT(isVector2(layerPos), 'layerPos must be a Vector2');
+        const i = (layerPos.y|0)*this.size.x + (layerPos.x|0);
+        return layerPos.arrayCheck(this.size) ? this.collisionShapes[i] : undefined;
+    }
+
     /** Check if collision with another object should occur
     *  @param {Vector2}      pos
     *  @param {Vector2}      [size=vec2()]
@@ -691,12 +968,19 @@ class TileCollisionLayer extends TileLayer
         const maxX = min(max(posX + size.x/2, minX + 1), this.size.x);
         const maxY = min(max(posY + size.y/2, minY + 1), this.size.y);
         const hitPos = new Vector2;
+        const velocity = callbackObject instanceof EngineObject ? callbackObject.velocity : undefined;
         for (let y = minY; y < maxY; ++y)
         for (let x = minX; x < maxX; ++x)
         {
             // check if the object should collide with this tile
-            const tileData = this.collisionData[y*this.size.x+x];
-            if (tileData && collisionTest(tileData, hitPos.set(x+this.pos.x, y+this.pos.y)))
+            const i = y*this.size.x+x;
+            const tileData = this.collisionData[i];
+            if (!tileData || !collisionTest(tileData, hitPos.set(x+this.pos.x, y+this.pos.y)))
+                continue;
+
+            // check if overlapping the tile shape
+            const shape = this.collisionShapes[i];
+            if (!shape || shape.isOverlapping(hitPos, pos, size, velocity))
                 return true;
         }
         return false;
@@ -719,15 +1003,33 @@ class TileCollisionLayer extends TileLayer
             (tileData, pos)=> callbackObject(tileData, pos) :
             (tileData, pos)=> callbackObject.collideWithTile(tileData, pos) :
             (tileData)=> tileData > 0;
+        let shapeHitPos;
+        const shapeNormal = new Vector2;
         const testFunction = (pos)=>
         {
-            const tileData = this.getCollisionData(localPos.set(pos.x - this.pos.x, pos.y - this.pos.y));
-            return tileData && collisionTest(tileData, pos);
+            shapeHitPos = undefined;
+            localPos.set(pos.x - this.pos.x, pos.y - this.pos.y);
+            const tileData = this.getCollisionData(localPos);
+            if (!tileData || !collisionTest(tileData, pos))
+                return false;
+
+            // check where the ray hits the tile shape
+            const shape = this.getCollisionShape(localPos);
+            if (!shape)
+                return true;
+            shapeHitPos = shape.raycast(pos, posStart, posEnd, shapeNormal);
+            return !!shapeHitPos;
         }
 
         // use line test against tile collision
         const localPos = new Vector2;
-        const hitPos = lineTest(posStart, posEnd, testFunction, normal);
+        let hitPos = lineTest(posStart, posEnd, testFunction, normal);
+        if (hitPos && shapeHitPos)
+        {
+            // use exact hit on the tile shape
+            hitPos = shapeHitPos;
+            normal && normal.setFrom(shapeNormal);
+        }
         if (debugRaycast && hitPos)
         {
             const tilePos = hitPos.floor().add(vec2(.5));
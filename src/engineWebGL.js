@@ -7,6 +7,8 @@
  * - Shader system with custom vertex and fragment shaders
  * - Texture management with automatic atlas support
  * - Post-processing effects via framebuffer and shader plugins
+ * - GPU simulated particles stored in ring buffers for large particle counts
+ * - Materials with custom fragment shaders, batched by material
  * - Automatic fallback to Canvas2D if WebGL is unavailable
  * - Context loss and restoration handling
  * - Can be disabled with glEnable setting
@@ -32,7 +34,7 @@ let glContext;
 let glAntialias = true;
 
 // WebGL internal variables not exposed to documentation
-let glShader, glPolyShader, glPolyMode, glAdditive, glBatchAdditive, glActiveTexture, glArrayBuffer, glGeometryBuffer, glPositionData, glColorData, glBatchCount, glTextureInfos, glInstancedVAO, glPolyVAO, glFramebuffer, glRenderTarget, glCanBeEnabled = true;
+let glShader, glPolyShader, glPolyMode, glAdditive, glBatchAdditive, glActiveTexture, glArrayBuffer, glGeometryBuffer, glPositionData, glColorData, glBatchCount, glTextureInfos, glInstancedVAO, glPolyVAO, glFramebuffer, glRenderTarget, glParticleShader, glParticleBuffers, glMaterialPrograms, glBatchMaterial, glTransform, glCanBeEnabled = true;
 
 // WebGL internal constants
 const gl_ARRAY_BUFFER_SIZE = 5e5;
@@ -42,6 +44,8 @@ const gl_MAX_INSTANCES = gl_ARRAY_BUFFER_SIZE / gl_INSTANCE_BYTE_STRIDE | 0;
 const gl_INDICES_PER_POLY_VERTEX = 3;
 const gl_POLY_VERTEX_BYTE_STRIDE = gl_INDICES_PER_POLY_VERTEX * 4;
 const gl_MAX_POLY_VERTEXES = gl_ARRAY_BUFFER_SIZE / gl_POLY_VERTEX_BYTE_STRIDE | 0;
+const gl_INDICES_PER_PARTICLE = 13;
+const gl_PARTICLE_BYTE_STRIDE = gl_INDICES_PER_PARTICLE * 4;
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -50,6 +54,8 @@ function glInit(rootElement)
 {
     // keep set of texture infos so they can be restored if context is lost
     glTextureInfos = new Set;
+    glParticleBuffers = new Set;
+    glMaterialPrograms = new Map;
 
     if (!glEnable || headlessMode)
     {
@@ -87,6 +93,9 @@ function glInit(rootElement)
         // remove WebGL textures
         for (const info of glTextureInfos)
             info.glTexture = undefined;
+        for (const particleBuffer of glParticleBuffers)
+            particleBuffer.buffer = particleBuffer.vao = undefined;
+        glMaterialPrograms.clear(); // rebuilt when next used
         glActiveTexture = undefined;
         // drop any partially-filled batch so the next glFlush doesn't
         // upload stale glBatchCount against fresh empty buffers on restore
@@ -104,6 +113,8 @@ function glInit(rootElement)
         initWebGL();
         for (const info of glTextureInfos)
             info.glTexture = glCreateTexture(info.image, info.wrap);
+        for (const particleBuffer of glParticleBuffers)
+            glInitParticleBuffer(particleBuffer); // particles are lost
         pluginList.forEach(plugin=>plugin.glContextRestored?.());
     });
 
@@ -159,6 +170,45 @@ function glInit(rootElement)
             '}'                       // end of shader
         );
 
+        // setup gpu particle shaders, particles are simulated from their spawn state
+        glParticleShader = glCreateProgram(
+            '#version 300 es\n' +     // specify GLSL ES version
+            'precision highp float;'+ // use highp for accuracy
+            'uniform mat4 m;'+        // transform matrix
+            'uniform vec4 k,u;'+      // time/damping/angleDamping/fade, uvs
+            'uniform vec2 y;'+        // gravity per frame
+            'uniform float f;'+       // frame rate
+            'in vec2 g;'+             // in: geometry
+            'in vec4 p,a;'+           // in: position/velocity, angle/angleVelocity/spawnTime/lifeTime
+            'in vec3 z;'+             // in: sizeStart/sizeEnd/mirror
+            'in vec4 c,e;'+           // in: colorStart, colorEnd
+            'out vec2 v;'+            // out: uv
+            'out vec4 d;'+            // out: color
+            'float D(float x,float n){return abs(1.-x)<1e-6?n:x*(1.-pow(x,n))/(1.-x);}'+ // sum of damping over n frames
+            'void main(){'+           // shader entry point
+            'float t=k.x-a.z,P=t/a.w,n=t*f,S=D(k.y,n);'+ // age, life percent, frames, damped distance
+            'if(t<0.||t>=a.w){gl_Position=vec4(2,2,2,1);return;}'+ // hide dead particles
+            'vec2 x=p.xy+p.zw*S+y*(abs(1.-k.y)<1e-6?n*(n+1.)*.5:(n-S)/(1.-k.y));'+ // position
+            'float r=a.x+a.y*D(k.z,n);'+ // rotation
+            'vec2 s=(g-.5)*mix(z.x,z.y,P)*vec2(z.z,1);'+ // get size offset
+            'gl_Position=m*vec4(x+s*cos(r)-vec2(-s.y,s)*sin(r),1,1);'+ // transform position
+            'v=mix(u.xw,u.zy,g);'+    // pass uv to fragment shader
+            'd=mix(c,e,P);'+          // lerp color
+            'd.a*=k.w>0.?clamp(min(P,1.-P)/k.w,0.,1.):1.;'+ // fade in and out
+            '}'                       // end of shader
+            ,
+            '#version 300 es\n' +     // specify GLSL ES version
+            'precision highp float;'+ // use highp for accuracy
+            'uniform sampler2D s;'+   // texture
+            'uniform float w;'+       // untextured if set
+            'in vec2 v;'+             // in: uv
+            'in vec4 d;'+             // in: color
+            'out vec4 c;'+            // out: color
+            'void main(){'+           // shader entry point
+            'c=w>0.?d:texture(s,v)*d;'+ // modulate texture by color
+            '}'                       // end of shader
+        );
+
         // init buffers
         const glInstanceData = new ArrayBuffer(gl_ARRAY_BUFFER_SIZE);
         glPositionData = new Float32Array(glInstanceData);
@@ -254,9 +304,31 @@ function glPreRender(clear=true)
     }
     glContext.viewport(0, 0, mainCanvasSize.x, mainCanvasSize.y);
     clear && glClearCanvas();
+    glSetTransform(mainCanvasSize);
+
+    // set the active texture
+    glContext.activeTexture(glContext.TEXTURE0);
+    if (textureInfos[0])
+    {
+        glActiveTexture = textureInfos[0].glTexture;
+        glContext.bindTexture(glContext.TEXTURE_2D, glActiveTexture);
+    }
+
+    // rebind the array buffer
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, glArrayBuffer);
+
+    // start with additive blending off
+    glAdditive = glBatchAdditive = false;
+
+    // force it to set instanced mode
+    glSetInstancedMode(true);
+}
 
+// Set the camera transform for all shaders, size is the pixel size of the area being rendered
+function glSetTransform(size)
+{
     // build the transform matrix
-    const s = vec2(2*cameraScale).divide(mainCanvasSize);
+    const s = vec2(2*cameraScale).divide(size);
     if (glRenderTarget)
         s.y = -s.y; // invert y when using render target
     const rotatedCam = cameraPos.rotate(-cameraAngle);
@@ -268,33 +340,19 @@ function glPreRender(clear=true)
         -s.x * sa,  s.y * ca, 0, 0,
         1,          1,        1, 0,
         p.x,        p.y,      0, 1];
+    glTransform = transform; // materials set it when used
 
-    // set the same transform matrix for both shaders
+    // set the same transform matrix for all shaders
     const initUniform = (program, uniform, value)=>
     {
         glContext.useProgram(program);
         const location = glContext.getUniformLocation(program, uniform);
         glContext.uniformMatrix4fv(location, false, value);
     }
+    initUniform(glParticleShader, 'm', transform);
     initUniform(glPolyShader, 'm', transform);
     initUniform(glShader, 'm', transform);
-
-    // set the active texture
-    glContext.activeTexture(glContext.TEXTURE0);
-    if (textureInfos[0])
-    {
-        glActiveTexture = textureInfos[0].glTexture;
-        glContext.bindTexture(glContext.TEXTURE_2D, glActiveTexture);
-    }
-
-    // rebind the array buffer
-    glContext.bindBuffer(glContext.ARRAY_BUFFER, glArrayBuffer);
-
-    // start with additive blending off
-    glAdditive = glBatchAdditive = false;
-
-    // force it to set instanced mode
-    glSetInstancedMode(true);
+    glContext.useProgram(glPolyMode ? glPolyShader : glShader);
 }
 
 /** Clear the canvas and setup the viewport
@@ -462,6 +520,22 @@ function glSetTextureData(texture, image)
     glContext.bindTexture(glContext.TEXTURE_2D, glActiveTexture);
 }
 
+/** Regenerate mipmaps after rendering to a texture, restores the active texture when done
+ *  Does nothing for textures that do not use mipmaps
+ *  @param {TextureInfo} textureInfo
+ *  @memberof WebGL */
+function glUpdateMipmaps(textureInfo)
+{
+    if (!glContext || !textureInfo.glTexture) return;
+
+    // same condition as glCreateTexture
+    const size = textureInfo.size;
+    if (tilesPixelated || !isPowerOfTwo(size.x) || !isPowerOfTwo(size.y)) return;
+    glContext.bindTexture(glContext.TEXTURE_2D, textureInfo.glTexture);
+    glContext.generateMipmap(glContext.TEXTURE_2D);
+    glContext.bindTexture(glContext.TEXTURE_2D, glActiveTexture);
+}
+
 /** Tells WebGL to create or update the glTexture and start tracking it
  *  @param {TextureInfo} textureInfo
  *  @memberof WebGL */
@@ -512,9 +586,15 @@ function glFlush()
             (glPolyMode ? gl_INDICES_PER_POLY_VERTEX : gl_INDICES_PER_INSTANCE);
         glContext.bufferSubData(glContext.ARRAY_BUFFER, 0, glPositionData, 0, byteLength);
         
-        // draw the batch
+        // draw the batch, sprites may use a material shader
         if (glPolyMode)
             glContext.drawArrays(glContext.TRIANGLE_STRIP, 0, glBatchCount);
+        else if (glBatchMaterial)
+        {
+            glUseMaterial(glBatchMaterial);
+            glContext.drawArraysInstanced(glContext.TRIANGLE_STRIP, 0, 4, glBatchCount);
+            glContext.useProgram(glShader);
+        }
         else
             glContext.drawArraysInstanced(glContext.TRIANGLE_STRIP, 0, 4, glBatchCount);
         ++drawCount;
@@ -522,6 +602,7 @@ function glFlush()
         glBatchCount = 0;
     }
     glBatchAdditive = glAdditive;
+    glBatchMaterial = drawMaterial;
 }
 
 /** Flush any sprites still in the buffer and copy to main canvas
@@ -560,8 +641,8 @@ function glSetAntialias(antialias=true)
  *  @memberof WebGL */
 function glDraw(x, y, sizeX, sizeY, angle=0, uv0X=0, uv0Y=0, uv1X=1, uv1Y=1, rgba=-1, rgbaAdditive=0)
 {
-    // flush if there is not enough room or if different blend mode
-    if (glBatchCount >= gl_MAX_INSTANCES || glBatchAdditive !== glAdditive)
+    // flush if there is not enough room or if different blend mode or material
+    if (glBatchCount >= gl_MAX_INSTANCES || glBatchAdditive !== glAdditive || glBatchMaterial !== drawMaterial)
         glFlush();
     glSetInstancedMode();
 
@@ -722,6 +803,34 @@ function glSetRenderTarget(texture, clear=false)
     }
 }
 
+/** Set the area of the canvas to render to, used by split screen viewports
+ *  - Flushes the batch and sets the transform for the current camera
+ *  - Drawing is clipped to the area with a scissor test
+ *  @param {Vector2} [pos] - Top left of the area in pixels, undefined for the whole canvas
+ *  @param {Vector2} [size] - Size of the area in pixels
+ *  @memberof WebGL */
+function glSetViewport(pos, size)
+{
+    if (!glEnable || !glContext) return;
+
+    glFlush();
+    if (pos)
+    {
+        // gl viewports start at the bottom left
+        const y = glCanvas.height - pos.y - size.y;
+        glContext.viewport(pos.x, y, size.x, size.y);
+        glContext.scissor(pos.x, y, size.x, size.y);
+        glContext.enable(glContext.SCISSOR_TEST);
+    }
+    else
+    {
+        size = vec2(glCanvas.width, glCanvas.height);
+        glContext.viewport(0, 0, size.x, size.y);
+        glContext.disable(glContext.SCISSOR_TEST);
+    }
+    glSetTransform(size);
+}
+
 /** Clear out a rectangle area of the WebGL canvas or render target
  *  @param {number} x
  *  @param {number} y
@@ -740,8 +849,275 @@ function glClearRect(x, y, width, height)
     glContext.disable(glContext.SCISSOR_TEST);
 }
 
+/** Set uniforms on a program based on the type of each value, used by materials and post processing
+ *  - Numbers, Vector2s, and Colors set float, vec2, and vec4 uniforms
+ *  - Arrays of 2 to 4 numbers set vectors, arrays of Vector2s or Colors set uniform arrays
+ *  - TextureInfos are bound to texture units starting at textureUnit and set samplers
+ *  @param {WebGLProgram} program
+ *  @param {Object} uniforms - Uniform values by name
+ *  @param {number} [textureUnit] - First texture unit to bind textures to
+ *  @memberof WebGL */
+function glSetUniforms(program, uniforms, textureUnit=1)
+{
+    if (!glContext) return;
+
+    glContext.useProgram(program);
+    const firstTextureUnit = textureUnit;
+    for (const name in uniforms)
+    {
+        const value = uniforms[name];
+        const location = glContext.getUniformLocation(program, name);
+        if (typeof value === 'number')
+            glContext.uniform1f(location, value);
+        else if (isVector2(value))
+            glContext.uniform2f(location, value.x, value.y);
+        else if (isColor(value))
+            glContext.uniform4f(location, value.r, value.g, value.b, value.a);
+        else if (value instanceof TextureInfo)
+        {
+            glContext.activeTexture(glContext.TEXTURE0 + textureUnit);
+            glContext.bindTexture(glContext.TEXTURE_2D, value.glTexture);
+            glContext.uniform1i(location, textureUnit++);
+        }
+        else if (isNumber(value[0]))
+        {
+            // arrays of 2 to 4 numbers are vectors
+            ASSERT(value.length <= 4, 'uniform number arrays must be vectors');
+            const setters = [, 'uniform1fv', 'uniform2fv', 'uniform3fv', 'uniform4fv'];
+            glContext[setters[value.length]](location, value);
+        }
+        else if (isVector2(value[0]))
+            glContext.uniform2fv(location, value.flatMap(v=> [v.x, v.y]));
+        else if (isColor(value[0]))
+            glContext.uniform4fv(location, value.flatMap(c=> [c.r, c.g, c.b, c.a]));
+    }
+
+    // go back to the sprite texture unit
+    textureUnit !== firstTextureUnit && glContext.activeTexture(glContext.TEXTURE0);
+}
+
+/** Create a ring buffer of particles that are simulated on the GPU
+ *  - Particles move from their spawn state so only new particles are uploaded
+ *  - The oldest particles are replaced when the buffer is full
+ *  - Particles are lost if the WebGL context is lost
+ *  @param {number} capacity - Max number of particles alive at once
+ *  @return {Object} - Particle buffer for glAddParticles and glDrawParticles
+ *  @memberof WebGL */
+function glCreateParticleBuffer(capacity)
+{
+    ASSERT(capacity > 0, 'particle buffer capacity must be positive');
+
+    const particleBuffer = {capacity, next: 0, count: 0, buffer: undefined, vao: undefined};
+    glParticleBuffers.add(particleBuffer);
+    glInitParticleBuffer(particleBuffer);
+    return particleBuffer;
+}
+
+/** Delete a particle buffer and stop tracking it
+ *  @param {Object} particleBuffer
+ *  @memberof WebGL */
+function glDeleteParticleBuffer(particleBuffer)
+{
+    glParticleBuffers.delete(particleBuffer);
+    if (!glContext) return;
+
+    glContext.deleteBuffer(particleBuffer.buffer);
+    glContext.deleteVertexArray(particleBuffer.vao);
+    particleBuffer.buffer = particleBuffer.vao = undefined;
+}
+
+/** Upload new particles to a particle buffer
+ *  - Each particle is 13 values: pos x/y, velocity x/y, angle, angleVelocity,
+ *    spawnTime, lifeTime, sizeStart, sizeEnd, mirror (-1 or 1), colorStart, colorEnd
+ *  - Colors are 32-bit integers written through a Uint32Array view of the data
+ *  @param {Object} particleBuffer
+ *  @param {Float32Array} data - Particle data
+ *  @param {number} count - Number of particles in the data
+ *  @memberof WebGL */
+function glAddParticles(particleBuffer, data, count)
+{
+    if (!glContext || !particleBuffer.buffer || !count) return;
+    ASSERT(count <= particleBuffer.capacity, 'too many particles for buffer');
+
+    // write at the ring position, wrapping around to the start
+    const {capacity, next} = particleBuffer;
+    const first = min(count, capacity - next);
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, particleBuffer.buffer);
+    glContext.bufferSubData(glContext.ARRAY_BUFFER, next * gl_PARTICLE_BYTE_STRIDE,
+        data, 0, first * gl_INDICES_PER_PARTICLE);
+    if (count > first)
+        glContext.bufferSubData(glContext.ARRAY_BUFFER, 0,
+            data, first * gl_INDICES_PER_PARTICLE, (count - first) * gl_INDICES_PER_PARTICLE);
+    particleBuffer.next = (next + count) % capacity;
+    particleBuffer.count = min(particleBuffer.count + count, capacity);
+
+    // rebind the array buffer
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, glArrayBuffer);
+}
+
+/** Draw all particles in a particle buffer, flushes the sprite batch first
+ *  - Only slots that have been written are drawn
+ *  @param {Object} particleBuffer
+ *  @param {TileInfo} [tileInfo] - Tile info to render particles (undefined is untextured)
+ *  @param {Vector2} [gravity] - Gravity applied each frame
+ *  @param {number} [damping] - Per-frame velocity multiplier
+ *  @param {number} [angleDamping] - Per-frame angular velocity multiplier
+ *  @param {number} [fadeRate] - Fraction of life spent fading in and out
+ *  @param {boolean} [additive] - Should particles use additive blend
+ *  @memberof WebGL */
+function glDrawParticles(particleBuffer, tileInfo, gravity=vec2(), damping=1, angleDamping=1, fadeRate=0, additive=false)
+{
+    if (!glEnable || !glContext || !particleBuffer.vao || !particleBuffer.count) return;
+
+    // draw any sprites that are already in the batch
+    glFlush();
+    const textureInfo = tileInfo?.textureInfo;
+    textureInfo && glSetTexture(textureInfo.glTexture);
+    glContext.useProgram(glParticleShader);
+
+    // set uniforms
+    const uniform = (name)=> glContext.getUniformLocation(glParticleShader, name);
+    glContext.uniform4f(uniform('k'), time, damping, angleDamping, fadeRate/2);
+    glContext.uniform2f(uniform('y'), gravity.x, gravity.y);
+    glContext.uniform1f(uniform('f'), frameRate);
+    glContext.uniform1f(uniform('w'), textureInfo ? 0 : 1);
+    if (textureInfo)
+    {
+        // calculate uvs like drawTile
+        const sizeInverse = textureInfo.sizeInverse;
+        const bleedX = sizeInverse.x*tileInfo.bleed;
+        const bleedY = sizeInverse.y*tileInfo.bleed;
+        const x = tileInfo.pos.x * sizeInverse.x;
+        const y = tileInfo.pos.y * sizeInverse.y;
+        const w = tileInfo.size.x * sizeInverse.x;
+        const h = tileInfo.size.y * sizeInverse.y;
+        glContext.uniform4f(uniform('u'), x + bleedX, y + bleedY, x - bleedX + w, y - bleedY + h);
+    }
+
+    // set blend mode
+    const destBlend = additive ? glContext.ONE : glContext.ONE_MINUS_SRC_ALPHA;
+    glContext.blendFuncSeparate(glContext.SRC_ALPHA, destBlend, glContext.ONE, destBlend);
+    glContext.enable(glContext.BLEND);
+
+    // draw every written slot, dead particles are moved off screen by the shader
+    glContext.bindVertexArray(particleBuffer.vao);
+    glContext.drawArraysInstanced(glContext.TRIANGLE_STRIP, 0, 4, particleBuffer.count);
+    ++drawCount;
+    primitiveCount += particleBuffer.count;
+
+    // go back to sprite batching
+    glSetInstancedMode(true);
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 
+// WebGL internal function to create the buffer and VAO for gpu particles, clears the particles
+function glInitParticleBuffer(particleBuffer)
+{
+    if (!glContext) return;
+
+    const capacity = particleBuffer.capacity;
+    particleBuffer.next = particleBuffer.count = 0;
+    particleBuffer.buffer = glContext.createBuffer();
+    particleBuffer.vao = glContext.createVertexArray();
+    glContext.bindVertexArray(particleBuffer.vao);
+
+    let offset = 0;
+    const initVertexAttrib = (name, type, typeSize, size, divisor=1)=>
+    {
+        const location = glContext.getAttribLocation(glParticleShader, name);
+        const normalize = typeSize === 1;
+        const stride = typeSize && gl_PARTICLE_BYTE_STRIDE;
+        glContext.enableVertexAttribArray(location);
+        glContext.vertexAttribPointer(location, size, type, normalize, stride, offset);
+        glContext.vertexAttribDivisor(location, divisor);
+        offset += size*typeSize;
+    }
+
+    // configure particle vertex attributes, buffer starts zeroed so all particles are dead
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, glGeometryBuffer);
+    initVertexAttrib('g', glContext.FLOAT, 0, 2, 0); // geometry
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, particleBuffer.buffer);
+    glContext.bufferData(glContext.ARRAY_BUFFER, capacity * gl_PARTICLE_BYTE_STRIDE, glContext.DYNAMIC_DRAW);
+    initVertexAttrib('p', glContext.FLOAT, 4, 4); // position & velocity
+    initVertexAttrib('a', glContext.FLOAT, 4, 4); // angle, angle velocity, spawn time, life time
+    initVertexAttrib('z', glContext.FLOAT, 4, 3); // size start, size end, mirror
+    initVertexAttrib('c', glContext.UNSIGNED_BYTE, 1, 4); // color start
+    initVertexAttrib('e', glContext.UNSIGNED_BYTE, 1, 4); // color end
+
+    // restore the current mode
+    glContext.bindVertexArray(glPolyMode ? glPolyVAO : glInstancedVAO);
+    glContext.bindBuffer(glContext.ARRAY_BUFFER, glArrayBuffer);
+}
+
+// WebGL internal function to get the program for a material shader, programs are cached by shader code
+function glGetMaterialProgram(shaderCode)
+{
+    let program = glMaterialPrograms.get(shaderCode);
+    if (program)
+        return program;
+
+    // use the same attribute locations as the sprite shader so its VAO can be shared
+    const attribute = (type, name)=>
+        `layout(location=${glContext.getAttribLocation(glShader, name)})in ${type} ${name};`;
+    program = glCreateProgram(
+        '#version 300 es\n' +     // specify GLSL ES version
+        'precision highp float;'+ // use highp for accuracy
+        'uniform mat4 m;'+        // transform matrix
+        attribute('vec2', 'g') +  // in: geometry
+        attribute('vec4', 'p') +  // in: position/size
+        attribute('vec4', 'u') +  // in: uvs
+        attribute('vec4', 'c') +  // in: color
+        attribute('vec4', 'a') +  // in: additiveColor
+        attribute('float', 'r') + // in: rotation
+        'out vec2 vUV,vLocal;'+   // out: uv, position in sprite
+        'out vec4 vColor,vAdditive,vUVRect;'+ // out: color, additiveColor, uvs
+        'void main(){'+           // shader entry point
+        'vec2 s=(g-.5)*p.zw;'+    // get size offset
+        'gl_Position=m*vec4(p.xy+s*cos(r)-vec2(-s.y,s)*sin(r),1,1);'+ // transform position
+        'vUV=mix(u.xw,u.zy,g);'+  // pass uv to fragment shader
+        'vLocal=g;vUVRect=u;'+    // pass sprite info to fragment shader
+        'vColor=c;vAdditive=a;'+  // pass colors to fragment shader
+        '}'                       // end of shader
+        ,
+        '#version 300 es\n' +     // specify GLSL ES version
+        'precision highp float;'+ // use highp for accuracy
+        'uniform sampler2D iChannel0;'+ // texture
+        'uniform float iTime;'+   // time
+        'uniform vec2 iTexelSize;'+ // size of a texel in uv space
+        'in vec2 vUV,vLocal;'+    // in: uv, position in sprite
+        'in vec4 vColor,vAdditive,vUVRect;'+ // in: color, additiveColor, uvs
+        'out vec4 c;'+            // out: color
+        'vec4 spriteTexture(vec2 uv){'+ // texture clamped to the sprite
+        'return texture(iChannel0,clamp(uv,min(vUVRect.xy,vUVRect.zw),max(vUVRect.xy,vUVRect.zw)));}'+
+        'vec4 spriteColor(vec2 uv){'+ // texture modulated by color plus additive
+        'return spriteTexture(uv)*vColor+vAdditive;}'+
+        '\n' + shaderCode + '\n' + // add material code
+        'void main(){mainMaterial(c,vUV);}' // call material code
+    );
+    glMaterialPrograms.set(shaderCode, program);
+    return program;
+}
+
+// WebGL internal function to use a material program and set its uniforms
+function glUseMaterial(material)
+{
+    const program = glGetMaterialProgram(material.shaderCode);
+    glContext.useProgram(program);
+    const location = (name)=> glContext.getUniformLocation(program, name);
+    glContext.uniformMatrix4fv(location('m'), false, glTransform);
+    glContext.uniform1f(location('iTime'), time);
+
+    // get texel size of the batch texture
+    let texelSize = vec2();
+    for (const info of glTextureInfos)
+        if (info.glTexture === glActiveTexture)
+            texelSize = info.sizeInverse;
+    glContext.uniform2f(location('iTexelSize'), texelSize.x, texelSize.y);
+
+    glSetUniforms(program, material.uniforms);
+}
+
 // WebGL internal function to convert polygon to outline triangle strip
 function glMakeOutline(points, width, wrap=true)
 {
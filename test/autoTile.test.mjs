@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { AutoTileMap, AutoTileSet, TileCollisionLayer, TileLayer, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own layer.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const getTile = (layer, x, y)=> layer.getData(vec2(x, y))?.tile ?? 0;
+
+test('blob sets reduce corners to 47 tiles', () =>
+{
+    const blob = new AutoTileSet('blob', 1);
+    assert.equal(blob.getMaskTile(0), 1);
+    assert.equal(blob.getMaskTile(255), 47);
+
+    // corners without both sides are ignored
+    assert.equal(blob.getMaskTile(1|2), blob.getMaskTile(1));
+    assert.notEqual(blob.getMaskTile(1|2|4), blob.getMaskTile(1|4));
+    const masks = new Set;
+    for (let mask = 0; mask < 256; ++mask)
+        masks.add(blob.getMaskTile(mask));
+    assert.equal(masks.size, 47);
+
+    // custom layouts by mask
+    const custom = new AutoTileSet('4bit', {0: 9, 15: 3}, 7);
+    assert.equal(custom.getMaskTile(15), 3);
+    assert.equal(custom.getMaskTile(5), 7);
+    assert.throws(() => new AutoTileSet('blob', [1, 2, 3]));
+    assert.throws(() => new AutoTileSet('hex'));
+});
+
+test('changing a cell updates neighbors and collision', () =>
+{
+    const layer = new TileCollisionLayer(vec2(), vec2(5), tile(0, 16), 0, false);
+    const terrain = new AutoTileMap(layer);
+    terrain.connectEdges = false;
+    terrain.addTerrain(1, new AutoTileSet('4bit', 16), 1);
+
+    terrain.setTerrain(vec2(2, 2), 1);
+    assert.equal(getTile(layer, 2, 2), 16);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 2.5)), 1);
+
+    // north neighbor connects both cells
+    terrain.setTerrain(vec2(2, 3), 1);
+    assert.equal(getTile(layer, 2, 2), 16 + 1);
+    assert.equal(getTile(layer, 2, 3), 16 + 4);
+
+    terrain.setTerrain(vec2(2, 3), 0);
+    assert.equal(getTile(layer, 2, 2), 16);
+    assert.equal(getTile(layer, 2, 3), 0);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 3.5)), 0);
+    assert.equal(terrain.getTerrain(vec2(2, 3)), 0);
+    assert.equal(terrain.getTerrain(vec2(9, 9)), undefined);
+    assert.throws(() => terrain.setTerrain(vec2(1, 1), 5));
+
+    // edges connect by default
+    terrain.connectEdges = true;
+    terrain.setTerrain(vec2(0, 0), 1);
+    assert.equal(getTile(layer, 0, 0), 16 + 4 + 8);
+    layer.destroy();
+});
+
+test('terrain data fills the grid and terrains can connect', () =>
+{
+    const layer = new TileCollisionLayer(vec2(), vec2(4, 3), tile(0, 16), 0, false);
+    const terrain = new AutoTileMap(layer);
+    terrain.connectEdges = false;
+    terrain.addTerrain(1, new AutoTileSet('4bit', 16), 1);
+    terrain.addTerrain(2, new AutoTileSet('4bit', 32), 2, undefined, [1]);
+
+    // a row of dirt with grass on the right end, grass does not connect to dirt
+    terrain.setTerrainData((x, y)=> y !== 1 ? 0 : x < 3 ? 1 : 2);
+    assert.equal(getTile(layer, 0, 1), 16 + 2);
+    assert.equal(getTile(layer, 1, 1), 16 + 2 + 8);
+    assert.equal(getTile(layer, 2, 1), 16 + 8);
+    assert.equal(getTile(layer, 3, 1), 32 + 8);
+    assert.equal(LJS.tileCollisionGetData(vec2(3.5, 1.5)), 2);
+    assert.equal(LJS.tileCollisionGetData(vec2(3.5, .5)), 0);
+    assert.throws(() => terrain.setTerrainData([1, 2]));
+    layer.destroy();
+});
+
+test('wang sets match neighbor terrains', () =>
+{
+    const layer = new TileLayer(vec2(), vec2(3), tile(0, 16), 0, false);
+    const terrain = new AutoTileMap(layer);
+    const wang = new AutoTileSet('wang',
+    [
+        {tile: 5, wangid: [1, 0, 1, 0, 1, 0, 1, 0]},
+        {tile: 6, wangid: [2, 0, 0, 0, 0, 0, 0, 0]},
+        {tile: 7, wangid: [2, 0, 2, 0, 0, 0, 0, 0]},
+    ], 4);
+    terrain.addTerrain(1, wang);
+    terrain.addTerrain(2, new AutoTileSet('4bit', 20));
+
+    terrain.setTerrainData([1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    assert.equal(getTile(layer, 1, 1), 5);
+
+    // water to the north, then also to the east
+    terrain.setTerrain(vec2(1, 2), 2);
+    assert.equal(getTile(layer, 1, 1), 6);
+    terrain.setTerrain(vec2(2, 1), 2);
+    assert.equal(getTile(layer, 1, 1), 7);
+
+    // no match uses the default
+    terrain.setTerrain(vec2(1, 1), 1);
+    terrain.setTerrain(vec2(0, 1), 2);
+    terrain.setTerrain(vec2(2, 1), 1);
+    terrain.setTerrain(vec2(1, 2), 1);
+    assert.equal(getTile(layer, 1, 1), 4);
+    layer.destroy();
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, vec2 } = LJS;
+
+// One engineInit for the whole file, results with the broadphase should
+// match checking every object.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+// grid of objects with a few large ones
+for (let x = -20; x < 20; x += 1.5)
+for (let y = -20; y < 20; y += 1.5)
+    new EngineObject(vec2(x, y), vec2(1));
+new EngineObject(vec2(), vec2(100, 1));
+new EngineObject(vec2(5, -5), vec2(3));
+for (const o of LJS.engineObjects)
+    o.collideRaycast = true;
+
+// run a query with and without the broadphase, results are in the order they were found
+const byIndex = (objects)=> [...objects].sort((a, b)=>
+    LJS.engineObjects.indexOf(a) - LJS.engineObjects.indexOf(b));
+const compare = (query)=>
+{
+    LJS.setObjectBroadphaseCellSize(0);
+    const expected = query();
+    LJS.setObjectBroadphaseCellSize(2);
+    const result = query();
+    LJS.setObjectBroadphaseCellSize(0);
+    assert(expected.length > 0);
+    assert.deepEqual(byIndex(result), expected);
+};
+
+// object that runs a query when it updates, like game code would
+class QueryObject extends EngineObject
+{
+    update() { this.results = this.query?.(); }
+}
+
+test('engineObjectsCollect matches checking every object', () =>
+{
+    compare(()=> LJS.engineObjectsCollect(vec2(3, 4), vec2(5, 3)));
+    compare(()=> LJS.engineObjectsCollect(vec2(-7, 2), 4));
+    compare(()=> LJS.engineObjectsCollect(vec2(5, -5), vec2(.1)));
+});
+
+test('engineObjectsRaycast matches checking every object', () =>
+{
+    compare(()=> LJS.engineObjectsRaycast(vec2(-10, -9), vec2(10, -6)));
+    compare(()=> LJS.engineObjectsRaycast(vec2(-30, .2), vec2(30, .2)));
+});
+
+test('objects created after the hash is built are found', () =>
+{
+    LJS.setObjectBroadphaseCellSize(2);
+    const o = new EngineObject(vec2(50, 50), vec2(1));
+    assert.deepEqual(LJS.engineObjectsCollect(vec2(50, 50), vec2(1)), [o]);
+    o.destroy();
+    LJS.engineStep();
+    assert.deepEqual(LJS.engineObjectsCollect(vec2(50, 50), vec2(1)), []);
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('objects that move are found at their new position', () =>
+{
+    LJS.setObjectBroadphaseCellSize(2);
+    const o = new EngineObject(vec2(60, 60), vec2(1));
+    o.velocity = vec2(.5, 0);
+    LJS.engineStep(20);
+    assert.deepEqual(LJS.engineObjectsCollect(o.pos, vec2(1)), [o]);
+    assert.deepEqual(LJS.engineObjectsCollect(vec2(60, 60), vec2(1)), []);
+    o.destroy();
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('objects moved by game code are found by queries the next frame', () =>
+{
+    LJS.setObjectBroadphaseCellSize(1);
+    const o = new EngineObject(vec2(90, 90), vec2(1));
+    o.gravityScale = 0;
+    o.collideRaycast = true;
+    const q = new QueryObject(vec2(-90, -90), vec2(.1));
+    q.gravityScale = 0;
+    LJS.engineStep();
+
+    // moved between frames
+    o.pos = vec2(100, 100);
+    q.query = ()=> [LJS.engineObjectsCollect(vec2(100, 100), vec2(1)),
+        LJS.engineObjectsRaycast(vec2(99, 100), vec2(101, 100)),
+        LJS.engineObjectsCollect(vec2(90, 90), vec2(1))];
+    LJS.engineStep();
+    assert.deepEqual(q.results, [[o], [o], []]);
+
+    // moving in place and resizing are also found
+    o.pos.x = 110;
+    q.query = ()=> LJS.engineObjectsCollect(vec2(110, 100), vec2(1));
+    LJS.engineStep();
+    assert.deepEqual(q.results, [o]);
+    o.size = vec2(9);
+    q.query = ()=> LJS.engineObjectsCollect(vec2(114, 100), vec2(1));
+    LJS.engineStep();
+    assert.deepEqual(q.results, [o]);
+    o.destroy();
+    q.destroy();
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('objects that move when they update are found later that frame', () =>
+{
+    LJS.setObjectBroadphaseCellSize(1);
+    class Mover extends EngineObject
+    {
+        update() { this.pos = vec2(130, 120); }
+    }
+    const o = new Mover(vec2(120, 120), vec2(1));
+    o.gravityScale = 0;
+    const q = new QueryObject(vec2(-90, -90), vec2(.1));
+    q.gravityScale = 0;
+    q.query = ()=> LJS.engineObjectsCollect(vec2(130, 120), vec2(1));
+    LJS.engineStep();
+    assert.deepEqual(q.results, [o]);
+    o.destroy();
+    q.destroy();
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('cells far from the origin do not share keys', () =>
+{
+    const far = new EngineObject(vec2(65536.5, 200.5), vec2(.5));
+    const near = new EngineObject(vec2(.5, 201.5), vec2(.5));
+    LJS.setObjectBroadphaseCellSize(1);
+    assert.deepEqual(LJS.engineObjectsCollect(vec2(.5, 201.5), vec2(.5)), [near]);
+    assert.deepEqual(LJS.engineObjectsCollect(vec2(65536.5, 200.5), vec2(.5)), [far]);
+    far.destroy();
+    near.destroy();
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('solid objects still collide using the broadphase', () =>
+{
+    LJS.setObjectBroadphaseCellSize(2);
+    const wall = new EngineObject(vec2(80, 0), vec2(1, 10));
+    wall.setCollision();
+    wall.mass = 0;
+    const ball = new EngineObject(vec2(70, 0), vec2(1));
+    ball.setCollision();
+    ball.velocity = vec2(.5, 0);
+    LJS.engineStep(60);
+    assert(ball.pos.x < 79.5);
+    wall.destroy();
+    ball.destroy();
+    LJS.setObjectBroadphaseCellSize(0);
+});
+
+test('negative cell size asserts', () =>
+{
+    assert.throws(() => LJS.setObjectBroadphaseCellSize(-1));
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { Camera, EngineObject, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own camera.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const near = (a, b, epsilon=1e-9)=> assert(Math.abs(a - b) < epsilon, `${a} != ${b}`);
+
+test('cameras follow targets with a deadzone and set the engine camera', () =>
+{
+    const target = new EngineObject(vec2(10, 0));
+    target.gravityScale = 0;
+    const camera = new Camera(vec2(), 20).follow(target, true);
+    assert.deepEqual(LJS.cameraPos, vec2(10, 0));
+    assert.equal(LJS.cameraScale, 20);
+
+    // moving inside the deadzone does not move the camera
+    camera.deadzone = vec2(4);
+    target.pos = vec2(11.5, 1);
+    LJS.engineStep();
+    assert.deepEqual(camera.pos, vec2(10, 0));
+
+    // leaving it pulls the camera until the target is at the edge
+    target.pos = vec2(15, 0);
+    camera.followSpeed = 1;
+    LJS.engineStep();
+    assert.deepEqual(camera.pos, vec2(13, 0));
+
+    // lookahead leads moving targets
+    camera.deadzone = vec2();
+    camera.lookahead = 10;
+    camera.lookaheadSpeed = 1;
+    target.velocity = vec2(.1, 0);
+    const x = target.pos.x;
+    LJS.engineStep();
+    near(camera.pos.x, x + 1);
+
+    // bounds keep the view inside, destroyed targets are dropped
+    camera.setBounds(vec2(), vec2(12, 8));
+    LJS.engineStep();
+    near(camera.pos.x, 12);
+    target.destroy();
+    LJS.engineStep();
+    assert.equal(camera.targets.length, 0);
+    camera.destroy();
+});
+
+test('several targets are followed at their center', () =>
+{
+    const a = vec2(-2, 0), b = vec2(4, 2);
+    const camera = new Camera;
+    camera.addTarget(a);
+    camera.addTarget(b);
+    camera.addTarget(b);
+    assert.equal(camera.targets.length, 2);
+    camera.snapToTargets();
+    assert.deepEqual(camera.pos, vec2(1, 1));
+
+    // vector targets can be moved in place
+    a.x = -4;
+    camera.followSpeed = 1;
+    LJS.engineStep();
+    assert.deepEqual(LJS.cameraPos, vec2(0, 1));
+    camera.removeTarget(a);
+    assert.deepEqual(camera.getTargetCenter(), b);
+    assert.throws(() => camera.addTarget(5));
+    camera.destroy();
+});
+
+test('trauma shakes the camera and decays', () =>
+{
+    const camera = new Camera(vec2(), 32, 0);
+    camera.addTrauma(2);
+    assert.equal(camera.trauma, 1);
+    LJS.engineStep(5);
+    assert(camera.trauma < 1);
+    assert(LJS.cameraPos.length() > 0 || LJS.cameraAngle !== 0);
+    assert.deepEqual(camera.pos, vec2());
+
+    // fully decayed trauma leaves the camera still
+    LJS.engineStep(60);
+    assert.equal(camera.trauma, 0);
+    assert.deepEqual(LJS.cameraPos, vec2());
+    assert.equal(LJS.cameraAngle, 0);
+    camera.destroy();
+});
+
+test('sequences pan and zoom then follow again', () =>
+{
+    let done = false;
+    const camera = new Camera(vec2(), 10, 0).follow(vec2(5, 5));
+    camera.playSequence([
+        {pos: vec2(10, 0), duration: .5, ease: (p)=> p},
+        {scale: 20, angle: 1, duration: .5, hold: .5},
+    ], ()=> done = true);
+    LJS.engineStep(15);
+    near(camera.pos.x, 5, 1e-6);
+    LJS.engineStep(15);
+    near(camera.pos.x, 10, 1e-6);
+    near(camera.pos.y, 0, 1e-6);
+    LJS.engineStep(45);
+    assert.equal(camera.scale, 20);
+    assert.equal(LJS.cameraAngle, 1);
+    assert(camera.isPlayingSequence() && !done);
+
+    // targets are followed again once it ends
+    LJS.engineStep(20);
+    assert(!camera.isPlayingSequence() && done);
+    assert(camera.pos.x < 10 && camera.pos.y > 0);
+    camera.destroy();
+});
+
+test('cameras do not update while paused', () =>
+{
+    const camera = new Camera(vec2()).follow(vec2(5, 0));
+    camera.followSpeed = 1;
+    LJS.setPaused(true);
+    LJS.engineStep();
+    assert.deepEqual(camera.pos, vec2());
+    LJS.setPaused(false);
+    LJS.engineStep();
+    assert.deepEqual(camera.pos, vec2(5, 0));
+    camera.destroy();
+});
@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { CharacterController, EngineObject, TileCollisionLayer, TileCollisionShape, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, the level is flat ground at y=0 with a
+// wall, a one tile step, and a slope. Tests destroy their own objects to keep
+// the layer.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const layer = new TileCollisionLayer(vec2(), vec2(60, 30), tile(0, 16), 0, false);
+for (let x = 0; x < 60; ++x)
+    layer.setCollisionData(vec2(x, 0));
+for (let y = 1; y < 6; ++y)
+    layer.setCollisionData(vec2(10, y));
+layer.setCollisionData(vec2(20, 1), 1, new TileCollisionShape('half', 0));
+layer.setCollisionData(vec2(30, 1), 1, new TileCollisionShape('slope45'));
+for (let x = 31; x < 35; ++x)
+    layer.setCollisionData(vec2(x, 1));
+
+const near = (a, b, e=.01)=> Math.abs(a - b) < e;
+const walk = (character, input, frames)=>
+{
+    for (let i = frames; i--;)
+    {
+        character.moveInput = vec2(input, 0);
+        LJS.engineStep();
+    }
+};
+
+test('falls and lands on the ground', () =>
+{
+    const c = new CharacterController(vec2(5, 4));
+    LJS.engineStep(120);
+    assert.equal(c.grounded, true);
+    assert.equal(c.groundObject, layer);
+    assert(near(c.pos.y, 1 + c.size.y/2));
+    assert.equal(c.velocity.y, 0);
+    c.destroy();
+});
+
+test('jumps reach the jump height', () =>
+{
+    const c = new CharacterController(vec2(5, 1.5));
+    LJS.engineStep(10);
+    const startY = c.pos.y;
+    let maxY = startY;
+    c.holdingJump = true;
+    for (let i = 60; i--;)
+    {
+        LJS.engineStep();
+        maxY = Math.max(maxY, c.pos.y);
+    }
+    assert(near(maxY - startY, c.jumpHeight, .02));
+
+    // land and release early for a short hop
+    LJS.engineStep(120);
+    c.holdingJump = false;
+    LJS.engineStep();
+    c.holdingJump = true;
+    LJS.engineStep(5);
+    c.holdingJump = false;
+    maxY = startY;
+    for (let i = 60; i--;)
+    {
+        LJS.engineStep();
+        maxY = Math.max(maxY, c.pos.y);
+    }
+    assert(maxY - startY < c.jumpHeight*.6);
+    c.destroy();
+});
+
+test('walls block and set onWall', () =>
+{
+    const c = new CharacterController(vec2(8, 1.5));
+    walk(c, 1, 60);
+    assert(near(c.pos.x, 10 - c.size.x/2));
+    assert.equal(c.onWall, 1);
+    assert.equal(c.grounded, true);
+    walk(c, -1, 10);
+    assert.equal(c.onWall, 0);
+    c.destroy();
+});
+
+test('steps up ledges and walks up and down slopes', () =>
+{
+    const c = new CharacterController(vec2(18, 1.5));
+    c.stepHeight = .5;
+    walk(c, 1, 30);
+    assert(c.pos.x > 20.5);
+    walk(c, 1, 20);
+    assert(c.pos.x > 24);
+    assert(near(c.pos.y, 1 + c.size.y/2));
+
+    // up the slope onto the block, then back down
+    walk(c, 1, 50);
+    assert(c.pos.x > 31);
+    assert(near(c.pos.y, 2 + c.size.y/2));
+    assert.equal(c.onWall, 0);
+    walk(c, -1, 40);
+    assert(c.pos.x < 29);
+    assert(near(c.pos.y, 1 + c.size.y/2));
+    assert.equal(c.grounded, true);
+    c.destroy();
+});
+
+test('coyote time and jump buffering', () =>
+{
+    const c = new CharacterController(vec2(40, 1.5));
+    LJS.engineStep(10);
+
+    // jump shortly after walking off a ledge
+    c.pos = vec2(40, 8);
+    c.grounded = true;
+    LJS.engineStep();
+    assert.equal(c.grounded, false);
+    c.holdingJump = true;
+    LJS.engineStep();
+    assert.equal(c.jumping, true);
+
+    // too late to jump after coyote time
+    c.holdingJump = false;
+    LJS.engineStep(100);
+    c.pos = vec2(40, 8);
+    c.velocity = vec2();
+    c.grounded = true;
+    LJS.engineStep(10);
+    c.holdingJump = true;
+    LJS.engineStep();
+    assert.equal(c.jumping, false);
+
+    // pressing jump just before landing is remembered
+    c.holdingJump = false;
+    c.pos = vec2(40, 1.5 + .2);
+    LJS.engineStep();
+    c.holdingJump = true;
+    LJS.engineStep(4);
+    assert(c.velocity.y > 0);
+    c.destroy();
+});
+
+test('rides moving platforms', () =>
+{
+    const platform = new EngineObject(vec2(45, 5), vec2(4, .5));
+    platform.setCollision();
+    platform.mass = 0;
+    platform.velocity = vec2(.05, .02);
+    const c = new CharacterController(vec2(45, 6));
+    LJS.engineStep(30);
+    assert.equal(c.groundObject, platform);
+    const offset = c.pos.subtract(platform.pos);
+    LJS.engineStep(60);
+    assert(near(c.pos.x - platform.pos.x, offset.x));
+    assert(near(c.pos.y - platform.pos.y, offset.y));
+    c.destroy();
+    platform.destroy();
+});
+
+test('ceilings stop upward movement', () =>
+{
+    const ceiling = new EngineObject(vec2(50, 3.5), vec2(4, 1));
+    ceiling.setCollision();
+    ceiling.mass = 0;
+    const c = new CharacterController(vec2(50, 1.5));
+    LJS.engineStep(5);
+    let hitCeiling = false;
+    c.jump();
+    for (let i = 20; i--;)
+    {
+        LJS.engineStep();
+        hitCeiling ||= c.onCeiling;
+        assert(c.pos.y + c.size.y/2 <= 3 + 1e-3);
+    }
+    assert(hitCeiling);
+    c.destroy();
+    ceiling.destroy();
+});
+
+test('objects being touched are notified once per frame', () =>
+{
+    // the platform's return value is ignored so it still blocks
+    const calls = [];
+    class Platform extends EngineObject
+    {
+        collideWithObject(o, normal) { calls.push([o, normal]); return false; }
+    }
+    class Character extends CharacterController
+    {
+        collideWithObject(o, normal) { calls.push([o, normal]); return true; }
+    }
+    const platform = new Platform(vec2(55, 3), vec2(4, .5));
+    platform.setCollision();
+    platform.mass = 0;
+    const c = new Character(vec2(55, 4));
+    LJS.engineStep(30);
+    assert.equal(c.groundObject, platform);
+
+    // moving and probing do not call the hooks
+    calls.length = 0;
+    LJS.engineStep();
+    assert.deepEqual(calls.map(([o, normal])=> [o, normal.x, normal.y]), [[platform, 0, 1], [c, -0, -1]]);
+    c.destroy();
+    platform.destroy();
+});
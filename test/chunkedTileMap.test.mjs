@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { ChunkedTileMap, TileLayerData, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own map.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+// ground below y=0 and a wall at x=10
+const generated = [];
+const generate = (layer, chunkPos)=>
+{
+    generated.push(chunkPos.x + ',' + chunkPos.y);
+    for (let x = layer.size.x; x--;)
+    for (let y = layer.size.y; y--;)
+    {
+        const pos = layer.pos.add(vec2(x, y));
+        if (pos.y < 0 || pos.x === 10)
+        {
+            layer.setData(vec2(x, y), new TileLayerData(1));
+            layer.setCollisionData(vec2(x, y));
+        }
+    }
+};
+const makeMap = (keepPos)=>
+{
+    const map = new ChunkedTileMap(vec2(), vec2(8), tile(0, 16), 0, generate);
+    map.followCamera = false;
+    map.keepLoaded = [keepPos];
+    generated.length = 0;
+    LJS.engineStep();
+    return map;
+};
+
+test('chunks load around kept positions with collision', () =>
+{
+    const map = makeMap(vec2(4, 4));
+    assert.equal(map.chunks.size, 9);
+    assert.equal(generated.length, 9);
+    assert.deepEqual(map.getChunkPos(vec2(-.5, 8)), vec2(-1, 1));
+    assert.equal(LJS.tileCollisionGetData(vec2(-5, -3)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(3, 2)), 0);
+    assert.equal(map.getCollisionData(vec2(10.5, 3)), 1);
+    assert.equal(map.getData(vec2(-5, -3)).tile, 1);
+
+    // raycasts cross chunk edges
+    const down = LJS.tileCollisionRaycast(vec2(4.5, 5), vec2(4.5, -5));
+    assert(down.y <= 0 && down.y > -1);
+    const across = LJS.tileCollisionRaycast(vec2(2.5, 3.5), vec2(14, 3.5));
+    assert(across.x >= 10 && across.x < 11);
+    map.destroy();
+    assert.equal(map.chunks.size, 0);
+    assert.equal(LJS.tileCollisionGetData(vec2(-5, -3)), 0);
+});
+
+test('far chunks unload and edits are restored', () =>
+{
+    const map = makeMap(vec2(4, 4));
+    map.setData(vec2(2.5, 3.5), new TileLayerData(7));
+    map.setCollisionData(vec2(2.5, 3.5), 2);
+
+    // chunks within the unload margin stay loaded
+    map.keepLoaded = [vec2(20, 4)];
+    LJS.engineStep();
+    assert(map.getChunk(vec2(0, 0)));
+    assert.equal(map.chunks.size, 12);
+
+    // move away so the first chunks unload
+    map.keepLoaded = [vec2(100, 4)];
+    LJS.engineStep();
+    assert.equal(map.chunks.size, 9);
+    assert.equal(map.getChunk(vec2(0, 0)), undefined);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 3.5)), 0);
+    assert(map.savedChunks.has('0,0'));
+    assert(!map.savedChunks.has('0,-1'));
+
+    // come back, the edited chunk is restored instead of generated
+    generated.length = 0;
+    map.keepLoaded = [vec2(4, 4)];
+    LJS.engineStep();
+    assert(!generated.includes('0,0'));
+    assert(generated.includes('0,-1'));
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 3.5)), 2);
+    assert.equal(map.getData(vec2(2.5, 3.5)).tile, 7);
+    assert.equal(map.savedChunks.size, 0);
+    map.destroy();
+});
+
+test('chunks follow the camera and reload after being destroyed', () =>
+{
+    const map = new ChunkedTileMap(vec2(-4), vec2(16), tile(0, 16), 0, generate);
+    LJS.setCameraPos(vec2(200, 200));
+    LJS.engineStep();
+    assert(map.getChunk(map.getChunkPos(vec2(200, 200))));
+    assert.equal(map.getChunk(vec2(0, 0)), undefined);
+
+    // chunks are destroyed with other objects and load again next update
+    const count = map.chunks.size;
+    LJS.engineObjectsDestroy();
+    assert.equal(map.getChunk(map.getChunkPos(vec2(200, 200))), undefined);
+    LJS.engineStep();
+    assert.equal(map.chunks.size, count);
+    map.destroy();
+    LJS.setCameraPos(vec2());
+});
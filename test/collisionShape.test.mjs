@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, vec2, PI } = LJS;
+
+// One engineInit for the whole file, objects are destroyed after each test.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+test('circles do not overlap at box corners', () =>
+{
+    const a = new EngineObject(vec2(0, 0), vec2(2));
+    const b = new EngineObject(vec2(1.8, 1.8), vec2(2));
+    assert.equal(a.isOverlappingObject(b), true);
+    a.setCollisionShape('circle');
+    b.setCollisionShape('circle');
+    assert.equal(a.isOverlappingObject(b), false);
+    b.pos = vec2(1.2, 1.2);
+    assert.equal(a.isOverlappingObject(b), true);
+    LJS.engineObjectsDestroy();
+});
+
+test('rotated boxes use their angle', () =>
+{
+    const a = new EngineObject(vec2(0, 0), vec2(4, .2));
+    const b = new EngineObject(vec2(1, 1), vec2(.5));
+    assert.equal(a.isOverlappingObject(b), false);
+    a.setCollisionShape('box');
+    a.angle = -PI/4;
+    assert.equal(a.isOverlappingObject(b), true);
+    assert.equal(b.isOverlappingObject(a), true);
+    LJS.engineObjectsDestroy();
+});
+
+test('polygon contact normal points away from the other object', () =>
+{
+    const ground = new EngineObject(vec2(0, 0), vec2(4, 2));
+    ground.setCollisionShape('polygon', [vec2(-2, -1), vec2(2, -1), vec2(0, 1)]);
+    const o = new EngineObject(vec2(0, 1.2), vec2(1));
+    const contact = o.getCollisionContact(ground);
+    assert(contact);
+    assert(contact.normal.y > .8);
+    assert(contact.depth > 0);
+    assert(ground.getCollisionContact(o).normal.y < -.8);
+
+    // outside the sloped edge
+    o.pos = vec2(1.6, .8);
+    assert.equal(o.isOverlappingObject(ground), false);
+    LJS.engineObjectsDestroy();
+});
+
+test('collision size covers the rotated shape', () =>
+{
+    const o = new EngineObject(vec2(), vec2(2, 2));
+    assert.equal(o.getCollisionSize(), o.size);
+    o.setCollisionShape('box');
+    o.angle = PI/4;
+    assert(Math.abs(o.getCollisionSize().x - 2*Math.SQRT2) < 1e-9);
+    o.setCollisionShape('circle');
+    assert.equal(o.getCollisionSize().x, 2);
+    LJS.engineObjectsDestroy();
+});
+
+test('raycasts use collision shapes', () =>
+{
+    const o = new EngineObject(vec2(), vec2(2));
+    o.collideRaycast = true;
+    const start = vec2(-1, .9), end = vec2(-.5, 1.5);
+    assert.deepEqual(LJS.engineObjectsRaycast(start, end), [o]);
+    o.setCollisionShape('circle');
+    assert.deepEqual(LJS.engineObjectsRaycast(start, end), []);
+    assert.deepEqual(LJS.engineObjectsRaycast(vec2(-2, .5), vec2(2, .5)), [o]);
+    LJS.engineObjectsDestroy();
+});
+
+test('physics resolves shapes and passes the normal to collideWithObject', () =>
+{
+    const normals = [];
+    class Ball extends EngineObject
+    {
+        collideWithObject(o, normal) { normals.push(normal); return true; }
+    }
+    LJS.setGravity(vec2(0, -.01));
+    const ground = new EngineObject(vec2(0, 0), vec2(10, 1));
+    ground.setCollision();
+    ground.mass = 0;
+    ground.setCollisionShape('box');
+    const ball = new Ball(vec2(0, 3), vec2(1));
+    ball.setCollision();
+    ball.setCollisionShape('circle');
+    LJS.engineStep(120);
+
+    assert(normals.length > 0);
+    assert(normals[0].y > .99);
+    assert(Math.abs(ball.pos.y - 1) < .05);
+    assert.equal(ball.groundObject, ground);
+    LJS.setGravity(vec2());
+    LJS.engineObjectsDestroy();
+});
+
+test('boxes without shapes pass axis aligned normals to collideWithObject', () =>
+{
+    const normals = [];
+    class Box extends EngineObject
+    {
+        collideWithObject(o, normal) { normals.push([this, normal]); return true; }
+    }
+    const wall = new Box(vec2(2, 0), vec2(1, 4));
+    wall.setCollision();
+    wall.mass = 0;
+    const box = new Box(vec2(0, .5), vec2(1));
+    box.setCollision();
+    box.velocity = vec2(.2, 0);
+    LJS.engineStep(10);
+
+    // the box hits the left side of the wall
+    assert(normals.length >= 2);
+    assert.deepEqual(normals[0], [box, vec2(-1, 0)]);
+    assert.deepEqual(normals[1], [wall, vec2(1, 0)]);
+    assert(box.pos.x < 1);
+    LJS.engineObjectsDestroy();
+});
+
+test('setCollisionShape asserts on bad input', () =>
+{
+    const o = new EngineObject;
+    assert.throws(() => o.setCollisionShape('star'));
+    assert.throws(() => o.setCollisionShape('polygon', [vec2(), vec2(1, 0)]));
+    assert.throws(() => o.setCollisionShape('polygon',
+        [vec2(0, 0), vec2(2, 0), vec2(1, .2), vec2(2, 2), vec2(0, 2)]));
+    LJS.engineObjectsDestroy();
+});
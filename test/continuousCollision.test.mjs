@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, TileCollisionLayer, TileCollisionShape, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, the level is flat ground at y=0 with a
+// one tile wide wall and a one way platform. Tests destroy their own objects
+// to keep the layer.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const layer = new TileCollisionLayer(vec2(), vec2(100, 100), tile(0, 16), 0, false);
+for (let x = 0; x < 100; ++x)
+    layer.setCollisionData(vec2(x, 0));
+for (let y = 1; y < 10; ++y)
+    layer.setCollisionData(vec2(20, y));
+layer.setCollisionData(vec2(60, 20), 1, new TileCollisionShape('oneWay'));
+
+const makeBullet = (pos, velocity, continuous)=>
+{
+    const o = new EngineObject(pos, vec2(.1));
+    o.setCollision();
+    o.gravityScale = 0;
+    o.clampSpeed = false;
+    o.velocity = velocity;
+    o.continuousCollision = continuous;
+    return o;
+};
+
+test('fast objects tunnel through thin tiles without continuous collision', () =>
+{
+    const o = makeBullet(vec2(10, 5), vec2(3.3, 0), false);
+    LJS.engineStep(5);
+    assert(o.pos.x > 21);
+    o.destroy();
+});
+
+test('continuous collision stops at tiles', () =>
+{
+    const o = makeBullet(vec2(10, 5), vec2(3.3, 0), true);
+    o.restitution = 1;
+    LJS.engineStep(4);
+    assert(o.pos.x < 20);
+    assert(o.velocity.x < 0);
+    o.destroy();
+});
+
+test('continuous objects are not limited by objectMaxSpeed', () =>
+{
+    const o = makeBullet(vec2(30, 50), vec2(5, 0), true);
+    o.clampSpeed = true;
+    LJS.engineStep();
+    assert.equal(o.velocity.x, 5);
+    assert(Math.abs(o.pos.x - 35) < 1e-9);
+    o.destroy();
+});
+
+test('tiles are tested once for each grid line crossed', () =>
+{
+    // small fast objects would take hundreds of tests with fixed steps
+    let tests = 0;
+    layer.collisionTest = function(...args)
+    {
+        ++tests;
+        return TileCollisionLayer.prototype.collisionTest.apply(this, args);
+    };
+    const o = makeBullet(vec2(30.5, 50.5), vec2(10, .3), true);
+    LJS.engineStep();
+    delete layer.collisionTest;
+    assert(Math.abs(o.pos.x - 40.5) < 1e-9);
+    assert(tests > 20 && tests < 30, 'tile tests ' + tests);
+
+    // the hit is found inside the part of the move that crossed into the wall
+    o.pos = vec2(10.5, 5.5);
+    o.velocity = vec2(20, 0);
+    LJS.engineStep();
+    assert(Math.abs(o.pos.x - 19.95) < .01);
+    o.destroy();
+});
+
+test('fast falling objects land on the ground', () =>
+{
+    LJS.setGravity(vec2(0, -.01));
+    const o = new EngineObject(vec2(40, 50), vec2(1));
+    o.setCollision();
+    o.velocity = vec2(0, -7.3);
+    o.continuousCollision = true;
+    LJS.engineStep(10);
+    assert(Math.abs(o.pos.y - 1.5) < .01);
+    assert.equal(o.groundObject, layer);
+    o.destroy();
+
+    // one way tiles can also be landed on
+    const p = new EngineObject(vec2(60.5, 50), vec2(.5));
+    p.setCollision();
+    p.velocity = vec2(0, -9.1);
+    p.continuousCollision = true;
+    LJS.engineStep(10);
+    assert(Math.abs(p.pos.y - 21.25) < .01);
+    p.destroy();
+    LJS.setGravity(vec2());
+});
+
+test('continuous collision stops at thin solid objects', () =>
+{
+    const wall = new EngineObject(vec2(80, 50), vec2(.1, 4));
+    wall.setCollision();
+    wall.mass = 0;
+    const hits = [];
+    class Bullet extends EngineObject
+    {
+        collideWithObject(o) { hits.push(o); return true; }
+    }
+    const o = new Bullet(vec2(70, 50), vec2(.1));
+    o.setCollision();
+    o.gravityScale = 0;
+    o.velocity = vec2(4.1, .1);
+    o.continuousCollision = true;
+    LJS.engineStep(4);
+    assert(o.pos.x < 80);
+    assert.equal(hits[0], wall);
+    o.destroy();
+    wall.destroy();
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, Timer, vec2 } = LJS;
+
+// One engineInit for the whole file, rewinding reads the live frame and
+// time globals through the module namespace.
+LJS.setEngineManualStep(true);
+LJS.setEngineRewindFrames(120);
+await LJS.engineInit(()=>{}, ()=>
+{
+    // spawn an object with a random speed every 10 frames
+    if (LJS.frame % 10 === 0)
+    {
+        const o = new EngineObject(vec2());
+        o.velocity = vec2(LJS.rand(), 0);
+    }
+}, ()=>{}, ()=>{}, ()=>{});
+LJS.setRandSeed(5);
+
+const mover = new EngineObject(vec2());
+mover.velocity = vec2(.1, 0);
+mover.timer = new Timer(1);
+
+test('rewind buffer keeps engineRewindFrames frames', () =>
+{
+    LJS.engineStep(200);
+    const frames = LJS.engineRewindGetFrames();
+    assert.equal(frames.length, 120);
+    assert.equal(frames[frames.length-1], LJS.frame - 1);
+});
+
+test('rewinding and stepping again reproduces the same state', () =>
+{
+    const pos = mover.pos.x, f = LJS.frame, t = LJS.time;
+    const getSpawnedPos = ()=> LJS.engineObjects.filter(o=> o !== mover).map(o=> o.pos.x);
+    const spawnedPos = getSpawnedPos();
+
+    LJS.engineRewind(f - 30);
+    assert.equal(LJS.frame, f - 30);
+    assert(mover.pos.x < pos);
+    LJS.engineStep(30);
+    assert.equal(LJS.frame, f);
+    assert.equal(LJS.time, t);
+    assert.equal(mover.pos.x, pos);
+
+    // objects spawned again get the same random speed
+    assert.deepEqual(getSpawnedPos(), spawnedPos);
+});
+
+test('objects made after the frame are removed and destroyed ones return', () =>
+{
+    const f = LJS.frame;
+    LJS.engineStep();
+    const extra = new EngineObject;
+    mover.destroy();
+    LJS.engineStep();
+    assert(!LJS.engineObjects.includes(mover));
+
+    LJS.engineRewind(f);
+    assert.equal(extra.destroyed, true);
+    assert(!LJS.engineObjects.includes(extra));
+    assert.equal(mover.destroyed, false);
+    assert(LJS.engineObjects.includes(mover));
+});
+
+test('rewind restores timers and parent links', () =>
+{
+    const child = new EngineObject;
+    mover.addChild(child, vec2(1, 0));
+    mover.timer.set(.5);
+    LJS.engineStep();
+    const f = LJS.frame;
+    LJS.engineStep(20);
+    assert.equal(mover.timer.elapsed(), false);
+    mover.removeChild(child);
+    LJS.engineStep(20);
+    assert.equal(mover.timer.elapsed(), true);
+
+    LJS.engineRewind(f);
+    assert.equal(mover.timer.elapsed(), false);
+    assert(mover.timer.getPercent() < .1);
+    assert.equal(child.parent, mover);
+    assert.deepEqual(mover.children, [child]);
+});
+
+test('simulating again with different input diverges', () =>
+{
+    const f = LJS.frame;
+    LJS.engineStep(10);
+    const pos = mover.pos.x;
+    LJS.engineRewind(f);
+    mover.velocity = vec2(-.1, 0);
+    LJS.engineStep(10);
+    assert(mover.pos.x < pos);
+});
+
+test('engineRewindClear empties the buffer and missing frames assert', () =>
+{
+    LJS.engineRewindClear();
+    assert.equal(LJS.engineRewindGetFrames().length, 0);
+    assert.throws(() => LJS.engineRewind(LJS.frame - 1));
+});
+
+test('arrays and objects that can not be saved keep their current value', () =>
+{
+    // objects are restored in place, placeholders would replace the functions with undefined
+    const onHit = ()=> {};
+    mover.callbacks = [onHit];
+    mover.events = { onHit, count: 1 };
+    mover.path = [vec2(1, 2), undefined];
+    const f = LJS.frame;
+    LJS.engineStep();
+    mover.path = [];
+    mover.events.count = 2;
+    LJS.engineStep(5);
+
+    LJS.engineRewind(f);
+    assert.deepEqual(mover.callbacks, [onHit]);
+    assert.equal(mover.events.onHit, onHit);
+    assert.equal(mover.events.count, 2);
+    assert.deepEqual(mover.path, [vec2(1, 2), undefined]);
+    for (const key of ['callbacks', 'events', 'path'])
+        delete mover[key];
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { InputReplay } = LJS;
+
+// One engineInit for the whole file, stepped manually so input can be
+// checked from gameUpdate the same way game code would see it.
+let log = [];
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>
+{
+    log.push([LJS.keyWasPressed('Space'), LJS.keyIsDown('Space'),
+        LJS.keyWasReleased('Space'), LJS.mousePos.x, LJS.rand()]);
+}, ()=>{}, ()=>{}, ()=>{});
+
+// space pressed on the second frame, held for 3 frames, mouse moves on the last
+const replayString = JSON.stringify({ seed: 7, frameCount: 6, frames:
+[
+    [[6, 0, 1], [1, 0, 0, 0, 0, 0, 0, 0, 0], [5, 0, 'mouse']],
+    [[0, 0, 'Space', 3]],
+    2,
+    [[0, 0, 'Space', 4], [1, 5, 0, 0, 0, 5, 0, 0, 0]],
+    1,
+]});
+
+test('playback feeds recorded input to the game', () =>
+{
+    log = [];
+    LJS.inputReplayPlay(InputReplay.fromString(replayString));
+    assert.equal(LJS.inputReplayIsPlaying(), true);
+    LJS.engineStep(6);
+    assert.deepEqual(log.map(l=> l.slice(0, 3)),
+    [
+        [false, false, false],
+        [true,  true,  false],
+        [false, true,  false],
+        [false, true,  false],
+        [false, false, true ],
+        [false, false, false],
+    ]);
+    assert.equal(log[4][3], 5);
+    assert.equal(log[5][3], 5);
+});
+
+test('playback ends after the last frame and clears input', () =>
+{
+    LJS.engineStep();
+    assert.equal(LJS.inputReplayIsPlaying(), false);
+    assert.equal(LJS.keyIsDown('Space'), false);
+    assert.equal(LJS.getRandSeed(), undefined);
+});
+
+test('playback uses the replay seed for random', () =>
+{
+    const playRandom = ()=>
+    {
+        log = [];
+        LJS.inputReplayPlay(InputReplay.fromString(replayString));
+        LJS.engineStep(6);
+        return log.map(l=> l[4]);
+    };
+    assert.deepEqual(playRandom(), playRandom());
+    LJS.inputReplayStop();
+    assert.equal(LJS.getRandSeed(), undefined);
+});
+
+test('recording while playing produces the same replay', () =>
+{
+    const replay = InputReplay.fromString(replayString);
+    LJS.inputReplayPlay(replay);
+    const recording = LJS.inputReplayRecord(replay.seed);
+    assert.equal(LJS.inputReplayIsRecording(), true);
+    LJS.engineStep(6);
+    LJS.inputReplayStop();
+    assert.equal(recording.toString(), replayString);
+    assert.equal(LJS.inputReplayIsRecording(), false);
+});
+
+test('setRandSeed makes rand deterministic', () =>
+{
+    LJS.setRandSeed(123);
+    const a = [LJS.rand(), LJS.randInt(100), LJS.rand(5, 10)];
+    LJS.setRandSeed(123);
+    const b = [LJS.rand(), LJS.randInt(100), LJS.rand(5, 10)];
+    assert.deepEqual(a, b);
+    const seed = LJS.getRandSeed();
+    const next = LJS.rand();
+    LJS.setRandSeed(seed);
+    assert.equal(LJS.rand(), next);
+    LJS.setRandSeed();
+    assert.equal(LJS.getRandSeed(), undefined);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, LdtkProject, ldtkRegisterEntityClass, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own levels.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+class Player extends EngineObject {}
+class Coin extends EngineObject {}
+ldtkRegisterEntityClass('Player', Player);
+ldtkRegisterEntityClass('Coin', Coin);
+
+// level A is 4x2 cells with entities, stacked tiles, and an IntGrid with auto tiles,
+// level B is an empty 2x2 level up and to the right of it
+const grid = {__cWid: 4, __cHei: 2, __gridSize: 8, __pxTotalOffsetX: 0, __pxTotalOffsetY: 0, __opacity: 1};
+const projectData =
+{
+    defaultGridSize: 8,
+    worldLayout: 'GridVania',
+    defs: {tilesets: [{uid: 1, identifier: 'tiles', tileGridSize: 8, relPath: 'tiles.png'}]},
+    levels:
+    [
+        {identifier: 'A', iid: 'a', worldX: 0, worldY: 0, pxWid: 32, pxHei: 16,
+            fieldInstances: [{__identifier: 'music', __type: 'String', __value: 'cave'}],
+            layerInstances:
+            [
+                {...grid, __identifier: 'Entities', __type: 'Entities', entityInstances:
+                [
+                    {__identifier: 'Player', iid: 'p1', px: [4, 16], __pivot: [.5, 1], width: 8, height: 16,
+                        fieldInstances:
+                        [
+                            {__identifier: 'hp', __type: 'Int', __value: 3},
+                            {__identifier: 'target', __type: 'EntityRef', __value: {entityIid: 'c1'}},
+                            {__identifier: 'path', __type: 'Array<Point>', __value: [{cx: 1, cy: 0}]},
+                            {__identifier: 'tint', __type: 'Color', __value: '#ff0000'},
+                        ]},
+                    {__identifier: 'Coin', iid: 'c1', px: [20, 4], __pivot: [.5, .5], width: 8, height: 8},
+                    {__identifier: 'Spawn', iid: 's1', px: [0, 0], __pivot: [0, 0], width: 8, height: 8},
+                ]},
+                {...grid, __identifier: 'Decor', __type: 'Tiles', __tilesetDefUid: 1,
+                    gridTiles: [{px: [0, 0], f: 1, t: 5}, {px: [0, 0], f: 2, t: 6}]},
+                {...grid, __identifier: 'Collision', __type: 'IntGrid', __tilesetDefUid: 1,
+                    intGridCsv: [0, 0, 0, 0, 1, 2, 0, 1], autoLayerTiles: [{px: [8, 8], f: 3, t: 2}]},
+            ]},
+        {identifier: 'B', iid: 'b', worldX: 32, worldY: -16, pxWid: 16, pxHei: 16, layerInstances: []},
+    ],
+};
+
+test('IntGrid layers set collision', () =>
+{
+    const project = new LdtkProject(projectData);
+    const level = project.loadLevel('A');
+    assert(level.pos.x === 0 && level.pos.y === -2);
+    assert(level.size.x === 4 && level.size.y === 2);
+    assert.equal(level.fields.music, 'cave');
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, -1.5)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(1.5, -1.5)), 2);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, -1.5)), 0);
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, -.5)), 0);
+    level.destroy();
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, -1.5)), 0);
+    assert.equal(project.loadedLevels.length, 0);
+
+    // only listed layers are used for collision
+    const noCollision = new LdtkProject(projectData, [], ['Walls']).loadLevel('A');
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, -1.5)), 0);
+    noCollision.destroy();
+});
+
+test('tiles are flipped and stacked tiles use extra layers', () =>
+{
+    const level = new LdtkProject(projectData).loadLevel(0, vec2());
+    assert.deepEqual(level.layers.map(l=> l.identifier), ['Collision', 'Decor', 'Entities']);
+    const [collision] = level.getLayer('Collision').tileLayers;
+    const auto = collision.getData(vec2(1, 0));
+    assert.equal(auto.tile, 2);
+    assert.equal(auto.direction, 2);
+    assert.equal(auto.mirror, false);
+    assert.equal(collision.renderOrder, -1);
+
+    const decor = level.getLayer('Decor').tileLayers;
+    assert.equal(decor.length, 2);
+    assert.equal(decor[0].getData(vec2(0, 1)).tile, 5);
+    assert.equal(decor[0].getData(vec2(0, 1)).mirror, true);
+    assert.equal(decor[1].getData(vec2(0, 1)).tile, 6);
+    assert.equal(decor[1].getData(vec2(0, 1)).direction, 2);
+    assert.equal(decor[1].renderOrder, 0);
+    assert.equal(level.tileLayers.length, 3);
+    level.destroy();
+});
+
+test('entities spawn with fields and references', () =>
+{
+    const level = new LdtkProject(projectData).loadLevel('a');
+    const [player] = level.getEntities('Player');
+    const [coin] = level.getEntities('Coin');
+    assert(player.object instanceof Player);
+    assert(player.pos.x === .5 && player.pos.y === -1);
+    assert(player.object.size.x === 1 && player.object.size.y === 2);
+    assert.equal(player.object.hp, 3);
+    assert.equal(player.object.target, coin.object);
+    assert(player.object.path[0].x === 1.5 && player.object.path[0].y === -.5);
+    assert.equal(player.object.tint.r, 1);
+    assert(coin.pos.x === 2.5 && coin.pos.y === -.5);
+
+    // unregistered entities are kept but not spawned
+    const [spawn] = level.getEntities('Spawn');
+    assert.equal(spawn.object, undefined);
+    assert(spawn.pos.x === .5 && spawn.pos.y === -.5);
+    assert.equal(level.getEntities().length, 3);
+    level.destroy();
+    assert(player.object.destroyed);
+});
+
+test('levels are placed by world layout', () =>
+{
+    const project = new LdtkProject(projectData);
+    const levels = project.loadWorld();
+    assert.equal(levels.length, 2);
+    assert(levels[1].pos.x === 4 && levels[1].pos.y === 0);
+    assert.equal(project.getLevelDataAt(vec2(4.5, .5)).identifier, 'B');
+    assert.equal(project.getLevelDataAt(vec2(1, -1)).identifier, 'A');
+    assert.equal(project.getLevelDataAt(vec2(9, 9)), undefined);
+    project.destroy();
+    assert.equal(project.loadedLevels.length, 0);
+
+    // linear layouts ignore world positions
+    const linear = new LdtkProject({...structuredClone(projectData), worldLayout: 'LinearVertical'});
+    assert.deepEqual(linear.getLevelPos(linear.getLevelData('B')), vec2(0, -4));
+
+    // multiple worlds
+    const worlds = new LdtkProject({defaultGridSize: 8, defs: {}, worlds:
+    [
+        {identifier: 'Overworld', worldLayout: 'LinearHorizontal', levels: structuredClone(projectData.levels)},
+        {identifier: 'Dungeon', worldLayout: 'Free', levels: []},
+    ]});
+    assert.equal(worlds.getWorld('Overworld').levels.length, 2);
+    assert.deepEqual(worlds.getLevelPos(worlds.getLevelData(1, 'Overworld')), vec2(4, -2));
+    assert.throws(() => worlds.getWorld('Space'));
+});
+
+test('asserts on unsupported data', () =>
+{
+    const project = new LdtkProject(projectData);
+    assert.throws(() => project.loadLevel('C'));
+    assert.throws(() => project.loadLevel({...projectData.levels[0], layerInstances: null, externalRelPath: 'a.ldtkl'}));
+    assert.throws(() => new LdtkProject({defs: {tilesets: [{uid: 1, tileGridSize: 8, padding: 1, spacing: 0}]}}));
+    assert.throws(() => ldtkRegisterEntityClass('Thing', Object));
+});
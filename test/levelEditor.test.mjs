@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, LevelEditorPlugin, TileCollisionLayer, TileLayer, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, the editor is a global plugin.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+class Coin extends EngineObject {}
+
+const collisionLayer = new TileCollisionLayer(vec2(), vec2(4, 3), tile(0, 16), 0);
+const decoLayer = new TileLayer(vec2(), vec2(4, 3), tile(0, 16), 1, false);
+const editor = new LevelEditorPlugin([collisionLayer, decoLayer]);
+editor.addPaletteObject('Coin', Coin, {value: 1});
+
+test('painting tiles and collision can be undone and redone', () =>
+{
+    assert.equal(LJS.levelEditor, editor);
+    assert.throws(() => new LevelEditorPlugin);
+
+    // a stroke is one undo step
+    editor.beginEdit();
+    editor.paintTile(vec2(.5, .5), 3);
+    editor.paintTile(vec2(1.5, .5), 3);
+    editor.paintTile(vec2(1.5, .5), 3);
+    editor.paintTile(vec2(9, 9), 3);
+    editor.endEdit();
+    assert.equal(editor.undoStack.length, 1);
+    assert.equal(editor.undoStack[0].length, 2);
+    assert.equal(collisionLayer.getData(vec2(1, 0)).tile, 3);
+
+    editor.paintCollision(vec2(2.5, 1.5), 2);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 1.5)), 2);
+    editor.undo();
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, 1.5)), 0);
+    editor.undo();
+    assert(!collisionLayer.getData(vec2(0, 0)).tile);
+    assert(!collisionLayer.getData(vec2(1, 0)).tile);
+    editor.redo();
+    assert.equal(collisionLayer.getData(vec2(0, 0)).tile, 3);
+
+    // new edits clear the redo stack
+    assert.equal(editor.redoStack.length, 1);
+    editor.layerIndex = 1;
+    editor.paintTile(vec2(3.5, 2.5), 5);
+    assert.equal(decoLayer.getData(vec2(3, 2)).tile, 5);
+    assert.equal(editor.redoStack.length, 0);
+
+    // collision edits go to a collision layer even when another layer is selected
+    editor.paintCollision(vec2(3.5, .5));
+    assert.equal(collisionLayer.getCollisionData(vec2(3, 0)), 1);
+    editor.layerIndex = 0;
+});
+
+test('objects can be placed, moved, edited, and deleted with undo', () =>
+{
+    const entry = editor.placeObject('Coin', vec2(1.5, 1.5));
+    assert(entry.object instanceof Coin);
+    assert.equal(entry.object.value, 1);
+    assert.equal(editor.getObjectAt(vec2(1.6, 1.4)), entry);
+    assert.throws(() => editor.placeObject('Gem', vec2()));
+
+    editor.moveObject(entry, vec2(2.5, 1.5));
+    editor.setProperty(entry, 'value', 5);
+    assert.equal(entry.object.value, 5);
+    editor.undo();
+    assert.equal(entry.object.value, 1);
+    editor.undo();
+    assert.deepEqual(entry.object.pos, vec2(1.5, 1.5));
+
+    // deleting and undoing makes a new object with the same properties
+    const oldObject = entry.object;
+    editor.setProperty(entry, 'value', 7);
+    editor.deleteObject(entry);
+    assert(oldObject.destroyed);
+    assert.equal(editor.objects.length, 0);
+    editor.undo();
+    assert.equal(editor.objects.length, 1);
+    assert(entry.object !== oldObject && !entry.object.destroyed);
+    assert.equal(entry.object.value, 7);
+
+    // undoing the place removes the object
+    editor.undo();
+    editor.undo();
+    assert(entry.object.destroyed);
+    assert.equal(editor.objects.length, 0);
+    editor.redo();
+    assert.equal(editor.objects.length, 1);
+});
+
+test('exported levels load with tileLayersLoad', () =>
+{
+    const data = editor.exportData();
+    assert.equal(data.width, 4);
+    assert.equal(data.height, 3);
+    assert.equal(data.layers.length, 2);
+    assert.equal(data.layers[1].collision, undefined);
+
+    // rows go from top to bottom like tileLayersLoad expects
+    assert.equal(data.layers[0].data[2*4 + 0], 4);
+    assert.equal(data.layers[1].data[0*4 + 3], 6);
+    assert.equal(data.layers[0].collision[2*4 + 3], 1);
+    assert.deepEqual(data.objects, [{name: 'Coin', pos: [1.5, 1.5], properties: {value: 1}}]);
+
+    const json = JSON.parse(JSON.stringify(data));
+    const layers = LJS.tileLayersLoad(json, tile(0, 16), 0, undefined, false);
+    assert.equal(layers[0].getData(vec2(0, 0)).tile, 3);
+    assert.equal(layers[1].getData(vec2(3, 2)).tile, 5);
+
+    // collision and objects load into an editor
+    editor.tileLayers = layers;
+    editor.loadCollision(json);
+    assert.equal(layers[0].getCollisionData(vec2(3, 0)), 1);
+    const undoCount = editor.undoStack.length;
+    editor.loadObjects(json.objects);
+    assert.equal(editor.undoStack.length, undoCount);
+    assert.deepEqual(editor.objects[1].object.pos, vec2(1.5, 1.5));
+    assert.deepEqual(editor.exportData().layers[0], data.layers[0]);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { Material, EngineObject, vec2, rgb, WHITE } = LJS;
+
+// One engineInit for the whole file, headless mode has no WebGL so only the canvas fallback can draw.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+// context that records what the material changed before the tile was drawn
+function makeContext()
+{
+    const context = { filter: 'none', fills: [] };
+    for (const name of ['save', 'restore', 'translate', 'rotate', 'scale'])
+        context[name] = ()=>{};
+    context.fillRect = ()=> context.fills.push(context.filter);
+    return context;
+}
+
+test('materials hold shader code and uniforms', () =>
+{
+    const material = new Material('void mainMaterial(out vec4 c,vec2 uv){c=spriteColor(uv);}');
+    assert.deepEqual(material.uniforms, {});
+    assert.equal(material.setUniform('amount', .5), material);
+    material.setUniform('tint', rgb(1, 0, 0));
+    assert.equal(material.uniforms.amount, .5);
+    assert.deepEqual(material.uniforms.tint, rgb(1, 0, 0));
+    assert.throws(() => new Material(5));
+    assert.throws(() => new Material('', {}, 'callback'));
+
+    // built in materials copy their colors
+    const color = rgb(0, 1, 0);
+    const outline = LJS.materialOutline(color, 2);
+    color.r = 1;
+    assert.deepEqual(outline.uniforms.outlineColor, rgb(0, 1, 0));
+    assert.equal(outline.uniforms.width, 2);
+    assert.match(outline.shaderCode, /mainMaterial/);
+
+    const swap = LJS.materialPaletteSwap([WHITE, rgb(0, 0, 0)], [rgb(1, 0, 0), rgb(0, 0, 1)]);
+    assert.equal(swap.uniforms.count, 2);
+    assert.deepEqual(swap.uniforms.toColors[1], rgb(0, 0, 1));
+    assert.throws(() => LJS.materialPaletteSwap([WHITE], []));
+    assert.throws(() => LJS.materialPaletteSwap(Array(9).fill(WHITE), Array(9).fill(WHITE)));
+    assert.equal(LJS.materialDistortion(.1).uniforms.amount, .1);
+});
+
+test('set material is used by draw calls and objects', () =>
+{
+    const flash = LJS.materialFlash(WHITE, .5);
+    LJS.setMaterial(flash);
+    assert.equal(LJS.drawMaterial, flash);
+    LJS.setMaterial();
+    assert.equal(LJS.drawMaterial, undefined);
+    assert.throws(() => LJS.setMaterial({}));
+
+    const object = new EngineObject(vec2());
+    assert.equal(object.material, undefined);
+    object.material = flash;
+    object.destroy();
+});
+
+test('canvas 2D drawing uses the material fallback', () =>
+{
+    const context = makeContext();
+    const dissolve = LJS.materialDissolve(.25);
+    LJS.setMaterial(dissolve);
+    LJS.drawTile(vec2(), vec2(1), undefined, WHITE, 0, false, undefined, false, true, context);
+    dissolve.uniforms.amount = 1;
+    LJS.drawTile(vec2(), vec2(1), undefined, WHITE, 0, false, undefined, false, true, context);
+
+    // materials without a fallback draw normally
+    LJS.setMaterial(LJS.materialOutline());
+    context.filter = 'none';
+    LJS.drawTile(vec2(), vec2(1), undefined, WHITE, 0, false, undefined, false, true, context);
+    LJS.setMaterial();
+    assert.deepEqual(context.fills, ['opacity(0.75)', 'opacity(0)', 'none']);
+});
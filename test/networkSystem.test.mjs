@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, NetworkPeer, NetworkLoopbackTransport, vec2 } = LJS;
+
+class NetTestObject extends EngineObject {}
+LJS.engineObjectsRegisterClass(NetTestObject, 'NetTestObject');
+
+// One engineInit for the whole file, both peers live in this process and
+// share engineObjects, the loopback transport connects them.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const hostTransport = new NetworkLoopbackTransport(undefined, 'host');
+const host = new NetworkPeer(hostTransport);
+const client = new NetworkPeer(new NetworkLoopbackTransport(hostTransport, 'client'));
+const joined = [];
+host.onPeerJoin = (peerId)=> joined.push(peerId);
+
+test('peers find each other', () =>
+{
+    LJS.engineStep(2);
+    assert.deepEqual(host.getPeers(), ['client']);
+    assert.deepEqual(client.getPeers(), ['host']);
+    assert.deepEqual(joined, ['client']);
+});
+
+test('owned objects are created on the other peer', () =>
+{
+    const o = new NetTestObject(vec2(2, 3));
+    o.gravityScale = 0;
+    const id = host.addObject(o);
+    assert.equal(host.isOwner(o), true);
+    LJS.engineStep();
+
+    const copy = client.getObject(id);
+    assert(copy instanceof NetTestObject);
+    assert(copy !== o);
+    assert.equal(copy.pos.x, 2);
+    assert.equal(client.getId(copy), id);
+    assert.equal(client.getOwner(copy), 'host');
+    assert.equal(client.isOwner(copy), false);
+    o.destroy();
+    LJS.engineStep(2);
+    assert.equal(copy.destroyed, true);
+    assert.equal(client.getObject(id), undefined);
+});
+
+test('remote positions are interpolated toward the owner', () =>
+{
+    const o = new NetTestObject(vec2());
+    o.gravityScale = 0;
+    o.velocity = vec2(.1, 0);
+    const id = host.addObject(o);
+    LJS.engineStep(60);
+    const copy = client.getObject(id);
+    assert(copy.pos.x > 0);
+    assert(copy.pos.x < o.pos.x);
+
+    // copies catch up once the owner stops
+    o.velocity = vec2();
+    LJS.engineStep(60);
+    assert(Math.abs(copy.pos.x - o.pos.x) < .2);
+    host.removeObject(o);
+    LJS.engineStep();
+    assert.equal(copy.destroyed, true);
+    o.destroy();
+});
+
+test('remote objects are not simulated by physics', () =>
+{
+    // the owner's object is held still, its copy would fall if physics ran on it
+    LJS.setGravity(vec2(0, -.01));
+    const o = new NetTestObject(vec2(5, 5));
+    o.updatePhysics = ()=> {};
+    const id = host.addObject(o);
+    LJS.engineStep(30);
+    const copy = client.getObject(id);
+    assert.equal(copy.gravityScale, 1);
+    assert.deepEqual(copy.pos, o.pos);
+    assert.deepEqual(copy.velocity, vec2());
+
+    // physics runs again once a peer owns it
+    host.setOwner(o, 'client');
+    LJS.engineStep();
+    assert(copy.pos.y < 5);
+    copy.destroy();
+    LJS.engineStep(2);
+    LJS.setGravity(vec2());
+});
+
+test('ownership can be handed to another peer', () =>
+{
+    const o = new NetTestObject(vec2());
+    o.gravityScale = 0;
+    const id = host.addObject(o);
+    LJS.engineStep();
+    const copy = client.getObject(id);
+    host.setOwner(o, 'client');
+    LJS.engineStep();
+    assert.equal(host.isOwner(o), false);
+    assert.equal(client.isOwner(copy), true);
+    assert.throws(() => host.setOwner(o, 'host'));
+
+    // the new owner's state now moves the host object
+    copy.velocity = vec2(0, .1);
+    LJS.engineStep(60);
+    assert(o.pos.y > 1);
+    copy.destroy();
+    LJS.engineStep(2);
+    assert.equal(o.destroyed, true);
+});
+
+test('messages are sent on channels', () =>
+{
+    const received = [];
+    client.on('hit', (data, from)=> received.push([data, from]));
+    host.send('hit', {damage: 3});
+    host.send('other', 1);
+    host.send('hit', 5, 'someoneElse');
+    LJS.engineStep();
+    assert.deepEqual(received, [[{damage: 3}, 'host']]);
+});
+
+test('unregistered objects can not be synced', () =>
+{
+    assert.throws(() => host.addObject(new EngineObject));
+});
+
+test('closing a peer removes it and its objects', () =>
+{
+    const left = [];
+    host.onPeerLeave = (peerId)=> left.push(peerId);
+    const id = client.addObject(new NetTestObject(vec2()));
+    LJS.engineStep();
+    const copy = host.getObject(id);
+    assert(copy);
+    client.close();
+    LJS.engineStep();
+    assert.deepEqual(left, ['client']);
+    assert.deepEqual(host.getPeers(), []);
+    assert.equal(copy.destroyed, true);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { ParticleEmitter, ParticleCurve, Color, Ease, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own emitters.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const near = (a, b)=> assert(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test('curves interpolate stops with optional eases', () =>
+{
+    const even = new ParticleCurve([0, 10, 4]);
+    near(even.getValue(0), 0);
+    near(even.getValue(.25), 5);
+    near(even.getValue(.75), 7);
+    near(even.getValue(2), 4);
+
+    // timed stops hold their value outside the range
+    const timed = new ParticleCurve([[.2, 1], [.6, 3, Ease.POWER(2)], [1, 2]]);
+    near(timed.getValue(0), 1);
+    near(timed.getValue(.4), 2);
+    near(timed.getValue(.8), 2.75);
+    near(new ParticleCurve([0, 1], Ease.POWER(2)).getValue(.5), .25);
+
+    const gradient = new ParticleCurve(['#fff', '#ff0', [1, new Color(1, 0, 0, 0)]]);
+    assert(gradient.isColor);
+    assert.deepEqual(gradient.getValue(.25), new Color(1, 1, .5, 1));
+    const color = new Color;
+    assert.equal(gradient.getValue(.75, color), color);
+    assert.deepEqual(color, new Color(1, .5, 0, .5));
+    assert.deepEqual(gradient.getPreset(), [[0, '#ffffffff'], [.5, '#ffff00ff'], [1, '#ff000000']]);
+
+    assert.throws(() => new ParticleCurve([]));
+    assert.throws(() => new ParticleCurve([1, '#fff']));
+    assert.throws(() => new ParticleCurve([[.5, 1], [.2, 2]]));
+});
+
+test('particles use curves over their life', () =>
+{
+    const emitter = new ParticleEmitter(vec2(), 0, 0, 0, 0).setPreset(
+    {
+        randomness: 0, fadeRate: 0, sizeStart: 2, speed: .1, angleSpeed: .1, particleTime: 1,
+        colorStartA: '#f0ff', colorStartB: '#f0ff',
+        colorGradient: ['#fff', '#000'], sizeCurve: [1, 0],
+        speedCurve: [[0, 0], [.5, 0], [1, 1]], angleSpeedCurve: [0],
+    });
+    const particle = emitter.emitParticle();
+    const pos = particle.pos.copy(), angle = particle.angle;
+    const velocity = particle.velocity.copy();
+
+    // no movement while the speed curve is zero, velocity is kept
+    LJS.engineStep(10);
+    assert.deepEqual(particle.pos, pos);
+    assert.equal(particle.angle, angle);
+    assert.deepEqual(particle.velocity, velocity);
+
+    // moves once the curve ramps up
+    particle.spawnTime = LJS.time - .9;
+    near(particle.getLifePercent(), .9);
+    LJS.engineStep();
+    assert(particle.pos.distance(pos) > 0);
+
+    // final color and size come from the curves, gradient is tinted by the start color
+    particle.destroy();
+    assert.deepEqual(particle.color, new Color(0, 0, 0, 1));
+    assert.deepEqual(particle.size, vec2(0));
+    emitter.destroy(true);
+});
+
+test('curves are saved in presets', () =>
+{
+    const emitter = new ParticleEmitter(vec2());
+    assert.equal(emitter.getPreset().colorGradient, null);
+    emitter.colorGradient = new ParticleCurve(['#fff', '#f000'], Ease.SINE);
+    emitter.sizeCurve = new ParticleCurve([[0, 1], [.3, 2], [1, 0]]);
+    const preset = JSON.parse(JSON.stringify(emitter.getPreset()));
+    assert.deepEqual(preset.sizeCurve, [[0, 1], [.3, 2], [1, 0]]);
+
+    const copy = new ParticleEmitter(vec2()).setPreset(preset);
+    assert(copy.colorGradient instanceof ParticleCurve);
+    assert.deepEqual(copy.getPreset(), preset);
+    copy.setPreset({colorGradient: null});
+    assert.equal(copy.colorGradient, undefined);
+    emitter.destroy(true);
+    copy.destroy(true);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, ParticleEmitter, ParticleForceField, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own objects.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const near = (a, b)=> assert(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test('emit shapes place particles on rings, lines, edges, paths, and masks', () =>
+{
+    const emitter = new ParticleEmitter(vec2(), 0, 4, 0, 0);
+    emitter.emitShape = 'ring';
+    for (let i = 20; i--;)
+        near(emitter.getEmitPos().length(), 2);
+
+    emitter.emitShape = 'line';
+    for (let i = 20; i--;)
+    {
+        const pos = emitter.getEmitPos();
+        assert(pos.y === 0 && Math.abs(pos.x) <= 2);
+    }
+
+    // square polygon edges, every point is on the edge
+    emitter.setPreset({emitShape: 'polygon', emitPoints: [[-1, -1], [1, -1], [1, 1], [-1, 1]]});
+    for (let i = 20; i--;)
+    {
+        const pos = emitter.getEmitPos();
+        near(Math.max(Math.abs(pos.x), Math.abs(pos.y)), 1);
+    }
+
+    // open path from the left to the top
+    emitter.emitShape = 'path';
+    emitter.emitPoints = [vec2(-2, 0), vec2(0, 0), vec2(0, 2)];
+    for (let i = 20; i--;)
+    {
+        const pos = emitter.getEmitPos();
+        assert(pos.y === 0 && pos.x <= 0 || pos.x === 0 && pos.y >= 0);
+    }
+    const preset = emitter.getPreset();
+    assert.equal(preset.emitShape, 'path');
+    assert.deepEqual(preset.emitPoints, [[-2, 0], [0, 0], [0, 2]]);
+
+    // only the top left pixel of this mask is opaque
+    const data = new Uint8ClampedArray(2*2*4);
+    data[3] = 255;
+    data[7] = 50;
+    emitter.setEmitMask({width: 2, height: 2, data});
+    assert.equal(emitter.emitShape, 'mask');
+    assert.deepEqual(emitter.getEmitPos(), vec2(-1, 1));
+    assert.throws(() => emitter.setEmitMask({width: 1, height: 1, data: new Uint8ClampedArray(4)}));
+
+    emitter.emitShape = 'star';
+    assert.throws(() => emitter.getEmitPos());
+    emitter.destroy(true);
+});
+
+test('force fields push velocities inside their zone', () =>
+{
+    const velocity = vec2();
+    const attractor = new ParticleForceField(vec2(2, 0), 8, 'attractor', .1);
+    attractor.applyFieldForce(vec2(), velocity);
+    near(velocity.x, .05);
+    near(velocity.y, 0);
+    attractor.applyFieldForce(vec2(9, 0), velocity);
+    near(velocity.x, .05);
+
+    // negative strength repels, falloff can be turned off
+    attractor.strength = -.1;
+    attractor.falloff = false;
+    attractor.applyFieldForce(vec2(), velocity.set(0, 0));
+    near(velocity.x, -.1);
+    attractor.destroy();
+
+    const vortex = new ParticleForceField(vec2(), 0, 'vortex', .1);
+    vortex.applyFieldForce(vec2(1, 0), velocity.set(0, 0));
+    near(velocity.x, 0);
+    near(velocity.y, .1);
+    vortex.destroy();
+
+    const wind = new ParticleForceField(vec2(), vec2(4, 2), 'wind', .1);
+    wind.angle = Math.PI/2;
+    assert(wind.isInside(vec2(1.9, .9)));
+    assert(!wind.isInside(vec2(1, 1.1)));
+    wind.applyFieldForce(vec2(1, 0), velocity.set(0, 0), 2);
+    near(velocity.x, .2);
+    near(velocity.y, 0);
+    wind.destroy();
+
+    const turbulence = new ParticleForceField(vec2(), 0, 'turbulence', .1);
+    turbulence.applyFieldForce(vec2(.3, .7), velocity.set(0, 0));
+    assert(velocity.length() > 0 && Math.abs(velocity.x) <= .1 && Math.abs(velocity.y) <= .1);
+    turbulence.destroy();
+    assert.throws(() => new ParticleForceField(vec2(), 0, 'magnet'));
+});
+
+test('force fields affect particles and optionally objects', () =>
+{
+    const field = new ParticleForceField(vec2(), 0, 'wind', .01);
+    const emitter = new ParticleEmitter(vec2(), 0, 0, 0, 0).setPreset({speed: 0, randomness: 0, particleTime: 9});
+    const particle = emitter.emitParticle();
+    const local = new ParticleEmitter(vec2(), 0, 0, 0, 0).setPreset({speed: 0, particleTime: 9, localSpace: true});
+    const localParticle = local.emitParticle();
+    const object = new EngineObject(vec2());
+    object.gravityScale = 0;
+
+    LJS.engineStep(10);
+    near(particle.velocity.y, .1);
+    assert(particle.pos.y > 0);
+    assert.equal(localParticle.velocity.y, 0);
+    assert.equal(object.velocity.y, 0);
+
+    // scale can turn fields off for an emitter
+    emitter.forceFieldScale = 0;
+    field.affectObjects = true;
+    LJS.engineStep(10);
+    near(particle.velocity.y, .1);
+    near(object.velocity.y, .1);
+    assert(object.pos.y > 0);
+
+    // destroyed fields stop pushing
+    LJS.engineObjectsDestroy();
+    const y = object.velocity.y;
+    emitter.forceFieldScale = 1;
+    particle.update();
+    near(particle.velocity.y, .1);
+    assert.equal(object.velocity.y, y);
+});
+
+test('destroying a force field passes immediate to attached emitters', () =>
+{
+    const makeField = ()=>
+    {
+        const field = new ParticleForceField(vec2(), 8, 'attractor', .1);
+        const emitter = new ParticleEmitter(vec2(), 0, 0, 0, 100);
+        field.addChild(emitter);
+        LJS.engineStep(2);
+        assert(emitter.particles.length > 0);
+        return [field, emitter];
+    };
+
+    // attached emitters wait for their particles unless destroyed immediately
+    const [field, emitter] = makeField();
+    field.destroy();
+    assert.equal(emitter.destroyed, false);
+    const [fieldImmediate, emitterImmediate] = makeField();
+    fieldImmediate.destroy(true);
+    assert.equal(emitterImmediate.destroyed, true);
+    emitter.destroy(true);
+});
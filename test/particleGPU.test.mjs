@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { readFileSync } from 'node:fs';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { ParticleEmitter, vec2 } = LJS;
+
+// One engineInit for the whole file, headless mode has no WebGL context.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+test('gpu particles fall back to the CPU without WebGL', () =>
+{
+    const emitter = new ParticleEmitter(vec2(), 0, 1, 0, 60).setPreset({gpuParticles: true, gpuMaxParticles: 100});
+    assert(!emitter.canUseGPU());
+    LJS.engineStep(10);
+    assert(emitter.particles.length > 0);
+    assert.equal(emitter.gpuBuffer, undefined);
+
+    // gpu settings are saved in presets
+    const preset = emitter.getPreset();
+    assert.equal(preset.gpuParticles, true);
+    assert.equal(preset.gpuMaxParticles, 100);
+    emitter.destroy(true);
+});
+
+test('emitters wait for gpu particles before being destroyed', () =>
+{
+    const emitter = new ParticleEmitter(vec2(), 0, 1, 0, 0);
+    emitter.gpuEndTime = LJS.time + .5;
+    emitter.destroy();
+    assert(!emitter.destroyed);
+    LJS.engineStep(40);
+    assert(emitter.destroyed);
+});
+
+// glContext can't be set through the module, so load the script build in its own
+// context with a stub that records uploads and draws, glEnable is off unless a test draws
+const gpu = vm.createContext({ window: {}, document: { body: {} }, localStorage: {},
+    AudioContext: globalThis.AudioContext, Image: globalThis.Image, console });
+vm.runInContext(readFileSync(new URL('../dist/littlejs.js', import.meta.url), 'utf8'), gpu);
+const uploads = [], draws = [];
+gpu.glStub =
+{
+    ARRAY_BUFFER: 1,
+    createBuffer: ()=> ({}),
+    createVertexArray: ()=> ({}),
+    bufferSubData: (target, offset, data, srcOffset, length)=> uploads.push([offset, srcOffset, length]),
+    drawArraysInstanced: (mode, first, count, instanceCount)=> draws.push(instanceCount),
+};
+for (const name of ['bindBuffer', 'bindVertexArray', 'bufferData', 'deleteBuffer', 'deleteVertexArray',
+    'getAttribLocation', 'enableVertexAttribArray', 'vertexAttribPointer', 'vertexAttribDivisor',
+    'useProgram', 'getUniformLocation', 'uniform1f', 'uniform2f', 'uniform4f', 'blendFuncSeparate', 'enable'])
+    gpu.glStub[name] = ()=>{};
+vm.runInContext('headlessMode = true; glInit(); glContext = glStub; glEnable = false;', gpu);
+const GPU = vm.runInContext('({ ParticleEmitter, vec2, rgb })', gpu);
+const gpuEmit = (emitter, count=1)=>
+{
+    for (let i = count; i--;)
+        emitter.gpuEmitParticle(GPU.vec2(), 0, GPU.rgb(), GPU.rgb(), 1, 1, 1, GPU.vec2(), 0);
+};
+
+test('gpu particles are packed as 13 values', () =>
+{
+    const emitter = new GPU.ParticleEmitter(GPU.vec2());
+    emitter.gpuEmitParticle(GPU.vec2(1, 2), .5, GPU.rgb(1, 0, 0), GPU.rgb(0, 0, 1, .5), 2, .3, .4, GPU.vec2(.1, .2), .05);
+    assert.equal(emitter.gpuCount, 1);
+    assert.equal(emitter.gpuBuffer.capacity, emitter.gpuMaxParticles);
+    const time = vm.runInContext('time', gpu);
+    const data = [...emitter.gpuData.subarray(0, 11)];
+    assert.deepEqual(data.slice(0, 10), [1, 2, .1, .2, .5, .05, time, 2, .3, .4].map(Math.fround));
+    assert.equal(Math.abs(data[10]), 1);
+    assert.equal(emitter.gpuColorData[11], GPU.rgb(1, 0, 0).rgbaInt() >>> 0);
+    assert.equal(emitter.gpuColorData[12], GPU.rgb(0, 0, 1, .5).rgbaInt() >>> 0);
+    assert.equal(emitter.gpuEndTime, time + 2);
+    emitter.destroy(true);
+    assert.equal(emitter.gpuBuffer, undefined);
+});
+
+test('gpu particles over capacity are dropped until the next upload', () =>
+{
+    const emitter = new GPU.ParticleEmitter(GPU.vec2());
+    emitter.gpuMaxParticles = 2;
+    gpuEmit(emitter, 3);
+    assert.equal(emitter.gpuCount, 2);
+    assert.equal(emitter.gpuData.length, 2 * 13);
+
+    // changing the capacity makes a new buffer
+    const buffer = emitter.gpuBuffer;
+    emitter.gpuMaxParticles = 3;
+    gpuEmit(emitter);
+    assert.notEqual(emitter.gpuBuffer, buffer);
+    assert.equal(emitter.gpuBuffer.capacity, 3);
+    assert.equal(emitter.gpuCount, 1);
+    emitter.destroy(true);
+});
+
+test('gpu particle uploads wrap around the ring buffer', () =>
+{
+    // particles are uploaded when the emitter renders
+    const emitter = new GPU.ParticleEmitter(GPU.vec2());
+    emitter.gpuMaxParticles = 4;
+    uploads.length = 0;
+    gpuEmit(emitter, 3);
+    emitter.render();
+    assert.deepEqual(uploads, [[0, 0, 3*13]]);
+    assert.equal(emitter.gpuCount, 0);
+
+    // the oldest particles are replaced, byte offset then float offset and count
+    uploads.length = 0;
+    gpuEmit(emitter, 3);
+    emitter.render();
+    assert.deepEqual(uploads, [[3*13*4, 0, 13], [0, 13, 2*13]]);
+    assert.equal(emitter.gpuBuffer.next, 2);
+    emitter.destroy(true);
+});
+
+test('gpu particles only draw written slots while any are alive', () =>
+{
+    const emitter = new GPU.ParticleEmitter(GPU.vec2());
+    emitter.gpuMaxParticles = 4;
+    vm.runInContext('glEnable = true', gpu);
+    draws.length = 0;
+    gpuEmit(emitter, 3);
+    emitter.render();
+    gpuEmit(emitter, 3);
+    emitter.render();
+    assert.deepEqual(draws, [3, 4]);
+
+    // nothing is drawn after the last particle dies
+    draws.length = 0;
+    vm.runInContext('time += 2', gpu);
+    emitter.render();
+    assert.deepEqual(draws, []);
+    vm.runInContext('glEnable = false', gpu);
+    emitter.destroy(true);
+});
+
+test('closed form gpu motion model matches the CPU simulation', () =>
+{
+    // a copy of the math in the particle vertex shader, particles move from their spawn state
+    const dampingSum = (d, n)=> Math.abs(1 - d) < 1e-6 ? n : d * (1 - d**n) / (1 - d);
+    const getGPUState = (p, d, angleDamping, g, n)=>
+    {
+        const S = dampingSum(d, n);
+        const gravitySum = Math.abs(1 - d) < 1e-6 ? n * (n + 1) / 2 : (n - S) / (1 - d);
+        return [p.pos.x + p.velocity.x * S + g.x * gravitySum,
+            p.pos.y + p.velocity.y * S + g.y * gravitySum,
+            p.angle + p.angleVelocity * dampingSum(angleDamping, n)];
+    };
+
+    LJS.setGravity(vec2(0, -.01));
+    for (const [damping, angleDamping] of [[1, 1], [.9, .95]])
+    {
+        const emitter = new ParticleEmitter(vec2(), 0, 1, 0, 0);
+        emitter.setPreset({particleTime: 10, speed: .2, angleSpeed: .1, damping, angleDamping, gravityScale: 2});
+        const particle = emitter.emitParticle();
+        const n = 30;
+        const expected = getGPUState(particle, damping, angleDamping, LJS.gravity.scale(2), n);
+        for (let i = n; i--;)
+            particle.update();
+        const actual = [particle.pos.x, particle.pos.y, particle.angle];
+        expected.forEach((v, i)=> assert(Math.abs(v - actual[i]) < 1e-9, `${v} != ${actual[i]}`));
+        emitter.destroy(true);
+    }
+    LJS.setGravity(vec2());
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { ParticleEmitter, ParticleEditor, UISystemPlugin, Color, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own emitters.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+test('presets round trip through JSON', () =>
+{
+    const emitter = new ParticleEmitter(vec2(), 0, vec2(2, 3), 1, 50, .5);
+    emitter.colorStartA = new Color(1, 0, 0, 1);
+    emitter.gravityScale = -.5;
+    emitter.trailScale = 2;
+    const preset = emitter.getPreset();
+    assert.deepEqual(preset.emitSize, [2, 3]);
+    assert.equal(preset.colorStartA, '#ff0000ff');
+    assert.equal(preset.emitRate, 50);
+    assert.equal(preset.tileInfo, null);
+
+    const copy = new ParticleEmitter(vec2(5)).setPreset(JSON.stringify(preset));
+    assert.deepEqual(copy.getPreset(), preset);
+    assert(!copy.emitCircle);
+    assert.deepEqual(copy.emitSize, vec2(2, 3));
+    assert.deepEqual(copy.pos, vec2(5));
+    emitter.destroy(true);
+    copy.destroy(true);
+});
+
+test('partial presets only change named settings', () =>
+{
+    const emitter = new ParticleEmitter(vec2()).setPreset({emitSize: 2, colorEndA: '#f000', additive: true});
+    assert(emitter.emitCircle);
+    assert.deepEqual(emitter.emitSize, vec2(2));
+    assert.deepEqual(emitter.colorEndA, new Color(1, 0, 0, 0));
+    assert.equal(emitter.renderOrder, 1e9);
+    assert.equal(emitter.particleTime, .5);
+    assert.throws(() => emitter.setPreset({emitRatee: 10}));
+    assert.throws(() => emitter.setPreset({emitRate: '10'}));
+
+    // emitted particles use the preset
+    emitter.setPreset({emitRate: 60, particleTime: 2, sizeStart: 1, randomness: 0});
+    LJS.engineStep(10);
+    assert(emitter.particles.length > 0);
+    assert.equal(emitter.particles[0].sizeStart, 1);
+    emitter.destroy(true);
+});
+
+test('particle editor sliders change the emitter', () =>
+{
+    new UISystemPlugin;
+    const emitter = new ParticleEmitter(vec2(), 0, 1, .1);
+    const editor = new ParticleEditor(emitter);
+    const slider = editor.controls.get('emitRate');
+    assert.equal(slider.value, .1);
+    slider.value = .5;
+    slider.onChange();
+    assert.equal(emitter.emitRate, 500);
+    assert.equal(slider.text, 'emitRate 500');
+
+    const alpha = editor.controls.get('colorEndA.a');
+    alpha.value = 1;
+    alpha.onChange();
+    assert.equal(emitter.colorEndA.a, 1);
+
+    // switching to a box emitter keeps the size
+    editor.setValue('emitCircle', false);
+    assert.deepEqual(editor.getPreset().emitSize, [1, 1]);
+    assert(!editor.controls.get('emitCircle').checked);
+
+    // finished emitters restart when looping, destroyed ones are replaced
+    LJS.engineStep(60);
+    assert.equal(editor.emitter, emitter);
+    assert(!emitter.destroyed && emitter.getAliveTime() < .9);
+    emitter.destroy(true);
+    LJS.engineStep();
+    assert(editor.emitter !== emitter);
+    assert.equal(editor.emitter.emitRate, 500);
+    editor.destroy();
+    editor.emitter.destroy(true);
+});
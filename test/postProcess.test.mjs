@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { PostProcessPlugin, PostProcessPass, TextureInfo, vec2, rgb } = LJS;
+
+// One engineInit for the whole file, the plugin is a global singleton so it is created once.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const bloom = LJS.postProcessBloom(.5);
+const vignette = LJS.postProcessVignette();
+new PostProcessPlugin([bloom, vignette]);
+
+test('post process passes are chained in order', () =>
+{
+    assert.deepEqual(LJS.postProcess.passes, [bloom, vignette]);
+
+    // passes can be inserted, removed, and only added once
+    const crt = LJS.postProcess.addPass(LJS.postProcessCRT(), 1);
+    assert.deepEqual(LJS.postProcess.passes, [bloom, crt, vignette]);
+    assert.throws(() => LJS.postProcess.addPass(crt));
+    assert.throws(() => LJS.postProcess.addPass('void mainImage(out vec4 c,vec2 p){}'));
+    LJS.postProcess.removePass(crt);
+    assert.deepEqual(LJS.postProcess.passes, [bloom, vignette]);
+    assert.throws(() => LJS.postProcess.removePass(crt));
+
+    // there is only one plugin
+    assert.throws(() => new PostProcessPlugin('void mainImage(out vec4 c,vec2 p){}'));
+
+    // rendering is skipped in headless mode
+    bloom.enabled = false;
+    LJS.engineStep();
+    bloom.enabled = true;
+});
+
+test('passes have their own uniforms', () =>
+{
+    const pass = new PostProcessPass('uniform vec4 tint;void mainImage(out vec4 c,vec2 p){c=tint;}');
+    assert.deepEqual(pass.uniforms, {});
+    assert.equal(pass.enabled, true);
+    assert.equal(pass.setUniform('tint', rgb(1, 0, 0)), pass);
+    assert.deepEqual(pass.uniforms.tint, rgb(1, 0, 0));
+    assert.throws(() => new PostProcessPass());
+
+    // built in effects
+    assert.equal(bloom.uniforms.threshold, .5);
+    assert.equal(vignette.uniforms.amount, .5);
+    assert.equal(LJS.postProcessBlur(2).uniforms.radius, 2);
+    assert.equal(LJS.postProcessChromaticAberration(1).uniforms.amount, 1);
+    assert.equal(LJS.postProcessCRT(.2, .1).uniforms.scanlines, .1);
+    const lut = new TextureInfo(undefined);
+    assert.equal(LJS.postProcessLUT(lut, .5).uniforms.lut, lut);
+    assert.throws(() => LJS.postProcessLUT(vec2()));
+    for (const effect of [bloom, vignette, LJS.postProcessLUT(lut)])
+        assert.match(effect.shaderCode, /void mainImage\(out vec4 c,vec2 p\)/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { RenderTexture, EngineObject, TileInfo, vec2 } = LJS;
+
+// One engineInit for the whole file, headless mode has no canvas so set its size.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+LJS.mainCanvasSize.set(800, 600);
+
+// objects that record when they are rendered
+const rendered = [];
+class TestObject extends EngineObject
+{
+    render() { rendered.push(this); }
+}
+
+test('render textures use their own camera while drawing', () =>
+{
+    const texture = new RenderTexture(vec2(128, 64));
+    assert(texture instanceof LJS.TextureInfo);
+    assert.deepEqual(texture.size, vec2(128, 64));
+    texture.cameraPos = vec2(5, 6);
+    texture.cameraScale = 2;
+    const cameraPos = LJS.cameraPos.copy(), cameraScale = LJS.cameraScale;
+
+    const result = [];
+    texture.render(()=>
+    {
+        assert.equal(LJS.drawRenderTexture, texture);
+        assert.deepEqual(LJS.cameraPos, vec2(5, 6));
+        assert.equal(LJS.cameraScale, 2);
+        assert.deepEqual(LJS.mainCanvasSize, vec2(128, 64));
+        result.push(LJS.worldToScreen(vec2(5, 6)));
+    });
+    assert.deepEqual(result, [vec2(63.5, 31.5)]);
+    assert.equal(LJS.drawRenderTexture, undefined);
+    assert.deepEqual(LJS.cameraPos, cameraPos);
+    assert.equal(LJS.cameraScale, cameraScale);
+    assert.deepEqual(LJS.mainCanvasSize, vec2(800, 600));
+
+    // can be used as a tile
+    const tileInfo = texture.getTileInfo();
+    assert(tileInfo instanceof TileInfo);
+    assert.equal(tileInfo.textureInfo, texture);
+    assert.deepEqual(tileInfo.size, vec2(128, 64));
+
+    // begin and end must be paired
+    assert.throws(() => texture.end());
+    texture.begin();
+    assert.throws(() => new RenderTexture(vec2(8)).begin());
+    texture.end();
+    assert.throws(() => new RenderTexture(vec2(0, 8)));
+    texture.destroy();
+});
+
+test('render textures without WebGL route draw calls to canvas 2D', () =>
+{
+    const texture = new RenderTexture(vec2(32), false);
+    const fills = [];
+    const context = { fillRect: ()=> fills.push(LJS.cameraScale) };
+    for (const name of ['save', 'restore', 'translate', 'rotate', 'scale'])
+        context[name] = ()=>{};
+
+    texture.cameraScale = 3;
+    assert.equal(LJS.glEnable, true);
+    texture.render(()=>
+    {
+        // draw calls default to canvas 2D, passing a context would assert with WebGL
+        assert.equal(LJS.glEnable, false);
+        LJS.drawRect(vec2(), vec2(1), LJS.WHITE, 0, undefined, false, context);
+    });
+    assert.deepEqual(fills, [3]);
+    assert.equal(LJS.glEnable, true);
+
+    // settings are restored if the render function throws
+    const cameraScale = LJS.cameraScale;
+    assert.throws(() => texture.render(()=> { throw new Error('render failed'); }), /render failed/);
+    assert.equal(LJS.drawRenderTexture, undefined);
+    assert.equal(LJS.glEnable, true);
+    assert.equal(LJS.cameraScale, cameraScale);
+    texture.destroy();
+});
+
+test('objects in a render order range can be rendered into a texture', () =>
+{
+    const texture = new RenderTexture(vec2(32));
+    const back = new TestObject(vec2(), vec2(1), undefined, 0, undefined, 1);
+    const front = new TestObject(vec2(), vec2(1), undefined, 0, undefined, 2);
+    const ui = new TestObject(vec2(), vec2(1), undefined, 0, undefined, 10);
+    const portal = new TestObject(vec2(), vec2(1), texture.getTileInfo(), 0, undefined, 1);
+    front.renderOrder = 2;
+    assert.throws(() => texture.renderObjects());
+
+    texture.render(()=> texture.renderObjects(0, 5));
+    assert.deepEqual(rendered, [back, front]);
+
+    // all objects by default
+    rendered.length = 0;
+    texture.render(()=> texture.renderObjects());
+    assert.deepEqual(rendered, [back, front, ui]);
+    for (const o of [back, front, ui, portal])
+        o.destroy();
+    texture.destroy();
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { Scene, SceneTransition, SceneSystemPlugin, EngineObject, vec2 } = LJS;
+
+// One engineInit for the whole file, stepped manually so scene updates and
+// transitions can be observed frame by frame.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+new SceneSystemPlugin;
+
+class TestScene extends Scene
+{
+    constructor(...args)
+    {
+        super(...args);
+        this.log = [];
+    }
+    enter()  { this.log.push('enter'); this.object = new EngineObject(vec2()); }
+    exit()   { this.log.push('exit'); }
+    update() { this.log.push('update'); }
+}
+
+test('SceneSystemPlugin asserts if constructed twice', () =>
+{
+    assert.throws(() => new SceneSystemPlugin);
+});
+
+test('push calls enter and only the top scene updates', () =>
+{
+    const a = new TestScene, b = new TestScene;
+    LJS.sceneSystem.set(a);
+    LJS.sceneSystem.push(b);
+    assert.equal(LJS.sceneSystem.getScene(), b);
+    assert.deepEqual(a.log, ['enter']);
+    LJS.engineStep();
+    assert.deepEqual(a.log, ['enter']);
+    assert.deepEqual(b.log, ['enter', 'update']);
+    LJS.sceneSystem.pop();
+    assert.equal(LJS.sceneSystem.getScene(), a);
+    assert.deepEqual(b.log, ['enter', 'update', 'exit']);
+    assert.equal(b.active, false);
+});
+
+test('objects are owned by the top scene and destroyed on exit', () =>
+{
+    const a = new TestScene, b = new TestScene;
+    LJS.sceneSystem.set(a);
+    LJS.sceneSystem.push(b);
+    assert(a.objects.includes(a.object));
+    assert(b.objects.includes(b.object));
+    LJS.sceneSystem.pop();
+    assert.equal(b.object.destroyed, true);
+    assert.equal(a.object.destroyed, false);
+});
+
+test('keepObjects leaves owned objects alive on exit', () =>
+{
+    const a = new TestScene(true);
+    LJS.sceneSystem.set(a);
+    LJS.sceneSystem.set(new TestScene);
+    assert.equal(a.object.destroyed, false);
+    a.object.destroy();
+});
+
+test('addObject moves ownership between scenes', () =>
+{
+    const a = new TestScene, b = new TestScene;
+    LJS.sceneSystem.set(a);
+    LJS.sceneSystem.push(b);
+    b.addObject(a.object);
+    assert(!a.objects.includes(a.object));
+    LJS.sceneSystem.pop();
+    assert.equal(a.object.destroyed, true);
+});
+
+test('pauseGame pauses while on the stack and restores after', () =>
+{
+    LJS.sceneSystem.set(new TestScene);
+    assert.equal(LJS.paused, false);
+    LJS.sceneSystem.push(new TestScene(false, true));
+    assert.equal(LJS.paused, true);
+    LJS.sceneSystem.pop();
+    assert.equal(LJS.paused, false);
+});
+
+test('transition changes the stack when the screen is covered', () =>
+{
+    const a = new TestScene, b = new TestScene;
+    LJS.sceneSystem.set(a);
+    LJS.sceneSystem.set(b, new SceneTransition('fade', 1));
+    assert.equal(LJS.sceneSystem.getScene(), a);
+    assert.equal(LJS.sceneSystem.isTransitioning(), true);
+    LJS.engineStep(LJS.frameRate/2 + 1);
+    assert.equal(LJS.sceneSystem.getScene(), b);
+    assert.equal(LJS.sceneSystem.isTransitioning(), true);
+    LJS.engineStep(LJS.frameRate/2 + 1);
+    assert.equal(LJS.sceneSystem.isTransitioning(), false);
+});
+
+test('a new change finishes the pending one first', () =>
+{
+    const a = new TestScene, b = new TestScene;
+    LJS.sceneSystem.set(a, new SceneTransition('wipe', 1));
+    LJS.sceneSystem.push(b);
+    assert.deepEqual(LJS.sceneSystem.stack.slice(-2), [a, b]);
+});
+
+test('SceneTransition asserts on unknown type', () =>
+{
+    assert.throws(() => new SceneTransition('spin'));
+});
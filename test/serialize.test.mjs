@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EngineObject, Timer, TileInfo, vec2, rgb, engineObjects, engineObjectsDestroy,
+    engineObjectsRegisterClass, engineObjectsSerialize, engineObjectsDeserialize } from '../dist/littlejs.esm.js';
+
+class SaveTestObject extends EngineObject
+{
+    constructor()
+    {
+        super();
+        this.health = 3;
+        this.timer = new Timer;
+        this.callback = ()=> {};
+    }
+}
+engineObjectsRegisterClass(SaveTestObject, 'SaveTestObject');
+
+// round trip through a JSON string like a save file would
+const roundTrip = (objects)=>
+{
+    const json = JSON.stringify(engineObjectsSerialize(objects));
+    engineObjectsDestroy();
+    return engineObjectsDeserialize(json);
+};
+
+test('registered objects restore their properties', () =>
+{
+    const o = new SaveTestObject;
+    o.pos = vec2(3, 4);
+    o.velocity = vec2(.1, -.2);
+    o.color = rgb(1, 0, 0, .5);
+    o.health = 7;
+    o.timer.set(2);
+    o.tileInfo = new TileInfo(vec2(16, 0), vec2(16), undefined, 1);
+
+    const [r] = roundTrip([o]);
+    assert(r instanceof SaveTestObject);
+    assert(r !== o);
+    assert.equal(r.pos.x, 3);
+    assert.equal(r.pos.y, 4);
+    assert.equal(r.velocity.y, -.2);
+    assert.equal(r.color.a, .5);
+    assert.equal(r.health, 7);
+    assert(r.timer instanceof Timer);
+    assert.equal(r.timer.isSet(), true);
+    assert.equal(r.timer.getSetTime(), 2);
+    assert(r.tileInfo instanceof TileInfo);
+    assert.equal(r.tileInfo.pos.x, 16);
+    assert.equal(r.tileInfo.padding, 1);
+    assert.equal(typeof r.callback, 'function');
+    assert(engineObjects.includes(r));
+});
+
+test('unregistered objects are skipped', () =>
+{
+    engineObjectsDestroy();
+    new EngineObject;
+    const snapshot = engineObjectsSerialize();
+    assert.equal(snapshot.objects.length, 0);
+});
+
+test('parent and child links are restored', () =>
+{
+    const parent = new SaveTestObject;
+    const child = new SaveTestObject;
+    parent.pos = vec2(5, 0);
+    parent.addChild(child, vec2(1, 2));
+
+    const [p, c] = roundTrip([parent, child]);
+    assert.equal(c.parent, p);
+    assert.deepEqual(p.children, [c]);
+    assert.equal(c.localPos.x, 1);
+    assert.equal(c.pos.x, 6);
+    assert.equal(c.pos.y, 2);
+});
+
+test('object references are restored or cleared if not saved', () =>
+{
+    const a = new SaveTestObject;
+    const b = new SaveTestObject;
+    a.target = b;
+    b.target = new EngineObject;
+
+    const [ra, rb] = roundTrip([a, b]);
+    assert.equal(ra.target, rb);
+    assert.equal(rb.target, undefined);
+});
+
+test('registering a class that is not an EngineObject asserts', () =>
+{
+    assert.throws(() => engineObjectsRegisterClass(class {}, 'NotAnObject'));
+});
+
+test('snapshots can be restored without converting to JSON', () =>
+{
+    const o = new SaveTestObject;
+    o.health = 9;
+    const [r] = engineObjectsDeserialize(engineObjectsSerialize([o]));
+    assert.equal(r.health, 9);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { TileLayer, TileLayerData, TiledMap, tile, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own layer.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+test('animated tiles step through frames with durations', () =>
+{
+    const layer = new TileLayer(vec2(), vec2(4), tile(0, 16), 0, false);
+    layer.setTileAnimation(8, [8, 9, 10], [.105, .2, .105]);
+    assert.equal(layer.getAnimatedTile(3), 3);
+
+    const expected = (t)=> (t = t % .41) < .105 ? 8 : t < .305 ? 9 : 10;
+    const seen = new Set;
+    for (let i = 30; i--;)
+    {
+        LJS.engineStep();
+        const frame = layer.getAnimatedTile(8);
+        assert.equal(frame, expected(LJS.time));
+        assert.equal(layer.animationFrames.get(8), frame);
+        seen.add(frame);
+    }
+    assert.deepEqual([...seen].sort(), [10, 8, 9]);
+
+    layer.clearTileAnimation(8);
+    assert.equal(layer.getAnimatedTile(8), 8);
+    assert.throws(() => layer.setTileAnimation(1, []));
+    assert.throws(() => layer.setTileAnimation(1, [1, 2], [.1]));
+    layer.destroy();
+});
+
+test('only cells using animated tiles are tracked', () =>
+{
+    const layer = new TileLayer(vec2(), vec2(4), tile(0, 16), 0, false);
+    layer.setData(vec2(1, 1), new TileLayerData(5));
+    layer.setData(vec2(2, 1), new TileLayerData(6));
+    assert.equal(layer.animatedCells.size, 0);
+
+    // setting an animation finds existing cells, setData keeps the list current
+    layer.setTileAnimation(5, [5, 6], .25);
+    assert.deepEqual([...layer.animatedCells], [1*4 + 1]);
+    layer.setData(vec2(3, 3), new TileLayerData(5));
+    assert.equal(layer.animatedCells.size, 2);
+    layer.clearData(vec2(1, 1));
+    assert.deepEqual([...layer.animatedCells], [3*4 + 3]);
+    layer.destroy();
+});
+
+test('tiled maps play tileset animations', () =>
+{
+    const map = new TiledMap(
+    {
+        width: 2, height: 1, tilewidth: 16, tileheight: 16,
+        tilesets: [{firstgid: 1, name: 'water', tilewidth: 16, tileheight: 16, tiles:
+            [{id: 2, animation: [{tileid: 2, duration: 100}, {tileid: 3, duration: 300}]}]}],
+        layers: [{type: 'tilelayer', width: 2, height: 1, data: [3, 2]}],
+    });
+    const [layer] = map.tileLayers;
+    assert.deepEqual(layer.tileAnimations.get(2), {frames: [2, 3], durations: [.1, .3], totalTime: .4});
+    assert.deepEqual([...layer.animatedCells], [0]);
+    map.destroy();
+
+    const tmx = `<map width="1" height="1" tilewidth="8" tileheight="8">
+ <tileset firstgid="1" name="t" tilewidth="8" tileheight="8">
+  <tile id="1"><animation><frame tileid="1" duration="50"/><frame tileid="4" duration="50"/></animation></tile>
+ </tileset>
+ <layer width="1" height="1"><data encoding="csv">2</data></layer>
+</map>`;
+    assert.deepEqual(LJS.tiledParse(tmx).tilesets[0].tiles[0].animation,
+        [{tileid: 1, duration: 50}, {tileid: 4, duration: 50}]);
+});
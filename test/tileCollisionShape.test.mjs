@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, TileCollisionLayer, TileCollisionShape, tile, vec2 } = LJS;
+
+// One engineInit for the whole file so physics can be stepped, the layer is
+// flat ground at y=0 with shaped tiles placed on top of it, tests destroy
+// their own objects to keep the layer.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+const layer = new TileCollisionLayer(vec2(), vec2(40, 20), tile(0, 16), 0, false);
+for (let x = 0; x < 40; ++x)
+    layer.setCollisionData(vec2(x, 0));
+layer.setCollisionData(vec2(5, 1), 1, new TileCollisionShape('slope45'));
+layer.setCollisionData(vec2(10, 1), 1, new TileCollisionShape('half'));
+layer.setCollisionData(vec2(15, 5), 1, new TileCollisionShape('oneWay'));
+layer.setCollisionData(vec2(16, 5), 1, new TileCollisionShape('oneWay'));
+layer.setCollisionData(vec2(20, 1), 1, new TileCollisionShape('slope22Low'));
+layer.setCollisionData(vec2(21, 1), 1, new TileCollisionShape('slope22High'));
+
+const near = (a, b, e=.01)=> Math.abs(a - b) < e;
+
+test('shapes are rotated and mirrored', () =>
+{
+    const slope = new TileCollisionShape('slope45', 0, true);
+    assert.deepEqual(slope.points.map(p=> [p.x, p.y]), [[0, 1], [0, 0], [1, 0]]);
+    const ceiling = new TileCollisionShape('half', 2);
+    assert(ceiling.points.every(p=> p.y >= .5));
+    assert.deepEqual(new TileCollisionShape('oneWay', 1).oneWayNormal.x, 1);
+    assert.throws(() => new TileCollisionShape('round'));
+});
+
+test('collision tests use the tile shape', () =>
+{
+    // left side of the slope is open, right side is solid
+    assert.equal(!!LJS.tileCollisionTest(vec2(5.2, 1.5), vec2(.2)), false);
+    assert.equal(!!LJS.tileCollisionTest(vec2(5.8, 1.5), vec2(.2)), true);
+    assert.equal(!!LJS.tileCollisionTest(vec2(10.5, 1.7), vec2(.2)), false);
+    assert.equal(!!LJS.tileCollisionTest(vec2(10.5, 1.3), vec2(.2)), true);
+    assert.equal(LJS.tileCollisionGetShape(vec2(5, 1)).type, 'slope45');
+    assert.equal(LJS.tileCollisionGetShape(vec2(6, 0)), undefined);
+});
+
+test('raycasts hit the shape surface with its normal', () =>
+{
+    const normal = vec2();
+    const hit = LJS.tileCollisionRaycast(vec2(5.5, 3), vec2(5.5, 0), undefined, normal);
+    assert(near(hit.y, 1.5));
+    assert(near(normal.x, -Math.SQRT1_2) && near(normal.y, Math.SQRT1_2));
+
+    // rays pass through the open part of the slope tile
+    const hitLow = LJS.tileCollisionRaycast(vec2(5.2, 3), vec2(5.2, 1.3), undefined, normal);
+    assert.equal(hitLow, undefined);
+
+    // one way tiles are only hit from above
+    const hitTop = LJS.tileCollisionRaycast(vec2(15.5, 8), vec2(15.5, 2), undefined, normal);
+    assert(near(hitTop.y, 6));
+    assert.equal(normal.y, 1);
+    const hitBelow = LJS.tileCollisionRaycast(vec2(15.5, 2), vec2(15.5, 8), undefined, normal);
+    assert.equal(hitBelow, undefined);
+});
+
+test('objects land on half tiles and walk up slopes', () =>
+{
+    LJS.setGravity(vec2(0, -.01));
+    const o = new EngineObject(vec2(10.5, 3), vec2(.5));
+    o.setCollision();
+    LJS.engineStep(60);
+    assert(near(o.pos.y, 1.75));
+    assert.equal(o.groundObject, layer);
+
+    const walker = new EngineObject(vec2(3, 1.26), vec2(.5));
+    walker.setCollision();
+    for (let i = 60; i--;)
+    {
+        walker.velocity.x = .05;
+        LJS.engineStep();
+    }
+    assert(walker.pos.x > 5.8);
+    assert(walker.pos.y > 1.9);
+
+    const walker22 = new EngineObject(vec2(19, 1.26), vec2(.5));
+    walker22.setCollision();
+    for (let i = 60; i--;)
+    {
+        walker22.velocity.x = .05;
+        LJS.engineStep();
+    }
+    assert(walker22.pos.x > 21.5);
+    assert(walker22.pos.y > 2);
+    o.destroy();
+    walker.destroy();
+    walker22.destroy();
+    LJS.setGravity(vec2());
+});
+
+test('one way tiles can be jumped through and landed on', () =>
+{
+    LJS.setGravity(vec2(0, -.01));
+    const o = new EngineObject(vec2(15.5, 4), vec2(.5));
+    o.setCollision();
+    o.velocity = vec2(0, .3);
+    LJS.engineStep(20);
+    assert(o.pos.y > 6);
+    LJS.engineStep(120);
+    assert(near(o.pos.y, 6.25));
+    assert.equal(o.groundObject, layer);
+    o.destroy();
+    LJS.setGravity(vec2());
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { EngineObject, TiledMap, tiledParse, tiledRegisterObjectClass, vec2 } = LJS;
+
+// One engineInit for the whole file, each test destroys its own map.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+
+class Coin extends EngineObject {}
+tiledRegisterObjectClass('Coin', Coin);
+
+const H = 0x80000000, V = 0x40000000, D = 0x20000000;
+const near = (a, b, e=1e-6)=> Math.abs(a - b) < e;
+
+// 4x3 map with two tilesets, the bottom row uses both
+const mapData =
+{
+    width: 4, height: 3, tilewidth: 16, tileheight: 16, orientation: 'orthogonal',
+    properties: [{name: 'music', type: 'string', value: 'cave'}],
+    tilesets:
+    [
+        {firstgid: 11, name: 'props', tilewidth: 16, tileheight: 16, tiles: [{id: 2, type: 'Coin'}]},
+        {firstgid: 1, name: 'terrain', tilewidth: 16, tileheight: 16,
+            tiles: [{id: 1, properties: [{name: 'collision', type: 'int', value: 0}]}]},
+    ],
+    layers:
+    [
+        {type: 'tilelayer', name: 'ground', width: 4, height: 3,
+            properties: [{name: 'collision', type: 'bool', value: true}],
+            data: [0, 0, 0, (4|H|V|D)>>>0, 0, (2|H)>>>0, 0, 0, 1, 1, 11, 1]},
+        {type: 'objectgroup', name: 'things', objects:
+        [
+            {id: 1, type: 'Coin', x: 16, y: 16, width: 16, height: 16,
+                properties: [{name: 'value', type: 'int', value: 5}, {name: 'target', type: 'object', value: 2}]},
+            {id: 2, type: 'Coin', x: 32, y: 8, point: true},
+            {id: 3, name: 'sign', x: 0, y: 48, width: 16, height: 16, gid: 13},
+            {id: 4, name: 'area', x: 0, y: 0, width: 32, height: 16, rotation: 90},
+        ]},
+    ],
+};
+
+test('tiles use their tileset and flip bits', () =>
+{
+    const map = new TiledMap(mapData);
+    assert.equal(map.tilesets[0].name, 'terrain');
+    assert.equal(map.tileLayers.length, 2);
+    assert.equal(map.getLayer('ground').tileLayers.length, 2);
+    assert.equal(map.properties.music, 'cave');
+
+    const [terrain, props] = map.tileLayers;
+    const flipped = terrain.getData(vec2(1, 1));
+    assert.equal(flipped.tile, 1);
+    assert.equal(flipped.direction, 0);
+    assert.equal(flipped.mirror, true);
+    const rotated = terrain.getData(vec2(3, 2));
+    assert.equal(rotated.tile, 3);
+    assert.equal(rotated.direction, 1);
+    assert.equal(rotated.mirror, true);
+    assert.equal(props.getData(vec2(2, 0)).tile, 0);
+    assert.equal(map.getTile(13).type, 'Coin');
+    assert.equal(map.getTile(0), undefined);
+    map.destroy();
+});
+
+test('collision comes from layer and tile properties', () =>
+{
+    const map = new TiledMap(mapData);
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, .5)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(2.5, .5)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(1.5, 1.5)), 0);
+    assert.equal(LJS.tileCollisionGetData(vec2(3.5, 2.5)), 1);
+    map.destroy();
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, .5)), 0);
+});
+
+test('objects spawn registered types with properties', () =>
+{
+    const map = new TiledMap(mapData);
+    const coins = map.getObjects('Coin');
+    assert.equal(coins.length, 3);
+
+    const [box, point, sign] = coins;
+    assert(box.object instanceof Coin);
+    assert(box.pos.x === 1.5 && box.pos.y === 1.5);
+    assert(box.object.size.x === 1 && box.object.size.y === 1);
+    assert.equal(box.object.value, 5);
+    assert.equal(box.object.target, point.object);
+    assert(point.pos.x === 2 && point.pos.y === 2.5);
+
+    // tile objects are anchored at the bottom left and get their tileset type
+    assert.equal(sign.name, 'sign');
+    assert(sign.pos.x === .5 && sign.pos.y === .5);
+    assert(sign.tileInfo);
+
+    // rotation is clockwise around the top left
+    const area = map.getObjects().find(o=> o.name === 'area');
+    assert.equal(area.object, undefined);
+    assert(near(area.pos.x, -.5) && near(area.pos.y, 2));
+    assert(near(area.angle, Math.PI/2));
+    map.destroy();
+    assert(box.object.destroyed);
+});
+
+test('parses tmx with chunks, groups, and encoded data', () =>
+{
+    const bytes = new Uint8Array(new Uint32Array([1, 0, 0, 2]).buffer);
+    const base64 = Buffer.from(bytes).toString('base64');
+    const tmx = `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.10" orientation="orthogonal" width="4" height="4" tilewidth="8" tileheight="8" infinite="1">
+ <properties>
+  <property name="title" value="A &amp; B"/>
+  <property name="tint" type="color" value="#80ff0000"/>
+  <property name="settings" type="class"><properties><property name="lives" type="int" value="3"/></properties></property>
+ </properties>
+ <tileset firstgid="1" name="tiles" tilewidth="8" tileheight="8" tilecount="4" columns="2">
+  <image source="tiles.png" width="16" height="16"/>
+ </tileset>
+ <!-- <layer name="commented"/> -->
+ <layer id="1" name="walls" width="4" height="4">
+  <properties><property name="collision" type="bool" value="true"/></properties>
+  <data encoding="csv">
+   <chunk x="-2" y="0" width="2" height="1">2,0</chunk>
+   <chunk x="0" y="2" width="2" height="1">0,3</chunk>
+  </data>
+ </layer>
+ <group name="decor" offsetx="8">
+  <layer id="2" name="base64" width="2" height="2">
+   <data encoding="base64">${base64}</data>
+  </layer>
+  <objectgroup name="shapes">
+   <object id="5" name="poly" x="8" y="8"><polygon points="0,0 8,0 8,8"/></object>
+  </objectgroup>
+ </group>
+</map>`;
+
+    const data = tiledParse(tmx);
+    assert.equal(data.layers[0].chunks.length, 2);
+    assert.deepEqual(data.layers[1].layers[0].data, [1, 0, 0, 2]);
+
+    const map = new TiledMap(tmx);
+    assert.equal(map.properties.title, 'A & B');
+    assert(near(map.properties.tint.r, 1) && near(map.properties.tint.a, 128/255));
+    assert.equal(map.properties.settings.lives, 3);
+    assert.deepEqual(map.layers.map(l=> l.name), ['walls', 'base64', 'shapes']);
+
+    // chunks extend the layer past the map bounds
+    const walls = map.getLayer('walls').tileLayers[0];
+    assert(walls.pos.x === -2 && walls.pos.y === 1);
+    assert(walls.size.x === 4 && walls.size.y === 3);
+    assert.equal(LJS.tileCollisionGetData(vec2(-1.5, 3.5)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(1.5, 1.5)), 1);
+    assert.equal(LJS.tileCollisionGetData(vec2(.5, 1.5)), 0);
+
+    // group offset moves child layers
+    const base = map.getLayer('base64').tileLayers[0];
+    assert(base.pos.x === 1 && base.pos.y === 2);
+    assert.equal(base.getData(vec2(1, 0)).tile, 1);
+    const poly = map.getObjects()[0];
+    assert(poly.pos.x === 2 && poly.pos.y === 3);
+    assert.deepEqual(poly.points.map(p=> [p.x, p.y]), [[0, -0], [1, -0], [1, -1]]);
+    map.destroy();
+});
+
+test('asserts on unsupported data', () =>
+{
+    assert.throws(() => tiledParse('<map><layer></map>'));
+    assert.throws(() => new TiledMap({...mapData, orientation: 'isometric'}));
+    assert.throws(() => new TiledMap({...mapData, tilesets: [{firstgid: 1, source: 'tiles.tsx'}]}));
+    assert.throws(() => tiledRegisterObjectClass('Thing', Object));
+});
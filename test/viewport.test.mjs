@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as LJS from '../dist/littlejs.esm.js';
+
+const { Camera, Viewport, vec2 } = LJS;
+
+// One engineInit for the whole file, headless mode has no canvas so set its size.
+LJS.setEngineManualStep(true);
+await LJS.engineInit(()=>{}, ()=>{}, ()=>{}, ()=>{}, ()=>{});
+LJS.mainCanvasSize.set(800, 600);
+
+const near = (a, b)=> assert(a.distance(b) < 1e-9, `${a} != ${b}`);
+
+test('split screen viewports convert between screen and world space', () =>
+{
+    const left = new Viewport(vec2(), vec2(.5, 1));
+    const right = new Viewport(vec2(.5, 0), vec2(.5, 1));
+    assert.deepEqual(LJS.engineViewports, [left, right]);
+    assert.deepEqual(left.getScreenSize(), vec2(400, 600));
+    assert.deepEqual(right.getScreenPos(), vec2(400, 0));
+    assert.equal(LJS.getViewportAt(vec2(500, 10)), right);
+    assert.equal(LJS.getViewportAt(vec2(399, 599)), left);
+    right.visible = false;
+    assert.equal(LJS.getViewportAt(vec2(500, 10)), undefined);
+    right.visible = true;
+
+    // the center of a viewport is its camera position
+    right.cameraPos = vec2(10, 0);
+    right.cameraScale = 20;
+    near(right.screenToWorld(vec2(599.5, 299.5)), vec2(10, 0));
+    near(right.screenToWorld(right.worldToScreen(vec2(12, 3))), vec2(12, 3));
+    near(right.worldToScreen(vec2(10, 1)), vec2(599.5, 279.5));
+
+    // the main camera is not changed
+    const mainPos = LJS.cameraPos.copy();
+    right.cameraAngle = 1;
+    near(right.screenToWorld(right.worldToScreen(vec2(-4, 2))), vec2(-4, 2));
+    assert.deepEqual(LJS.cameraPos, mainPos);
+    left.destroy();
+    right.destroy();
+    assert.equal(LJS.engineViewports.length, 0);
+});
+
+test('viewports can be used as the engine camera', () =>
+{
+    const viewport = new Viewport(vec2(.25, .5), vec2(.5));
+    viewport.cameraPos = vec2(3, 4);
+    const result = viewport.useCamera(()=>
+    {
+        assert.deepEqual(LJS.cameraPos, vec2(3, 4));
+        assert.deepEqual(LJS.mainCanvasSize, vec2(400, 300));
+
+        // screen rects still use the whole canvas
+        assert.deepEqual(viewport.getScreenPos(), vec2(200, 300));
+        return 5;
+    });
+    assert.equal(result, 5);
+    assert.deepEqual(LJS.mainCanvasSize, vec2(800, 600));
+    viewport.destroy();
+});
+
+test('cameras can drive viewports', () =>
+{
+    const viewport = new Viewport(vec2(), vec2(.5, 1));
+    const mainPos = LJS.cameraPos.copy();
+    const camera = new Camera(vec2(), 20);
+    camera.viewport = viewport;
+    camera.follow(vec2(5, 5), true);
+    assert.deepEqual(viewport.cameraPos, vec2(5, 5));
+    assert.equal(viewport.cameraScale, 20);
+    assert.deepEqual(LJS.cameraPos, mainPos);
+
+    // bounds use the viewport size
+    camera.setBounds(vec2(), vec2(40));
+    camera.snapToTargets();
+    assert.deepEqual(viewport.cameraPos, vec2(10, 15));
+    camera.destroy();
+    viewport.destroy();
+});